@@ -0,0 +1,6 @@
+-- Drop the initial schema (removes all data)
+
+DROP TABLE IF EXISTS test_runs;
+DROP TABLE IF EXISTS api_tokens;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS organizations;
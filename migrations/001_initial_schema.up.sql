@@ -2,24 +2,23 @@
 -- This schema supports multi-tenant test result ingestion with proper isolation
 
 -- Organizations table (top-level tenant)
-CREATE TABLE IF NOT EXISTS organizations (
+CREATE TABLE organizations (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL UNIQUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Projects table (belongs to an organization)
-CREATE TABLE IF NOT EXISTS projects (
+CREATE TABLE projects (
   id TEXT PRIMARY KEY,
   organization_id TEXT NOT NULL,
   name TEXT NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (organization_id) REFERENCES organizations(id),
-  UNIQUE(organization_id, name)  -- Ensure project names are unique within each organization
+  FOREIGN KEY (organization_id) REFERENCES organizations(id)
 );
 
 -- API tokens table (scoped to a single project)
-CREATE TABLE IF NOT EXISTS api_tokens (
+CREATE TABLE api_tokens (
   id TEXT PRIMARY KEY,
   project_id TEXT NOT NULL,
   token_hash TEXT NOT NULL UNIQUE,
@@ -28,7 +27,7 @@ CREATE TABLE IF NOT EXISTS api_tokens (
 );
 
 -- Test runs table (test execution results)
-CREATE TABLE IF NOT EXISTS test_runs (
+CREATE TABLE test_runs (
   id TEXT PRIMARY KEY,
   project_id TEXT NOT NULL,
   run_id TEXT NOT NULL,
@@ -41,5 +40,5 @@ CREATE TABLE IF NOT EXISTS test_runs (
 );
 
 -- Indexes for performance
-CREATE INDEX IF NOT EXISTS idx_test_runs_project ON test_runs(project_id);
-CREATE INDEX IF NOT EXISTS idx_api_tokens_hash ON api_tokens(token_hash);
+CREATE INDEX idx_test_runs_project ON test_runs(project_id);
+CREATE INDEX idx_api_tokens_hash ON api_tokens(token_hash);
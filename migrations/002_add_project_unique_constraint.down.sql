@@ -0,0 +1,16 @@
+-- Remove the unique constraint on (organization_id, name) from projects table
+
+CREATE TABLE projects_new (
+  id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id)
+);
+
+INSERT INTO projects_new (id, organization_id, name, created_at)
+SELECT id, organization_id, name, created_at FROM projects;
+
+DROP TABLE projects;
+
+ALTER TABLE projects_new RENAME TO projects;
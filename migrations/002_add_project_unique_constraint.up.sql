@@ -1,14 +1,14 @@
--- Migration: Add unique constraint on (organization_id, name) for projects table
+-- Add unique constraint on (organization_id, name) for projects table
 -- This ensures project names are unique within each organization
 
 -- Step 1: Create a new table with the constraint
-CREATE TABLE IF NOT EXISTS projects_new (
+CREATE TABLE projects_new (
   id TEXT PRIMARY KEY,
   organization_id TEXT NOT NULL,
   name TEXT NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (organization_id) REFERENCES organizations(id),
-  UNIQUE(organization_id, name)
+  UNIQUE(organization_id, name)  -- Ensure project names are unique within each organization
 );
 
 -- Step 2: Copy data from old table (this will fail if duplicates exist)
@@ -20,6 +20,3 @@ DROP TABLE projects;
 
 -- Step 4: Rename new table
 ALTER TABLE projects_new RENAME TO projects;
-
--- Step 5: Recreate index
-CREATE INDEX IF NOT EXISTS idx_test_runs_project ON test_runs(project_id);
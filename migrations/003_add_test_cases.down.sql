@@ -0,0 +1,5 @@
+-- Remove test_cases table (removes all per-test results)
+
+DROP INDEX IF EXISTS idx_test_runs_project_timestamp;
+DROP INDEX IF EXISTS idx_test_cases_run;
+DROP TABLE IF EXISTS test_cases;
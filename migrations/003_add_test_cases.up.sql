@@ -0,0 +1,19 @@
+-- Add test_cases table (individual test results within a test run)
+
+CREATE TABLE test_cases (
+  id TEXT PRIMARY KEY,
+  test_run_id TEXT NOT NULL,
+  suite_name TEXT,
+  name TEXT NOT NULL,
+  file TEXT,
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed', 'skipped')),
+  duration_ms INTEGER CHECK(duration_ms IS NULL OR duration_ms >= 0),
+  failure_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (test_run_id) REFERENCES test_runs(id)
+);
+
+CREATE INDEX idx_test_cases_run ON test_cases(test_run_id);
+
+-- Supports time-window queries (run listing, stats, flaky detection)
+CREATE INDEX idx_test_runs_project_timestamp ON test_runs(project_id, timestamp);
@@ -0,0 +1,3 @@
+-- Remove commit_sha column from test_runs table
+
+ALTER TABLE test_runs DROP COLUMN commit_sha;
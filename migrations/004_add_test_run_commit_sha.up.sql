@@ -0,0 +1,4 @@
+-- Add commit_sha column to test_runs table
+-- Records the commit a run tested, used to detect tests that both pass and fail on the same commit
+
+ALTER TABLE test_runs ADD COLUMN commit_sha TEXT;
@@ -0,0 +1,4 @@
+-- Remove admin_tokens table (revokes all organization admin tokens)
+
+DROP INDEX IF EXISTS idx_admin_tokens_hash;
+DROP TABLE IF EXISTS admin_tokens;
@@ -0,0 +1,11 @@
+-- Add admin_tokens table (scoped to a single organization, used for management routes)
+
+CREATE TABLE admin_tokens (
+  id TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id)
+);
+
+CREATE INDEX idx_admin_tokens_hash ON admin_tokens(token_hash);
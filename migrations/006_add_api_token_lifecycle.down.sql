@@ -0,0 +1,9 @@
+-- Remove lifecycle columns from api_tokens table
+-- Revoked and expired tokens become valid again
+
+DROP INDEX IF EXISTS idx_api_tokens_project;
+
+ALTER TABLE api_tokens DROP COLUMN last_used_at;
+ALTER TABLE api_tokens DROP COLUMN revoked_at;
+ALTER TABLE api_tokens DROP COLUMN expires_at;
+ALTER TABLE api_tokens DROP COLUMN label;
@@ -0,0 +1,9 @@
+-- Add lifecycle columns to api_tokens table
+-- Supports token labels, expiry, revocation and last-use tracking
+
+ALTER TABLE api_tokens ADD COLUMN label TEXT;
+ALTER TABLE api_tokens ADD COLUMN expires_at TEXT;
+ALTER TABLE api_tokens ADD COLUMN revoked_at TEXT;
+ALTER TABLE api_tokens ADD COLUMN last_used_at TEXT;
+
+CREATE INDEX idx_api_tokens_project ON api_tokens(project_id);
@@ -0,0 +1,3 @@
+-- Remove scopes column from api_tokens table
+
+ALTER TABLE api_tokens DROP COLUMN scopes;
@@ -0,0 +1,4 @@
+-- Add scopes column to api_tokens table
+-- Scopes are stored space-separated; existing tokens keep ingest and read access
+
+ALTER TABLE api_tokens ADD COLUMN scopes TEXT NOT NULL DEFAULT 'ingest:write runs:read';
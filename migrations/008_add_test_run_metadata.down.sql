@@ -0,0 +1,9 @@
+-- Remove CI metadata columns from test_runs table
+
+DROP INDEX IF EXISTS idx_test_runs_project_branch;
+
+ALTER TABLE test_runs DROP COLUMN labels;
+ALTER TABLE test_runs DROP COLUMN environment;
+ALTER TABLE test_runs DROP COLUMN build_url;
+ALTER TABLE test_runs DROP COLUMN ci_provider;
+ALTER TABLE test_runs DROP COLUMN branch;
@@ -0,0 +1,10 @@
+-- Add CI metadata columns to test_runs table
+-- Links a run to the branch, CI provider, build and environment it ran on; labels hold free-form key/value pairs as JSON
+
+ALTER TABLE test_runs ADD COLUMN branch TEXT;
+ALTER TABLE test_runs ADD COLUMN ci_provider TEXT;
+ALTER TABLE test_runs ADD COLUMN build_url TEXT;
+ALTER TABLE test_runs ADD COLUMN environment TEXT;
+ALTER TABLE test_runs ADD COLUMN labels TEXT;
+
+CREATE INDEX idx_test_runs_project_branch ON test_runs(project_id, branch, timestamp);
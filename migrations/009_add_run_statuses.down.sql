@@ -0,0 +1,56 @@
+-- Restore the passed/failed status constraint on test_runs and passed/failed/skipped on test_cases
+-- Fails (and changes nothing) while rows with the newer statuses exist
+
+CREATE TABLE test_runs_new (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  run_id TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed')),
+  duration_ms INTEGER NOT NULL CHECK(duration_ms >= 0),
+  timestamp TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  commit_sha TEXT,
+  branch TEXT,
+  ci_provider TEXT,
+  build_url TEXT,
+  environment TEXT,
+  labels TEXT,
+  FOREIGN KEY (project_id) REFERENCES projects(id),
+  UNIQUE(project_id, run_id)  -- Idempotency constraint: one run_id per project
+);
+
+INSERT INTO test_runs_new (id, project_id, run_id, status, duration_ms, timestamp, created_at,
+                           commit_sha, branch, ci_provider, build_url, environment, labels)
+SELECT id, project_id, run_id, status, duration_ms, timestamp, created_at,
+       commit_sha, branch, ci_provider, build_url, environment, labels
+FROM test_runs;
+
+DROP TABLE test_runs;
+
+ALTER TABLE test_runs_new RENAME TO test_runs;
+
+CREATE INDEX idx_test_runs_project ON test_runs(project_id);
+CREATE INDEX idx_test_runs_project_timestamp ON test_runs(project_id, timestamp);
+CREATE INDEX idx_test_runs_project_branch ON test_runs(project_id, branch, timestamp);
+
+CREATE TABLE test_cases_new (
+  id TEXT PRIMARY KEY,
+  test_run_id TEXT NOT NULL,
+  suite_name TEXT,
+  name TEXT NOT NULL,
+  file TEXT,
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed', 'skipped')),
+  duration_ms INTEGER CHECK(duration_ms IS NULL OR duration_ms >= 0),
+  failure_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (test_run_id) REFERENCES test_runs(id)
+);
+
+INSERT INTO test_cases_new (id, test_run_id, suite_name, name, file, status, duration_ms, failure_message, created_at)
+SELECT id, test_run_id, suite_name, name, file, status, duration_ms, failure_message, created_at FROM test_cases;
+
+DROP TABLE test_cases;
+
+ALTER TABLE test_cases_new RENAME TO test_cases;
+
+CREATE INDEX idx_test_cases_run ON test_cases(test_run_id);
@@ -0,0 +1,38 @@
+-- Allow in_progress and abandoned statuses for runs started with POST /runs/:run_id/start
+-- SQLite cannot alter a CHECK constraint, so test_runs is rebuilt
+
+CREATE TABLE test_runs_new (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  run_id TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out',
+                                    'in_progress', 'abandoned')),
+  duration_ms INTEGER NOT NULL CHECK(duration_ms >= 0),
+  timestamp TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  commit_sha TEXT,
+  branch TEXT,
+  ci_provider TEXT,
+  build_url TEXT,
+  environment TEXT,
+  labels TEXT,
+  FOREIGN KEY (project_id) REFERENCES projects(id),
+  UNIQUE(project_id, run_id)  -- Idempotency constraint: one run_id per project
+);
+
+INSERT INTO test_runs_new (id, project_id, run_id, status, duration_ms, timestamp, created_at,
+                           commit_sha, branch, ci_provider, build_url, environment, labels)
+SELECT id, project_id, run_id, status, duration_ms, timestamp, created_at,
+       commit_sha, branch, ci_provider, build_url, environment, labels
+FROM test_runs;
+
+DROP TABLE test_runs;
+
+ALTER TABLE test_runs_new RENAME TO test_runs;
+
+CREATE INDEX idx_test_runs_project ON test_runs(project_id);
+CREATE INDEX idx_test_runs_project_timestamp ON test_runs(project_id, timestamp);
+CREATE INDEX idx_test_runs_project_branch ON test_runs(project_id, branch, timestamp);
+
+-- Finds runs still in progress past the abandonment timeout
+CREATE INDEX idx_test_runs_in_progress ON test_runs(created_at) WHERE status = 'in_progress';
@@ -0,0 +1,9 @@
+-- Remove shards from test runs
+-- Shard rows are dropped; sharded runs keep their aggregated status and duration
+
+ALTER TABLE test_cases DROP COLUMN shard_index;
+
+DROP TABLE IF EXISTS test_run_shards;
+
+ALTER TABLE test_runs DROP COLUMN compute_duration_ms;
+ALTER TABLE test_runs DROP COLUMN shard_total;
@@ -0,0 +1,21 @@
+-- Add shards to test runs
+-- A sharded run is one logical test_runs row with shard_total set; each shard
+-- reports separately into test_run_shards and the run aggregates their outcomes
+
+ALTER TABLE test_runs ADD COLUMN shard_total INTEGER CHECK(shard_total IS NULL OR shard_total >= 1);
+ALTER TABLE test_runs ADD COLUMN compute_duration_ms INTEGER CHECK(compute_duration_ms IS NULL OR compute_duration_ms >= 0);
+
+CREATE TABLE test_run_shards (
+  id TEXT PRIMARY KEY,
+  test_run_id TEXT NOT NULL,
+  shard_index INTEGER NOT NULL CHECK(shard_index >= 1),
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out')),
+  duration_ms INTEGER NOT NULL CHECK(duration_ms >= 0),
+  timestamp TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (test_run_id) REFERENCES test_runs(id),
+  UNIQUE(test_run_id, shard_index)  -- Idempotency constraint: each shard reports once
+);
+
+-- Shard that reported each test case (NULL for unsharded runs)
+ALTER TABLE test_cases ADD COLUMN shard_index INTEGER;
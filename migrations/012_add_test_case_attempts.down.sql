@@ -0,0 +1,6 @@
+-- Remove retry attempts from test cases
+-- Attempt rows are dropped; test cases keep their final outcome
+
+DROP TABLE IF EXISTS test_case_attempts;
+
+ALTER TABLE test_cases DROP COLUMN attempt_count;
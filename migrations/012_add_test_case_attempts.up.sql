@@ -0,0 +1,17 @@
+-- Add retry attempts to test cases
+-- A test case row holds the final outcome of a test; when the test was retried,
+-- every attempt is kept in test_case_attempts in the order it ran
+
+ALTER TABLE test_cases ADD COLUMN attempt_count INTEGER NOT NULL DEFAULT 1 CHECK(attempt_count >= 1);
+
+CREATE TABLE test_case_attempts (
+  id TEXT PRIMARY KEY,
+  test_case_id TEXT NOT NULL,
+  attempt INTEGER NOT NULL CHECK(attempt >= 1),
+  status TEXT NOT NULL CHECK(status IN ('passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out')),
+  duration_ms INTEGER CHECK(duration_ms IS NULL OR duration_ms >= 0),
+  failure_message TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (test_case_id) REFERENCES test_cases(id),
+  UNIQUE(test_case_id, attempt)
+);
@@ -0,0 +1,9 @@
+-- Remove failure details from test runs and test cases
+-- Test cases keep their failure_message, which predates this migration
+
+ALTER TABLE test_cases DROP COLUMN error_signature;
+ALTER TABLE test_cases DROP COLUMN stack_trace;
+
+ALTER TABLE test_runs DROP COLUMN error_signature;
+ALTER TABLE test_runs DROP COLUMN stack_trace;
+ALTER TABLE test_runs DROP COLUMN failure_message;
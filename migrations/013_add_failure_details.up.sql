@@ -0,0 +1,10 @@
+-- Add failure details to test runs and test cases
+-- error_signature is a hash of the normalized failure message and stack trace,
+-- set only for failing outcomes, so repeated occurrences of one problem group together
+
+ALTER TABLE test_runs ADD COLUMN failure_message TEXT;
+ALTER TABLE test_runs ADD COLUMN stack_trace TEXT;
+ALTER TABLE test_runs ADD COLUMN error_signature TEXT;
+
+ALTER TABLE test_cases ADD COLUMN stack_trace TEXT;
+ALTER TABLE test_cases ADD COLUMN error_signature TEXT;
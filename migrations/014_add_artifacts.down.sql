@@ -0,0 +1,4 @@
+-- Remove artifacts
+-- Files already written to the artifact storage backend are not deleted
+
+DROP TABLE IF EXISTS artifacts;
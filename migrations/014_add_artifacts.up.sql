@@ -0,0 +1,21 @@
+-- Add artifacts (files attached to test runs and test cases)
+-- File contents live in the artifact storage backend under storage_key;
+-- project_id is denormalized so per-project quotas need no join
+
+CREATE TABLE artifacts (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  test_run_id TEXT NOT NULL,
+  test_case_id TEXT,
+  name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL CHECK(size_bytes >= 0),
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id),
+  FOREIGN KEY (test_run_id) REFERENCES test_runs(id),
+  FOREIGN KEY (test_case_id) REFERENCES test_cases(id)
+);
+
+CREATE INDEX idx_artifacts_test_run ON artifacts(test_run_id);
+CREATE INDEX idx_artifacts_project ON artifacts(project_id);
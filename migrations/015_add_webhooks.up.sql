@@ -0,0 +1,38 @@
+-- Add outbound webhooks
+-- Each subscription receives the events it lists (JSON array); the secret signs
+-- payloads with HMAC-SHA256, so it is stored as issued rather than hashed.
+-- Every event sent to a webhook is recorded as a delivery, which is retried
+-- with exponential backoff until it succeeds or runs out of attempts.
+
+CREATE TABLE webhooks (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 1 CHECK(active IN (0, 1)),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id)
+);
+
+CREATE INDEX idx_webhooks_project ON webhooks(project_id);
+
+CREATE TABLE webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL CHECK(status IN ('pending', 'succeeded', 'failed')),
+  attempt_count INTEGER NOT NULL DEFAULT 0 CHECK(attempt_count >= 0),
+  next_attempt_at TEXT,
+  response_status INTEGER,
+  error_message TEXT,
+  redelivery_of TEXT,
+  created_at TEXT NOT NULL,
+  completed_at TEXT,
+  FOREIGN KEY (webhook_id) REFERENCES webhooks(id),
+  FOREIGN KEY (redelivery_of) REFERENCES webhook_deliveries(id)
+);
+
+CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
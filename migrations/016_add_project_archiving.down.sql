@@ -0,0 +1,3 @@
+-- Remove archived_at column from projects table
+
+ALTER TABLE projects DROP COLUMN archived_at;
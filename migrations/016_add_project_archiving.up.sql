@@ -0,0 +1,4 @@
+-- Add archived_at column to projects table
+-- An archived project keeps its runs and tokens but rejects ingestion
+
+ALTER TABLE projects ADD COLUMN archived_at TEXT;
@@ -0,0 +1,3 @@
+-- Remove revoked_at column from admin_tokens table
+
+ALTER TABLE admin_tokens DROP COLUMN revoked_at;
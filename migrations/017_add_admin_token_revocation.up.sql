@@ -0,0 +1,4 @@
+-- Add revoked_at column to admin_tokens table
+-- A revoked admin token is kept for listing but no longer authenticates
+
+ALTER TABLE admin_tokens ADD COLUMN revoked_at TEXT;
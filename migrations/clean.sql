@@ -2,8 +2,15 @@
 -- This removes all records but keeps the table structure intact
 
 -- Delete in reverse order of foreign key dependencies
+DELETE FROM webhook_deliveries;
+DELETE FROM webhooks;
+DELETE FROM artifacts;
+DELETE FROM test_case_attempts;
+DELETE FROM test_cases;
+DELETE FROM test_run_shards;
 DELETE FROM test_runs;
 DELETE FROM api_tokens;
+DELETE FROM admin_tokens;
 DELETE FROM projects;
 DELETE FROM organizations;
 
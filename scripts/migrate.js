@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ * Usage:
+ *   node scripts/migrate.js up           Apply all pending migrations
+ *   node scripts/migrate.js down [N]     Revert the last N applied migrations (default 1)
+ *   node scripts/migrate.js status       List applied and pending migrations
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { migrateUp, migrateDown, getStatus } = require('../src/db/migrator');
+
+// Get database path from environment or use default
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '../data/test-analytics.db');
+
+const [command, stepsArg] = process.argv.slice(2);
+
+/**
+ * Print usage and exit with an error
+ */
+function usage() {
+  console.error('Usage: node scripts/migrate.js <up|down [steps]|status>');
+  process.exit(1);
+}
+
+/**
+ * Format a migration as its file name prefix, e.g. 003_add_test_cases
+ * @param {Object} migration - Migration with version and name
+ * @returns {string} - Formatted migration name
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Open the database with foreign key constraints enabled
+ * @returns {Promise<sqlite3.Database>} - The database connection
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      db.run('PRAGMA foreign_keys = ON', (err) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(db);
+      });
+    });
+  });
+}
+
+/**
+ * Run the requested migration command
+ * @param {sqlite3.Database} db - Database connection
+ */
+async function runCommand(db) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(db);
+      if (applied.length === 0) {
+        console.log('✓ Database is up to date');
+      }
+      for (const migration of applied) {
+        console.log(`✓ Applied ${formatMigration(migration)}`);
+      }
+      break;
+    }
+    case 'down': {
+      const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        usage();
+      }
+      const reverted = await migrateDown(db, steps);
+      if (reverted.length === 0) {
+        console.log('✓ No applied migrations to revert');
+      }
+      for (const migration of reverted) {
+        console.log(`✓ Reverted ${formatMigration(migration)}`);
+      }
+      break;
+    }
+    case 'status': {
+      const migrations = await getStatus(db);
+      for (const migration of migrations) {
+        const label = formatMigration(migration);
+        const state = migration.status === 'applied' ? `applied ${migration.applied_at}` : 'pending';
+        console.log(`${label.padEnd(40)} ${state}`);
+      }
+      break;
+    }
+    default:
+      usage();
+  }
+}
+
+if (!['up', 'down', 'status'].includes(command)) {
+  usage();
+}
+
+// Only "up" may create a new database
+if (command !== 'up' && !fs.existsSync(dbPath)) {
+  console.log('✓ Database does not exist. Nothing to migrate.');
+  process.exit(0);
+}
+
+fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+openDatabase()
+  .then(async (db) => {
+    try {
+      await runCommand(db);
+    } catch (error) {
+      console.error('✗', error.message);
+      process.exitCode = 1;
+    } finally {
+      db.close();
+    }
+  })
+  .catch((error) => {
+    console.error('✗ Error opening database:', error.message);
+    process.exit(1);
+  });
@@ -1,10 +1,30 @@
 const express = require('express');
-const { requestLogger } = require('./middleware/requestLogger');
+const { requestLogger, recordRouteBase } = require('./middleware/requestLogger');
 const { errorHandler } = require('./middleware/errorHandler');
 const orgRoutes = require('./routes/orgs');
 const projectRoutes = require('./routes/projects');
 const tokenRoutes = require('./routes/tokens');
 const ingestRoutes = require('./routes/ingest');
+const runRoutes = require('./routes/runs');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
+
+/**
+ * Get the Express 'trust proxy' setting from TRUST_PROXY
+ * 'true' trusts every proxy, a number trusts that many hops, anything else is passed on as
+ * addresses or subnets (e.g. 'loopback, 10.0.0.0/8').
+ * @returns {boolean|number|string} - Setting; false when TRUST_PROXY is unset
+ */
+function getTrustProxy() {
+  const value = (process.env.TRUST_PROXY || '').trim();
+  if (value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
 
 /**
  * Create and configure Express application
@@ -13,15 +33,24 @@ const ingestRoutes = require('./routes/ingest');
 function createApp() {
   const app = express();
 
+  // Behind a load balancer, req.ip (used by rate limits) must come from X-Forwarded-For
+  app.set('trust proxy', getTrustProxy());
+
   // Middleware
-  app.use(express.json());
   app.use(requestLogger);
 
+  // Ingest and run routes read their own (larger, possibly compressed) bodies once authenticated,
+  // so they are mounted ahead of the default JSON parser
+  app.use('/ingest', recordRouteBase, ingestRoutes);
+  app.use('/runs', recordRouteBase, runRoutes);
+  app.use(express.json());
+
   // Routes
-  app.use('/orgs', orgRoutes);
-  app.use('/projects', projectRoutes);
-  app.use('/tokens', tokenRoutes);
-  app.use('/ingest', ingestRoutes);
+  app.use('/orgs', recordRouteBase, orgRoutes);
+  app.use('/projects', recordRouteBase, projectRoutes);
+  app.use('/tokens', recordRouteBase, tokenRoutes);
+  app.use('/metrics', recordRouteBase, metricsRoutes);
+  app.use(healthRoutes);
 
   // Error handling (must be last)
   app.use(errorHandler);
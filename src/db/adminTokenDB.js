@@ -0,0 +1,128 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('./database');
+
+const ADMIN_TOKEN_COLUMNS = 'id, organization_id, created_at, revoked_at';
+
+/**
+ * Create a new admin token
+ * @param {string} organizationId - Organization ID (foreign key)
+ * @param {string} tokenHash - Hashed token value
+ * @returns {Promise<Object>} - Created admin token with id, organization_id, token_hash, and created_at
+ */
+function create(organizationId, tokenHash) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    const sql = 'INSERT INTO admin_tokens (id, organization_id, token_hash, created_at) VALUES (?, ?, ?, ?)';
+
+    db.run(sql, [id, organizationId, tokenHash, createdAt], function(err) {
+      if (err) {
+        if (err.message && err.message.includes('UNIQUE constraint failed')) {
+          const error = new Error('Token hash already exists');
+          error.code = 'UNIQUE_VIOLATION';
+          return reject(error);
+        }
+        if (err.message && err.message.includes('FOREIGN KEY constraint failed')) {
+          const error = new Error(`Organization with id ${organizationId} does not exist`);
+          error.code = 'FOREIGN_KEY_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+
+      resolve({
+        id,
+        organization_id: organizationId,
+        token_hash: tokenHash,
+        created_at: createdAt
+      });
+    });
+  });
+}
+
+/**
+ * Find organization ID by admin token hash
+ * @param {string} tokenHash - Hashed token value
+ * @returns {Promise<string|null>} - Organization ID or null if not found or revoked
+ */
+function findOrganizationByTokenHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'SELECT organization_id FROM admin_tokens WHERE token_hash = ? AND revoked_at IS NULL';
+
+    db.get(sql, [tokenHash], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? row.organization_id : null);
+    });
+  });
+}
+
+/**
+ * Find an admin token by ID
+ * @param {string} id - Admin token ID
+ * @returns {Promise<Object|null>} - Admin token metadata (without the hash) or null if not found
+ */
+function findById(id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${ADMIN_TOKEN_COLUMNS} FROM admin_tokens WHERE id = ?`;
+
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Find all admin tokens of an organization, newest first
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Array of admin token metadata (without the hash)
+ */
+function findAllByOrganization(organizationId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${ADMIN_TOKEN_COLUMNS} FROM admin_tokens WHERE organization_id = ? ORDER BY created_at DESC, rowid DESC`;
+
+    db.all(sql, [organizationId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Revoke an admin token (no-op if it is already revoked)
+ * @param {string} id - Admin token ID
+ * @param {string} revokedAt - Revocation time (ISO 8601)
+ * @returns {Promise<void>}
+ */
+function revoke(id, revokedAt) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'UPDATE admin_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+
+    db.run(sql, [revokedAt, id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  create,
+  findOrganizationByTokenHash,
+  findById,
+  findAllByOrganization,
+  revoke
+};
@@ -0,0 +1,153 @@
+const { getDatabase } = require('./database');
+const { buildRunFilterConditions } = require('./runFilters');
+const { FINISHED_RUN_STATUSES, IN_PROGRESS_STATUS, NO_VERDICT_STATUSES } = require('../utils/statuses');
+
+// SQL expressions truncating test_runs.timestamp (UTC ISO 8601) to the start of its bucket
+const BUCKET_EXPRESSIONS = {
+  hour: "strftime('%Y-%m-%dT%H:00:00.000Z', timestamp)",
+  day: "strftime('%Y-%m-%dT00:00:00.000Z', timestamp)",
+  week: "date(timestamp, 'weekday 0', '-6 days') || 'T00:00:00.000Z'"
+};
+
+// One <status>_count column per finished run status (statuses are constants, safe to interpolate)
+const STATUS_COUNT_COLUMNS = FINISHED_RUN_STATUSES
+  .map(status => `SUM(CASE WHEN status = '${status}' THEN 1 ELSE 0 END) AS ${status}_count`)
+  .join(',\n                        ');
+
+// Runs without a verdict (skipped, cancelled) are left out of duration percentiles
+const HAS_VERDICT_EXPRESSION = `status NOT IN (${NO_VERDICT_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+/**
+ * Aggregate a project's test runs over a time window
+ * Computes run counts per status and nearest-rank duration percentiles
+ * (p50/p90/p99, over runs with a verdict) per bucket, using the run's reported timestamp.
+ * Runs still in progress are not counted.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Aggregation options
+ * @param {string} options.from - Inclusive lower timestamp bound (ISO 8601)
+ * @param {string} options.to - Exclusive upper timestamp bound (ISO 8601)
+ * @param {string|null} options.bucket - 'hour', 'day', 'week', or null for one bucket over the whole window
+ * @param {Object} [options.filters] - Normalized metadata filters (see normalizeRunFilters)
+ * @returns {Promise<Array>} - Rows of { bucket, run_count, <status>_count for each finished run status, p50, p90, p99 } ordered by bucket
+ */
+function getRunStats(projectId, options) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const bucketExpression = options.bucket === null ? "'all'" : BUCKET_EXPRESSIONS[options.bucket];
+    if (!bucketExpression) {
+      return reject(new Error(`Unsupported bucket: ${options.bucket}`));
+    }
+
+    const filters = buildRunFilterConditions(options.filters);
+    const conditions = ['project_id = ?', 'timestamp >= ?', 'timestamp < ?', 'status != ?', ...filters.conditions];
+
+    const sql = `WITH windowed AS (
+                   SELECT ${bucketExpression} AS bucket, status, duration_ms,
+                          ${HAS_VERDICT_EXPRESSION} AS has_verdict
+                   FROM test_runs
+                   WHERE ${conditions.join(' AND ')}
+                 ),
+                 ranked AS (
+                   SELECT bucket, status, duration_ms, has_verdict,
+                          ROW_NUMBER() OVER (PARTITION BY bucket, has_verdict ORDER BY duration_ms) AS rank,
+                          COUNT(*) OVER (PARTITION BY bucket, has_verdict) AS total
+                   FROM windowed
+                 )
+                 SELECT bucket,
+                        COUNT(*) AS run_count,
+                        ${STATUS_COUNT_COLUMNS},
+                        MIN(CASE WHEN has_verdict AND rank >= 0.50 * total THEN duration_ms END) AS p50,
+                        MIN(CASE WHEN has_verdict AND rank >= 0.90 * total THEN duration_ms END) AS p90,
+                        MIN(CASE WHEN has_verdict AND rank >= 0.99 * total THEN duration_ms END) AS p99
+                 FROM ranked
+                 GROUP BY bucket
+                 ORDER BY bucket ASC`;
+
+    db.all(sql, [projectId, options.from, options.to, IN_PROGRESS_STATUS, ...filters.params], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Find every recorded test case outcome of a project's runs within a time window
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Query options
+ * @param {string} options.from - Inclusive lower run timestamp bound (ISO 8601)
+ * @param {string} options.to - Exclusive upper run timestamp bound (ISO 8601)
+ * @param {Object} [options.filters] - Normalized metadata filters (see normalizeRunFilters)
+ * @returns {Promise<Array>} - Rows of { suite_name, name, file, status, attempt_count, run_id, timestamp, commit_sha }
+ *   ordered oldest run first
+ */
+function getTestOutcomes(projectId, options) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const filters = buildRunFilterConditions(options.filters, 'tr');
+    const conditions = ['tr.project_id = ?', 'tr.timestamp >= ?', 'tr.timestamp < ?', ...filters.conditions];
+
+    const sql = `SELECT tc.suite_name, tc.name, tc.file, tc.status, tc.attempt_count,
+                        tr.run_id, tr.timestamp, tr.commit_sha
+                 FROM test_cases tc
+                 JOIN test_runs tr ON tr.id = tc.test_run_id
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY tr.timestamp ASC, tc.rowid ASC`;
+
+    db.all(sql, [projectId, options.from, options.to, ...filters.params], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Find every failure with an error signature in a project's runs within a time window
+ * Includes failing test cases and failing runs that recorded their own failure details.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Query options
+ * @param {string} options.from - Inclusive lower run timestamp bound (ISO 8601)
+ * @param {string} options.to - Exclusive upper run timestamp bound (ISO 8601)
+ * @param {Object} [options.filters] - Normalized metadata filters (see normalizeRunFilters)
+ * @returns {Promise<Array>} - Rows of { error_signature, failure_message, suite_name, name, file, run_id, timestamp },
+ *   ordered oldest run first; suite_name, name and file are null for run-level failures
+ */
+function getFailureOccurrences(projectId, options) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const filters = buildRunFilterConditions(options.filters, 'tr');
+    const conditions = ['tr.project_id = ?', 'tr.timestamp >= ?', 'tr.timestamp < ?', ...filters.conditions];
+    const params = [projectId, options.from, options.to, ...filters.params];
+
+    const sql = `SELECT error_signature, failure_message, suite_name, name, file, run_id, timestamp
+                 FROM (
+                   SELECT tc.error_signature, tc.failure_message, tc.suite_name, tc.name, tc.file,
+                          tr.run_id, tr.timestamp, 1 AS source, tc.rowid AS position
+                   FROM test_cases tc
+                   JOIN test_runs tr ON tr.id = tc.test_run_id
+                   WHERE ${conditions.join(' AND ')} AND tc.error_signature IS NOT NULL
+                   UNION ALL
+                   SELECT tr.error_signature, tr.failure_message, NULL, NULL, NULL,
+                          tr.run_id, tr.timestamp, 0 AS source, tr.rowid AS position
+                   FROM test_runs tr
+                   WHERE ${conditions.join(' AND ')} AND tr.error_signature IS NOT NULL
+                 )
+                 ORDER BY timestamp ASC, source ASC, position ASC`;
+
+    db.all(sql, [...params, ...params], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+module.exports = {
+  getRunStats,
+  getTestOutcomes,
+  getFailureOccurrences
+};
@@ -0,0 +1,139 @@
+const { getDatabase } = require('./database');
+
+// Columns selected for every artifact read
+const ARTIFACT_COLUMNS = 'id, project_id, test_run_id, test_case_id, name, content_type, size_bytes, storage_key, created_at';
+
+/**
+ * Record an artifact whose contents have been written to storage
+ * @param {Object} artifact - Artifact data
+ * @param {string} artifact.id - Artifact ID (also part of the storage key)
+ * @param {string} artifact.project_id - Project ID (foreign key)
+ * @param {string} artifact.test_run_id - Test run ID (internal test_runs.id, foreign key)
+ * @param {string|null} artifact.test_case_id - Test case ID, for artifacts of a single test
+ * @param {string} artifact.name - File name
+ * @param {string} artifact.content_type - MIME type
+ * @param {number} artifact.size_bytes - File size in bytes
+ * @param {string} artifact.storage_key - Key of the contents in the storage backend
+ * @returns {Promise<Object>} - Created artifact object
+ */
+function create(artifact) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const record = { ...artifact, test_case_id: artifact.test_case_id ?? null, created_at: new Date().toISOString() };
+
+    const sql = `INSERT INTO artifacts (id, project_id, test_run_id, test_case_id, name, content_type, size_bytes, storage_key, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+    db.run(sql, [
+      record.id,
+      record.project_id,
+      record.test_run_id,
+      record.test_case_id,
+      record.name,
+      record.content_type,
+      record.size_bytes,
+      record.storage_key,
+      record.created_at
+    ], (err) => {
+      if (err) {
+        if (err.message && err.message.includes('FOREIGN KEY constraint failed')) {
+          const error = new Error(`Test run ${record.test_run_id} or test case ${record.test_case_id} does not exist`);
+          error.code = 'FOREIGN_KEY_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Find an artifact of a test run by ID
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @param {string} id - Artifact ID
+ * @returns {Promise<Object|null>} - Artifact object or null if not found in this run
+ */
+function findById(testRunId, id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${ARTIFACT_COLUMNS} FROM artifacts WHERE test_run_id = ? AND id = ?`;
+
+    db.get(sql, [testRunId, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Find all artifacts of a test run
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @returns {Promise<Array>} - Array of artifact objects, oldest first
+ */
+function findByTestRunId(testRunId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${ARTIFACT_COLUMNS} FROM artifacts WHERE test_run_id = ? ORDER BY created_at ASC, rowid ASC`;
+
+    db.all(sql, [testRunId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Get the total size of a project's artifacts
+ * @param {string} projectId - Project ID
+ * @returns {Promise<number>} - Stored bytes
+ */
+function getProjectUsage(projectId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'SELECT COALESCE(SUM(size_bytes), 0) AS total FROM artifacts WHERE project_id = ?';
+
+    db.get(sql, [projectId], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row.total);
+    });
+  });
+}
+
+/**
+ * Find the storage keys of every artifact of a project, or of every project of an organization
+ * @param {Object} owner - Owner to look up (one of projectId or organizationId)
+ * @param {string} [owner.projectId] - Project ID
+ * @param {string} [owner.organizationId] - Organization ID
+ * @returns {Promise<Array<string>>} - Storage keys
+ */
+function findStorageKeys({ projectId, organizationId }) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = projectId
+      ? 'SELECT storage_key FROM artifacts WHERE project_id = ?'
+      : 'SELECT storage_key FROM artifacts WHERE project_id IN (SELECT id FROM projects WHERE organization_id = ?)';
+
+    db.all(sql, [projectId || organizationId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(row => row.storage_key));
+    });
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findByTestRunId,
+  getProjectUsage,
+  findStorageKeys
+};
@@ -1,9 +1,114 @@
 const sqlite3 = require('sqlite3').verbose();
-const fs = require('fs');
-const path = require('path');
+const { performance } = require('perf_hooks');
+const { AsyncLocalStorage } = require('async_hooks');
+const { migrateUp } = require('./migrator');
+const { observeDbQuery } = require('../utils/metrics');
+
+// Statement methods timed for the query latency metrics
+const TIMED_METHODS = ['run', 'get', 'all', 'exec'];
+
+// Statement methods that write; get and all only ever read
+const WRITE_METHODS = ['run', 'exec'];
 
 let db = null;
 
+// Every request shares the connection, so while a transaction is open writes
+// from outside it are held back instead of joining (and being rolled back with) it
+const transactionContext = new AsyncLocalStorage();
+let activeTransaction = null;
+let heldStatements = [];
+let statementsRunning = 0;
+let drainWaiters = [];
+let savepointCount = 0;
+
+/**
+ * Time every statement run on a connection, from call to callback
+ * Statements without a callback are left untimed: their completion is not observable.
+ * @param {sqlite3.Database} database - Connection to instrument
+ */
+function instrumentQueries(database) {
+  for (const method of TIMED_METHODS) {
+    const original = database[method];
+    database[method] = function(...args) {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        const start = performance.now();
+        args[args.length - 1] = function(...results) {
+          observeDbQuery(method, performance.now() - start);
+          // Keep `this` so run callbacks still see lastID and changes
+          return callback.apply(this, results);
+        };
+      }
+      return original.apply(this, args);
+    };
+  }
+}
+
+/**
+ * Hold back writes issued outside the open transaction until it ends
+ * Reads are left untouched. Writes outside transactions are counted, so a transaction
+ * can wait for the ones already running before it begins. Errors of writes without a
+ * callback are still emitted on the connection, as sqlite3 does.
+ * @param {sqlite3.Database} database - Connection to guard
+ */
+function guardTransactions(database) {
+  for (const method of WRITE_METHODS) {
+    const original = database[method];
+    database[method] = function(...args) {
+      const inTransaction = activeTransaction !== null && transactionContext.getStore() === activeTransaction;
+      if (activeTransaction !== null && !inTransaction) {
+        heldStatements.push(() => database[method](...args));
+        return this;
+      }
+      if (inTransaction) {
+        return original.apply(this, args);
+      }
+
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      statementsRunning++;
+      args.push(function(err, ...results) {
+        statementsRunning--;
+        if (statementsRunning === 0) {
+          const waiters = drainWaiters;
+          drainWaiters = [];
+          waiters.forEach(resolve => resolve());
+        }
+        if (callback) {
+          return callback.call(this, err, ...results);
+        }
+        if (err) {
+          database.emit('error', err);
+        }
+      });
+      return original.apply(this, args);
+    };
+  }
+}
+
+/**
+ * Wait until no write outside a transaction is running
+ * @returns {Promise<void>}
+ */
+function statementsDrained() {
+  if (statementsRunning === 0) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    drainWaiters.push(resolve);
+  });
+}
+
+/**
+ * Release the writes held back while a transaction was open, in the order they were issued
+ */
+function releaseHeldStatements() {
+  const held = heldStatements;
+  heldStatements = [];
+  if (held.length > 0 && db) {
+    db.serialize(() => held.forEach(statement => statement()));
+  }
+}
+
 /**
  * Initialize the SQLite database connection and run migrations
  * @param {string} dbPath - Path to the SQLite database file
@@ -21,6 +126,9 @@ function initDatabase(dbPath = './test-analytics.db') {
         return reject(err);
       }
 
+      instrumentQueries(db);
+      guardTransactions(db);
+
       // Enable foreign key constraints
       db.run('PRAGMA foreign_keys = ON', (err) => {
         if (err) {
@@ -44,38 +152,107 @@ function initDatabase(dbPath = './test-analytics.db') {
 }
 
 /**
- * Run database migrations from migrations/init.sql
+ * Apply pending versioned migrations from migrations/
+ * @returns {Promise<void>}
  */
-function runMigrations() {
-  return new Promise((resolve, reject) => {
-    const migrationPath = path.join(__dirname, '../../migrations/init.sql');
-    
-    if (!fs.existsSync(migrationPath)) {
-      return reject(new Error(`Migration file not found: ${migrationPath}`));
-    }
+async function runMigrations() {
+  const applied = await migrateUp(db);
+  if (applied.length > 0) {
+    console.log(`Applied ${applied.length} database migration(s): ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`);
+  }
+  console.log('Database migrations completed successfully');
+}
+
+/**
+ * Get the current database instance
+ * @returns {sqlite3.Database} - The database instance
+ */
+function getDatabase() {
+  if (!db) {
+    throw new Error('Database not initialized. Call initDatabase() first.');
+  }
+  return db;
+}
 
-    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-    
-    // Execute migration SQL
-    db.exec(migrationSQL, (err) => {
+// Transactions share the single connection, so they must not overlap
+let transactionQueue = Promise.resolve();
+
+/**
+ * Execute a SQL statement that returns no rows
+ * @param {string} sql - SQL to execute
+ * @returns {Promise<void>}
+ */
+function exec(sql) {
+  return new Promise((resolve, reject) => {
+    getDatabase().exec(sql, (err) => {
       if (err) {
         return reject(err);
       }
-      console.log('Database migrations completed successfully');
       resolve();
     });
   });
 }
 
 /**
- * Get the current database instance
- * @returns {sqlite3.Database} - The database instance
+ * Run a unit of work inside a database transaction
+ * Commits if the work resolves, rolls back and re-throws if it rejects.
+ * Transactions are queued so only one is open on the connection at a time, and
+ * writes issued outside the work wait until it has committed or rolled back.
+ * @param {Function} work - Async function performing the transactional writes
+ * @returns {Promise<*>} - The value resolved by work
  */
-function getDatabase() {
-  if (!db) {
-    throw new Error('Database not initialized. Call initDatabase() first.');
+function withTransaction(work) {
+  const result = transactionQueue.then(() => {
+    const transaction = {};
+    activeTransaction = transaction;
+
+    return transactionContext.run(transaction, async () => {
+      try {
+        await statementsDrained();
+        await exec('BEGIN IMMEDIATE');
+        try {
+          const value = await work();
+          await exec('COMMIT');
+          return value;
+        } catch (error) {
+          // Surface the original failure even if the rollback itself fails
+          await exec('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      } finally {
+        activeTransaction = null;
+        releaseHeldStatements();
+      }
+    });
+  });
+
+  // Keep the queue alive regardless of this transaction's outcome
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Run part of a transaction so it can be undone on its own
+ * Must be called inside withTransaction work. Rolls back to the savepoint and
+ * re-throws if the work rejects, leaving the rest of the transaction intact.
+ * Each savepoint has its own name, so savepoints can be nested.
+ * @param {Function} work - Async function performing the writes
+ * @returns {Promise<*>} - The value resolved by work
+ */
+async function withSavepoint(work) {
+  savepointCount++;
+  const name = `sp_${savepointCount}`;
+
+  await exec(`SAVEPOINT ${name}`);
+  try {
+    const value = await work();
+    await exec(`RELEASE ${name}`);
+    return value;
+  } catch (error) {
+    await exec(`ROLLBACK TO ${name}`).catch(() => {});
+    await exec(`RELEASE ${name}`).catch(() => {});
+    throw error;
   }
-  return db;
 }
 
 /**
@@ -101,5 +278,7 @@ function closeDatabase() {
 module.exports = {
   initDatabase,
   getDatabase,
-  closeDatabase
+  closeDatabase,
+  withTransaction,
+  withSavepoint
 };
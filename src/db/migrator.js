@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../migrations');
+
+// Migration files are named <version>_<name>.up.sql / <version>_<name>.down.sql
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Schema objects added by each migration after the first, used to baseline
+// databases created by the old init.sql before schema_migrations existed
+const LEGACY_MARKERS = {
+  2: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'projects' AND sql LIKE '%UNIQUE(organization_id, name)%'",
+  3: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'test_cases'",
+  4: "SELECT 1 FROM pragma_table_info('test_runs') WHERE name = 'commit_sha'",
+  5: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'admin_tokens'",
+  6: "SELECT 1 FROM pragma_table_info('api_tokens') WHERE name = 'revoked_at'",
+  7: "SELECT 1 FROM pragma_table_info('api_tokens') WHERE name = 'scopes'"
+};
+
+/**
+ * Execute SQL that returns no rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL to execute (may contain several statements)
+ * @returns {Promise<void>}
+ */
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Run a query and return all rows
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} [params=[]] - Query parameters
+ * @returns {Promise<Array>} - Result rows
+ */
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Run a statement with parameters
+ * @param {sqlite3.Database} db - Database connection
+ * @param {string} sql - SQL statement
+ * @param {Array} [params=[]] - Statement parameters
+ * @returns {Promise<void>}
+ */
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Load the migration files, ordered by version
+ * @param {string} [dir] - Directory containing the migration files
+ * @returns {Array<Object>} - Migrations as { version, name, upPath, downPath|null }
+ * @throws {Error} - If a version has no up file or is defined twice
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_REGEX.exec(file);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const [, , name, direction] = match;
+    const migration = migrations.get(version) || { version, name, upPath: null, downPath: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration version ${version} is defined twice (${migration.name}, ${name})`);
+    }
+    migration[direction === 'up' ? 'upPath' : 'downPath'] = path.join(dir, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.upPath) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations table, baselining databases that predate it
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(db) {
+  const existing = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('schema_migrations', 'organizations')");
+  const tables = existing.map(row => row.name);
+  if (tables.includes('schema_migrations')) {
+    return;
+  }
+
+  await exec(db, `CREATE TABLE schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at TEXT NOT NULL
+                  )`);
+
+  if (!tables.includes('organizations')) {
+    return;
+  }
+
+  // The schema was created by the old init.sql: record what it already contains
+  const appliedAt = new Date().toISOString();
+  for (const migration of loadMigrations()) {
+    const marker = LEGACY_MARKERS[migration.version];
+    const present = migration.version === 1 || (marker && (await all(db, marker)).length > 0);
+    if (present) {
+      await run(db, 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, appliedAt]);
+    }
+  }
+}
+
+/**
+ * Get the applied migrations
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<Array>} - Rows of { version, name, applied_at } ordered by version
+ */
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+}
+
+/**
+ * Apply or revert one migration in its own transaction
+ * Foreign keys are switched off while the migration runs (so tables can be
+ * rebuilt) and checked before committing.
+ * @param {sqlite3.Database} db - Database connection
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<void>}
+ * @throws {Error} - If the migration fails or leaves foreign key violations; nothing is changed
+ */
+async function runMigration(db, migration, direction) {
+  const sql = fs.readFileSync(direction === 'up' ? migration.upPath : migration.downPath, 'utf8');
+
+  await exec(db, 'PRAGMA foreign_keys = OFF');
+  try {
+    await exec(db, 'BEGIN IMMEDIATE');
+    try {
+      await exec(db, sql);
+
+      if (direction === 'up') {
+        await run(db, 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]);
+      } else {
+        await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      }
+
+      const violations = await all(db, 'PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Foreign key violations in table ${violations[0].table}`);
+      }
+
+      await exec(db, 'COMMIT');
+    } catch (error) {
+      await exec(db, 'ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  } finally {
+    await exec(db, 'PRAGMA foreign_keys = ON');
+  }
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<Array>} - The migrations that were applied
+ */
+async function migrateUp(db) {
+  const applied = new Set((await getAppliedMigrations(db)).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await runMigration(db, migration, 'up');
+  }
+  return pending;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {sqlite3.Database} db - Database connection
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @returns {Promise<Array>} - The migrations that were reverted, newest first
+ * @throws {Error} - If an applied migration has no file or no down file
+ */
+async function migrateDown(db, steps = 1) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const toRevert = (await getAppliedMigrations(db)).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const row of toRevert) {
+    const migration = migrations.get(row.version);
+    if (!migration || !migration.downPath) {
+      throw new Error(`Migration ${row.version}_${row.name} cannot be reverted: no down file`);
+    }
+    await runMigration(db, migration, 'down');
+    reverted.push(migration);
+  }
+  return reverted;
+}
+
+/**
+ * Report which migrations are applied and which are pending
+ * @param {sqlite3.Database} db - Database connection
+ * @returns {Promise<Array>} - Rows of { version, name, status: 'applied'|'pending', applied_at }
+ */
+async function getStatus(db) {
+  const applied = new Map((await getAppliedMigrations(db)).map(row => [row.version, row]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    status: applied.has(migration.version) ? 'applied' : 'pending',
+    applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
+const projectDB = require('./projectDB');
 
 /**
  * Create a new organization
@@ -53,7 +54,77 @@ function findById(id) {
   });
 }
 
+/**
+ * Find all organizations
+ * @returns {Promise<Array>} - Array of organization objects, by name
+ */
+function findAll() {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'SELECT id, name, created_at FROM organizations ORDER BY name ASC';
+
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Rename an organization
+ * @param {string} id - Organization ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} - True if the organization exists
+ */
+function update(id, name) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'UPDATE organizations SET name = ? WHERE id = ?';
+
+    db.run(sql, [name, id], function(err) {
+      if (err) {
+        if (err.message && err.message.includes('UNIQUE constraint failed')) {
+          const error = new Error(`Organization with name "${name}" already exists`);
+          error.code = 'UNIQUE_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Delete an organization with its admin tokens and all its projects (call inside a transaction)
+ * Artifact files are left in storage for the caller to remove.
+ * @param {string} id - Organization ID
+ * @returns {Promise<boolean>} - True if the organization existed
+ */
+async function remove(id) {
+  await projectDB.removeByOrganizationId(id);
+
+  const db = getDatabase();
+  const run = (sql) => new Promise((resolve, reject) => {
+    db.run(sql, [id], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+
+  await run('DELETE FROM admin_tokens WHERE organization_id = ?');
+  const deleted = await run('DELETE FROM organizations WHERE id = ?');
+  return deleted > 0;
+}
+
 module.exports = {
   create,
-  findById
+  findById,
+  findAll,
+  update,
+  remove
 };
@@ -1,11 +1,29 @@
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
 
+// Columns selected for every project read
+const PROJECT_COLUMNS = 'id, organization_id, name, created_at, archived_at';
+
+// Statements deleting a set of projects and everything recorded for them, children first,
+// since the foreign keys have no ON DELETE CASCADE. Each takes a subquery selecting the project IDs.
+const PROJECT_DELETE_STATEMENTS = [
+  (projects) => `DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE project_id IN (${projects}))`,
+  (projects) => `DELETE FROM webhooks WHERE project_id IN (${projects})`,
+  (projects) => `DELETE FROM artifacts WHERE project_id IN (${projects})`,
+  (projects) => `DELETE FROM test_case_attempts WHERE test_case_id IN (
+    SELECT id FROM test_cases WHERE test_run_id IN (SELECT id FROM test_runs WHERE project_id IN (${projects})))`,
+  (projects) => `DELETE FROM test_cases WHERE test_run_id IN (SELECT id FROM test_runs WHERE project_id IN (${projects}))`,
+  (projects) => `DELETE FROM test_run_shards WHERE test_run_id IN (SELECT id FROM test_runs WHERE project_id IN (${projects}))`,
+  (projects) => `DELETE FROM test_runs WHERE project_id IN (${projects})`,
+  (projects) => `DELETE FROM api_tokens WHERE project_id IN (${projects})`,
+  (projects) => `DELETE FROM projects WHERE id IN (${projects})`
+];
+
 /**
  * Create a new project
  * @param {string} organizationId - Organization ID (foreign key)
  * @param {string} name - Project name
- * @returns {Promise<Object>} - Created project with id, organization_id, name, and created_at
+ * @returns {Promise<Object>} - Created project with id, organization_id, name, created_at and archived_at (null)
  */
 function create(organizationId, name) {
   return new Promise((resolve, reject) => {
@@ -36,7 +54,8 @@ function create(organizationId, name) {
         id,
         organization_id: organizationId,
         name,
-        created_at: createdAt
+        created_at: createdAt,
+        archived_at: null
       });
     });
   });
@@ -50,7 +69,7 @@ function create(organizationId, name) {
 function findById(id) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
-    const sql = 'SELECT id, organization_id, name, created_at FROM projects WHERE id = ?';
+    const sql = `SELECT ${PROJECT_COLUMNS} FROM projects WHERE id = ?`;
 
     db.get(sql, [id], (err, row) => {
       if (err) {
@@ -61,7 +80,118 @@ function findById(id) {
   });
 }
 
+/**
+ * Find the projects of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [filters] - Optional filters
+ * @param {boolean} [filters.archived] - Only archived (true) or only active (false) projects
+ * @returns {Promise<Array>} - Array of project objects, by name
+ */
+function findByOrganizationId(organizationId, filters = {}) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    let sql = `SELECT ${PROJECT_COLUMNS} FROM projects WHERE organization_id = ?`;
+    if (filters.archived === true) {
+      sql += ' AND archived_at IS NOT NULL';
+    } else if (filters.archived === false) {
+      sql += ' AND archived_at IS NULL';
+    }
+    sql += ' ORDER BY name ASC';
+
+    db.all(sql, [organizationId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Rename, archive or unarchive a project
+ * @param {string} id - Project ID
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {string|null} [changes.archived_at] - Archive time, or null to unarchive
+ * @returns {Promise<boolean>} - True if the project exists
+ */
+function update(id, changes) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const assignments = [];
+    const params = [];
+    if (changes.name !== undefined) {
+      assignments.push('name = ?');
+      params.push(changes.name);
+    }
+    if (changes.archived_at !== undefined) {
+      assignments.push('archived_at = ?');
+      params.push(changes.archived_at);
+    }
+    if (assignments.length === 0) {
+      return resolve(true);
+    }
+
+    db.run(`UPDATE projects SET ${assignments.join(', ')} WHERE id = ?`, [...params, id], function(err) {
+      if (err) {
+        if (err.message && err.message.includes('UNIQUE constraint failed')) {
+          const error = new Error(`Project with name "${changes.name}" already exists in this organization`);
+          error.code = 'UNIQUE_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Delete the projects selected by a subquery with all their runs, tokens, artifacts and webhooks
+ * @param {string} projects - Subquery selecting project IDs
+ * @param {Array} params - Parameters of the subquery
+ * @returns {Promise<number>} - Number of projects deleted
+ */
+function removeProjects(projects, params) {
+  const db = getDatabase();
+
+  return PROJECT_DELETE_STATEMENTS.reduce((previous, statement) => previous.then(() =>
+    new Promise((resolve, reject) => {
+      db.run(statement(projects), params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(this.changes);
+      });
+    })
+  ), Promise.resolve(0));
+}
+
+/**
+ * Delete a project with all its runs, tokens, artifact records and webhooks (call inside a transaction)
+ * Artifact files are left in storage for the caller to remove.
+ * @param {string} id - Project ID
+ * @returns {Promise<boolean>} - True if the project existed
+ */
+async function remove(id) {
+  const deleted = await removeProjects('?', [id]);
+  return deleted > 0;
+}
+
+/**
+ * Delete every project of an organization, as remove does for one (call inside a transaction)
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<number>} - Number of projects deleted
+ */
+function removeByOrganizationId(organizationId) {
+  return removeProjects('SELECT id FROM projects WHERE organization_id = ?', [organizationId]);
+}
+
 module.exports = {
   create,
-  findById
+  findById,
+  findByOrganizationId,
+  update,
+  remove,
+  removeByOrganizationId
 };
@@ -0,0 +1,32 @@
+// test_runs metadata columns that can be filtered by exact match
+const FILTER_COLUMNS = ['branch', 'commit_sha', 'ci_provider', 'environment'];
+
+/**
+ * Build SQL conditions restricting test runs to the given metadata filters
+ * Label keys are validated by normalizeRunFilters, so they are safe to use in a JSON path.
+ * @param {Object} [filters] - Normalized filters from normalizeRunFilters
+ * @param {string} [alias] - Table alias of test_runs in the query, if any
+ * @returns {Object} - { conditions, params } to AND into a WHERE clause
+ */
+function buildRunFilterConditions(filters = {}, alias = '') {
+  const prefix = alias ? `${alias}.` : '';
+  const conditions = [];
+  const params = [];
+
+  for (const column of FILTER_COLUMNS) {
+    if (filters[column] !== undefined && filters[column] !== null) {
+      conditions.push(`${prefix}${column} = ?`);
+      params.push(filters[column]);
+    }
+  }
+  for (const [key, value] of Object.entries(filters.labels || {})) {
+    conditions.push(`json_extract(${prefix}labels, ?) = ?`);
+    params.push(`$."${key}"`, value);
+  }
+
+  return { conditions, params };
+}
+
+module.exports = {
+  buildRunFilterConditions
+};
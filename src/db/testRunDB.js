@@ -1,25 +1,96 @@
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
+const { buildRunFilterConditions } = require('./runFilters');
+const { computeErrorSignature } = require('../utils/errorSignature');
+const { FAILING_STATUSES } = require('../utils/statuses');
+
+// Columns selected for every test run read
+const TEST_RUN_COLUMNS = 'id, project_id, run_id, status, duration_ms, timestamp, commit_sha, ' +
+  'branch, ci_provider, build_url, environment, labels, shard_total, compute_duration_ms, ' +
+  'failure_message, stack_trace, error_signature, created_at';
+
+/**
+ * Compute the error signature stored with a run or test case (only failing outcomes have one)
+ * @param {string} status - Outcome of the run or test case
+ * @param {string|null} failureMessage - Failure message
+ * @param {string|null} stackTrace - Stack trace
+ * @returns {string|null} - Error signature, or null
+ */
+function errorSignatureFor(status, failureMessage, stackTrace) {
+  return FAILING_STATUSES.includes(status) ? computeErrorSignature(failureMessage, stackTrace) : null;
+}
+
+/**
+ * Convert a test_runs row into a test run object (labels are stored as JSON)
+ * @param {Object} row - Database row
+ * @returns {Object} - Test run object with labels as an object
+ */
+function toTestRun(row) {
+  return { ...row, labels: row.labels ? JSON.parse(row.labels) : {} };
+}
 
 /**
  * Create a new test run
  * @param {string} projectId - Project ID (foreign key)
  * @param {string} runId - Run ID (unique per project)
- * @param {string} status - Test status ('passed' or 'failed')
+ * @param {string} status - Run outcome (one of RUN_STATUSES)
  * @param {number} durationMs - Test duration in milliseconds
  * @param {string} timestamp - ISO 8601 timestamp
+ * @param {Object} [metadata] - Optional run metadata
+ * @param {string} [metadata.commit_sha] - Commit the run tested
+ * @param {string} [metadata.branch] - Branch the run tested
+ * @param {string} [metadata.ci_provider] - CI system that ran the tests
+ * @param {string} [metadata.build_url] - Link to the CI job
+ * @param {string} [metadata.environment] - Environment the tests ran against
+ * @param {Object} [metadata.labels] - Free-form string key/value pairs
+ * @param {number} [metadata.shard_total] - Number of shards, for runs whose shards report separately
+ * @param {string} [metadata.failure_message] - Why the run failed
+ * @param {string} [metadata.stack_trace] - Stack trace of the run failure
  * @returns {Promise<Object>} - Created test run object
  */
-function create(projectId, runId, status, durationMs, timestamp) {
+function create(projectId, runId, status, durationMs, timestamp, metadata = {}) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
     const id = uuidv4();
     const createdAt = new Date().toISOString();
+    const record = {
+      commit_sha: metadata.commit_sha ?? null,
+      branch: metadata.branch ?? null,
+      ci_provider: metadata.ci_provider ?? null,
+      build_url: metadata.build_url ?? null,
+      environment: metadata.environment ?? null,
+      labels: metadata.labels ?? null,
+      shard_total: metadata.shard_total ?? null,
+      compute_duration_ms: null,
+      failure_message: metadata.failure_message ?? null,
+      stack_trace: metadata.stack_trace ?? null
+    };
+    record.error_signature = errorSignatureFor(status, record.failure_message, record.stack_trace);
 
-    const sql = `INSERT INTO test_runs (id, project_id, run_id, status, duration_ms, timestamp, created_at) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
+    const sql = `INSERT INTO test_runs (id, project_id, run_id, status, duration_ms, timestamp, commit_sha,
+                                        branch, ci_provider, build_url, environment, labels, shard_total,
+                                        failure_message, stack_trace, error_signature, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
 
-    db.run(sql, [id, projectId, runId, status, durationMs, timestamp, createdAt], function(err) {
+    db.run(sql, [
+      id,
+      projectId,
+      runId,
+      status,
+      durationMs,
+      timestamp,
+      record.commit_sha,
+      record.branch,
+      record.ci_provider,
+      record.build_url,
+      record.environment,
+      record.labels ? JSON.stringify(record.labels) : null,
+      record.shard_total,
+      record.failure_message,
+      record.stack_trace,
+      record.error_signature,
+      createdAt
+    ], function(err) {
       if (err) {
         // Check for unique constraint violation on (project_id, run_id)
         if (err.message && err.message.includes('UNIQUE constraint failed')) {
@@ -43,6 +114,8 @@ function create(projectId, runId, status, durationMs, timestamp) {
         status,
         duration_ms: durationMs,
         timestamp,
+        ...record,
+        labels: record.labels || {},
         created_at: createdAt
       });
     });
@@ -58,7 +131,7 @@ function create(projectId, runId, status, durationMs, timestamp) {
 function findByRunId(projectId, runId) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
-    const sql = `SELECT id, project_id, run_id, status, duration_ms, timestamp, created_at 
+    const sql = `SELECT ${TEST_RUN_COLUMNS}
                  FROM test_runs 
                  WHERE project_id = ? AND run_id = ?`;
 
@@ -66,7 +139,42 @@ function findByRunId(projectId, runId) {
       if (err) {
         return reject(err);
       }
-      resolve(row || null);
+      resolve(row ? toTestRun(row) : null);
+    });
+  });
+}
+
+/**
+ * Find the run that preceded a run on the same branch
+ * @param {string} projectId - Project ID
+ * @param {Object} testRun - Run to look back from (its id, branch and timestamp)
+ * @param {Array<string>} statuses - Only consider runs with one of these statuses
+ * @returns {Promise<Object|null>} - The latest earlier run, or null if there is none
+ */
+function findPreviousRun(projectId, testRun, statuses) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${TEST_RUN_COLUMNS}
+                 FROM test_runs
+                 WHERE project_id = ? AND branch IS ? AND id != ?
+                   AND (timestamp < ? OR (timestamp = ? AND created_at < ?))
+                   AND status IN (${statuses.map(() => '?').join(', ')})
+                 ORDER BY timestamp DESC, created_at DESC
+                 LIMIT 1`;
+
+    db.get(sql, [
+      projectId,
+      testRun.branch ?? null,
+      testRun.id,
+      testRun.timestamp,
+      testRun.timestamp,
+      testRun.created_at,
+      ...statuses
+    ], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? toTestRun(row) : null);
     });
   });
 }
@@ -79,12 +187,404 @@ function findByRunId(projectId, runId) {
 function findAllByProject(projectId) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
-    const sql = `SELECT id, project_id, run_id, status, duration_ms, timestamp, created_at 
+    const sql = `SELECT ${TEST_RUN_COLUMNS}
                  FROM test_runs 
                  WHERE project_id = ?
                  ORDER BY created_at DESC`;
 
     db.all(sql, [projectId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(toTestRun));
+    });
+  });
+}
+
+/**
+ * Record the final outcome of a started run
+ * Only runs that are still in progress (or were abandoned) are updated.
+ * @param {string} id - Test run ID (internal test_runs.id)
+ * @param {string} status - Final run outcome (one of RUN_STATUSES)
+ * @param {number} durationMs - Run duration in milliseconds
+ * @param {Object} [failure] - Optional failure details
+ * @param {string} [failure.failure_message] - Why the run failed
+ * @param {string} [failure.stack_trace] - Stack trace of the run failure
+ * @returns {Promise<boolean>} - True if the run was updated, false if it had already finished
+ */
+function finish(id, status, durationMs, failure = {}) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const failureMessage = failure.failure_message ?? null;
+    const stackTrace = failure.stack_trace ?? null;
+    const sql = `UPDATE test_runs
+                 SET status = ?, duration_ms = ?, failure_message = ?, stack_trace = ?, error_signature = ?
+                 WHERE id = ? AND status IN ('in_progress', 'abandoned')`;
+
+    db.run(sql, [
+      status,
+      durationMs,
+      failureMessage,
+      stackTrace,
+      errorSignatureFor(status, failureMessage, stackTrace),
+      id
+    ], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Mark runs that have been in progress since before a cutoff as abandoned
+ * @param {string} createdBefore - Runs started (created) before this ISO 8601 time are abandoned
+ * @returns {Promise<number>} - Number of runs marked as abandoned
+ */
+function markAbandoned(createdBefore) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `UPDATE test_runs
+                 SET status = 'abandoned'
+                 WHERE status = 'in_progress' AND created_at < ?`;
+
+    db.run(sql, [createdBefore], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * Record the results of one shard of a sharded run
+ * @param {string} testRunId - Test run ID (internal test_runs.id, foreign key)
+ * @param {Object} shard - Shard data
+ * @param {number} shard.shard_index - Shard number (1-based)
+ * @param {string} shard.status - Shard outcome (one of RUN_STATUSES)
+ * @param {number} shard.duration_ms - Shard duration in milliseconds
+ * @param {string} shard.timestamp - ISO 8601 start time of the shard
+ * @returns {Promise<Object>} - Created shard object
+ */
+function createShard(testRunId, shard) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const record = {
+      id: uuidv4(),
+      test_run_id: testRunId,
+      shard_index: shard.shard_index,
+      status: shard.status,
+      duration_ms: shard.duration_ms,
+      timestamp: shard.timestamp,
+      created_at: new Date().toISOString()
+    };
+
+    const sql = `INSERT INTO test_run_shards (id, test_run_id, shard_index, status, duration_ms, timestamp, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+    db.run(sql, [
+      record.id,
+      record.test_run_id,
+      record.shard_index,
+      record.status,
+      record.duration_ms,
+      record.timestamp,
+      record.created_at
+    ], function(err) {
+      if (err) {
+        // Check for unique constraint violation on (test_run_id, shard_index)
+        if (err.message && err.message.includes('UNIQUE constraint failed')) {
+          const error = new Error(`Shard ${shard.shard_index} of test run ${testRunId} already exists`);
+          error.code = 'UNIQUE_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Find the reported shards of a test run
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @returns {Promise<Array>} - Array of shard objects ordered by shard_index
+ */
+function findShardsByTestRunId(testRunId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT id, test_run_id, shard_index, status, duration_ms, timestamp, created_at
+                 FROM test_run_shards
+                 WHERE test_run_id = ?
+                 ORDER BY shard_index ASC`;
+
+    db.all(sql, [testRunId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Update the aggregate outcome of a sharded run
+ * @param {string} id - Test run ID (internal test_runs.id)
+ * @param {Object} aggregate - Aggregated fields
+ * @param {number} aggregate.shard_total - Number of shards
+ * @param {string} aggregate.status - Run status
+ * @param {number} aggregate.duration_ms - Wall-clock duration across shards
+ * @param {number} aggregate.compute_duration_ms - Summed duration of all shards
+ * @param {string} aggregate.timestamp - Earliest shard start time
+ * @returns {Promise<void>}
+ */
+function updateShardAggregate(id, aggregate) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `UPDATE test_runs
+                 SET shard_total = ?, status = ?, duration_ms = ?, compute_duration_ms = ?, timestamp = ?
+                 WHERE id = ?`;
+
+    db.run(sql, [
+      aggregate.shard_total,
+      aggregate.status,
+      aggregate.duration_ms,
+      aggregate.compute_duration_ms,
+      aggregate.timestamp,
+      id
+    ], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+// Columns test runs may be sorted by (whitelisted for safe SQL interpolation)
+const SORTABLE_COLUMNS = {
+  timestamp: 'timestamp',
+  duration_ms: 'duration_ms'
+};
+
+/**
+ * Find one page of test runs for a project using keyset (cursor) pagination
+ * Rows are ordered by the sort column, with id as a tiebreaker.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Query options
+ * @param {string} [options.status] - Only include runs with this status
+ * @param {string} [options.from] - Only include runs with timestamp >= from (ISO 8601)
+ * @param {string} [options.to] - Only include runs with timestamp < to (ISO 8601)
+ * @param {string} options.sort - Sort column ('timestamp' or 'duration_ms')
+ * @param {string} options.order - Sort direction ('asc' or 'desc')
+ * @param {number} options.limit - Maximum number of rows to return
+ * @param {Object} [options.filters] - Normalized metadata filters (see normalizeRunFilters)
+ * @param {Object} [options.after] - Keyset position { value, id } to continue after
+ * @returns {Promise<Array>} - Array of test run objects
+ */
+function findPageByProject(projectId, options) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const column = SORTABLE_COLUMNS[options.sort];
+    if (!column) {
+      return reject(new Error(`Unsupported sort column: ${options.sort}`));
+    }
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = options.order === 'asc' ? '>' : '<';
+
+    const conditions = ['project_id = ?'];
+    const params = [projectId];
+
+    if (options.status) {
+      conditions.push('status = ?');
+      params.push(options.status);
+    }
+    if (options.from) {
+      conditions.push('timestamp >= ?');
+      params.push(options.from);
+    }
+    if (options.to) {
+      conditions.push('timestamp < ?');
+      params.push(options.to);
+    }
+    const filters = buildRunFilterConditions(options.filters);
+    conditions.push(...filters.conditions);
+    params.push(...filters.params);
+    if (options.after) {
+      conditions.push(`(${column} ${comparator} ? OR (${column} = ? AND id ${comparator} ?))`);
+      params.push(options.after.value, options.after.value, options.after.id);
+    }
+
+    const sql = `SELECT ${TEST_RUN_COLUMNS}
+                 FROM test_runs
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY ${column} ${direction}, id ${direction}
+                 LIMIT ?`;
+    params.push(options.limit);
+
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(toTestRun));
+    });
+  });
+}
+
+/**
+ * Create one attempt of a retried test case
+ * @param {string} testCaseId - Test case ID (internal test_cases.id, foreign key)
+ * @param {number} attempt - Attempt number (1-based)
+ * @param {Object} data - Attempt data (status, duration_ms, failure_message)
+ * @returns {Promise<Object>} - Created attempt object
+ */
+function createTestCaseAttempt(testCaseId, attempt, data) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const record = {
+      id: uuidv4(),
+      test_case_id: testCaseId,
+      attempt,
+      status: data.status,
+      duration_ms: data.duration_ms ?? null,
+      failure_message: data.failure_message ?? null,
+      created_at: new Date().toISOString()
+    };
+
+    const sql = `INSERT INTO test_case_attempts (id, test_case_id, attempt, status, duration_ms, failure_message, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+    db.run(sql, [
+      record.id,
+      record.test_case_id,
+      record.attempt,
+      record.status,
+      record.duration_ms,
+      record.failure_message,
+      record.created_at
+    ], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Create a single test case belonging to a test run, with its attempts if it was retried
+ * @param {string} testRunId - Test run ID (internal test_runs.id, foreign key)
+ * @param {Object} testCase - Test case data
+ * @param {number|null} shardIndex - Shard that reported the test case, or null for unsharded runs
+ * @returns {Promise<Object>} - Created test case object
+ */
+async function createTestCase(testRunId, testCase, shardIndex) {
+  const record = await insertTestCase(testRunId, testCase, shardIndex);
+
+  record.attempts = [];
+  for (const [index, attempt] of (testCase.attempts || []).entries()) {
+    record.attempts.push(await createTestCaseAttempt(record.id, index + 1, attempt));
+  }
+  return record;
+}
+
+/**
+ * Insert the test_cases row of a test case
+ * @param {string} testRunId - Test run ID (internal test_runs.id, foreign key)
+ * @param {Object} testCase - Test case data
+ * @param {number|null} shardIndex - Shard that reported the test case, or null for unsharded runs
+ * @returns {Promise<Object>} - Created test case object
+ */
+function insertTestCase(testRunId, testCase, shardIndex) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    const record = {
+      id,
+      test_run_id: testRunId,
+      suite_name: testCase.suite_name ?? null,
+      name: testCase.name,
+      file: testCase.file ?? null,
+      status: testCase.status,
+      duration_ms: testCase.duration_ms ?? null,
+      failure_message: testCase.failure_message ?? null,
+      stack_trace: testCase.stack_trace ?? null,
+      error_signature: errorSignatureFor(testCase.status, testCase.failure_message, testCase.stack_trace),
+      shard_index: shardIndex,
+      attempt_count: testCase.attempts ? testCase.attempts.length : 1,
+      created_at: createdAt
+    };
+
+    const sql = `INSERT INTO test_cases (id, test_run_id, suite_name, name, file, status, duration_ms, failure_message,
+                                         stack_trace, error_signature, shard_index, attempt_count, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+    db.run(sql, [
+      record.id,
+      record.test_run_id,
+      record.suite_name,
+      record.name,
+      record.file,
+      record.status,
+      record.duration_ms,
+      record.failure_message,
+      record.stack_trace,
+      record.error_signature,
+      record.shard_index,
+      record.attempt_count,
+      record.created_at
+    ], function(err) {
+      if (err) {
+        // Check for foreign key constraint violation
+        if (err.message && err.message.includes('FOREIGN KEY constraint failed')) {
+          const error = new Error(`Test run with id ${testRunId} does not exist`);
+          error.code = 'FOREIGN_KEY_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Create test cases belonging to a test run
+ * Should be called inside a transaction together with the test run insert.
+ * @param {string} testRunId - Test run ID (internal test_runs.id, foreign key)
+ * @param {Array<Object>} testCases - Test case data (suite_name, name, file, status, duration_ms, failure_message,
+ *   stack_trace, attempts)
+ * @param {number|null} [shardIndex=null] - Shard that reported the test cases, for sharded runs
+ * @returns {Promise<Array>} - Array of created test case objects, in input order
+ */
+async function createTestCases(testRunId, testCases, shardIndex = null) {
+  const created = [];
+  for (const testCase of testCases) {
+    created.push(await createTestCase(testRunId, testCase, shardIndex));
+  }
+  return created;
+}
+
+/**
+ * Find the attempts of every retried test case of a test run
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @returns {Promise<Array>} - Array of attempt objects ordered by test case and attempt number
+ */
+function findAttemptsByTestRunId(testRunId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT a.id, a.test_case_id, a.attempt, a.status, a.duration_ms, a.failure_message, a.created_at
+                 FROM test_case_attempts a
+                 JOIN test_cases tc ON tc.id = a.test_case_id
+                 WHERE tc.test_run_id = ?
+                 ORDER BY a.test_case_id, a.attempt ASC`;
+
+    db.all(sql, [testRunId], (err, rows) => {
       if (err) {
         return reject(err);
       }
@@ -93,8 +593,82 @@ function findAllByProject(projectId) {
   });
 }
 
+/**
+ * Find all test cases belonging to a test run, each with its attempts
+ * Test cases that were not retried have an empty attempts array.
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @returns {Promise<Array>} - Array of test case objects, in insertion order
+ */
+async function findTestCasesByTestRunId(testRunId) {
+  const [testCases, attempts] = await Promise.all([
+    findTestCaseRowsByTestRunId(testRunId),
+    findAttemptsByTestRunId(testRunId)
+  ]);
+
+  const attemptsByTestCase = new Map(testCases.map(testCase => [testCase.id, []]));
+  for (const attempt of attempts) {
+    attemptsByTestCase.get(attempt.test_case_id).push(attempt);
+  }
+  return testCases.map(testCase => ({ ...testCase, attempts: attemptsByTestCase.get(testCase.id) }));
+}
+
+/**
+ * Find the test_cases rows of a test run
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @returns {Promise<Array>} - Array of test case rows, in insertion order
+ */
+function findTestCaseRowsByTestRunId(testRunId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT id, test_run_id, suite_name, name, file, status, duration_ms, failure_message, stack_trace,
+                        error_signature, shard_index, attempt_count, created_at
+                 FROM test_cases
+                 WHERE test_run_id = ?
+                 ORDER BY rowid ASC`;
+
+    db.all(sql, [testRunId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+/**
+ * Find a test case of a test run by ID (without its attempts)
+ * @param {string} testRunId - Test run ID (internal test_runs.id)
+ * @param {string} id - Test case ID
+ * @returns {Promise<Object|null>} - Test case row or null if not found in this run
+ */
+function findTestCaseById(testRunId, id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT id, test_run_id, suite_name, name, file, status
+                 FROM test_cases
+                 WHERE test_run_id = ? AND id = ?`;
+
+    db.get(sql, [testRunId, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row || null);
+    });
+  });
+}
+
 module.exports = {
   create,
   findByRunId,
-  findAllByProject
+  findPreviousRun,
+  findAllByProject,
+  findPageByProject,
+  finish,
+  markAbandoned,
+  createShard,
+  findShardsByTestRunId,
+  updateShardAggregate,
+  createTestCases,
+  findTestCasesByTestRunId,
+  findTestCaseById
 };
@@ -1,21 +1,44 @@
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('./database');
 
+// Columns returned for token metadata (never includes token_hash)
+const TOKEN_COLUMNS = 'id, project_id, label, scopes, created_at, expires_at, revoked_at, last_used_at';
+
+// Scopes granted when none are requested; matches the column default in migration 007
+const DEFAULT_SCOPES = ['ingest:write', 'runs:read'];
+
+/**
+ * Convert a token row into a token object, splitting the space-separated scopes
+ * @param {Object} row - Row from api_tokens
+ * @returns {Object} - Token with scopes as an array
+ */
+function toToken(row) {
+  return { ...row, scopes: row.scopes ? row.scopes.split(' ') : [] };
+}
+
 /**
  * Create a new API token
  * @param {string} projectId - Project ID (foreign key)
  * @param {string} tokenHash - Hashed token value
- * @returns {Promise<Object>} - Created token with id, project_id, token_hash, and created_at
+ * @param {Object} [options] - Optional token attributes
+ * @param {string|null} [options.label] - Human-readable label
+ * @param {string|null} [options.expiresAt] - Expiry time (ISO 8601)
+ * @param {Array<string>} [options.scopes] - Granted scopes, defaults to ingest:write and runs:read
+ * @returns {Promise<Object>} - Created token with id, project_id, token_hash, label, scopes, created_at and lifecycle timestamps
  */
-function create(projectId, tokenHash) {
+function create(projectId, tokenHash, options = {}) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
     const id = uuidv4();
     const createdAt = new Date().toISOString();
+    const label = options.label || null;
+    const expiresAt = options.expiresAt || null;
+    const scopes = options.scopes || DEFAULT_SCOPES;
 
-    const sql = 'INSERT INTO api_tokens (id, project_id, token_hash, created_at) VALUES (?, ?, ?, ?)';
+    const sql = `INSERT INTO api_tokens (id, project_id, token_hash, label, scopes, created_at, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`;
 
-    db.run(sql, [id, projectId, tokenHash, createdAt], function(err) {
+    db.run(sql, [id, projectId, tokenHash, label, scopes.join(' '), createdAt, expiresAt], function(err) {
       if (err) {
         // Check for unique constraint violation on token_hash
         if (err.message && err.message.includes('UNIQUE constraint failed')) {
@@ -36,7 +59,12 @@ function create(projectId, tokenHash) {
         id,
         project_id: projectId,
         token_hash: tokenHash,
-        created_at: createdAt
+        label,
+        scopes,
+        created_at: createdAt,
+        expires_at: expiresAt,
+        revoked_at: null,
+        last_used_at: null
       });
     });
   });
@@ -61,7 +89,130 @@ function findProjectByTokenHash(tokenHash) {
   });
 }
 
+/**
+ * Find a token by its hash, including revoked and expired tokens
+ * @param {string} tokenHash - Hashed token value
+ * @returns {Promise<Object|null>} - Token metadata or null if not found
+ */
+function findByTokenHash(tokenHash) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE token_hash = ?`;
+
+    db.get(sql, [tokenHash], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? toToken(row) : null);
+    });
+  });
+}
+
+/**
+ * Find a token by ID
+ * @param {string} id - Token ID
+ * @returns {Promise<Object|null>} - Token metadata or null if not found
+ */
+function findById(id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`;
+
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? toToken(row) : null);
+    });
+  });
+}
+
+/**
+ * Find all tokens of a project, newest first
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Array of token metadata
+ */
+function findAllByProject(projectId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${TOKEN_COLUMNS} FROM api_tokens WHERE project_id = ? ORDER BY created_at DESC, rowid DESC`;
+
+    db.all(sql, [projectId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(toToken));
+    });
+  });
+}
+
+/**
+ * Revoke a token (no-op if it is already revoked)
+ * @param {string} id - Token ID
+ * @param {string} revokedAt - Revocation time (ISO 8601)
+ * @returns {Promise<void>}
+ */
+function revoke(id, revokedAt) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL';
+
+    db.run(sql, [revokedAt, id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Set a token's expiry time
+ * @param {string} id - Token ID
+ * @param {string} expiresAt - Expiry time (ISO 8601)
+ * @returns {Promise<void>}
+ */
+function updateExpiry(id, expiresAt) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'UPDATE api_tokens SET expires_at = ? WHERE id = ?';
+
+    db.run(sql, [expiresAt, id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Record when a token was last used
+ * @param {string} id - Token ID
+ * @param {string} lastUsedAt - Time of use (ISO 8601)
+ * @returns {Promise<void>}
+ */
+function updateLastUsed(id, lastUsedAt) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = 'UPDATE api_tokens SET last_used_at = ? WHERE id = ?';
+
+    db.run(sql, [lastUsedAt, id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
 module.exports = {
   create,
-  findProjectByTokenHash
+  findProjectByTokenHash,
+  findByTokenHash,
+  findById,
+  findAllByProject,
+  revoke,
+  updateExpiry,
+  updateLastUsed
 };
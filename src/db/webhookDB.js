@@ -0,0 +1,326 @@
+const { getDatabase } = require('./database');
+
+// Columns selected for every webhook read
+const WEBHOOK_COLUMNS = 'id, project_id, url, secret, events, active, created_at';
+
+// Columns selected for every delivery read
+const DELIVERY_COLUMNS = 'id, webhook_id, event, payload, status, attempt_count, next_attempt_at, ' +
+  'response_status, error_message, redelivery_of, created_at, completed_at';
+
+/**
+ * Convert a webhooks row into a webhook object (events are stored as JSON)
+ * @param {Object} row - Row from the webhooks table
+ * @returns {Object} - Webhook object with events as an array and active as a boolean
+ */
+function toWebhook(row) {
+  return { ...row, events: JSON.parse(row.events), active: row.active === 1 };
+}
+
+/**
+ * Convert a webhook_deliveries row into a delivery object (the payload is stored as JSON text)
+ * @param {Object} row - Row from the webhook_deliveries table
+ * @returns {Object} - Delivery object with the payload parsed
+ */
+function toDelivery(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
+
+/**
+ * Create a webhook subscription
+ * @param {Object} webhook - Webhook data
+ * @param {string} webhook.id - Webhook ID
+ * @param {string} webhook.project_id - Project ID (foreign key)
+ * @param {string} webhook.url - Endpoint events are posted to
+ * @param {string} webhook.secret - Secret payloads are signed with
+ * @param {Array<string>} webhook.events - Subscribed event types
+ * @returns {Promise<Object>} - Created webhook object
+ */
+function create(webhook) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const record = { ...webhook, active: true, created_at: new Date().toISOString() };
+
+    const sql = `INSERT INTO webhooks (id, project_id, url, secret, events, active, created_at)
+                 VALUES (?, ?, ?, ?, ?, 1, ?)`;
+
+    db.run(sql, [record.id, record.project_id, record.url, record.secret, JSON.stringify(record.events), record.created_at], (err) => {
+      if (err) {
+        if (err.message && err.message.includes('FOREIGN KEY constraint failed')) {
+          const error = new Error(`Project with id ${record.project_id} does not exist`);
+          error.code = 'FOREIGN_KEY_VIOLATION';
+          return reject(error);
+        }
+        return reject(err);
+      }
+
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Find a webhook of a project by ID
+ * @param {string} projectId - Project ID
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object|null>} - Webhook object or null if not found in this project
+ */
+function findById(projectId, id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE project_id = ? AND id = ?`;
+
+    db.get(sql, [projectId, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? toWebhook(row) : null);
+    });
+  });
+}
+
+/**
+ * Find all webhooks of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Array of webhook objects, oldest first
+ */
+function findByProjectId(projectId) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE project_id = ? ORDER BY created_at ASC, rowid ASC`;
+
+    db.all(sql, [projectId], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(toWebhook));
+    });
+  });
+}
+
+/**
+ * Update a webhook's URL, events or active flag
+ * @param {string} projectId - Project ID
+ * @param {string} id - Webhook ID
+ * @param {Object} changes - Fields to change: url, events and/or active
+ * @returns {Promise<boolean>} - True if the webhook exists in this project
+ */
+function update(projectId, id, changes) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `UPDATE webhooks
+                 SET url = COALESCE(?, url), events = COALESCE(?, events), active = COALESCE(?, active)
+                 WHERE project_id = ? AND id = ?`;
+
+    db.run(sql, [
+      changes.url ?? null,
+      changes.events ? JSON.stringify(changes.events) : null,
+      changes.active === undefined ? null : (changes.active ? 1 : 0),
+      projectId,
+      id
+    ], function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes > 0);
+    });
+  });
+}
+
+/**
+ * Delete a webhook together with its delivery log (call inside a transaction)
+ * @param {string} projectId - Project ID
+ * @param {string} id - Webhook ID
+ * @returns {Promise<boolean>} - True if the webhook existed in this project
+ */
+function remove(projectId, id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+
+    db.run(`DELETE FROM webhook_deliveries
+            WHERE webhook_id IN (SELECT id FROM webhooks WHERE project_id = ? AND id = ?)`, [projectId, id], (err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      db.run('DELETE FROM webhooks WHERE project_id = ? AND id = ?', [projectId, id], function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(this.changes > 0);
+      });
+    });
+  });
+}
+
+/**
+ * Record a delivery of an event to a webhook, pending its first attempt
+ * @param {Object} delivery - Delivery data
+ * @param {string} delivery.id - Delivery ID
+ * @param {string} delivery.webhook_id - Webhook ID (foreign key)
+ * @param {string} delivery.event - Event type
+ * @param {Object} delivery.payload - Event payload
+ * @param {string|null} [delivery.redelivery_of] - Delivery this one repeats
+ * @returns {Promise<Object>} - Created delivery object
+ */
+function createDelivery(delivery) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+    const record = {
+      id: delivery.id,
+      webhook_id: delivery.webhook_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: 'pending',
+      attempt_count: 0,
+      next_attempt_at: now,
+      response_status: null,
+      error_message: null,
+      redelivery_of: delivery.redelivery_of ?? null,
+      created_at: now,
+      completed_at: null
+    };
+
+    const sql = `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempt_count,
+                                                 next_attempt_at, redelivery_of, created_at)
+                 VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)`;
+
+    db.run(sql, [
+      record.id,
+      record.webhook_id,
+      record.event,
+      JSON.stringify(record.payload),
+      record.status,
+      record.next_attempt_at,
+      record.redelivery_of,
+      record.created_at
+    ], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(record);
+    });
+  });
+}
+
+/**
+ * Find a delivery of a webhook by ID
+ * @param {string} webhookId - Webhook ID
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} - Delivery object or null if not found for this webhook
+ */
+function findDeliveryById(webhookId, id) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries WHERE webhook_id = ? AND id = ?`;
+
+    db.get(sql, [webhookId, id], (err, row) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(row ? toDelivery(row) : null);
+    });
+  });
+}
+
+/**
+ * Find the most recent deliveries of a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array>} - Array of delivery objects, newest first
+ */
+function findDeliveriesByWebhookId(webhookId, limit) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+                 WHERE webhook_id = ?
+                 ORDER BY created_at DESC, rowid DESC
+                 LIMIT ?`;
+
+    db.all(sql, [webhookId, limit], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(toDelivery));
+    });
+  });
+}
+
+/**
+ * Find pending deliveries whose next attempt is due, with the webhook they go to
+ * @param {string} now - ISO 8601 timestamp; deliveries due at or before it are returned
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array>} - Array of { delivery, webhook }, longest due first
+ */
+function findDueDeliveries(now, limit) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `SELECT d.id, d.webhook_id, d.event, d.payload, d.status, d.attempt_count, d.next_attempt_at,
+                        d.response_status, d.error_message, d.redelivery_of, d.created_at, d.completed_at,
+                        w.project_id AS webhook_project_id, w.url AS webhook_url, w.secret AS webhook_secret
+                 FROM webhook_deliveries d
+                 JOIN webhooks w ON w.id = d.webhook_id
+                 WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+                 ORDER BY d.next_attempt_at ASC, d.rowid ASC
+                 LIMIT ?`;
+
+    db.all(sql, [now, limit], (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve((rows || []).map(({ webhook_project_id, webhook_url, webhook_secret, ...row }) => ({
+        delivery: toDelivery(row),
+        webhook: { id: row.webhook_id, project_id: webhook_project_id, url: webhook_url, secret: webhook_secret }
+      })));
+    });
+  });
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {string} id - Delivery ID
+ * @param {Object} outcome - Attempt outcome
+ * @param {string} outcome.status - 'pending' (will be retried), 'succeeded' or 'failed'
+ * @param {number} outcome.attempt_count - Attempts made so far
+ * @param {string|null} outcome.next_attempt_at - When to retry, null once completed
+ * @param {number|null} outcome.response_status - HTTP status of the response, null if there was none
+ * @param {string|null} outcome.error_message - Why the attempt failed, null on success
+ * @param {string|null} outcome.completed_at - When the delivery succeeded or gave up
+ * @returns {Promise<void>}
+ */
+function recordAttempt(id, outcome) {
+  return new Promise((resolve, reject) => {
+    const db = getDatabase();
+    const sql = `UPDATE webhook_deliveries
+                 SET status = ?, attempt_count = ?, next_attempt_at = ?, response_status = ?, error_message = ?, completed_at = ?
+                 WHERE id = ?`;
+
+    db.run(sql, [
+      outcome.status,
+      outcome.attempt_count,
+      outcome.next_attempt_at,
+      outcome.response_status,
+      outcome.error_message,
+      outcome.completed_at,
+      id
+    ], (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  create,
+  findById,
+  findByProjectId,
+  update,
+  remove,
+  createDelivery,
+  findDeliveryById,
+  findDeliveriesByWebhookId,
+  findDueDeliveries,
+  recordAttempt
+};
@@ -1,11 +1,58 @@
 const { createApp } = require('./app');
 const { initDatabase, closeDatabase } = require('./db/database');
+const ingestionService = require('./services/ingestionService');
+const healthService = require('./services/healthService');
+const webhookService = require('./services/webhookService');
+const logger = require('./utils/logger');
 
 // Configuration from environment variables
 const PORT = process.env.PORT || 3000;
 const DATABASE_PATH = process.env.DATABASE_PATH || './data/test-analytics.db';
 
+// How often started runs are checked for abandonment
+const ABANDONED_RUN_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How often pending webhook deliveries are checked for a due retry
+const WEBHOOK_RETRY_SWEEP_INTERVAL_MS = 10 * 1000;
+
+// Time allowed for in-flight requests to finish before shutdown is forced
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
 let server = null;
+let sweepTimer = null;
+let webhookRetryTimer = null;
+
+/**
+ * Periodically mark started runs that never finished as abandoned
+ */
+function startAbandonedRunSweep() {
+  sweepTimer = setInterval(async () => {
+    try {
+      const abandoned = await ingestionService.abandonStaleRuns();
+      if (abandoned > 0) {
+        logger.info('Marked stale runs as abandoned', { count: abandoned });
+      }
+    } catch (error) {
+      logger.error('Failed to mark stale runs as abandoned', { error_message: error.message });
+    }
+  }, ABANDONED_RUN_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Periodically retry webhook deliveries whose backoff has elapsed
+ * Deliveries are stored, so retries also resume after a restart.
+ */
+function startWebhookRetrySweep() {
+  webhookRetryTimer = setInterval(async () => {
+    try {
+      await webhookService.retryDueDeliveries();
+    } catch (error) {
+      logger.error('Failed to retry webhook deliveries', { error_message: error.message });
+    }
+  }, WEBHOOK_RETRY_SWEEP_INTERVAL_MS);
+  webhookRetryTimer.unref();
+}
 
 /**
  * Start the HTTP server
@@ -17,6 +64,13 @@ async function startServer() {
     await initDatabase(DATABASE_PATH);
     console.log('Database initialized successfully');
 
+    if (!process.env.ADMIN_API_KEY) {
+      console.warn('ADMIN_API_KEY is not set; management routes only accept organization admin tokens');
+    }
+
+    startAbandonedRunSweep();
+    startWebhookRetrySweep();
+
     // Create Express app
     const app = createApp();
 
@@ -38,36 +92,89 @@ async function startServer() {
   }
 }
 
+/**
+ * Get the time allowed for a graceful shutdown
+ * Configured with SHUTDOWN_TIMEOUT_MS, defaulting to 10 seconds.
+ * @returns {number} - Timeout in milliseconds
+ */
+function getShutdownTimeoutMs() {
+  const configured = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_SHUTDOWN_TIMEOUT_MS;
+}
+
+/**
+ * Stop accepting connections and resolve once every open connection has closed
+ * @returns {Promise<void>}
+ */
+function closeServer() {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    // Idle keep-alive connections would otherwise hold the server open until they time out
+    server.closeIdleConnections();
+  });
+}
+
 /**
  * Graceful shutdown handling
+ * Fails readiness first, then stops accepting connections, waits for in-flight
+ * ingests and then for the webhook deliveries they started, and only then closes
+ * the database, so no ingest loses its transaction and no delivery its outcome.
+ * Shutdown is forced once SHUTDOWN_TIMEOUT_MS has passed.
  */
 async function shutdown(signal) {
+  if (healthService.isShuttingDown()) {
+    return;
+  }
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+  healthService.startShutdown();
 
-  // Stop accepting new connections
-  if (server) {
-    server.close(async () => {
-      console.log('HTTP server closed');
-
-      // Close database connection
-      try {
-        await closeDatabase();
-        console.log('Graceful shutdown completed');
-        process.exit(0);
-      } catch (error) {
-        console.error('Error during shutdown:', error);
-        process.exit(1);
-      }
-    });
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+  }
+  if (webhookRetryTimer) {
+    clearInterval(webhookRetryTimer);
+  }
 
-    // Force shutdown after 10 seconds
-    setTimeout(() => {
-      console.error('Forced shutdown after timeout');
-      process.exit(1);
-    }, 10000);
-  } else {
+  if (!server) {
     process.exit(0);
   }
+
+  const timeoutMs = getShutdownTimeoutMs();
+  const forceTimer = setTimeout(() => {
+    console.error('Forced shutdown after timeout');
+    process.exit(1);
+  }, timeoutMs);
+  forceTimer.unref();
+
+  try {
+    // Stop accepting new connections; requests on open connections still complete
+    const serverClosed = closeServer();
+
+    const inFlight = healthService.getInFlightIngests();
+    if (inFlight > 0) {
+      console.log(`Waiting for ${inFlight} in-flight ingest(s) to finish...`);
+    }
+    await healthService.drainIngests(timeoutMs);
+    console.log('In-flight ingests drained');
+
+    // Deliveries run in the background after the response, so they outlive their ingest
+    const deliveries = webhookService.getDeliveriesInFlight();
+    if (deliveries > 0) {
+      console.log(`Waiting for ${deliveries} webhook delivery(ies) to finish...`);
+    }
+    await webhookService.drainDeliveries(timeoutMs);
+    console.log('Webhook deliveries drained');
+
+    await serverClosed;
+    console.log('HTTP server closed');
+
+    await closeDatabase();
+    console.log('Graceful shutdown completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error during shutdown:', error);
+    process.exit(1);
+  }
 }
 
 // Register shutdown handlers
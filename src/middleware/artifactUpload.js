@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { getArtifactMaxBytes } = require('../services/artifactService');
+const { ValidationError, PayloadTooLargeError } = require('../utils/errors');
+
+/**
+ * Artifact upload middleware
+ * Parses a multipart/form-data body with a single file in the `file` field into
+ * req.file (kept in memory, at most ARTIFACT_MAX_BYTES) and text fields into req.body.
+ * Upload errors are passed on as ValidationError or PayloadTooLargeError.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function artifactUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next(new ValidationError('Content-Type must be multipart/form-data'));
+  }
+
+  const maxBytes = getArtifactMaxBytes();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single('file');
+
+  upload(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new PayloadTooLargeError(`Artifacts must be at most ${maxBytes} bytes`));
+      }
+      return next(new ValidationError(`Invalid upload: ${err.message}`));
+    }
+    next(new ValidationError(`Invalid upload: ${err.message}`));
+  });
+}
+
+module.exports = { artifactUpload };
@@ -1,6 +1,73 @@
-const { hashToken } = require('../utils/crypto');
+const { hashToken, secretsMatch } = require('../utils/crypto');
 const tokenDB = require('../db/tokenDB');
-const { UnauthorizedError } = require('../utils/errors');
+const adminTokenDB = require('../db/adminTokenDB');
+const projectDB = require('../db/projectDB');
+const { getTokenStatus } = require('../services/tokenService');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// last_used_at is only refreshed when older than this, to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Count a rejected credential in the auth failure metrics
+ * @param {string} reason - Why the credential was rejected
+ * @param {AppError} error - Error to reject the request with
+ * @returns {AppError} - The same error, for throwing or passing to next
+ */
+function authFailure(reason, error) {
+  metrics.recordAuthFailure(reason);
+  return error;
+}
+
+/**
+ * Extract the Bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string} - The raw token
+ * @throws {UnauthorizedError} - If the header is missing, malformed or empty
+ */
+function extractBearerToken(req) {
+  const authHeader = req.headers.authorization;
+  
+  // Check if Authorization header exists
+  if (!authHeader) {
+    throw authFailure('missing_header', new UnauthorizedError('Missing Authorization header'));
+  }
+  
+  // Check if Authorization header has correct format (Bearer <token>)
+  if (!authHeader.startsWith('Bearer ')) {
+    throw authFailure('malformed_header', new UnauthorizedError('Invalid Authorization header format. Expected: Bearer <token>'));
+  }
+  
+  // Extract token (remove 'Bearer ' prefix)
+  const token = authHeader.substring(7).trim();
+  
+  // Check if token is empty
+  if (!token || token === '') {
+    throw authFailure('malformed_header', new UnauthorizedError('Authentication token required'));
+  }
+
+  return token;
+}
+
+/**
+ * Record a token's last use, at most once per LAST_USED_RESOLUTION_MS
+ * Failures are logged but never fail the request.
+ * @param {Object} token - Token row with id and last_used_at
+ * @returns {Promise<void>}
+ */
+async function recordTokenUse(token) {
+  const now = new Date();
+  if (token.last_used_at && now - new Date(token.last_used_at) < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  try {
+    await tokenDB.updateLastUsed(token.id, now.toISOString());
+  } catch (error) {
+    logger.warn('Failed to record token use', { token_id: token.id, error_message: error.message });
+  }
+}
 
 /**
  * Authentication middleware
@@ -11,39 +78,34 @@ const { UnauthorizedError } = require('../utils/errors');
  */
 async function authenticate(req, res, next) {
   try {
-    const authHeader = req.headers.authorization;
-    
-    // Check if Authorization header exists
-    if (!authHeader) {
-      throw new UnauthorizedError('Missing Authorization header');
-    }
-    
-    // Check if Authorization header has correct format (Bearer <token>)
-    if (!authHeader.startsWith('Bearer ')) {
-      throw new UnauthorizedError('Invalid Authorization header format. Expected: Bearer <token>');
-    }
-    
-    // Extract token (remove 'Bearer ' prefix)
-    const token = authHeader.substring(7).trim();
-    
-    // Check if token is empty
-    if (!token || token === '') {
-      throw new UnauthorizedError('Authentication token required');
-    }
+    const rawToken = extractBearerToken(req);
     
     // Hash the token
-    const tokenHash = hashToken(token);
+    const tokenHash = hashToken(rawToken);
     
-    // Lookup project by token hash
-    const projectId = await tokenDB.findProjectByTokenHash(tokenHash);
+    // Lookup token by hash
+    const token = await tokenDB.findByTokenHash(tokenHash);
     
-    // If no project found, token is invalid
-    if (!projectId) {
-      throw new UnauthorizedError('Invalid token');
+    // If no token found, token is invalid
+    if (!token) {
+      throw authFailure('invalid_token', new UnauthorizedError('Invalid token'));
+    }
+
+    // Reject revoked and expired tokens with distinct messages
+    const status = getTokenStatus(token);
+    if (status === 'revoked') {
+      throw authFailure('revoked_token', new UnauthorizedError('Token has been revoked'));
+    }
+    if (status === 'expired') {
+      throw authFailure('expired_token', new UnauthorizedError('Token has expired'));
     }
+
+    await recordTokenUse(token);
     
-    // Attach projectId to request for use in route handlers
-    req.projectId = projectId;
+    // Attach projectId, tokenId and scopes to request for use in route handlers
+    req.projectId = token.project_id;
+    req.tokenId = token.id;
+    req.tokenScopes = token.scopes;
     
     // Continue to next middleware/handler
     next();
@@ -53,4 +115,114 @@ async function authenticate(req, res, next) {
   }
 }
 
-module.exports = { authenticate };
+/**
+ * Scope check middleware factory (use after authenticate)
+ * Tokens with the 'admin' scope pass every check.
+ * @param {string} scope - Required scope, e.g. 'ingest:write' or 'runs:read'
+ * @returns {Function} - Express middleware rejecting tokens without the scope with 403
+ */
+function requireScope(scope) {
+  return function(req, res, next) {
+    const scopes = req.tokenScopes || [];
+    if (!scopes.includes(scope) && !scopes.includes('admin')) {
+      return next(authFailure('missing_scope', new ForbiddenError(`Token is missing the required scope: ${scope}`)));
+    }
+    next();
+  };
+}
+
+/**
+ * Admin authentication middleware for the management routes
+ * Accepts either the bootstrap key from ADMIN_API_KEY (access to every organization)
+ * or an organization-scoped admin token, and attaches req.admin = { organizationId },
+ * where organizationId is null for the bootstrap key.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function authenticateAdmin(req, res, next) {
+  try {
+    const token = extractBearerToken(req);
+
+    // Bootstrap key from the environment
+    const adminApiKey = process.env.ADMIN_API_KEY;
+    if (adminApiKey && secretsMatch(token, adminApiKey)) {
+      req.admin = { organizationId: null };
+      return next();
+    }
+
+    const tokenHash = hashToken(token);
+    const organizationId = await adminTokenDB.findOrganizationByTokenHash(tokenHash);
+    if (organizationId) {
+      req.admin = { organizationId };
+      return next();
+    }
+
+    // Project tokens are valid credentials, but not for management routes
+    const projectId = await tokenDB.findProjectByTokenHash(tokenHash);
+    if (projectId) {
+      throw authFailure('project_token_not_admin', new ForbiddenError('Project tokens cannot access management routes'));
+    }
+
+    throw authFailure('invalid_admin_token', new UnauthorizedError('Invalid admin token'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Bootstrap admin middleware (use after authenticateAdmin)
+ * Rejects organization-scoped admin tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function requireBootstrapAdmin(req, res, next) {
+  if (req.admin.organizationId !== null) {
+    return next(authFailure('not_bootstrap_admin', new ForbiddenError('This action requires the bootstrap admin key')));
+  }
+  next();
+}
+
+/**
+ * Project access middleware (use after authenticate)
+ * Ensures the :id route parameter is the project the token belongs to.
+ * Other projects are reported as not found so their existence is not revealed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function requireProjectAccess(req, res, next) {
+  if (req.params.id !== req.projectId) {
+    return next(authFailure('wrong_project', new NotFoundError(`Project with id ${req.params.id} does not exist`)));
+  }
+  next();
+}
+
+/**
+ * Active project middleware (use after authenticate on routes that record results)
+ * Rejects requests for archived projects with 403; their history stays readable.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function requireActiveProject(req, res, next) {
+  try {
+    const project = await projectDB.findById(req.projectId);
+    if (project && project.archived_at) {
+      throw new ForbiddenError(`Project ${project.id} is archived and does not accept new results`);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  authenticateAdmin,
+  requireBootstrapAdmin,
+  requireProjectAccess,
+  requireActiveProject
+};
@@ -33,12 +33,27 @@ function errorHandler(err, req, res, next) {
       case 401:
         errorCode = 'unauthorized';
         break;
+      case 403:
+        errorCode = 'forbidden';
+        break;
       case 404:
         errorCode = 'not_found';
         break;
       case 409:
         errorCode = 'conflict';
         break;
+      case 413:
+        errorCode = 'payload_too_large';
+        break;
+      case 415:
+        errorCode = 'unsupported_media_type';
+        break;
+      case 429:
+        errorCode = 'rate_limited';
+        break;
+      case 503:
+        errorCode = 'service_unavailable';
+        break;
       default:
         errorCode = 'error';
     }
@@ -47,6 +62,24 @@ function errorHandler(err, req, res, next) {
     statusCode = 400;
     errorCode = 'invalid_json';
     message = 'Invalid JSON in request body';
+  } else if (err.type === 'entity.too.large') {
+    // Handle bodies over the size limit of express.json()
+    statusCode = 413;
+    errorCode = 'payload_too_large';
+    message = `Request body must be at most ${err.limit} bytes`;
+  } else if (err.type === 'encoding.unsupported') {
+    statusCode = 415;
+    errorCode = 'unsupported_media_type';
+    message = `Unsupported Content-Encoding: ${err.encoding}`;
+  } else if (err.type === 'charset.unsupported') {
+    statusCode = 415;
+    errorCode = 'unsupported_media_type';
+    message = `Unsupported charset: ${err.charset}`;
+  } else if (err.status === 400 && typeof err.code === 'string' && err.code.startsWith('Z_')) {
+    // Handle gzip/deflate bodies that express.json() could not decompress
+    statusCode = 400;
+    errorCode = 'invalid_request';
+    message = 'Request body could not be decompressed';
   }
   
   // Log the error with full context
@@ -88,6 +121,11 @@ function errorHandler(err, req, res, next) {
     errorResponse.error.details = err.details;
   }
   
+  // Tell rate-limited clients when to retry
+  if (err.retryAfterSeconds) {
+    res.set('Retry-After', String(err.retryAfterSeconds));
+  }
+
   // Send error response
   res.status(statusCode).json(errorResponse);
 }
@@ -0,0 +1,129 @@
+const express = require('express');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('../utils/errors');
+
+// Default maximum size of an ingest body after decompression (50 MiB)
+const DEFAULT_INGEST_MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Accepted Content-Encoding values and the streams that decode them
+const CONTENT_DECODERS = {
+  identity: null,
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate()
+};
+
+/**
+ * Get the maximum size of an ingest body
+ * Configured with INGEST_MAX_BODY_BYTES, defaulting to 50 MiB. Compressed bodies are
+ * measured after decompression.
+ * @returns {number} - Maximum size in bytes
+ */
+function getIngestMaxBodyBytes() {
+  const configured = parseInt(process.env.INGEST_MAX_BODY_BYTES, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_INGEST_MAX_BODY_BYTES;
+}
+
+/**
+ * Build the error for a body over the size limit
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {PayloadTooLargeError} - Error
+ */
+function bodyTooLarge(maxBytes) {
+  return new PayloadTooLargeError(`Request body must be at most ${maxBytes} bytes`);
+}
+
+/**
+ * Stream a request body, decompressed and cut off at the size limit
+ * Once the stream is no longer read (it ended early, failed, or was not needed),
+ * the rest of the request is discarded so the response can still be sent.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} encoding - Content-Encoding of the body (a CONTENT_DECODERS key)
+ * @param {number} maxBytes - Maximum decompressed size in bytes
+ * @returns {Transform} - Readable stream of UTF-8 text chunks
+ */
+function createBodyStream(req, encoding, maxBytes) {
+  let received = 0;
+  const body = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        return callback(bodyTooLarge(maxBytes));
+      }
+      callback(null, chunk);
+    }
+  });
+  body.setEncoding('utf8');
+
+  const decoder = CONTENT_DECODERS[encoding] ? CONTENT_DECODERS[encoding]() : null;
+  if (decoder) {
+    decoder.on('error', () => body.destroy(new ValidationError('Request body could not be decompressed')));
+    req.pipe(decoder).pipe(body);
+  } else {
+    req.pipe(body);
+  }
+
+  req.on('close', () => {
+    if (!req.complete) {
+      body.destroy(new ValidationError('Request body was not fully received'));
+    }
+  });
+  body.on('close', () => {
+    if (!req.complete) {
+      req.unpipe();
+      req.resume();
+    }
+    if (decoder) {
+      decoder.destroy();
+    }
+  });
+  return body;
+}
+
+/**
+ * Ingest JSON body middleware
+ * Parses a JSON body of at most INGEST_MAX_BODY_BYTES into req.body, decompressing gzip
+ * and deflate bodies. Parse errors are mapped to HTTP errors by errorHandler.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function ingestJson(req, res, next) {
+  express.json({ limit: getIngestMaxBodyBytes() })(req, res, next);
+}
+
+/**
+ * Ingest report body middleware
+ * Exposes the body, JSON or not, as req.bodyStream, a stream of decompressed text that
+ * fails with PayloadTooLargeError past INGEST_MAX_BODY_BYTES, so large reports can be
+ * parsed as they arrive.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function ingestReportBody(req, res, next) {
+  const encoding = (req.get('Content-Encoding') || 'identity').trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(CONTENT_DECODERS, encoding)) {
+    return next(new UnsupportedMediaTypeError(`Unsupported Content-Encoding: ${encoding}`));
+  }
+
+  const maxBytes = getIngestMaxBodyBytes();
+  if (encoding === 'identity' && parseInt(req.get('Content-Length'), 10) > maxBytes) {
+    return next(bodyTooLarge(maxBytes));
+  }
+
+  req.bodyStream = createBodyStream(req, encoding, maxBytes);
+  // Discard whatever the handler did not read, e.g. after a validation error
+  res.on('close', () => req.bodyStream.destroy());
+  next();
+}
+
+module.exports = {
+  getIngestMaxBodyBytes,
+  ingestJson,
+  ingestReportBody
+};
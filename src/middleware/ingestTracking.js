@@ -0,0 +1,26 @@
+const healthService = require('../services/healthService');
+const { ServiceUnavailableError } = require('../utils/errors');
+
+/**
+ * Ingest tracking middleware
+ * Counts the request as an in-flight ingest until its response finishes or the
+ * connection closes, so shutdown can wait for it. Once shutdown has started,
+ * new ingests are refused with 503 so clients retry against another instance.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function trackIngest(req, res, next) {
+  if (healthService.isShuttingDown()) {
+    res.set('Connection', 'close');
+    return next(new ServiceUnavailableError('Server is shutting down'));
+  }
+
+  const finishIngest = healthService.beginIngest();
+  res.on('finish', finishIngest);
+  res.on('close', finishIngest);
+  next();
+}
+
+module.exports = { trackIngest };
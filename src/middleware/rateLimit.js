@@ -0,0 +1,58 @@
+const rateLimitService = require('../services/rateLimitService');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// How each rate limit scope is named in error messages
+const SCOPE_LABELS = {
+  token: 'token',
+  project: 'project',
+  ip: 'IP address'
+};
+
+/**
+ * Rate limit middleware (use after authenticate)
+ * Counts the request against the token, project and client IP buckets and sets
+ * X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset (seconds until the bucket
+ * is full again) from the bucket with the fewest requests left. Requests over a limit are
+ * rejected with TooManyRequestsError. If the store fails, the request is let through.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function rateLimit(req, res, next) {
+  let result;
+  try {
+    result = await rateLimitService.consumeRateLimits({
+      token: req.tokenId,
+      project: req.projectId,
+      ip: req.ip
+    });
+  } catch (error) {
+    logger.warn('Rate limit check failed', { request_id: req.requestId, error_message: error.message });
+    return next();
+  }
+
+  if (!result) {
+    return next();
+  }
+
+  res.set({
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+
+  if (!result.allowed) {
+    metrics.recordRateLimited(result.scope);
+    const retryAfterSeconds = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    return next(new TooManyRequestsError(
+      `Rate limit exceeded for this ${SCOPE_LABELS[result.scope]}; retry in ${retryAfterSeconds} seconds`,
+      retryAfterSeconds
+    ));
+  }
+  next();
+}
+
+module.exports = { rateLimit };
@@ -1,12 +1,41 @@
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Remember the path a router is mounted at, for routePattern
+ * Express resets req.baseUrl when an error leaves a router, so by the time the error
+ * handler responds only this copy still holds it. Mount ahead of each prefixed router.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function recordRouteBase(req, res, next) {
+  req.routeBaseUrl = req.baseUrl;
+  next();
+}
+
+/**
+ * Get the pattern of the route that handled a request (e.g. '/runs/:run_id')
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Route pattern, or null if no route matched
+ */
+function routePattern(req) {
+  if (!req.route) {
+    return null;
+  }
+  const baseUrl = req.baseUrl || req.routeBaseUrl || '';
+  return `${baseUrl}${req.route.path === '/' && baseUrl ? '' : req.route.path}`;
+}
+
 /**
  * Request logging middleware
  * Logs request method, path, timestamp at start
  * Logs response status, duration_ms at end
  * Uses structured JSON format
  * Includes project_id if authenticated
+ * Feeds the same timing into the HTTP request metrics, labelled by route pattern
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -76,7 +105,12 @@ function requestLogger(req, res, next) {
   // Also log on response finish event (catches cases where json/send aren't used)
   res.on('finish', logResponse);
   
+  // Label the request metrics with the route pattern once the response is sent
+  res.on('finish', () => {
+    metrics.observeHttpRequest(req.method, routePattern(req), res.statusCode, Date.now() - startTime);
+  });
+  
   next();
 }
 
-module.exports = { requestLogger };
+module.exports = { requestLogger, recordRouteBase };
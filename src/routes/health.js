@@ -0,0 +1,28 @@
+const express = require('express');
+const healthService = require('../services/healthService');
+
+const router = express.Router();
+
+/**
+ * GET /healthz
+ * Liveness: the process is running and serving HTTP (no authentication, no dependency checks)
+ */
+router.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok' });
+});
+
+/**
+ * GET /readyz
+ * Readiness: the database answers, migrations are current and the server is not shutting down
+ * Responds 503 with the failed checks when not ready (no authentication)
+ */
+router.get('/readyz', async (req, res, next) => {
+  try {
+    const { ready, checks } = await healthService.checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,68 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate, requireScope, requireActiveProject } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { trackIngest } = require('../middleware/ingestTracking');
+const { ingestJson, ingestReportBody } = require('../middleware/ingestBody');
 const ingestionService = require('../services/ingestionService');
+const { listFormats } = require('../services/parsers/registry');
+const metrics = require('../utils/metrics');
 const { ValidationError } = require('../utils/errors');
+const { parseLabelSelectors } = require('../utils/runMetadata');
+const { RUN_STATUSES, TEST_CASE_STATUSES, formatStatuses } = require('../utils/statuses');
 
 const router = express.Router();
 
+// Every ingest endpoint is drained on shutdown
+router.use(trackIngest);
+
+/**
+ * Validate run_id UUID format (after trimming)
+ * @param {string} value - Candidate run_id
+ * @returns {boolean} - True if valid, throws otherwise
+ */
+function validateRunId(value) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidRegex.test(value)) {
+    throw new Error('run_id must be a valid UUID');
+  }
+  return true;
+}
+
+/**
+ * Count runs that were refused because of the request (4xx), not because of a server fault
+ * @param {string} source - Ingestion source: 'json', 'batch', a report format, or 'report' for an undetected one
+ * @param {Error} error - Error the request failed with
+ * @param {number} [runCount=1] - Number of runs the request carried
+ */
+function recordRejection(source, error, runCount = 1) {
+  if (error.statusCode && error.statusCode < 500) {
+    metrics.recordIngestion(source, 'rejected', runCount);
+  }
+}
+
 /**
  * POST /ingest
- * Ingest test run results (requires authentication)
+ * Ingest test run results, optionally with per-test results (requires a token with the ingest:write scope)
  */
 router.post('/',
   authenticate, // Apply authentication middleware first
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestJson,
   [
     body('run_id')
       .trim()
       .notEmpty()
       .withMessage('run_id is required')
-      .custom((value) => {
-        // Validate UUID format after trimming
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-        if (!uuidRegex.test(value)) {
-          throw new Error('run_id must be a valid UUID');
-        }
-        return true;
-      }),
+      .custom(validateRunId),
     body('status')
       .trim()
       .notEmpty()
       .withMessage('status is required')
-      .isIn(['passed', 'failed'])
-      .withMessage('status must be "passed" or "failed"'),
+      .isIn(RUN_STATUSES)
+      .withMessage(`status must be ${formatStatuses(RUN_STATUSES)}`),
     body('duration_ms')
       .notEmpty()
       .withMessage('duration_ms is required')
@@ -41,7 +73,74 @@ router.post('/',
       .notEmpty()
       .withMessage('timestamp is required')
       .isISO8601({ strict: false })
-      .withMessage('timestamp must be a valid ISO 8601 date')
+      .withMessage('timestamp must be a valid ISO 8601 date'),
+    body('commit_sha')
+      .optional({ values: 'null' })
+      .isString()
+      .matches(/^[0-9a-f]{7,64}$/i)
+      .withMessage('commit_sha must be a hexadecimal git commit hash (7-64 characters)'),
+    body('branch')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('branch must be a non-empty string of at most 255 characters'),
+    body('ci_provider')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('ci_provider must be a non-empty string of at most 100 characters'),
+    body('build_url')
+      .optional({ values: 'null' })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('build_url must be an http or https URL'),
+    body('environment')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('environment must be a non-empty string of at most 100 characters'),
+    body('labels')
+      .optional({ values: 'null' })
+      .isObject({ strict: true })
+      .withMessage('labels must be an object of string values'),
+    body('failure_message')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('failure_message must be a string'),
+    body('stack_trace')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('stack_trace must be a string'),
+    body('shard_index')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('shard_index must be a positive integer'),
+    body('shard_total')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('shard_total must be a positive integer'),
+    body('tests')
+      .optional()
+      .isArray()
+      .withMessage('tests must be an array'),
+    body('tests.*.name')
+      .isString()
+      .withMessage('tests[].name must be a string')
+      .notEmpty()
+      .withMessage('tests[].name is required'),
+    body('tests.*.status')
+      .isIn(TEST_CASE_STATUSES)
+      .withMessage(`tests[].status must be ${formatStatuses(TEST_CASE_STATUSES)}`),
+    body('tests.*.duration_ms')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 })
+      .withMessage('tests[].duration_ms must be a non-negative integer'),
+    body('tests.*.attempts')
+      .optional({ values: 'null' })
+      .isArray({ min: 1, max: 100 })
+      .withMessage('tests[].attempts must be an array of 1 to 100 attempts'),
+    body('tests.*.attempts.*.status')
+      .isIn(TEST_CASE_STATUSES)
+      .withMessage(`tests[].attempts[].status must be ${formatStatuses(TEST_CASE_STATUSES)}`)
   ],
   async (req, res, next) => {
     try {
@@ -51,23 +150,254 @@ router.post('/',
         throw new ValidationError('Validation failed', errors.array());
       }
 
-      const { run_id, status, duration_ms, timestamp } = req.body;
+      const {
+        run_id, status, duration_ms, timestamp, tests,
+        commit_sha, branch, ci_provider, build_url, environment, labels,
+        failure_message, stack_trace, shard_index, shard_total
+      } = req.body;
       const projectId = req.projectId; // From authentication middleware
 
       // Call ingestion service
       const result = await ingestionService.ingestTestRun(projectId, run_id, {
         status,
         duration_ms,
-        timestamp
+        timestamp,
+        tests,
+        commit_sha,
+        branch,
+        ci_provider,
+        build_url,
+        environment,
+        labels,
+        failure_message,
+        stack_trace,
+        shard_index,
+        shard_total
       });
 
+      metrics.recordIngestion('json', result.created ? 'created' : 'duplicate');
+
       // Return 201 for new records, 200 for idempotent requests
       const statusCode = result.created ? 201 : 200;
       res.status(statusCode).json(result.testRun);
     } catch (error) {
+      recordRejection('json', error);
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /ingest/batch
+ * Ingest many test runs in one request and one transaction (requires a token with the ingest:write scope)
+ * Items are validated individually, so the response reports each run as created, duplicate or invalid
+ */
+router.post('/batch',
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestJson,
+  [
+    body('runs')
+      .isArray({ min: 1 })
+      .withMessage('runs must be a non-empty array')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const batch = await ingestionService.ingestBatch(req.projectId, req.body.runs);
+      metrics.recordIngestion('batch', 'created', batch.summary.created);
+      metrics.recordIngestion('batch', 'duplicate', batch.summary.duplicate);
+      metrics.recordIngestion('batch', 'rejected', batch.summary.invalid);
+      res.status(200).json(batch);
+    } catch (error) {
+      recordRejection('batch', error, Array.isArray(req.body.runs) ? req.body.runs.length : 1);
       next(error);
     }
   }
 );
 
+// Query parameters accepted by the report endpoints (the body is the report itself)
+const reportQueryValidators = [
+  query('run_id')
+    .trim()
+    .notEmpty()
+    .withMessage('run_id is required')
+    .custom(validateRunId),
+  query('timestamp')
+    .optional()
+    .trim()
+    .isISO8601({ strict: false })
+    .withMessage('timestamp must be a valid ISO 8601 date'),
+  query('commit_sha')
+    .optional()
+    .matches(/^[0-9a-f]{7,64}$/i)
+    .withMessage('commit_sha must be a hexadecimal git commit hash (7-64 characters)'),
+  query('build_url')
+    .optional()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('build_url must be an http or https URL'),
+  query('shard_index')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('shard_index must be a positive integer'),
+  query('shard_total')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('shard_total must be a positive integer')
+];
+
+/**
+ * Build report ingestion options from validated query parameters
+ * @param {Object} reqQuery - Request query (timestamp, commit_sha, branch, ci_provider, build_url,
+ *                            environment, label, shard_index, shard_total)
+ * @returns {Object} - Options for the ingestionService report functions
+ */
+function reportOptions(reqQuery) {
+  const { timestamp, commit_sha, branch, ci_provider, build_url, environment, label, shard_index, shard_total } = reqQuery;
+
+  return {
+    timestamp: timestamp ? new Date(timestamp).toISOString() : undefined,
+    commit_sha,
+    branch,
+    ci_provider,
+    build_url,
+    environment,
+    labels: parseLabelSelectors(label),
+    shard_index: shard_index === undefined ? undefined : parseInt(shard_index, 10),
+    shard_total: shard_total === undefined ? undefined : parseInt(shard_total, 10)
+  };
+}
+
+/**
+ * Require a raw XML body (streamed by ingestReportBody)
+ * @param {Object} req - Express request
+ * @throws {ValidationError} - If the body was not sent as XML
+ */
+function requireXmlBody(req) {
+  if (!req.is(['application/xml', 'text/xml'])) {
+    throw new ValidationError('Content-Type must be application/xml or text/xml');
+  }
+}
+
+/**
+ * Require a JSON body (streamed by ingestReportBody)
+ * @param {Object} req - Express request
+ * @throws {ValidationError} - If the body was not sent as JSON
+ */
+function requireJsonBody(req) {
+  if (!req.is('application/json')) {
+    throw new ValidationError('Content-Type must be application/json');
+  }
+}
+
+/**
+ * Create the handler of a report endpoint
+ * @param {string|null} format - Report format of the endpoint, or null to take it from the
+ *                               format query parameter or detect it from the report
+ * @param {Function} [checkBody] - (req) => void; throws ValidationError if the body has the wrong content type
+ * @returns {Function} - Express handler
+ */
+function reportHandler(format, checkBody) {
+  return async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      if (checkBody) {
+        checkBody(req);
+      }
+
+      const result = await ingestionService.ingestReport(req.projectId, req.query.run_id, req.bodyStream || req.body, {
+        ...reportOptions(req.query),
+        format: format || req.query.format,
+        content_type: req.get('Content-Type')
+      });
+
+      metrics.recordIngestion(result.format, result.created ? 'created' : 'duplicate');
+
+      const statusCode = result.created ? 201 : 200;
+      res.status(statusCode).json(result.testRun);
+    } catch (error) {
+      recordRejection(format || 'report', error);
+      next(error);
+    }
+  };
+}
+
+/**
+ * POST /ingest/junit
+ * Ingest a raw JUnit XML report as a test run (requires a token with the ingest:write scope)
+ * run_id (and optionally timestamp, commit_sha, branch, ci_provider, build_url, environment,
+ * label=key:value and shard_index/shard_total) are passed as query parameters
+ */
+router.post('/junit',
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestReportBody,
+  reportQueryValidators,
+  reportHandler('junit', requireXmlBody)
+);
+
+/**
+ * POST /ingest/jest
+ * Ingest a Jest JSON report (jest --json) as a test run (requires a token with the ingest:write scope)
+ * Takes the same query parameters as POST /ingest/junit
+ */
+router.post('/jest',
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestReportBody,
+  reportQueryValidators,
+  reportHandler('jest', requireJsonBody)
+);
+
+/**
+ * POST /ingest/mocha
+ * Ingest a Mocha JSON report (--reporter json) as a test run (requires a token with the ingest:write scope)
+ * Takes the same query parameters as POST /ingest/junit
+ */
+router.post('/mocha',
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestReportBody,
+  reportQueryValidators,
+  reportHandler('mocha', requireJsonBody)
+);
+
+/**
+ * POST /ingest/report
+ * Ingest a test report in any supported format as a test run (requires a token with the ingest:write scope)
+ * The format is detected from the report unless given as format; takes the same query parameters
+ * as POST /ingest/junit. The report is streamed to the parser of formats that read it as it arrives.
+ */
+router.post('/report',
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestReportBody,
+  [
+    ...reportQueryValidators,
+    query('format')
+      .optional()
+      .isIn(listFormats())
+      .withMessage(`format must be one of ${listFormats().join(', ')}`)
+  ],
+  reportHandler(null)
+);
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { registry } = require('../utils/metrics');
+
+const router = express.Router();
+
+/**
+ * GET /metrics
+ * Service metrics in the Prometheus text exposition format (no authentication, for scrapers)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const body = await registry.metrics();
+    res.set('Content-Type', registry.contentType);
+    res.send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateAdmin, requireBootstrapAdmin } = require('../middleware/auth');
 const orgService = require('../services/orgService');
+const projectService = require('../services/projectService');
+const tokenService = require('../services/tokenService');
 const { ConflictError, ValidationError } = require('../utils/errors');
 
 const router = express.Router();
 
 /**
  * POST /orgs
- * Create a new organization
+ * Create a new organization (requires the bootstrap admin key)
  */
 router.post('/',
+  authenticateAdmin,
+  requireBootstrapAdmin,
   [
     body('name')
       .trim()
@@ -49,4 +54,227 @@ router.post('/',
   }
 );
 
+/**
+ * GET /orgs
+ * List organizations, by name (an organization admin token only sees its own organization)
+ */
+router.get('/',
+  authenticateAdmin,
+  async (req, res, next) => {
+    try {
+      const orgs = await orgService.listOrganizations(req.admin.organizationId);
+      res.status(200).json({ data: orgs });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /orgs/:id
+ * Get an organization (requires the bootstrap admin key or an admin token of the organization)
+ */
+router.get('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const org = await orgService.getOrganization(req.params.id, req.admin.organizationId);
+      res.status(200).json(org);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /orgs/:id
+ * Rename an organization (requires the bootstrap admin key or an admin token of the organization)
+ */
+router.patch('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID'),
+    body('name')
+      .isString()
+      .withMessage('Organization name must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Organization name is required')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const org = await orgService.renameOrganization(req.params.id, req.body.name, req.admin.organizationId);
+      res.status(200).json(org);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /orgs/:id
+ * Delete an organization with its admin tokens, projects and everything recorded for them
+ * (requires the bootstrap admin key)
+ */
+router.delete('/:id',
+  authenticateAdmin,
+  requireBootstrapAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      await orgService.deleteOrganization(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /orgs/:id/projects
+ * List the projects of an organization, by name, optionally only archived (archived=true) or active (archived=false) ones
+ * (requires the bootstrap admin key or an admin token of the organization)
+ */
+router.get('/:id/projects',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID'),
+    query('archived')
+      .optional()
+      .isIn(['true', 'false'])
+      .withMessage('archived must be "true" or "false"')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const filters = {};
+      if (req.query.archived !== undefined) {
+        filters.archived = req.query.archived === 'true';
+      }
+      const projects = await projectService.listProjects(req.params.id, req.admin.organizationId, filters);
+      res.status(200).json({ data: projects });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /orgs/:id/admin-tokens
+ * Create an admin token scoped to an organization (requires the bootstrap admin key)
+ */
+router.post('/:id/admin-tokens',
+  authenticateAdmin,
+  requireBootstrapAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const tokenData = await tokenService.createAdminToken(req.params.id);
+
+      // Return 201 with raw token and warning message
+      res.status(201).json(tokenData);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /orgs/:id/admin-tokens
+ * List the admin tokens of an organization, newest first, without their values
+ * (requires the bootstrap admin key or an admin token of the organization)
+ */
+router.get('/:id/admin-tokens',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const adminTokens = await tokenService.listAdminTokens(req.params.id, req.admin.organizationId);
+      res.status(200).json({ data: adminTokens });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /orgs/:id/admin-tokens/:token_id
+ * Revoke an admin token of an organization (requires the bootstrap admin key)
+ */
+router.delete('/:id/admin-tokens/:token_id',
+  authenticateAdmin,
+  requireBootstrapAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Organization ID must be a valid UUID'),
+    param('token_id')
+      .isUUID()
+      .withMessage('Admin token ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const adminToken = await tokenService.revokeAdminToken(req.params.id, req.params.token_id);
+      res.status(200).json(adminToken);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
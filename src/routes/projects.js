@@ -1,15 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, requireScope, authenticateAdmin, requireProjectAccess } = require('../middleware/auth');
 const projectService = require('../services/projectService');
+const analyticsService = require('../services/analyticsService');
+const webhookService = require('../services/webhookService');
 const { ValidationError } = require('../utils/errors');
+const { parseLabelSelectors } = require('../utils/runMetadata');
 
 const router = express.Router();
 
 /**
  * POST /projects
- * Create a new project
+ * Create a new project (requires the bootstrap admin key or an admin token of the organization)
  */
 router.post('/',
+  authenticateAdmin,
   [
     body('organization_id')
       .trim()
@@ -35,7 +40,7 @@ router.post('/',
       const { organization_id, name } = req.body;
 
       // Call project service (handles NotFoundError if org doesn't exist)
-      const project = await projectService.createProject(organization_id, name);
+      const project = await projectService.createProject(organization_id, name, req.admin.organizationId);
       
       // Return 201 with created project
       res.status(201).json(project);
@@ -45,4 +50,475 @@ router.post('/',
   }
 );
 
+/**
+ * GET /projects/:id
+ * Get a project (requires the bootstrap admin key or an admin token of its organization)
+ */
+router.get('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Project ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const project = await projectService.getProject(req.params.id, req.admin.organizationId);
+      res.status(200).json(project);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /projects/:id
+ * Rename a project and/or archive it (requires the bootstrap admin key or an admin token of its organization)
+ * Archived projects keep their runs and tokens but reject ingestion until unarchived
+ */
+router.patch('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Project ID must be a valid UUID'),
+    body('name')
+      .optional()
+      .isString()
+      .withMessage('Project name must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Project name must not be empty'),
+    body('archived')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('archived must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { name, archived } = req.body;
+      const project = await projectService.updateProject(req.params.id, { name, archived }, req.admin.organizationId);
+      res.status(200).json(project);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /projects/:id
+ * Delete a project with its runs, tokens, artifacts and webhooks
+ * (requires the bootstrap admin key or an admin token of its organization)
+ */
+router.delete('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Project ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      await projectService.deleteProject(req.params.id, req.admin.organizationId);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/stats
+ * Pass rate, run count and duration percentiles bucketed over a time window,
+ * optionally restricted by run metadata filters (requires a token of this project with the runs:read scope)
+ */
+router.get('/:id/stats',
+  authenticate,
+  requireScope('runs:read'),
+  requireProjectAccess,
+  [
+    query('bucket')
+      .optional()
+      .isIn(['hour', 'day', 'week'])
+      .withMessage('bucket must be "hour", "day" or "week"'),
+    query('from')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('to must be a valid ISO 8601 date')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { bucket, from, to, branch, commit_sha, ci_provider, environment, label } = req.query;
+      const stats = await analyticsService.getProjectStats(req.projectId, {
+        bucket,
+        from,
+        to,
+        branch,
+        commit_sha,
+        ci_provider,
+        environment,
+        labels: parseLabelSelectors(label)
+      });
+
+      res.status(200).json(stats);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/flaky
+ * Tests that flip between passing and failing, or pass and fail on the same commit,
+ * optionally restricted by run metadata filters (requires a token of this project with the runs:read scope)
+ */
+router.get('/:id/flaky',
+  authenticate,
+  requireScope('runs:read'),
+  requireProjectAccess,
+  [
+    query('from')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('to must be a valid ISO 8601 date'),
+    query('threshold')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('threshold must be a number between 0 and 1'),
+    query('min_runs')
+      .optional()
+      .isInt({ min: 2 })
+      .withMessage('min_runs must be an integer of at least 2'),
+    query('last')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('last must be an integer between 1 and 100')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { from, to, threshold, min_runs, last, branch, commit_sha, ci_provider, environment, label } = req.query;
+      const flaky = await analyticsService.getFlakyTests(req.projectId, {
+        from,
+        to,
+        branch,
+        commit_sha,
+        ci_provider,
+        environment,
+        labels: parseLabelSelectors(label),
+        threshold: threshold === undefined ? undefined : parseFloat(threshold),
+        min_runs: min_runs === undefined ? undefined : parseInt(min_runs, 10),
+        last: last === undefined ? undefined : parseInt(last, 10)
+      });
+
+      res.status(200).json(flaky);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/failures/groups
+ * Distinct failures grouped by error signature, with counts, affected tests and first/last seen,
+ * optionally restricted by run metadata filters (requires a token of this project with the runs:read scope)
+ */
+router.get('/:id/failures/groups',
+  authenticate,
+  requireScope('runs:read'),
+  requireProjectAccess,
+  [
+    query('from')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('to must be a valid ISO 8601 date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('limit must be an integer between 1 and 200')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { from, to, limit, branch, commit_sha, ci_provider, environment, label } = req.query;
+      const failures = await analyticsService.getFailureGroups(req.projectId, {
+        from,
+        to,
+        branch,
+        commit_sha,
+        ci_provider,
+        environment,
+        labels: parseLabelSelectors(label),
+        limit: limit === undefined ? undefined : parseInt(limit, 10)
+      });
+
+      res.status(200).json(failures);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /projects/:id/webhooks
+ * Subscribe a URL to events of the project; the response includes the signing secret,
+ * which is never shown again (requires a token of this project with the admin scope)
+ */
+router.post('/:id/webhooks',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    body('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http or https URL'),
+    body('events')
+      .isArray({ min: 1 })
+      .withMessage('events must be a non-empty array'),
+    body('events.*')
+      .isIn(webhookService.WEBHOOK_EVENTS)
+      .withMessage(`events[] must be one of ${webhookService.WEBHOOK_EVENTS.join(', ')}`)
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { url, events } = req.body;
+      const webhook = await webhookService.createWebhook(req.projectId, { url, events });
+      res.status(201).json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/webhooks
+ * List the project's webhooks, without their secrets (requires a token of this project with the admin scope)
+ */
+router.get('/:id/webhooks',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  async (req, res, next) => {
+    try {
+      const webhooks = await webhookService.listWebhooks(req.projectId);
+      res.status(200).json({ data: webhooks });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/webhooks/:webhook_id
+ * Get one webhook of the project (requires a token of this project with the admin scope)
+ */
+router.get('/:id/webhooks/:webhook_id',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    param('webhook_id')
+      .isUUID()
+      .withMessage('webhook_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const webhook = await webhookService.getWebhook(req.projectId, req.params.webhook_id);
+      res.status(200).json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /projects/:id/webhooks/:webhook_id
+ * Change a webhook's URL, events or active flag (requires a token of this project with the admin scope)
+ */
+router.patch('/:id/webhooks/:webhook_id',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    param('webhook_id')
+      .isUUID()
+      .withMessage('webhook_id must be a valid UUID'),
+    body('url')
+      .optional()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http or https URL'),
+    body('events')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('events must be a non-empty array'),
+    body('events.*')
+      .isIn(webhookService.WEBHOOK_EVENTS)
+      .withMessage(`events[] must be one of ${webhookService.WEBHOOK_EVENTS.join(', ')}`),
+    body('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('active must be a boolean')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { url, events, active } = req.body;
+      const webhook = await webhookService.updateWebhook(req.projectId, req.params.webhook_id, { url, events, active });
+      res.status(200).json(webhook);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /projects/:id/webhooks/:webhook_id
+ * Delete a webhook and its delivery log (requires a token of this project with the admin scope)
+ */
+router.delete('/:id/webhooks/:webhook_id',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    param('webhook_id')
+      .isUUID()
+      .withMessage('webhook_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      await webhookService.deleteWebhook(req.projectId, req.params.webhook_id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /projects/:id/webhooks/:webhook_id/deliveries
+ * The webhook's delivery log, newest first (requires a token of this project with the admin scope)
+ */
+router.get('/:id/webhooks/:webhook_id/deliveries',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    param('webhook_id')
+      .isUUID()
+      .withMessage('webhook_id must be a valid UUID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('limit must be an integer between 1 and 200')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { limit } = req.query;
+      const deliveries = await webhookService.listDeliveries(
+        req.projectId,
+        req.params.webhook_id,
+        limit === undefined ? undefined : parseInt(limit, 10)
+      );
+      res.status(200).json({ data: deliveries });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /projects/:id/webhooks/:webhook_id/deliveries/:delivery_id/redeliver
+ * Send a past delivery's payload again as a new delivery (requires a token of this project with the admin scope)
+ */
+router.post('/:id/webhooks/:webhook_id/deliveries/:delivery_id/redeliver',
+  authenticate,
+  requireScope('admin'),
+  requireProjectAccess,
+  [
+    param('webhook_id')
+      .isUUID()
+      .withMessage('webhook_id must be a valid UUID'),
+    param('delivery_id')
+      .isUUID()
+      .withMessage('delivery_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const delivery = await webhookService.redeliver(req.projectId, req.params.webhook_id, req.params.delivery_id);
+      res.status(202).json(delivery);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, requireScope, requireActiveProject } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { trackIngest } = require('../middleware/ingestTracking');
+const { artifactUpload } = require('../middleware/artifactUpload');
+const { ingestJson } = require('../middleware/ingestBody');
+const runService = require('../services/runService');
+const ingestionService = require('../services/ingestionService');
+const artifactService = require('../services/artifactService');
+const { ValidationError } = require('../utils/errors');
+const { parseLabelSelectors } = require('../utils/runMetadata');
+const { RUN_STATUSES, STORED_RUN_STATUSES, formatStatuses } = require('../utils/statuses');
+
+const router = express.Router();
+
+/**
+ * GET /runs
+ * List the authenticated project's test runs with cursor pagination (requires a token with the runs:read scope)
+ * Runs can be filtered by branch, commit_sha, ci_provider, environment and label=key:value (repeatable)
+ */
+router.get('/',
+  authenticate,
+  requireScope('runs:read'),
+  [
+    query('status')
+      .optional()
+      .isIn(STORED_RUN_STATUSES)
+      .withMessage(`status must be ${formatStatuses(STORED_RUN_STATUSES)}`),
+    query('from')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('from must be a valid ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('to must be a valid ISO 8601 date'),
+    query('sort')
+      .optional()
+      .isIn(['timestamp', 'duration_ms'])
+      .withMessage('sort must be "timestamp" or "duration_ms"'),
+    query('order')
+      .optional()
+      .isIn(['asc', 'desc'])
+      .withMessage('order must be "asc" or "desc"'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('limit must be an integer between 1 and 200'),
+    query('cursor')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('cursor must be a non-empty string')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { status, from, to, branch, commit_sha, ci_provider, environment, label, sort, order, limit, cursor } = req.query;
+
+      const page = await runService.listRuns(req.projectId, {
+        status,
+        from: from ? new Date(from).toISOString() : undefined,
+        to: to ? new Date(to).toISOString() : undefined,
+        branch,
+        commit_sha,
+        ci_provider,
+        environment,
+        labels: parseLabelSelectors(label),
+        sort,
+        order,
+        limit: limit === undefined ? undefined : parseInt(limit, 10),
+        cursor
+      });
+
+      res.status(200).json(page);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /runs/:run_id
+ * Get a single test run of the authenticated project, with its test cases (requires a token with the runs:read scope)
+ */
+router.get('/:run_id',
+  authenticate,
+  requireScope('runs:read'),
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const testRun = await runService.getRun(req.projectId, req.params.run_id);
+      res.status(200).json(testRun);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /runs/:run_id/start
+ * Start a test run that is finished later (requires a token with the ingest:write scope)
+ * The run is stored as in_progress with its start timestamp and metadata
+ */
+router.post('/:run_id/start',
+  trackIngest,
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestJson,
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID'),
+    body('timestamp')
+      .optional()
+      .isISO8601({ strict: false })
+      .withMessage('timestamp must be a valid ISO 8601 date')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { timestamp, commit_sha, branch, ci_provider, build_url, environment, labels } = req.body;
+
+      const result = await ingestionService.startTestRun(req.projectId, req.params.run_id, {
+        timestamp: timestamp ? new Date(timestamp).toISOString() : undefined,
+        commit_sha,
+        branch,
+        ci_provider,
+        build_url,
+        environment,
+        labels
+      });
+
+      // Return 201 for new runs, 200 if the run_id already exists
+      res.status(result.created ? 201 : 200).json(result.testRun);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /runs/:run_id/finish
+ * Record the final status and duration of a started run (requires a token with the ingest:write scope)
+ */
+router.post('/:run_id/finish',
+  trackIngest,
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  ingestJson,
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID'),
+    body('status')
+      .isIn(RUN_STATUSES)
+      .withMessage(`status must be ${formatStatuses(RUN_STATUSES)}`),
+    body('duration_ms')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 })
+      .withMessage('duration_ms must be a non-negative integer'),
+    body('failure_message')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('failure_message must be a string'),
+    body('stack_trace')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('stack_trace must be a string'),
+    body('tests')
+      .optional()
+      .isArray()
+      .withMessage('tests must be an array')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { status, duration_ms, tests, failure_message, stack_trace } = req.body;
+      const result = await ingestionService.finishTestRun(req.projectId, req.params.run_id, {
+        status,
+        duration_ms,
+        tests,
+        failure_message,
+        stack_trace
+      });
+
+      res.status(200).json(result.testRun);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /runs/:run_id/artifacts
+ * Attach a file to a run, or to one of its test cases (requires a token with the ingest:write scope)
+ * The body is multipart/form-data with the file in the `file` field and optional `name` and `test_case_id` fields
+ */
+router.post('/:run_id/artifacts',
+  trackIngest,
+  authenticate,
+  rateLimit,
+  requireScope('ingest:write'),
+  requireActiveProject,
+  artifactUpload,
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID'),
+    body('name')
+      .optional()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('name must be a non-empty string of at most 255 characters'),
+    body('test_case_id')
+      .optional()
+      .isUUID()
+      .withMessage('test_case_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const artifact = await artifactService.uploadArtifact(req.projectId, req.params.run_id, req.file, {
+        name: req.body.name,
+        test_case_id: req.body.test_case_id
+      });
+
+      res.status(201).json(artifact);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /runs/:run_id/artifacts
+ * List the artifacts of a run of the authenticated project (requires a token with the runs:read scope)
+ */
+router.get('/:run_id/artifacts',
+  authenticate,
+  requireScope('runs:read'),
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const artifacts = await artifactService.listArtifacts(req.projectId, req.params.run_id);
+      res.status(200).json({ data: artifacts });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /runs/:run_id/artifacts/:artifact_id
+ * Download an artifact of a run of the authenticated project (requires a token with the runs:read scope)
+ * Artifacts are always served as attachments so uploaded HTML is never rendered by the browser
+ */
+router.get('/:run_id/artifacts/:artifact_id',
+  authenticate,
+  requireScope('runs:read'),
+  [
+    param('run_id')
+      .isUUID()
+      .withMessage('run_id must be a valid UUID'),
+    param('artifact_id')
+      .isUUID()
+      .withMessage('artifact_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { artifact, stream } = await artifactService.openArtifact(req.projectId, req.params.run_id, req.params.artifact_id);
+
+      // setHeader keeps the stored content type exactly (res.set would append a charset)
+      res.attachment(artifact.name);
+      res.setHeader('Content-Type', artifact.content_type);
+      res.setHeader('Content-Length', String(artifact.size_bytes));
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      stream.on('error', next);
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateAdmin } = require('../middleware/auth');
 const tokenService = require('../services/tokenService');
 const { ValidationError } = require('../utils/errors');
 
@@ -7,16 +8,35 @@ const router = express.Router();
 
 /**
  * POST /tokens
- * Create a new API token for a project
+ * Create a new API token for a project (requires the bootstrap admin key or an admin token of the project's organization)
  */
 router.post('/',
+  authenticateAdmin,
   [
     body('project_id')
       .trim()
       .notEmpty()
       .withMessage('Project ID is required')
       .isString()
-      .withMessage('Project ID must be a string')
+      .withMessage('Project ID must be a string'),
+    body('label')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('label must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('label must be between 1 and 100 characters'),
+    body('expires_at')
+      .optional({ values: 'null' })
+      .isISO8601({ strict: true })
+      .withMessage('expires_at must be a valid ISO 8601 date'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('scopes must be a non-empty array'),
+    body('scopes.*')
+      .isIn(['ingest:write', 'runs:read', 'admin'])
+      .withMessage('scopes must only contain "ingest:write", "runs:read" or "admin"')
   ],
   async (req, res, next) => {
     try {
@@ -26,10 +46,10 @@ router.post('/',
         throw new ValidationError('Validation failed', errors.array());
       }
 
-      const { project_id } = req.body;
+      const { project_id, label, expires_at, scopes } = req.body;
 
       // Call token service (handles NotFoundError if project doesn't exist)
-      const tokenData = await tokenService.createToken(project_id);
+      const tokenData = await tokenService.createToken(project_id, { label, expires_at, scopes }, req.admin.organizationId);
       
       // Return 201 with raw token and warning message
       res.status(201).json(tokenData);
@@ -39,4 +59,98 @@ router.post('/',
   }
 );
 
+/**
+ * GET /tokens?project_id=
+ * List a project's tokens without their secret values (requires admin credentials for the project's organization)
+ */
+router.get('/',
+  authenticateAdmin,
+  [
+    query('project_id')
+      .notEmpty()
+      .withMessage('project_id query parameter is required')
+      .isUUID()
+      .withMessage('project_id must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const tokens = await tokenService.listTokens(req.query.project_id, req.admin.organizationId);
+      res.status(200).json({ data: tokens });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /tokens/:id
+ * Revoke a token immediately (requires admin credentials for the token's organization)
+ */
+router.delete('/:id',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Token ID must be a valid UUID')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const token = await tokenService.revokeToken(req.params.id, req.admin.organizationId);
+      res.status(200).json(token);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /tokens/:id/rotate
+ * Issue a replacement token; the old one keeps working for a grace period
+ * (requires admin credentials for the token's organization)
+ */
+router.post('/:id/rotate',
+  authenticateAdmin,
+  [
+    param('id')
+      .isUUID()
+      .withMessage('Token ID must be a valid UUID'),
+    body('grace_period_seconds')
+      .optional()
+      .isInt({ min: 0, max: 7 * 24 * 60 * 60 })
+      .withMessage('grace_period_seconds must be an integer between 0 and 604800'),
+    body('expires_at')
+      .optional({ values: 'null' })
+      .isISO8601({ strict: true })
+      .withMessage('expires_at must be a valid ISO 8601 date')
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const { grace_period_seconds, expires_at } = req.body;
+      const tokenData = await tokenService.rotateToken(req.params.id, {
+        grace_period_seconds: grace_period_seconds === undefined ? undefined : Number(grace_period_seconds),
+        expires_at
+      }, req.admin.organizationId);
+
+      res.status(201).json(tokenData);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
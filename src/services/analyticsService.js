@@ -0,0 +1,361 @@
+const analyticsDB = require('../db/analyticsDB');
+const { ValidationError } = require('../utils/errors');
+const { normalizeRunFilters } = require('../utils/runMetadata');
+const { FINISHED_RUN_STATUSES, FAILING_STATUSES, NO_VERDICT_STATUSES } = require('../utils/statuses');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Bucket widths in milliseconds (UTC, so every bucket has a fixed width)
+const BUCKET_SIZES = {
+  hour: HOUR_MS,
+  day: DAY_MS,
+  week: 7 * DAY_MS
+};
+
+const DEFAULT_WINDOW_MS = 30 * DAY_MS;
+const MAX_BUCKETS = 2000;
+
+const DEFAULT_FLAKY_WINDOW_MS = 14 * DAY_MS;
+const DEFAULT_FLAKY_THRESHOLD = 0.2;
+const DEFAULT_FLAKY_MIN_RUNS = 5;
+const DEFAULT_LAST_OUTCOMES = 10;
+
+const DEFAULT_FAILURE_WINDOW_MS = 14 * DAY_MS;
+const DEFAULT_FAILURE_GROUP_LIMIT = 50;
+const MAX_FAILURE_GROUP_LIMIT = 200;
+
+/**
+ * Resolve an optional [from, to) window, defaulting to the given length ending now
+ * @param {Object} options - Object with optional from/to ISO 8601 strings
+ * @param {number} defaultWindowMs - Window length used when from is omitted
+ * @returns {Object} - { from, to } as Date objects
+ * @throws {ValidationError} - If the dates are invalid or from is not before to
+ */
+function resolveWindow(options, defaultWindowMs) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - defaultWindowMs);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new ValidationError('from and to must be valid ISO 8601 dates');
+  }
+  if (from >= to) {
+    throw new ValidationError('from must be earlier than to');
+  }
+  return { from, to };
+}
+
+/**
+ * Truncate a date to the start of its UTC bucket (weeks start on Monday)
+ * Must agree with the bucket expressions in analyticsDB.
+ * @param {Date} date - Date to truncate
+ * @param {string} bucket - 'hour', 'day' or 'week'
+ * @returns {Date} - Start of the bucket containing date
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(date.getTime());
+  start.setUTCMinutes(0, 0, 0);
+  if (bucket === 'hour') {
+    return start;
+  }
+  start.setUTCHours(0);
+  if (bucket === 'week') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  }
+  return start;
+}
+
+/**
+ * Shape an aggregate row into the public stats format
+ * The pass rate only counts runs with a verdict: skipped, cancelled and abandoned runs are left out.
+ * @param {Object|undefined} row - Row from analyticsDB.getRunStats, or undefined for an empty bucket
+ * @returns {Object} - { run_count, <status>_count for each finished run status, pass_rate, duration_ms }
+ */
+function formatStats(row) {
+  const stats = { run_count: row ? row.run_count : 0 };
+  for (const status of FINISHED_RUN_STATUSES) {
+    stats[`${status}_count`] = row ? row[`${status}_count`] : 0;
+  }
+  const verdictCount = NO_VERDICT_STATUSES.reduce((count, status) => count - stats[`${status}_count`], stats.run_count);
+
+  return {
+    ...stats,
+    pass_rate: verdictCount > 0 ? stats.passed_count / verdictCount : null,
+    duration_ms: {
+      p50: row ? row.p50 : null,
+      p90: row ? row.p90 : null,
+      p99: row ? row.p99 : null
+    }
+  };
+}
+
+/**
+ * Compute pass rate, run count and duration percentiles for a project,
+ * bucketed over a time window using each run's reported timestamp
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Stats options
+ * @param {string} [options.bucket='day'] - 'hour', 'day' or 'week'
+ * @param {string} [options.from] - Inclusive window start (ISO 8601), defaults to 30 days before to
+ * @param {string} [options.to] - Exclusive window end (ISO 8601), defaults to now
+ * @param {string} [options.branch] - Only count runs of this branch (likewise commit_sha, ci_provider, environment)
+ * @param {Object} [options.labels] - Only count runs carrying all of these labels
+ * @returns {Promise<Object>} - { project_id, bucket, from, to, summary, buckets }
+ * @throws {ValidationError} - If the bucket or window is invalid
+ */
+async function getProjectStats(projectId, options = {}) {
+  const bucket = options.bucket || 'day';
+  if (!BUCKET_SIZES[bucket]) {
+    throw new ValidationError('bucket must be "hour", "day" or "week"');
+  }
+
+  const { from, to } = resolveWindow(options, DEFAULT_WINDOW_MS);
+  const filters = normalizeRunFilters(options);
+
+  const firstBucket = bucketStart(from, bucket);
+  const bucketCount = Math.ceil((to.getTime() - firstBucket.getTime()) / BUCKET_SIZES[bucket]);
+  if (bucketCount > MAX_BUCKETS) {
+    throw new ValidationError(`Time window spans more than ${MAX_BUCKETS} ${bucket} buckets; use a larger bucket or a shorter window`);
+  }
+
+  const range = { from: from.toISOString(), to: to.toISOString() };
+  const [bucketRows, summaryRows] = await Promise.all([
+    analyticsDB.getRunStats(projectId, { ...range, bucket, filters }),
+    analyticsDB.getRunStats(projectId, { ...range, bucket: null, filters })
+  ]);
+
+  // Zero-fill so every bucket in the window is present
+  const rowsByBucket = new Map(bucketRows.map(row => [row.bucket, row]));
+  const buckets = [];
+  for (let i = 0; i < bucketCount; i++) {
+    const start = new Date(firstBucket.getTime() + i * BUCKET_SIZES[bucket]).toISOString();
+    buckets.push({ start, ...formatStats(rowsByBucket.get(start)) });
+  }
+
+  return {
+    project_id: projectId,
+    bucket,
+    from: range.from,
+    to: range.to,
+    summary: formatStats(summaryRows[0]),
+    buckets
+  };
+}
+
+/**
+ * Summarize the pass/fail history of a single test and decide whether it is flaky
+ * Errored and timed-out outcomes count as failures; a pass that needed more than
+ * one attempt counts as a pass after retry.
+ * @param {Array} outcomes - The test's outcomes with a verdict, oldest first
+ * @param {Object} options - { threshold, minRuns, last }
+ * @returns {Object} - Flakiness summary including the flaky verdict
+ */
+function analyzeTestHistory(outcomes, options) {
+  let flips = 0;
+  for (let i = 1; i < outcomes.length; i++) {
+    if ((outcomes[i].status === 'passed') !== (outcomes[i - 1].status === 'passed')) {
+      flips++;
+    }
+  }
+
+  // Commits on which the same test both passed and failed
+  const verdictsByCommit = new Map();
+  for (const outcome of outcomes) {
+    if (!outcome.commit_sha) continue;
+    if (!verdictsByCommit.has(outcome.commit_sha)) {
+      verdictsByCommit.set(outcome.commit_sha, new Set());
+    }
+    verdictsByCommit.get(outcome.commit_sha).add(outcome.status === 'passed');
+  }
+  const conflictingCommits = [...verdictsByCommit.entries()]
+    .filter(([, verdicts]) => verdicts.size > 1)
+    .map(([commitSha]) => commitSha);
+
+  const score = outcomes.length > 1 ? flips / (outcomes.length - 1) : 0;
+  const flipsOften = outcomes.length >= options.minRuns && score >= options.threshold;
+
+  const passes = outcomes.filter(o => o.status === 'passed');
+  const passedAfterRetryCount = passes.filter(o => o.attempt_count > 1).length;
+
+  return {
+    flaky: conflictingCommits.length > 0 || flipsOften || passedAfterRetryCount > 0,
+    score,
+    flips,
+    run_count: outcomes.length,
+    passed_count: passes.length,
+    passed_first_try_count: passes.length - passedAfterRetryCount,
+    passed_after_retry_count: passedAfterRetryCount,
+    failed_count: outcomes.filter(o => FAILING_STATUSES.includes(o.status)).length,
+    conflicting_commits: conflictingCommits,
+    last_outcomes: outcomes.slice(-options.last).reverse().map(o => ({
+      run_id: o.run_id,
+      status: o.status,
+      attempt_count: o.attempt_count,
+      timestamp: o.timestamp,
+      commit_sha: o.commit_sha
+    })),
+    first_seen: outcomes[0].timestamp,
+    last_seen: outcomes[outcomes.length - 1].timestamp
+  };
+}
+
+/**
+ * Find a project's flaky tests within a rolling window
+ * A test is flaky if it only passed after a retry, if it both passed and failed
+ * on the same commit, or if its outcome flips between consecutive runs at least
+ * `threshold` of the time (over at least `min_runs` runs). Errored and timed-out
+ * outcomes count as failures; skipped and cancelled outcomes are ignored.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Detection options
+ * @param {string} [options.from] - Inclusive window start (ISO 8601), defaults to 14 days before to
+ * @param {string} [options.to] - Exclusive window end (ISO 8601), defaults to now
+ * @param {number} [options.threshold=0.2] - Minimum flip rate (0-1) to flag a test
+ * @param {number} [options.min_runs=5] - Minimum runs before the flip rate is considered
+ * @param {number} [options.last=10] - Number of most recent outcomes to return per test
+ * @param {string} [options.branch] - Only consider runs of this branch (likewise commit_sha, ci_provider, environment)
+ * @param {Object} [options.labels] - Only consider runs carrying all of these labels
+ * @returns {Promise<Object>} - { project_id, from, to, tests } sorted by score, highest first, then by
+ *   conflicting commits and passes after retry
+ * @throws {ValidationError} - If the window or options are invalid
+ */
+async function getFlakyTests(projectId, options = {}) {
+  const { from, to } = resolveWindow(options, DEFAULT_FLAKY_WINDOW_MS);
+  const analysisOptions = {
+    threshold: options.threshold === undefined ? DEFAULT_FLAKY_THRESHOLD : options.threshold,
+    minRuns: options.min_runs === undefined ? DEFAULT_FLAKY_MIN_RUNS : options.min_runs,
+    last: options.last === undefined ? DEFAULT_LAST_OUTCOMES : options.last
+  };
+
+  if (typeof analysisOptions.threshold !== 'number' || analysisOptions.threshold < 0 || analysisOptions.threshold > 1) {
+    throw new ValidationError('threshold must be a number between 0 and 1');
+  }
+  if (!Number.isInteger(analysisOptions.minRuns) || analysisOptions.minRuns < 2) {
+    throw new ValidationError('min_runs must be an integer of at least 2');
+  }
+  if (!Number.isInteger(analysisOptions.last) || analysisOptions.last < 1 || analysisOptions.last > 100) {
+    throw new ValidationError('last must be an integer between 1 and 100');
+  }
+
+  const filters = normalizeRunFilters(options);
+
+  const rows = await analyticsDB.getTestOutcomes(projectId, {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    filters
+  });
+
+  // Group outcomes per test, identified by suite and name
+  const histories = new Map();
+  for (const row of rows) {
+    if (NO_VERDICT_STATUSES.includes(row.status)) continue;
+    const key = `${row.suite_name || ''}\u0000${row.name}`;
+    if (!histories.has(key)) {
+      histories.set(key, { suite_name: row.suite_name, name: row.name, file: row.file, outcomes: [] });
+    }
+    const history = histories.get(key);
+    history.file = history.file || row.file;
+    history.outcomes.push(row);
+  }
+
+  const tests = [];
+  for (const history of histories.values()) {
+    const { flaky, ...summary } = analyzeTestHistory(history.outcomes, analysisOptions);
+    if (flaky) {
+      tests.push({ suite_name: history.suite_name, name: history.name, file: history.file, ...summary });
+    }
+  }
+
+  tests.sort((a, b) => b.score - a.score ||
+    b.conflicting_commits.length - a.conflicting_commits.length ||
+    b.passed_after_retry_count - a.passed_after_retry_count);
+
+  return {
+    project_id: projectId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    tests
+  };
+}
+
+/**
+ * Group a project's failures by error signature within a rolling window
+ * Each group lists how often the failure occurred, in how many runs, which tests it
+ * affected and when it was first and last seen. Run-level failures count towards
+ * their group without adding an affected test.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Grouping options
+ * @param {string} [options.from] - Inclusive window start (ISO 8601), defaults to 14 days before to
+ * @param {string} [options.to] - Exclusive window end (ISO 8601), defaults to now
+ * @param {number} [options.limit=50] - Maximum number of groups to return (1-200)
+ * @param {string} [options.branch] - Only consider runs of this branch (likewise commit_sha, ci_provider, environment)
+ * @param {Object} [options.labels] - Only consider runs carrying all of these labels
+ * @returns {Promise<Object>} - { project_id, from, to, groups } sorted by occurrence count, highest first
+ * @throws {ValidationError} - If the window or options are invalid
+ */
+async function getFailureGroups(projectId, options = {}) {
+  const { from, to } = resolveWindow(options, DEFAULT_FAILURE_WINDOW_MS);
+  const limit = options.limit === undefined ? DEFAULT_FAILURE_GROUP_LIMIT : options.limit;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FAILURE_GROUP_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_FAILURE_GROUP_LIMIT}`);
+  }
+
+  const rows = await analyticsDB.getFailureOccurrences(projectId, {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    filters: normalizeRunFilters(options)
+  });
+
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.error_signature)) {
+      groups.set(row.error_signature, {
+        signature: row.error_signature,
+        occurrence_count: 0,
+        runs: new Set(),
+        tests: new Map(),
+        first_seen: row.timestamp
+      });
+    }
+    const group = groups.get(row.error_signature);
+    group.occurrence_count++;
+    group.runs.add(row.run_id);
+    group.failure_message = row.failure_message;
+    group.last_seen = row.timestamp;
+
+    if (row.name !== null) {
+      const key = `${row.suite_name || ''}\u0000${row.name}`;
+      if (!group.tests.has(key)) {
+        group.tests.set(key, { suite_name: row.suite_name, name: row.name, file: row.file, occurrence_count: 0 });
+      }
+      const test = group.tests.get(key);
+      test.file = test.file || row.file;
+      test.occurrence_count++;
+    }
+  }
+
+  const result = [...groups.values()]
+    .map(group => ({
+      signature: group.signature,
+      failure_message: group.failure_message,
+      occurrence_count: group.occurrence_count,
+      run_count: group.runs.size,
+      test_count: group.tests.size,
+      tests: [...group.tests.values()].sort((a, b) => b.occurrence_count - a.occurrence_count),
+      first_seen: group.first_seen,
+      last_seen: group.last_seen
+    }))
+    .sort((a, b) => b.occurrence_count - a.occurrence_count || b.last_seen.localeCompare(a.last_seen))
+    .slice(0, limit);
+
+  return {
+    project_id: projectId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    groups: result
+  };
+}
+
+module.exports = {
+  getProjectStats,
+  getFlakyTests,
+  getFailureGroups
+};
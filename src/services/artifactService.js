@@ -0,0 +1,244 @@
+const { v4: uuidv4, validate: isValidUUID } = require('uuid');
+const artifactDB = require('../db/artifactDB');
+const testRunDB = require('../db/testRunDB');
+const { withTransaction } = require('../db/database');
+const { getArtifactStorage } = require('./storage');
+const logger = require('../utils/logger');
+const {
+  ValidationError,
+  NotFoundError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} = require('../utils/errors');
+
+// Default maximum size of one artifact (50 MiB)
+const DEFAULT_ARTIFACT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Default total artifact size per project (1 GiB)
+const DEFAULT_ARTIFACT_QUOTA_BYTES = 1024 * 1024 * 1024;
+
+const MAX_ARTIFACT_NAME_LENGTH = 255;
+
+// Accepted content types; binary types must start with one of their file signatures
+const ARTIFACT_CONTENT_TYPES = {
+  'text/plain': null,
+  'text/html': null,
+  'text/csv': null,
+  'text/xml': null,
+  'application/xml': null,
+  'application/json': null,
+  'image/png': [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  'image/jpeg': [[0, [0xff, 0xd8, 0xff]]],
+  'image/gif': [[0, [0x47, 0x49, 0x46, 0x38]]],
+  'image/webp': [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]],
+  'video/webm': [[0, [0x1a, 0x45, 0xdf, 0xa3]]],
+  'video/mp4': [[4, [0x66, 0x74, 0x79, 0x70]]],
+  'application/zip': [[0, [0x50, 0x4b]]],
+  'application/gzip': [[0, [0x1f, 0x8b]]]
+};
+
+/**
+ * Read a positive integer byte limit from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Limit in bytes
+ */
+function getByteLimit(name, defaultValue) {
+  const configured = parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : defaultValue;
+}
+
+/**
+ * Get the maximum size of one artifact
+ * Configured with ARTIFACT_MAX_BYTES, defaulting to 50 MiB.
+ * @returns {number} - Maximum size in bytes
+ */
+function getArtifactMaxBytes() {
+  return getByteLimit('ARTIFACT_MAX_BYTES', DEFAULT_ARTIFACT_MAX_BYTES);
+}
+
+/**
+ * Get the total artifact size allowed per project
+ * Configured with ARTIFACT_QUOTA_BYTES, defaulting to 1 GiB.
+ * @returns {number} - Quota in bytes
+ */
+function getArtifactQuotaBytes() {
+  return getByteLimit('ARTIFACT_QUOTA_BYTES', DEFAULT_ARTIFACT_QUOTA_BYTES);
+}
+
+/**
+ * Check an upload's content type against the accepted types and its file signature
+ * @param {string} mimeType - Content type of the uploaded part, possibly with parameters
+ * @param {Buffer} data - File contents
+ * @returns {string} - Normalized content type (lowercase, without parameters)
+ * @throws {UnsupportedMediaTypeError} - If the type is not accepted or the contents do not match it
+ */
+function checkContentType(mimeType, data) {
+  const contentType = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(ARTIFACT_CONTENT_TYPES, contentType)) {
+    throw new UnsupportedMediaTypeError(
+      `Artifact content type must be one of ${Object.keys(ARTIFACT_CONTENT_TYPES).join(', ')}`
+    );
+  }
+
+  const signature = ARTIFACT_CONTENT_TYPES[contentType];
+  const matches = !signature || signature.every(([offset, bytes]) =>
+    bytes.every((byte, index) => data[offset + index] === byte));
+  if (!matches) {
+    throw new UnsupportedMediaTypeError(`Artifact contents are not ${contentType}`);
+  }
+
+  return contentType;
+}
+
+/**
+ * Convert a stored artifact into its API representation (the storage key stays internal)
+ * @param {Object} artifact - Artifact row
+ * @param {string} runId - Run ID the artifact belongs to
+ * @returns {Object} - Artifact metadata
+ */
+function toArtifactResponse(artifact, runId) {
+  const { storage_key: storageKey, ...metadata } = artifact;
+  return { ...metadata, run_id: runId };
+}
+
+/**
+ * Find a run of the project or fail
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID (UUID)
+ * @returns {Promise<Object>} - Test run
+ * @throws {NotFoundError} - If the run does not exist in this project
+ */
+async function findRun(projectId, runId) {
+  const testRun = await testRunDB.findByRunId(projectId, runId);
+  if (!testRun) {
+    throw new NotFoundError(`Test run with run_id ${runId} does not exist`);
+  }
+  return testRun;
+}
+
+/**
+ * Attach an uploaded file to a run, or to one of its test cases
+ * The file is written to storage first and recorded afterwards, so a failed
+ * quota check or insert removes the stored file again.
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} file - Uploaded file ({ originalname, mimetype, buffer, size })
+ * @param {Object} [options] - Upload options
+ * @param {string} [options.name] - File name, defaults to the uploaded file name
+ * @param {string} [options.test_case_id] - Test case of the run the file belongs to
+ * @returns {Promise<Object>} - Artifact metadata
+ * @throws {ValidationError} - If the file or options are invalid
+ * @throws {NotFoundError} - If the run or test case does not exist in this project
+ * @throws {PayloadTooLargeError} - If the file exceeds the size limit or the project quota
+ * @throws {UnsupportedMediaTypeError} - If the content type is not accepted
+ */
+async function uploadArtifact(projectId, runId, file, options = {}) {
+  if (!file) {
+    throw new ValidationError('file is required');
+  }
+
+  const name = options.name || file.originalname;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_ARTIFACT_NAME_LENGTH) {
+    throw new ValidationError(`name must be a non-empty string of at most ${MAX_ARTIFACT_NAME_LENGTH} characters`);
+  }
+  if (options.test_case_id !== undefined && options.test_case_id !== null && !isValidUUID(options.test_case_id)) {
+    throw new ValidationError('test_case_id must be a valid UUID');
+  }
+  if (file.size > getArtifactMaxBytes()) {
+    throw new PayloadTooLargeError(`Artifacts must be at most ${getArtifactMaxBytes()} bytes`);
+  }
+  const contentType = checkContentType(file.mimetype, file.buffer);
+
+  const testRun = await findRun(projectId, runId);
+  if (options.test_case_id && !(await testRunDB.findTestCaseById(testRun.id, options.test_case_id))) {
+    throw new NotFoundError(`Test case ${options.test_case_id} does not exist in run ${runId}`);
+  }
+
+  const storage = getArtifactStorage();
+  const id = uuidv4();
+  const storageKey = `${projectId}/${id}`;
+  await storage.save(storageKey, file.buffer);
+
+  try {
+    const artifact = await withTransaction(async () => {
+      const quota = getArtifactQuotaBytes();
+      const usage = await artifactDB.getProjectUsage(projectId);
+      if (usage + file.size > quota) {
+        throw new PayloadTooLargeError(`Artifact quota of ${quota} bytes exceeded (${usage} bytes in use)`);
+      }
+
+      return artifactDB.create({
+        id,
+        project_id: projectId,
+        test_run_id: testRun.id,
+        test_case_id: options.test_case_id || null,
+        name,
+        content_type: contentType,
+        size_bytes: file.size,
+        storage_key: storageKey
+      });
+    });
+    return toArtifactResponse(artifact, runId);
+  } catch (error) {
+    await storage.remove(storageKey);
+    throw error;
+  }
+}
+
+/**
+ * List the artifacts of a run
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @returns {Promise<Array>} - Artifact metadata, oldest first
+ * @throws {NotFoundError} - If the run does not exist in this project
+ */
+async function listArtifacts(projectId, runId) {
+  const testRun = await findRun(projectId, runId);
+  const artifacts = await artifactDB.findByTestRunId(testRun.id);
+  return artifacts.map(artifact => toArtifactResponse(artifact, runId));
+}
+
+/**
+ * Open an artifact of a run for download
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {string} artifactId - Artifact ID
+ * @returns {Promise<Object>} - { artifact, stream } with the artifact metadata and a stream of its contents
+ * @throws {NotFoundError} - If the run or artifact does not exist in this project
+ */
+async function openArtifact(projectId, runId, artifactId) {
+  const testRun = await findRun(projectId, runId);
+  const artifact = await artifactDB.findById(testRun.id, artifactId);
+  if (!artifact) {
+    throw new NotFoundError(`Artifact ${artifactId} does not exist in run ${runId}`);
+  }
+
+  const stream = await getArtifactStorage().createReadStream(artifact.storage_key);
+  return { artifact: toArtifactResponse(artifact, runId), stream };
+}
+
+/**
+ * Delete stored artifact files whose records have been deleted
+ * Failures are logged rather than thrown, since the records are already gone.
+ * @param {Array<string>} storageKeys - Storage keys
+ * @returns {Promise<void>}
+ */
+async function removeStoredArtifacts(storageKeys) {
+  const storage = getArtifactStorage();
+  for (const key of storageKeys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.warn('Failed to remove artifact from storage', { storage_key: key, error_message: error.message });
+    }
+  }
+}
+
+module.exports = {
+  getArtifactMaxBytes,
+  uploadArtifact,
+  listArtifacts,
+  openArtifact,
+  removeStoredArtifacts
+};
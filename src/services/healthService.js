@@ -0,0 +1,111 @@
+const { getDatabase } = require('../db/database');
+const { getStatus } = require('../db/migrator');
+const { createInFlightTracker } = require('../utils/inFlight');
+
+// Set once shutdown starts; readiness fails and new ingests are refused from then on
+let shuttingDown = false;
+
+// Ingest requests that have started but not yet responded
+const inFlightIngests = createInFlightTracker();
+
+/**
+ * Mark the server as shutting down
+ */
+function startShutdown() {
+  shuttingDown = true;
+}
+
+/**
+ * Check whether shutdown has started
+ * @returns {boolean} - True once startShutdown has been called
+ */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Register an ingest request as in flight
+ * @returns {Function} - Call when the request is done; further calls are ignored
+ */
+function beginIngest() {
+  return inFlightIngests.begin();
+}
+
+/**
+ * Get the number of ingest requests in flight
+ * @returns {number} - In-flight ingest count
+ */
+function getInFlightIngests() {
+  return inFlightIngests.count();
+}
+
+/**
+ * Wait until no ingest requests are in flight
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} - True if all ingests finished, false if the timeout passed first
+ */
+function drainIngests(timeoutMs) {
+  return inFlightIngests.drain(timeoutMs);
+}
+
+/**
+ * Run a trivial query on the database connection
+ * @returns {Promise<void>}
+ * @throws {Error} - If the database is not initialized or the query fails
+ */
+function pingDatabase() {
+  return new Promise((resolve, reject) => {
+    getDatabase().get('SELECT 1 AS ok', (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Check whether the server can serve traffic
+ * Checks that the database is initialized and answers a query, that every
+ * migration has been applied, and that the server is not shutting down.
+ * @returns {Promise<Object>} - { ready, checks } with { status: 'ok'|'failed', message? } per check
+ */
+async function checkReadiness() {
+  const checks = {};
+
+  try {
+    await pingDatabase();
+    checks.database = { status: 'ok' };
+  } catch (error) {
+    checks.database = { status: 'failed', message: error.message };
+  }
+
+  if (checks.database.status === 'ok') {
+    try {
+      const pending = (await getStatus(getDatabase())).filter(migration => migration.status === 'pending');
+      checks.migrations = pending.length === 0
+        ? { status: 'ok' }
+        : { status: 'failed', message: `Pending migrations: ${pending.map(m => `${m.version}_${m.name}`).join(', ')}` };
+    } catch (error) {
+      checks.migrations = { status: 'failed', message: error.message };
+    }
+  } else {
+    checks.migrations = { status: 'failed', message: 'Database is unavailable' };
+  }
+
+  checks.shutdown = shuttingDown
+    ? { status: 'failed', message: 'Server is shutting down' }
+    : { status: 'ok' };
+
+  const ready = Object.values(checks).every(check => check.status === 'ok');
+  return { ready, checks };
+}
+
+module.exports = {
+  startShutdown,
+  isShuttingDown,
+  beginIngest,
+  getInFlightIngests,
+  drainIngests,
+  checkReadiness
+};
@@ -1,5 +1,18 @@
 const testRunDB = require('../db/testRunDB');
-const { ValidationError } = require('../utils/errors');
+const { withTransaction, withSavepoint } = require('../db/database');
+const { parseReport, parseReportStream } = require('./parsers/registry');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { validateRunMetadata } = require('../utils/runMetadata');
+const {
+  RUN_STATUSES,
+  IN_PROGRESS_STATUS,
+  ABANDONED_STATUS,
+  TEST_CASE_STATUSES,
+  SHARD_STATUS_PRECEDENCE,
+  formatStatuses
+} = require('../utils/statuses');
 const { validate: isValidUUID } = require('uuid');
 
 /**
@@ -13,28 +26,162 @@ function isValidISO8601(timestamp) {
   return !isNaN(date.getTime()) && date.toISOString() === timestamp;
 }
 
+// Maximum number of attempts recorded for one test case
+const MAX_TEST_ATTEMPTS = 100;
+
 /**
- * Ingest a test run with validation and idempotency
- * @param {string} projectId - Project ID (from authentication)
+ * Validate the optional retry attempts of a test case
+ * Attempts are listed in the order they ran; the last one is the test's final outcome.
+ * @param {Object} test - Test case data with optional attempts
+ * @param {number} index - Position of the test case in tests, for error messages
+ * @throws {ValidationError} - If attempts is malformed or disagrees with the test's status
+ */
+function validateTestAttempts(test, index) {
+  const { attempts } = test;
+  if (attempts === undefined || attempts === null) {
+    return;
+  }
+
+  if (!Array.isArray(attempts) || attempts.length === 0 || attempts.length > MAX_TEST_ATTEMPTS) {
+    throw new ValidationError(`tests[${index}].attempts must be an array of 1 to ${MAX_TEST_ATTEMPTS} attempts`);
+  }
+
+  attempts.forEach((attempt, attemptIndex) => {
+    const path = `tests[${index}].attempts[${attemptIndex}]`;
+    if (!attempt || typeof attempt !== 'object' || Array.isArray(attempt)) {
+      throw new ValidationError(`${path} must be an object`);
+    }
+
+    if (!TEST_CASE_STATUSES.includes(attempt.status)) {
+      throw new ValidationError(`${path}.status must be ${formatStatuses(TEST_CASE_STATUSES)}`);
+    }
+
+    if (attempt.duration_ms !== undefined && attempt.duration_ms !== null &&
+        (typeof attempt.duration_ms !== 'number' || attempt.duration_ms < 0 || !Number.isInteger(attempt.duration_ms))) {
+      throw new ValidationError(`${path}.duration_ms must be a non-negative integer`);
+    }
+
+    if (attempt.failure_message !== undefined && attempt.failure_message !== null && typeof attempt.failure_message !== 'string') {
+      throw new ValidationError(`${path}.failure_message must be a string`);
+    }
+  });
+
+  if (attempts[attempts.length - 1].status !== test.status) {
+    throw new ValidationError(`tests[${index}].status must match the status of its last attempt`);
+  }
+}
+
+/**
+ * Validate optional per-test results
+ * @param {Array|undefined} tests - Test case data to validate
+ * @throws {ValidationError} - If tests is not an array or any entry is invalid
+ */
+function validateTestCases(tests) {
+  if (tests === undefined || tests === null) {
+    return;
+  }
+
+  if (!Array.isArray(tests)) {
+    throw new ValidationError('tests must be an array');
+  }
+
+  tests.forEach((test, index) => {
+    if (!test || typeof test !== 'object' || Array.isArray(test)) {
+      throw new ValidationError(`tests[${index}] must be an object`);
+    }
+
+    if (typeof test.name !== 'string' || test.name.trim() === '') {
+      throw new ValidationError(`tests[${index}].name is required and must be a non-empty string`);
+    }
+
+    if (!TEST_CASE_STATUSES.includes(test.status)) {
+      throw new ValidationError(`tests[${index}].status must be ${formatStatuses(TEST_CASE_STATUSES)}`);
+    }
+
+    if (test.duration_ms !== undefined && test.duration_ms !== null &&
+        (typeof test.duration_ms !== 'number' || test.duration_ms < 0 || !Number.isInteger(test.duration_ms))) {
+      throw new ValidationError(`tests[${index}].duration_ms must be a non-negative integer`);
+    }
+
+    for (const field of ['suite_name', 'file', 'failure_message', 'stack_trace']) {
+      if (test[field] !== undefined && test[field] !== null && typeof test[field] !== 'string') {
+        throw new ValidationError(`tests[${index}].${field} must be a string`);
+      }
+    }
+
+    validateTestAttempts(test, index);
+  });
+}
+
+/**
+ * Validate the optional failure details of a test run
+ * @param {Object} data - Test run data with optional failure_message and stack_trace
+ * @returns {Object} - { failure_message, stack_trace }, absent fields as null
+ * @throws {ValidationError} - If either field is not a string
+ */
+function validateFailureDetails(data) {
+  const failure = {};
+  for (const field of ['failure_message', 'stack_trace']) {
+    const value = data[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      throw new ValidationError(`${field} must be a string`);
+    }
+    failure[field] = value ?? null;
+  }
+  return failure;
+}
+
+// Maximum number of shards a run may be split into
+const MAX_SHARDS = 1000;
+
+/**
+ * Validate the optional shard of a test run
+ * @param {Object} data - Test run data with optional shard_index and shard_total
+ * @returns {Object|null} - { shard_index, shard_total }, or null for an unsharded run
+ * @throws {ValidationError} - If only one of the fields is given or either is out of range
+ */
+function validateShard(data) {
+  const { shard_index, shard_total } = data;
+  const hasIndex = shard_index !== undefined && shard_index !== null;
+  const hasTotal = shard_total !== undefined && shard_total !== null;
+
+  if (!hasIndex && !hasTotal) {
+    return null;
+  }
+  if (!hasIndex || !hasTotal) {
+    throw new ValidationError('shard_index and shard_total must be given together');
+  }
+  if (!Number.isInteger(shard_total) || shard_total < 1 || shard_total > MAX_SHARDS) {
+    throw new ValidationError(`shard_total must be an integer between 1 and ${MAX_SHARDS}`);
+  }
+  if (!Number.isInteger(shard_index) || shard_index < 1 || shard_index > shard_total) {
+    throw new ValidationError('shard_index must be an integer between 1 and shard_total');
+  }
+
+  return { shard_index, shard_total };
+}
+
+// Default maximum number of runs accepted by one batch request
+const DEFAULT_BATCH_MAX_RUNS = 100;
+
+/**
+ * Validate test run data and normalize it for storage
  * @param {string} runId - Run ID (UUID)
- * @param {Object} data - Test run data
- * @param {string} data.status - Test status ('passed' or 'failed')
- * @param {number} data.duration_ms - Test duration in milliseconds
- * @param {string} data.timestamp - ISO 8601 timestamp
- * @returns {Promise<Object>} - Object with testRun and created flag
+ * @param {Object} data - Test run data (see ingestTestRun)
+ * @returns {Object} - { status, duration_ms, timestamp, tests, metadata, failure, shard }
  * @throws {ValidationError} - If any input is invalid
  */
-async function ingestTestRun(projectId, runId, data) {
-  const { status, duration_ms, timestamp } = data;
+function validateTestRun(runId, data) {
+  const { status, duration_ms, timestamp, tests } = data;
 
   // Validate run_id is a valid UUID
   if (!runId || !isValidUUID(runId)) {
     throw new ValidationError('run_id must be a valid UUID');
   }
 
-  // Validate status is 'passed' or 'failed'
-  if (!status || !['passed', 'failed'].includes(status)) {
-    throw new ValidationError('status must be "passed" or "failed"');
+  // Validate status is a known run outcome
+  if (!status || !RUN_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be ${formatStatuses(RUN_STATUSES)}`);
   }
 
   // Validate duration_ms is a positive integer
@@ -47,18 +194,197 @@ async function ingestTestRun(projectId, runId, data) {
     throw new ValidationError('timestamp must be a valid ISO 8601 date string');
   }
 
+  // Validate optional CI metadata (branch, commit_sha, ci_provider, build_url, environment, labels)
+  const metadata = validateRunMetadata(data);
+
+  // Validate optional failure_message and stack_trace
+  const failure = validateFailureDetails(data);
+
+  // Validate optional shard_index/shard_total pair
+  const shard = validateShard(data);
+
+  // Validate optional per-test results
+  validateTestCases(tests);
+
+  return {
+    status,
+    duration_ms,
+    timestamp,
+    tests,
+    metadata,
+    failure,
+    shard
+  };
+}
+
+/**
+ * Insert a validated test run and its test cases (call inside a transaction)
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} run - Normalized run from validateTestRun
+ * @returns {Promise<Object>} - Created test run including its tests
+ */
+async function insertTestRun(projectId, runId, run) {
+  const created = await testRunDB.create(projectId, runId, run.status, run.duration_ms, run.timestamp, { ...run.metadata, ...run.failure });
+  created.tests = run.tests ? await testRunDB.createTestCases(created.id, run.tests) : [];
+  return created;
+}
+
+/**
+ * Fetch the stored run for a run_id that already exists (idempotency case)
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID (UUID)
+ * @returns {Promise<Object>} - Existing test run including its tests (and shards, for sharded runs)
+ */
+async function findExistingTestRun(projectId, runId) {
+  const existingTestRun = await testRunDB.findByRunId(projectId, runId);
+  if (!existingTestRun) {
+    throw new Error('Constraint violation but record not found');
+  }
+  existingTestRun.tests = await testRunDB.findTestCasesByTestRunId(existingTestRun.id);
+  if (existingTestRun.shard_total !== null) {
+    existingTestRun.shards = await testRunDB.findShardsByTestRunId(existingTestRun.id);
+  }
+  return existingTestRun;
+}
+
+/**
+ * Send the webhook events of a run that has just reached its final status
+ * Runs in the background after the ingest has committed, so a webhook problem
+ * never fails or slows down ingestion. Runs still in progress raise no events.
+ * @param {string} projectId - Project ID
+ * @param {Object} testRun - The run with its tests
+ */
+function notifyRunCompleted(projectId, testRun) {
+  if (!RUN_STATUSES.includes(testRun.status)) {
+    return;
+  }
+  webhookService.dispatchRunEvents(projectId, testRun).catch((error) => {
+    logger.error('Failed to dispatch webhook events', { run_id: testRun.run_id, error_message: error.message });
+  });
+}
+
+/**
+ * Aggregate the reported shards of a run into its overall outcome
+ * The run stays in progress (or abandoned) until every shard has reported; it then
+ * takes the most severe shard status. Duration is the wall-clock span from the
+ * earliest shard start to the latest shard end; compute duration is the sum.
+ * @param {Array<Object>} shards - Reported shards
+ * @param {number} shardTotal - Number of shards the run was split into
+ * @param {string} currentStatus - Stored status of the run
+ * @returns {Object} - { shard_total, status, duration_ms, compute_duration_ms, timestamp }
+ */
+function aggregateShards(shards, shardTotal, currentStatus) {
+  const starts = shards.map(shard => new Date(shard.timestamp).getTime());
+  const ends = shards.map((shard, index) => starts[index] + shard.duration_ms);
+  const firstStart = Math.min(...starts);
+
+  let status = currentStatus === ABANDONED_STATUS ? ABANDONED_STATUS : IN_PROGRESS_STATUS;
+  if (shards.length === shardTotal) {
+    status = SHARD_STATUS_PRECEDENCE.find(candidate => shards.some(shard => shard.status === candidate));
+  }
+
+  return {
+    shard_total: shardTotal,
+    status,
+    duration_ms: Math.max(...ends) - firstStart,
+    compute_duration_ms: shards.reduce((sum, shard) => sum + shard.duration_ms, 0),
+    timestamp: new Date(firstStart).toISOString()
+  };
+}
+
+/**
+ * Store one shard of a sharded run and update the run's aggregate (call inside a transaction)
+ * The first shard to report creates the run with its metadata; a run started with
+ * startTestRun becomes sharded when its first shard reports. Reporting a shard
+ * again returns the stored run.
+ * @param {string} projectId - Project ID
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} run - Normalized run from validateTestRun, with a shard
+ * @returns {Promise<Object>} - Object with testRun (including its tests and shards) and created flag
+ * @throws {ConflictError} - If the run_id belongs to an unsharded run or one with a different shard_total
+ */
+async function ingestShard(projectId, runId, run) {
+  const { shard_index, shard_total } = run.shard;
+
+  let testRun = await testRunDB.findByRunId(projectId, runId);
+  if (!testRun) {
+    testRun = await testRunDB.create(projectId, runId, IN_PROGRESS_STATUS, 0, run.timestamp, { ...run.metadata, shard_total });
+  } else if (testRun.shard_total !== shard_total) {
+    const startedUnsharded = testRun.shard_total === null && testRun.status === IN_PROGRESS_STATUS;
+    if (!startedUnsharded) {
+      throw new ConflictError(`Test run with run_id ${runId} was not ingested as a run of ${shard_total} shards`);
+    }
+  }
+
+  try {
+    await testRunDB.createShard(testRun.id, {
+      shard_index,
+      status: run.status,
+      duration_ms: run.duration_ms,
+      timestamp: run.timestamp
+    });
+  } catch (error) {
+    if (error.code !== 'UNIQUE_VIOLATION') {
+      throw error;
+    }
+    return { testRun: await findExistingTestRun(projectId, runId), created: false };
+  }
+
+  if (run.tests) {
+    await testRunDB.createTestCases(testRun.id, run.tests, shard_index);
+  }
+  const shards = await testRunDB.findShardsByTestRunId(testRun.id);
+  await testRunDB.updateShardAggregate(testRun.id, aggregateShards(shards, shard_total, testRun.status));
+
+  return { testRun: await findExistingTestRun(projectId, runId), created: true };
+}
+
+/**
+ * Ingest a test run with validation and idempotency
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} data - Test run data
+ * @param {string} data.status - Run outcome (one of RUN_STATUSES)
+ * @param {number} data.duration_ms - Test duration in milliseconds
+ * @param {string} data.timestamp - ISO 8601 timestamp
+ * @param {Array<Object>} [data.tests] - Optional per-test results
+ * @param {string} [data.commit_sha] - Optional commit the run tested
+ * @param {string} [data.branch] - Optional branch the run tested
+ * @param {string} [data.ci_provider] - Optional CI system that ran the tests
+ * @param {string} [data.build_url] - Optional link to the CI job
+ * @param {string} [data.environment] - Optional environment the tests ran against
+ * @param {Object} [data.labels] - Optional free-form string key/value pairs
+ * @param {string} [data.failure_message] - Optional reason the run failed (ignored for shards)
+ * @param {string} [data.stack_trace] - Optional stack trace of the run failure (ignored for shards)
+ * @param {number} [data.shard_index] - Optional shard number (1-based), together with shard_total
+ * @param {number} [data.shard_total] - Optional number of shards the run is split into
+ * @returns {Promise<Object>} - Object with testRun (including its tests) and created flag
+ * @throws {ValidationError} - If any input is invalid
+ * @throws {ConflictError} - If a shard is reported for a run_id that is not a run of shard_total shards
+ */
+async function ingestTestRun(projectId, runId, data) {
+  const run = validateTestRun(runId, data);
+
+  if (run.shard) {
+    const result = await withTransaction(() => ingestShard(projectId, runId, run));
+    // Only the last shard to report moves the run out of in_progress
+    if (result.created) {
+      notifyRunCompleted(projectId, result.testRun);
+    }
+    return result;
+  }
+
   try {
-    // Try to insert the test run
-    const testRun = await testRunDB.create(projectId, runId, status, duration_ms, timestamp);
+    // Insert the test run and its test cases atomically
+    const testRun = await withTransaction(() => insertTestRun(projectId, runId, run));
+    notifyRunCompleted(projectId, testRun);
     return { testRun, created: true };
   } catch (error) {
     // Check if it's a unique constraint violation (idempotency case)
     if (error.code === 'UNIQUE_VIOLATION') {
       // Fetch and return existing record
-      const existingTestRun = await testRunDB.findByRunId(projectId, runId);
-      if (!existingTestRun) {
-        throw new Error('Constraint violation but record not found');
-      }
+      const existingTestRun = await findExistingTestRun(projectId, runId);
       return { testRun: existingTestRun, created: false };
     }
     // Re-throw other errors
@@ -66,6 +392,286 @@ async function ingestTestRun(projectId, runId, data) {
   }
 }
 
+/**
+ * Get the maximum number of runs accepted by one batch request
+ * Configured with INGEST_BATCH_MAX_RUNS, defaulting to 100.
+ * @returns {number} - Maximum batch size
+ */
+function getBatchMaxRuns() {
+  const configured = parseInt(process.env.INGEST_BATCH_MAX_RUNS, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_BATCH_MAX_RUNS;
+}
+
+/**
+ * Ingest many test runs in a single transaction
+ * Each item is validated and inserted independently: invalid items and
+ * duplicate run_ids are reported per item without affecting the others.
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {Array<Object>} runs - Test run data, each with run_id plus the fields accepted by ingestTestRun
+ * @returns {Promise<Object>} - { summary: { created, duplicate, invalid }, results } with one result per item, in order
+ * @throws {ValidationError} - If runs is not a non-empty array within the batch limit
+ */
+async function ingestBatch(projectId, runs) {
+  if (!Array.isArray(runs) || runs.length === 0) {
+    throw new ValidationError('runs must be a non-empty array');
+  }
+
+  const maxRuns = getBatchMaxRuns();
+  if (runs.length > maxRuns) {
+    throw new ValidationError(`A batch may contain at most ${maxRuns} runs`);
+  }
+
+  const results = await withTransaction(async () => {
+    const itemResults = [];
+
+    for (let index = 0; index < runs.length; index++) {
+      const item = runs[index];
+      const runId = item && typeof item === 'object' ? item.run_id : undefined;
+
+      let run;
+      try {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+          throw new ValidationError('Each run must be an object');
+        }
+        run = validateTestRun(runId, item);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        itemResults.push({ index, run_id: runId === undefined ? null : runId, result: 'invalid', errors: [error.message] });
+        continue;
+      }
+
+      if (run.shard) {
+        try {
+          const { testRun, created } = await withSavepoint(() => ingestShard(projectId, runId, run));
+          itemResults.push({ index, run_id: runId, result: created ? 'created' : 'duplicate', test_run: testRun });
+        } catch (error) {
+          if (!(error instanceof ConflictError)) {
+            throw error;
+          }
+          itemResults.push({ index, run_id: runId, result: 'invalid', errors: [error.message] });
+        }
+        continue;
+      }
+
+      try {
+        // A savepoint per item keeps a failed item from leaving partial rows behind
+        const testRun = await withSavepoint(() => insertTestRun(projectId, runId, run));
+        itemResults.push({ index, run_id: runId, result: 'created', test_run: testRun });
+      } catch (error) {
+        if (error.code !== 'UNIQUE_VIOLATION') {
+          throw error;
+        }
+        const existingTestRun = await findExistingTestRun(projectId, runId);
+        itemResults.push({ index, run_id: runId, result: 'duplicate', test_run: existingTestRun });
+      }
+    }
+
+    return itemResults;
+  });
+
+  const summary = { created: 0, duplicate: 0, invalid: 0 };
+  for (const result of results) {
+    summary[result.result]++;
+    if (result.result === 'created') {
+      notifyRunCompleted(projectId, result.test_run);
+    }
+  }
+
+  return { summary, results };
+}
+
+// Default time after which a started run that never finished is marked abandoned
+const DEFAULT_RUN_ABANDON_TIMEOUT_SECONDS = 6 * 60 * 60;
+
+/**
+ * Start a test run that will be finished later with finishTestRun
+ * The run is stored as in_progress; starting the same run_id again returns the stored run.
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} [data] - Start data
+ * @param {string} [data.timestamp] - ISO 8601 start time, defaults to now
+ * @param {string} [data.commit_sha] - Optional run metadata, as accepted by ingestTestRun
+ * @returns {Promise<Object>} - Object with testRun and created flag
+ * @throws {ValidationError} - If any input is invalid
+ */
+async function startTestRun(projectId, runId, data = {}) {
+  if (!runId || !isValidUUID(runId)) {
+    throw new ValidationError('run_id must be a valid UUID');
+  }
+
+  const timestamp = data.timestamp === undefined ? new Date().toISOString() : data.timestamp;
+  if (!isValidISO8601(timestamp)) {
+    throw new ValidationError('timestamp must be a valid ISO 8601 date string');
+  }
+
+  const run = {
+    status: IN_PROGRESS_STATUS,
+    duration_ms: 0,
+    timestamp,
+    tests: null,
+    metadata: validateRunMetadata(data)
+  };
+
+  try {
+    const testRun = await withTransaction(() => insertTestRun(projectId, runId, run));
+    return { testRun, created: true };
+  } catch (error) {
+    if (error.code === 'UNIQUE_VIOLATION') {
+      const existingTestRun = await findExistingTestRun(projectId, runId);
+      return { testRun: existingTestRun, created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finish a run started with startTestRun, recording its final status and duration
+ * Finishing a run that has already finished returns the stored run unchanged.
+ * An abandoned run can still be finished.
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {Object} data - Finish data
+ * @param {string} data.status - Final run outcome (one of RUN_STATUSES)
+ * @param {number} [data.duration_ms] - Run duration, defaults to the time since the run's start timestamp
+ * @param {Array<Object>} [data.tests] - Optional per-test results
+ * @param {string} [data.failure_message] - Optional reason the run failed
+ * @param {string} [data.stack_trace] - Optional stack trace of the run failure
+ * @returns {Promise<Object>} - Object with testRun (including its tests) and finished flag
+ * @throws {ValidationError} - If any input is invalid
+ * @throws {NotFoundError} - If the run was never started or ingested
+ * @throws {ConflictError} - If the run is sharded
+ */
+async function finishTestRun(projectId, runId, data) {
+  const { status, duration_ms, tests } = data;
+
+  if (!runId || !isValidUUID(runId)) {
+    throw new ValidationError('run_id must be a valid UUID');
+  }
+  if (!status || !RUN_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be ${formatStatuses(RUN_STATUSES)}`);
+  }
+  if (duration_ms !== undefined && duration_ms !== null &&
+      (typeof duration_ms !== 'number' || duration_ms < 0 || !Number.isInteger(duration_ms))) {
+    throw new ValidationError('duration_ms must be a non-negative integer');
+  }
+  const failure = validateFailureDetails(data);
+  validateTestCases(tests);
+
+  const result = await withTransaction(async () => {
+    const testRun = await testRunDB.findByRunId(projectId, runId);
+    if (!testRun) {
+      throw new NotFoundError(`Test run with run_id ${runId} does not exist`);
+    }
+
+    if (testRun.status !== IN_PROGRESS_STATUS && testRun.status !== ABANDONED_STATUS) {
+      testRun.tests = await testRunDB.findTestCasesByTestRunId(testRun.id);
+      return { testRun, finished: false };
+    }
+    if (testRun.shard_total !== null) {
+      throw new ConflictError('A sharded run finishes when all of its shards have reported');
+    }
+
+    const durationMs = duration_ms === undefined || duration_ms === null
+      ? Math.max(0, Date.now() - new Date(testRun.timestamp).getTime())
+      : duration_ms;
+
+    await testRunDB.finish(testRun.id, status, durationMs, failure);
+    const createdTests = tests ? await testRunDB.createTestCases(testRun.id, tests) : [];
+    const finishedRun = await testRunDB.findByRunId(projectId, runId);
+
+    return {
+      testRun: { ...finishedRun, tests: createdTests },
+      finished: true
+    };
+  });
+
+  if (result.finished) {
+    notifyRunCompleted(projectId, result.testRun);
+  }
+  return result;
+}
+
+/**
+ * Get the time after which a started run that never finished is abandoned
+ * Configured with RUN_ABANDON_TIMEOUT_SECONDS, defaulting to 6 hours.
+ * @returns {number} - Timeout in milliseconds
+ */
+function getRunAbandonTimeoutMs() {
+  const configured = parseInt(process.env.RUN_ABANDON_TIMEOUT_SECONDS, 10);
+  const seconds = Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_RUN_ABANDON_TIMEOUT_SECONDS;
+  return seconds * 1000;
+}
+
+/**
+ * Mark runs that were started but not finished within the timeout as abandoned
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} - Number of runs marked as abandoned
+ */
+async function abandonStaleRuns(now = new Date()) {
+  const cutoff = new Date(now.getTime() - getRunAbandonTimeoutMs());
+  return testRunDB.markAbandoned(cutoff.toISOString());
+}
+
+/**
+ * Ingest a test report in any registered format as a single test run
+ * The report is parsed by the parser of options.format, or of the format detected from the
+ * report itself (see parsers/registry), then stored through ingestTestRun, so it gets the same
+ * validation and idempotency on run_id. The timestamp falls back to the report's own start time,
+ * then to the current time.
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID (UUID)
+ * @param {string|Object|AsyncIterable<string>} body - Raw report, the JSON document already parsed
+ *                                                  from the request, or a stream of the raw report
+ * @param {Object} options - Ingestion options
+ * @param {string} [options.format] - Report format (e.g. 'junit'); detected when omitted
+ * @param {string} [options.content_type] - Content-Type the report was sent with, used for detection
+ * @param {string} [options.timestamp] - ISO 8601 timestamp overriding the report's own
+ * @param {string} [options.commit_sha] - Commit the run tested
+ * @param {string} [options.branch] - Branch the run tested
+ * @param {string} [options.ci_provider] - CI system that ran the tests
+ * @param {string} [options.build_url] - Link to the CI job
+ * @param {string} [options.environment] - Environment the tests ran against
+ * @param {Object} [options.labels] - Free-form string key/value pairs
+ * @param {number} [options.shard_index] - Shard number (1-based), together with shard_total
+ * @param {number} [options.shard_total] - Number of shards the run is split into
+ * @returns {Promise<Object>} - Object with testRun, created flag and the report format
+ * @throws {ValidationError} - If the format is unknown or undetectable, or the report or any derived field is invalid
+ */
+async function ingestReport(projectId, runId, body, options = {}) {
+  const parseOptions = { format: options.format, contentType: options.content_type };
+  const isStream = Boolean(body) && typeof body[Symbol.asyncIterator] === 'function';
+  const { format, report } = isStream
+    ? await parseReportStream(body, parseOptions)
+    : parseReport(body, parseOptions);
+  const timestamp = options.timestamp || report.timestamp || new Date().toISOString();
+
+  const result = await ingestTestRun(projectId, runId, {
+    status: report.status,
+    duration_ms: report.duration_ms,
+    timestamp,
+    tests: report.tests,
+    failure_message: report.failure_message ?? undefined,
+    stack_trace: report.stack_trace ?? undefined,
+    commit_sha: options.commit_sha,
+    branch: options.branch,
+    ci_provider: options.ci_provider,
+    build_url: options.build_url,
+    environment: options.environment,
+    labels: options.labels,
+    shard_index: options.shard_index,
+    shard_total: options.shard_total
+  });
+
+  return { ...result, format };
+}
+
 module.exports = {
-  ingestTestRun
+  ingestTestRun,
+  ingestBatch,
+  startTestRun,
+  finishTestRun,
+  abandonStaleRuns,
+  ingestReport
 };
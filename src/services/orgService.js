@@ -1,5 +1,9 @@
 const orgDB = require('../db/orgDB');
-const { ValidationError, ConflictError } = require('../utils/errors');
+const artifactDB = require('../db/artifactDB');
+const { withTransaction } = require('../db/database');
+const { removeStoredArtifacts } = require('./artifactService');
+const { recordAuthFailure } = require('../utils/metrics');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
 
 /**
  * Create a new organization with validation
@@ -26,6 +30,94 @@ async function createOrganization(name) {
   }
 }
 
+/**
+ * List organizations
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Array>} - All organizations, or only the admin token's own
+ */
+async function listOrganizations(adminOrganizationId = null) {
+  if (adminOrganizationId) {
+    const org = await orgDB.findById(adminOrganizationId);
+    return org ? [org] : [];
+  }
+  return orgDB.findAll();
+}
+
+/**
+ * Get an organization the caller may manage
+ * @param {string} id - Organization ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - Organization
+ * @throws {NotFoundError} - If the organization does not exist
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ */
+async function getOrganization(id, adminOrganizationId = null) {
+  const org = await orgDB.findById(id);
+  if (!org) {
+    throw new NotFoundError(`Organization with id ${id} does not exist`);
+  }
+
+  // Org-scoped admin tokens may only manage their own organization
+  if (adminOrganizationId && adminOrganizationId !== org.id) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this organization');
+  }
+  return org;
+}
+
+/**
+ * Rename an organization
+ * @param {string} id - Organization ID
+ * @param {string} name - New name
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - Renamed organization
+ * @throws {ValidationError} - If name is missing or empty
+ * @throws {NotFoundError} - If the organization does not exist
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ * @throws {ConflictError} - If another organization has the name
+ */
+async function renameOrganization(id, name, adminOrganizationId = null) {
+  if (!name || typeof name !== 'string' || name.trim() === '') {
+    throw new ValidationError('Organization name is required and must be a non-empty string');
+  }
+
+  const org = await getOrganization(id, adminOrganizationId);
+  try {
+    await orgDB.update(org.id, name.trim());
+  } catch (error) {
+    if (error.code === 'UNIQUE_VIOLATION') {
+      throw new ConflictError(error.message);
+    }
+    throw error;
+  }
+  return { ...org, name: name.trim() };
+}
+
+/**
+ * Delete an organization with its admin tokens, projects and everything recorded for them
+ * @param {string} id - Organization ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - If the organization does not exist
+ */
+async function deleteOrganization(id) {
+  const storageKeys = await withTransaction(async () => {
+    const org = await orgDB.findById(id);
+    if (!org) {
+      throw new NotFoundError(`Organization with id ${id} does not exist`);
+    }
+
+    const keys = await artifactDB.findStorageKeys({ organizationId: id });
+    await orgDB.remove(id);
+    return keys;
+  });
+
+  await removeStoredArtifacts(storageKeys);
+}
+
 module.exports = {
-  createOrganization
+  createOrganization,
+  listOrganizations,
+  getOrganization,
+  renameOrganization,
+  deleteOrganization
 };
@@ -0,0 +1,95 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, toIsoTimestamp, buildRetryAttempts, requireJson } = require('./reportUtils');
+
+// CTRF test statuses mapped to test case statuses; "other" carries no verdict
+const CTRF_STATUSES = {
+  passed: 'passed',
+  failed: 'failed',
+  skipped: 'skipped',
+  pending: 'skipped',
+  other: 'skipped'
+};
+
+/**
+ * Get the suite name of a CTRF test (a string, or an array of suite titles)
+ * @param {*} suite - suite property of the test
+ * @returns {string|null} - Suite name, or null if absent
+ */
+function suiteName(suite) {
+  if (Array.isArray(suite)) {
+    const titles = suite.filter(title => typeof title === 'string' && title !== '');
+    return titles.length > 0 ? titles.join(' > ') : null;
+  }
+  return typeof suite === 'string' && suite !== '' ? suite : null;
+}
+
+/**
+ * Parse a Common Test Report Format (CTRF) report into the canonical run model
+ * Each entry of results.tests becomes a test case with its suite, filePath, message and trace;
+ * retried tests are stored with their attempts. The timestamp and duration come from
+ * results.summary start and stop (epoch milliseconds).
+ *
+ * @param {Object} report - Parsed CTRF document
+ * @returns {Object} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the report is not a CTRF document
+ */
+function parseCtrf(report) {
+  const results = report && typeof report === 'object' ? report.results : null;
+  if (!results || typeof results !== 'object' || !Array.isArray(results.tests)) {
+    throw new ValidationError('Request body must be a CTRF document with results.tests');
+  }
+
+  const tests = results.tests.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || entry.name === '') {
+      throw new ValidationError(`results.tests[${index}].name must be a non-empty string`);
+    }
+    if (!CTRF_STATUSES[entry.status]) {
+      throw new ValidationError(`results.tests[${index}].status must be one of ${Object.keys(CTRF_STATUSES).join(', ')}`);
+    }
+
+    const status = CTRF_STATUSES[entry.status];
+    const failing = status === 'failed';
+    const test = {
+      suite_name: suiteName(entry.suite),
+      name: entry.name,
+      file: typeof entry.filePath === 'string' && entry.filePath !== '' ? entry.filePath : null,
+      status,
+      duration_ms: toDurationMs(entry.duration),
+      failure_message: failing && typeof entry.message === 'string' ? entry.message : null,
+      stack_trace: failing && typeof entry.trace === 'string' ? entry.trace : null
+    };
+    const attempts = buildRetryAttempts(entry.retries, test);
+    if (attempts) {
+      test.attempts = attempts;
+    }
+    return test;
+  });
+
+  const summary = results.summary && typeof results.summary === 'object' ? results.summary : {};
+  const start = Number.isFinite(summary.start) ? summary.start : null;
+  const stop = Number.isFinite(summary.stop) ? summary.stop : null;
+
+  return {
+    status: deriveRunStatus(tests),
+    duration_ms: start !== null && stop !== null && stop >= start ? Math.round(stop - start) : sumDurations(tests),
+    timestamp: start !== null ? toIsoTimestamp(start) : null,
+    tests
+  };
+}
+
+// Registry entry for CTRF reports
+const parser = {
+  name: 'ctrf',
+  contentTypes: ['application/json'],
+  detect: (source) => {
+    const json = source.json();
+    return Boolean(json) && typeof json === 'object' && Boolean(json.results) && typeof json.results === 'object' &&
+      Array.isArray(json.results.tests);
+  },
+  parse: (source) => parseCtrf(requireJson(source, 'CTRF'))
+};
+
+module.exports = {
+  parseCtrf,
+  parser
+};
@@ -0,0 +1,105 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, firstLine, requireJson } = require('./reportUtils');
+
+// Cucumber reports step durations in nanoseconds
+const NANOSECOND_MS = 1e-6;
+
+/**
+ * Collect the results of a scenario's steps and hooks
+ * @param {Object} element - Scenario or background element
+ * @returns {Array<Object>} - Step and hook result objects
+ */
+function stepResults(element) {
+  return ['before', 'steps', 'after']
+    .flatMap(key => (Array.isArray(element[key]) ? element[key] : []))
+    .map(step => (step && step.result && typeof step.result === 'object' ? step.result : { status: 'skipped' }));
+}
+
+/**
+ * Derive a scenario's outcome from its step results
+ * A failing step fails the scenario and an ambiguous step (several matching definitions) errors it;
+ * pending, undefined or skipped steps without failures leave it skipped.
+ * @param {Array<Object>} results - Step and hook results
+ * @returns {Object} - { status, duration_ms, failure_message, stack_trace }
+ */
+function scenarioOutcome(results) {
+  const durationMs = toDurationMs(results.reduce((sum, result) => sum + (toDurationMs(result.duration) || 0), 0), NANOSECOND_MS);
+  const failed = results.find(result => result.status === 'failed');
+  if (failed) {
+    const error = typeof failed.error_message === 'string' ? failed.error_message : null;
+    return { status: 'failed', duration_ms: durationMs, failure_message: firstLine(error), stack_trace: error };
+  }
+
+  const ambiguous = results.find(result => result.status === 'ambiguous');
+  if (ambiguous) {
+    const error = typeof ambiguous.error_message === 'string' ? ambiguous.error_message : null;
+    return { status: 'errored', duration_ms: durationMs, failure_message: firstLine(error) || 'Ambiguous step definitions', stack_trace: error };
+  }
+
+  const passed = results.length > 0 && results.every(result => result.status === 'passed');
+  return { status: passed ? 'passed' : 'skipped', duration_ms: durationMs, failure_message: null, stack_trace: null };
+}
+
+/**
+ * Parse a Cucumber JSON report (--format json) into the canonical run model
+ * Each scenario becomes a test case with its feature as the suite and the feature file as the
+ * file. Background steps count towards the scenario that follows them.
+ *
+ * @param {Array<Object>} report - Parsed Cucumber JSON report (an array of features)
+ * @returns {Object} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the report is not a Cucumber JSON report
+ */
+function parseCucumberJson(report) {
+  if (!Array.isArray(report)) {
+    throw new ValidationError('Request body must be a Cucumber JSON report (an array of features)');
+  }
+
+  const tests = [];
+  report.forEach((feature, featureIndex) => {
+    if (!feature || typeof feature !== 'object' || !Array.isArray(feature.elements)) {
+      throw new ValidationError(`[${featureIndex}].elements must be an array`);
+    }
+
+    let background = [];
+    feature.elements.forEach((element) => {
+      if (!element || typeof element !== 'object') return;
+      if (element.type === 'background' || element.keyword === 'Background') {
+        background = stepResults(element);
+        return;
+      }
+
+      const outcome = scenarioOutcome([...background, ...stepResults(element)]);
+      background = [];
+      tests.push({
+        suite_name: typeof feature.name === 'string' && feature.name !== '' ? feature.name : null,
+        name: typeof element.name === 'string' && element.name !== '' ? element.name : element.id || 'Unnamed scenario',
+        file: typeof feature.uri === 'string' && feature.uri !== '' ? feature.uri : null,
+        ...outcome
+      });
+    });
+  });
+
+  return {
+    status: deriveRunStatus(tests),
+    duration_ms: sumDurations(tests),
+    timestamp: null,
+    tests
+  };
+}
+
+// Registry entry for Cucumber JSON reports
+const parser = {
+  name: 'cucumber',
+  contentTypes: ['application/json'],
+  detect: (source) => {
+    const json = source.json();
+    return Array.isArray(json) && json.length > 0 && Boolean(json[0]) && Array.isArray(json[0].elements) &&
+      ('uri' in json[0] || 'keyword' in json[0]);
+  },
+  parse: (source) => parseCucumberJson(requireJson(source, 'Cucumber'))
+};
+
+module.exports = {
+  parseCucumberJson,
+  parser
+};
@@ -0,0 +1,234 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, toIsoTimestamp, firstLine } = require('./reportUtils');
+
+// Final actions of a test or package, mapped to test case statuses (benchmarks end with "bench")
+const GO_ACTION_STATUSES = {
+  pass: 'passed',
+  fail: 'failed',
+  skip: 'skipped',
+  bench: 'passed'
+};
+
+// Output lines go test writes itself around a test's own output
+const GO_FRAMING_REGEX = /^\s*(=== (RUN|PAUSE|CONT|NAME)|--- (PASS|FAIL|SKIP):|(PASS|FAIL|ok)\s*$|(FAIL|ok)\s+\S+\s+[\d.]+s)/;
+
+/**
+ * Check whether a parsed line is a go test -json event
+ * @param {*} event - Parsed JSON line
+ * @returns {boolean} - True if it has an Action and a Package or Time
+ */
+function isGoEvent(event) {
+  return Boolean(event) && typeof event === 'object' && !Array.isArray(event) &&
+    typeof event.Action === 'string' && ('Package' in event || 'Time' in event);
+}
+
+/**
+ * Turn the output a test printed into failure details, dropping go test's own framing lines
+ * @param {Array<string>} output - Output lines of the test or package
+ * @returns {Object} - { failure_message, stack_trace }, both null if there is no output
+ */
+function failureFromOutput(output) {
+  const text = output.filter(line => !GO_FRAMING_REGEX.test(line)).join('').trim();
+  return { failure_message: firstLine(text), stack_trace: text || null };
+}
+
+/**
+ * Create an incremental reader of `go test -json` output
+ * Each test (including subtests, named Parent/Sub) becomes a test case with its package as the
+ * suite name. A test that started but never finished (e.g. a panic or timeout) is errored, as is a
+ * failing package without failing tests (e.g. a build failure). A run is "failed" if any test
+ * failed, "errored" if only packages or unfinished tests failed, otherwise "passed".
+ * Lines that are not JSON objects (e.g. build output mixed in with 2>&1) are ignored, and the
+ * output of tests that pass or skip is dropped as soon as they finish.
+ *
+ * @returns {Object} - { writeLine(line, lineNumber), finish() }, where finish() returns
+ *                     { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ */
+function createGoReader() {
+  const testsByKey = new Map();
+  const packages = new Map();
+  let eventCount = 0;
+  let earliest = null;
+  let latest = null;
+
+  /**
+   * Record the output or result of a test or package
+   * @param {Object} target - Test or package state
+   * @param {Object} event - go test event
+   */
+  function applyEvent(target, event) {
+    if (event.Action === 'output' && typeof event.Output === 'string') {
+      target.output.push(event.Output);
+    } else if (GO_ACTION_STATUSES[event.Action]) {
+      target.status = GO_ACTION_STATUSES[event.Action];
+      target.elapsedMs = toDurationMs(event.Elapsed, 1000);
+      if (target.status !== 'failed') {
+        target.output = [];
+      }
+    }
+  }
+
+  /**
+   * Read one line of output
+   * @param {string} line - Output line
+   * @param {number} lineNumber - 1-based line number, for error messages
+   * @throws {ValidationError} - If the line is malformed JSON
+   */
+  function writeLine(line, lineNumber) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{')) return;
+
+    let event;
+    try {
+      event = JSON.parse(trimmed);
+    } catch (error) {
+      throw new ValidationError(`Invalid go test JSON on line ${lineNumber}`);
+    }
+    if (!isGoEvent(event)) return;
+    eventCount += 1;
+
+    const time = toIsoTimestamp(event.Time);
+    if (time) {
+      if (earliest === null || time < earliest) earliest = time;
+      if (latest === null || time > latest) latest = time;
+    }
+
+    const packageName = typeof event.Package === 'string' ? event.Package : null;
+    if (!packages.has(packageName)) {
+      packages.set(packageName, { status: null, elapsedMs: null, output: [] });
+    }
+
+    if (typeof event.Test !== 'string' || event.Test === '') {
+      applyEvent(packages.get(packageName), event);
+      return;
+    }
+
+    const key = `${packageName}\u0000${event.Test}`;
+    if (!testsByKey.has(key)) {
+      testsByKey.set(key, { packageName, name: event.Test, status: null, elapsedMs: null, output: [] });
+    }
+    applyEvent(testsByKey.get(key), event);
+  }
+
+  /**
+   * Build the run from the events read so far
+   * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+   * @throws {ValidationError} - If no line was a go test event
+   */
+  function finish() {
+    if (eventCount === 0) {
+      throw new ValidationError('Request body must be go test -json output');
+    }
+
+    const tests = [...testsByKey.values()].map((test) => {
+      const status = test.status || 'errored';
+      const failure = status === 'failed' || status === 'errored'
+        ? failureFromOutput(test.output)
+        : { failure_message: null, stack_trace: null };
+      return {
+        suite_name: test.packageName,
+        name: test.name,
+        file: null,
+        status,
+        duration_ms: test.elapsedMs,
+        failure_message: failure.failure_message,
+        stack_trace: failure.stack_trace
+      };
+    });
+
+    let status = deriveRunStatus(tests);
+    let packageFailure = null;
+    if (status === 'passed') {
+      const failedPackage = [...packages.entries()].find(([, pkg]) => pkg.status === 'failed');
+      if (failedPackage) {
+        status = 'errored';
+        const details = failureFromOutput(failedPackage[1].output);
+        packageFailure = {
+          failure_message: details.failure_message || `Package ${failedPackage[0]} failed`,
+          stack_trace: details.stack_trace
+        };
+      }
+    }
+
+    let durationMs = earliest !== null && latest !== null ? Date.parse(latest) - Date.parse(earliest) : null;
+    if (durationMs === null) {
+      const packageElapsed = [...packages.values()].filter(pkg => pkg.elapsedMs !== null);
+      durationMs = packageElapsed.length > 0
+        ? packageElapsed.reduce((sum, pkg) => sum + pkg.elapsedMs, 0)
+        : sumDurations(tests);
+    }
+
+    return {
+      status,
+      duration_ms: durationMs,
+      timestamp: earliest,
+      tests,
+      failure_message: packageFailure ? packageFailure.failure_message : null,
+      stack_trace: packageFailure ? packageFailure.stack_trace : null
+    };
+  }
+
+  return { writeLine, finish };
+}
+
+/**
+ * Parse the output of `go test -json` into the canonical run model (see createGoReader)
+ * @param {string} text - Newline-delimited go test -json events
+ * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ * @throws {ValidationError} - If the text is not go test -json output
+ */
+function parseGoTestJson(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError('Request body must be go test -json output');
+  }
+
+  const reader = createGoReader();
+  text.split('\n').forEach((line, index) => reader.writeLine(line, index + 1));
+  return reader.finish();
+}
+
+/**
+ * Parse streamed `go test -json` output line by line (see createGoReader)
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the output
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ * @throws {ValidationError} - If the output is not go test -json output
+ */
+async function parseGoTestStream(chunks) {
+  const reader = createGoReader();
+  let pending = '';
+  let lineNumber = 0;
+
+  for await (const chunk of chunks) {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    lines.forEach((line) => {
+      lineNumber += 1;
+      reader.writeLine(line, lineNumber);
+    });
+  }
+  reader.writeLine(pending, lineNumber + 1);
+  return reader.finish();
+}
+
+// Registry entry for go test -json output
+const parser = {
+  name: 'go',
+  contentTypes: ['application/x-ndjson', 'application/jsonl', 'application/json', 'text/plain'],
+  detect: (source) => {
+    const first = source.text.split('\n').map(line => line.trim()).find(line => line.startsWith('{'));
+    if (!first) return false;
+    try {
+      return isGoEvent(JSON.parse(first));
+    } catch (error) {
+      return false;
+    }
+  },
+  parse: (source) => parseGoTestJson(source.text),
+  parseStream: parseGoTestStream
+};
+
+module.exports = {
+  parseGoTestJson,
+  parseGoTestStream,
+  parser
+};
@@ -0,0 +1,229 @@
+const { ValidationError } = require('../../utils/errors');
+const { MAX_ATTEMPTS, requireJson } = require('./reportUtils');
+const { createJsonObjectReader, readJsonStream } = require('./jsonDocument');
+
+// Jest assertion statuses that did not run the test body
+const JEST_SKIPPED_STATUSES = ['pending', 'skipped', 'todo', 'disabled'];
+
+const NOT_A_JEST_REPORT = 'Request body must be a Jest JSON report (jest --json) with a testResults array';
+
+// Start of a jest --json report, which opens with its summary counts (numFailedTestSuites, ...)
+const JEST_REPORT_START_REGEX = /^\s*\{\s*"num(?:Failed|Passed|Pending|Runtime|Todo|Total)[A-Za-z]*"\s*:/;
+
+/**
+ * Remove ANSI color codes, which Jest embeds in failure messages
+ * @param {string} text - Text possibly containing escape sequences
+ * @returns {string} - Plain text
+ */
+function stripAnsi(text) {
+  // eslint-disable-next-line no-control-regex
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Split a Jest failure message into its message and its stack trace
+ * The message is everything before the first stack frame line ("    at ...").
+ * @param {string|undefined} failure - Raw failure message from failureMessages or retryReasons
+ * @returns {Object} - { failure_message, stack_trace }, both null if there is no failure text
+ */
+function splitFailure(failure) {
+  if (typeof failure !== 'string' || failure.trim() === '') {
+    return { failure_message: null, stack_trace: null };
+  }
+  const text = stripAnsi(failure).trim();
+  const frameIndex = text.search(/^\s+at /m);
+  const message = (frameIndex === -1 ? text : text.slice(0, frameIndex)).trim();
+  return { failure_message: message || null, stack_trace: text };
+}
+
+/**
+ * Map a Jest assertion status to a test case status
+ * @param {string} status - Jest status ('passed', 'failed', 'pending', 'todo', ...)
+ * @returns {string} - 'passed', 'failed' or 'skipped'
+ */
+function toTestStatus(status) {
+  if (status === 'passed' || status === 'focused') {
+    return 'passed';
+  }
+  if (JEST_SKIPPED_STATUSES.includes(status)) {
+    return 'skipped';
+  }
+  return 'failed';
+}
+
+/**
+ * Build the attempts of a test Jest retried (jest.retryTimes)
+ * Earlier invocations failed with the reasons in retryReasons; the last one has the final status.
+ * @param {Object} assertion - Jest assertion result
+ * @param {Object} test - Test case built from it
+ * @returns {Array<Object>|undefined} - Attempts, or undefined if the test ran once
+ */
+function buildAttempts(assertion, test) {
+  const invocations = Number.isInteger(assertion.invocations) ? assertion.invocations : 1;
+  if (invocations <= 1 || test.status === 'skipped') {
+    return undefined;
+  }
+
+  const reasons = Array.isArray(assertion.retryReasons) ? assertion.retryReasons : [];
+  const attempts = [];
+  for (let index = 0; index < Math.min(invocations, MAX_ATTEMPTS) - 1; index++) {
+    attempts.push({ status: 'failed', duration_ms: null, failure_message: splitFailure(reasons[index]).failure_message });
+  }
+  attempts.push({ status: test.status, duration_ms: test.duration_ms, failure_message: test.failure_message });
+  return attempts;
+}
+
+/**
+ * Create an accumulator that turns Jest test file results into the canonical run model
+ * Each assertion result becomes a test: its describe blocks form the suite name and
+ * the test file its file. A run is "failed" if any test failed, "errored" if a test
+ * file failed to run without failing tests (e.g. a syntax error), otherwise "passed".
+ * File results are converted as they are added, so a streamed report is never held whole.
+ *
+ * @returns {Object} - { addFileResult(fileResult, fileIndex), finish(startTime) }
+ */
+function createJestReader() {
+  const tests = [];
+  let suiteError = null;
+  let latestEnd = null;
+
+  /**
+   * Convert one entry of testResults
+   * @param {Object} fileResult - Jest test file result
+   * @param {number} fileIndex - Position of the entry in testResults
+   * @throws {ValidationError} - If the entry is not a Jest test file result
+   */
+  function addFileResult(fileResult, fileIndex) {
+    if (!fileResult || typeof fileResult !== 'object' || !Array.isArray(fileResult.assertionResults)) {
+      throw new ValidationError(`testResults[${fileIndex}].assertionResults must be an array`);
+    }
+
+    const file = typeof fileResult.name === 'string' && fileResult.name !== '' ? fileResult.name : null;
+    if (Number.isFinite(fileResult.endTime) && (latestEnd === null || fileResult.endTime > latestEnd)) {
+      latestEnd = fileResult.endTime;
+    }
+
+    // A file that failed without failing tests could not run at all
+    const fileFailed = fileResult.status === 'failed' || fileResult.testExecError;
+    if (fileFailed && !fileResult.assertionResults.some(assertion => assertion && assertion.status === 'failed') && !suiteError) {
+      const message = (fileResult.testExecError && fileResult.testExecError.message) || fileResult.message || 'Test file failed to run';
+      suiteError = splitFailure(`${file ? `${file}: ` : ''}${message}`);
+    }
+
+    fileResult.assertionResults.forEach((assertion, assertionIndex) => {
+      if (!assertion || typeof assertion !== 'object' || typeof assertion.title !== 'string') {
+        throw new ValidationError(`testResults[${fileIndex}].assertionResults[${assertionIndex}].title must be a string`);
+      }
+
+      const ancestors = Array.isArray(assertion.ancestorTitles) ? assertion.ancestorTitles.filter(title => typeof title === 'string') : [];
+      const status = toTestStatus(assertion.status);
+      const failures = Array.isArray(assertion.failureMessages) ? assertion.failureMessages : [];
+      const failure = status === 'failed' ? splitFailure(failures.join('\n\n')) : { failure_message: null, stack_trace: null };
+
+      const test = {
+        suite_name: ancestors.length > 0 ? ancestors.join(' › ') : null,
+        name: assertion.title,
+        file,
+        status,
+        duration_ms: Number.isFinite(assertion.duration) && assertion.duration >= 0 ? Math.round(assertion.duration) : null,
+        failure_message: failure.failure_message,
+        stack_trace: failure.stack_trace
+      };
+      const attempts = buildAttempts(assertion, test);
+      if (attempts) {
+        test.attempts = attempts;
+      }
+      tests.push(test);
+    });
+  }
+
+  /**
+   * Build the run from the file results added so far
+   * @param {*} reportStartTime - startTime of the report (epoch milliseconds)
+   * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+   */
+  function finish(reportStartTime) {
+    const startTime = Number.isFinite(reportStartTime) ? reportStartTime : null;
+    const durationMs = startTime !== null && latestEnd !== null && latestEnd >= startTime
+      ? Math.round(latestEnd - startTime)
+      : tests.reduce((sum, test) => sum + (test.duration_ms || 0), 0);
+
+    let status = 'passed';
+    if (tests.some(test => test.status === 'failed')) {
+      status = 'failed';
+    } else if (suiteError) {
+      status = 'errored';
+    }
+
+    return {
+      status,
+      duration_ms: durationMs,
+      timestamp: startTime !== null ? new Date(startTime).toISOString() : null,
+      tests,
+      failure_message: status === 'errored' ? suiteError.failure_message : null,
+      stack_trace: status === 'errored' ? suiteError.stack_trace : null
+    };
+  }
+
+  return { addFileResult, finish };
+}
+
+/**
+ * Parse the output of `jest --json` into the canonical run model (see createJestReader)
+ * @param {Object} report - Parsed Jest JSON report
+ * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ * @throws {ValidationError} - If the report is not a Jest JSON report
+ */
+function parseJestJson(report) {
+  if (!report || typeof report !== 'object' || Array.isArray(report) || !Array.isArray(report.testResults)) {
+    throw new ValidationError(NOT_A_JEST_REPORT);
+  }
+
+  const reader = createJestReader();
+  report.testResults.forEach((fileResult, fileIndex) => reader.addFileResult(fileResult, fileIndex));
+  return reader.finish(report.startTime);
+}
+
+/**
+ * Parse a streamed `jest --json` report, one test file result at a time (see createJestReader)
+ * Only startTime and the entries of testResults are read; other members (e.g. coverageMap)
+ * are skipped.
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the report
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ * @throws {ValidationError} - If the report is not a Jest JSON report
+ */
+async function parseJestStream(chunks) {
+  const jest = createJestReader();
+  const report = await readJsonStream(chunks, createJsonObjectReader('Jest', {
+    fields: ['startTime'],
+    arrays: ['testResults'],
+    onItem: (key, fileResult, fileIndex) => jest.addFileResult(fileResult, fileIndex)
+  }));
+
+  if (!Array.isArray(report.testResults)) {
+    throw new ValidationError(NOT_A_JEST_REPORT);
+  }
+  return jest.finish(report.startTime);
+}
+
+// Registry entry for `jest --json` output; a streamed report is recognized by the summary counts it starts with
+const parser = {
+  name: 'jest',
+  contentTypes: ['application/json'],
+  detect: (source) => {
+    const json = source.json();
+    if (json === undefined) {
+      return JEST_REPORT_START_REGEX.test(source.text);
+    }
+    return Boolean(json) && typeof json === 'object' && Array.isArray(json.testResults) &&
+      ('numTotalTests' in json || json.testResults.some(result => result && Array.isArray(result.assertionResults)));
+  },
+  parse: (source) => parseJestJson(requireJson(source, 'Jest')),
+  parseStream: parseJestStream
+};
+
+module.exports = {
+  parseJestJson,
+  parseJestStream,
+  parser
+};
@@ -0,0 +1,230 @@
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Check whether a character is JSON whitespace
+ * @param {string} char - Single character
+ * @returns {boolean} - True for space, tab, carriage return and newline
+ */
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+/**
+ * Create an incremental reader of a JSON object document
+ * Only the top-level members a format needs are kept: each member named in fields is parsed
+ * whole, and each element of a member named in arrays is parsed on its own and handed to
+ * onItem as soon as it is complete, so a streamed report is never held in memory as a whole.
+ * Other members are skipped without being parsed. A member named in arrays whose value is not
+ * an array is kept like a field, for the format to reject.
+ *
+ * @param {string} formatName - Name of the report format, for error messages (e.g. 'Jest')
+ * @param {Object} options - Members to read
+ * @param {Array<string>} [options.fields=[]] - Members whose values are kept
+ * @param {Array<string>} options.arrays - Array members whose elements are passed to onItem
+ * @param {Function} options.onItem - (key, item, index) => void, for each array element in order; may throw ValidationError
+ * @returns {Object} - { write(chunk), finish() }, where finish() returns the kept members, with
+ *                     an empty array for each array member that was read element by element
+ */
+function createJsonObjectReader(formatName, { fields = [], arrays, onItem }) {
+  const members = {};
+  let depth = 0;
+  let ended = false;
+  let inString = false;
+  let escaped = false;
+  // What may come next between members: 'first' (a name or the end), 'name', 'colon', 'value' or 'next' (a comma or the end)
+  let expecting = 'first';
+  let keyText = null;
+  let key = null;
+  // 'none' between members, 'field' or 'skip' inside a member value, 'array' inside an array member
+  let capture = 'none';
+  let valueText = '';
+  let itemText = '';
+  let itemIndex = 0;
+
+  /**
+   * Build the error for a document that is not valid JSON
+   * @param {string} reason - What is wrong
+   * @returns {ValidationError} - Error
+   */
+  function invalid(reason) {
+    return new ValidationError(`Invalid ${formatName} JSON: ${reason}`);
+  }
+
+  /**
+   * Parse the text of one value
+   * @param {string} text - JSON text
+   * @param {string} name - Where the value is, for error messages
+   * @returns {*} - Parsed value
+   */
+  function parseValue(text, name) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw invalid(`${name} is not valid JSON`);
+    }
+  }
+
+  /**
+   * Parse the current array element and hand it to onItem
+   */
+  function emitItem() {
+    const item = parseValue(itemText, `${key}[${itemIndex}]`);
+    itemText = '';
+    onItem(key, item, itemIndex);
+    itemIndex++;
+  }
+
+  /**
+   * Handle a character between top-level members
+   * @param {string} char - Character outside any member value
+   * @returns {boolean} - True if the character starts a member value
+   */
+  function betweenMembers(char) {
+    if (expecting === 'value' && char !== ',' && char !== '}' && char !== ':') {
+      expecting = 'next';
+      if (arrays.includes(key) && char === '[') {
+        members[key] = [];
+        capture = 'array';
+        itemText = '';
+        itemIndex = 0;
+        depth = 2;
+        return false;
+      }
+      capture = fields.includes(key) || arrays.includes(key) ? 'field' : 'skip';
+      valueText = '';
+      return true;
+    }
+
+    if (char === '"' && (expecting === 'first' || expecting === 'name')) {
+      inString = true;
+      keyText = '';
+      expecting = 'colon';
+    } else if (char === ':' && expecting === 'colon') {
+      expecting = 'value';
+    } else if (char === ',' && expecting === 'next') {
+      expecting = 'name';
+    } else if (char === '}' && (expecting === 'first' || expecting === 'next')) {
+      depth = 0;
+      ended = true;
+    } else {
+      throw invalid(`unexpected ${JSON.stringify(char)}`);
+    }
+    return false;
+  }
+
+  return {
+    write(chunk) {
+      // Start of the part of the chunk not yet added to the captured value or element
+      let start = 0;
+
+      for (let index = 0; index < chunk.length; index++) {
+        const char = chunk[index];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (char === '\\') {
+            escaped = true;
+          } else if (char === '"') {
+            inString = false;
+            if (keyText !== null) {
+              key = parseValue(`"${keyText}"`, 'member name');
+              keyText = null;
+            }
+            continue;
+          }
+          if (keyText !== null) {
+            keyText += char;
+          }
+          continue;
+        }
+        if (isWhitespace(char)) {
+          continue;
+        }
+        if (ended) {
+          throw invalid('unexpected data after the document');
+        }
+
+        if (depth === 0) {
+          if (char !== '{') {
+            throw new ValidationError(`Request body must be a ${formatName} JSON document`);
+          }
+          depth = 1;
+          continue;
+        }
+
+        if (capture === 'none') {
+          if (!betweenMembers(char)) {
+            start = index + 1;
+            continue;
+          }
+          start = index;
+        }
+
+        if (capture === 'array' && depth === 2 && (char === ',' || char === ']')) {
+          itemText += chunk.slice(start, index);
+          start = index + 1;
+          if (char === ',' || itemIndex > 0 || itemText.trim() !== '') {
+            emitItem();
+          }
+          if (char === ']') {
+            capture = 'none';
+            depth = 1;
+          }
+          continue;
+        }
+        if (capture !== 'array' && depth === 1 && (char === ',' || char === '}')) {
+          if (capture === 'field') {
+            members[key] = parseValue(valueText + chunk.slice(start, index), key);
+          }
+          capture = 'none';
+          betweenMembers(char);
+          start = index + 1;
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+        }
+      }
+
+      if (capture === 'field') {
+        valueText += chunk.slice(start);
+      } else if (capture === 'array') {
+        itemText += chunk.slice(start);
+      }
+    },
+    finish() {
+      if (!ended) {
+        if (depth === 0) {
+          throw new ValidationError(`Request body must be a ${formatName} JSON document`);
+        }
+        throw invalid('unexpected end of document');
+      }
+      return members;
+    }
+  };
+}
+
+/**
+ * Read a streamed JSON document with a format reader, one chunk at a time
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the document
+ * @param {Object} reader - Reader with write(chunk) and finish() (see createJsonObjectReader)
+ * @returns {Promise<Object>} - Result of reader.finish()
+ * @throws {ValidationError} - If the document is invalid
+ */
+async function readJsonStream(chunks, reader) {
+  for await (const chunk of chunks) {
+    reader.write(chunk);
+  }
+  return reader.finish();
+}
+
+module.exports = {
+  createJsonObjectReader,
+  readJsonStream
+};
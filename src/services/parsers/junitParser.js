@@ -0,0 +1,256 @@
+const sax = require('sax');
+const { ValidationError } = require('../../utils/errors');
+const { rootElementName } = require('./xmlDocument');
+
+/**
+ * Convert a JUnit `time` attribute (seconds, possibly fractional) to whole milliseconds
+ * @param {string|undefined} value - Attribute value
+ * @returns {number|null} - Duration in milliseconds or null if missing/invalid
+ */
+function secondsToMs(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const seconds = Number(String(value).replace(/,/g, ''));
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  return Math.round(seconds * 1000);
+}
+
+/**
+ * Normalize a JUnit `timestamp` attribute to an ISO 8601 UTC string
+ * JUnit timestamps usually carry no timezone; they are treated as UTC.
+ * @param {string|undefined} value - Attribute value
+ * @returns {string|null} - ISO 8601 string or null if missing/invalid
+ */
+function normalizeTimestamp(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed);
+  const date = new Date(hasZone ? trimmed : `${trimmed}Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Create an incremental JUnit XML reader
+ * Supports a <testsuites> root or a single <testsuite> root, with nested suites.
+ * A run is "failed" if any test case has a <failure> or <error>, or if a suite
+ * reports non-zero failures/errors; otherwise it is "passed". Only test results are
+ * kept, so a streamed report is never held in memory as a whole.
+ *
+ * @returns {Object} - { write(chunk), finish() }, where finish() returns { status, duration_ms, timestamp, tests }
+ */
+function createJUnitReader() {
+  const parser = sax.parser(true, { trim: false });
+
+  let rootName = null;
+  let rootTimeMs = null;
+  let topLevelSuiteTimeMs = 0;
+  let hasTopLevelSuiteTime = false;
+  let earliestTimestamp = null;
+  let suiteReportsFailure = false;
+
+  const suiteStack = [];
+  const tests = [];
+  let currentTest = null;
+  let currentOutcome = null;
+
+  parser.onopentag = (node) => {
+    const attrs = node.attributes;
+
+    if (rootName === null) {
+      rootName = node.name;
+      if (rootName !== 'testsuites' && rootName !== 'testsuite') {
+        throw new ValidationError('JUnit XML root element must be <testsuites> or <testsuite>');
+      }
+      if (rootName === 'testsuites') {
+        rootTimeMs = secondsToMs(attrs.time);
+      }
+    }
+
+    switch (node.name) {
+      case 'testsuite': {
+        // Top-level suites are direct children of <testsuites>, or the root itself
+        if (suiteStack.length === 0) {
+          const timeMs = secondsToMs(attrs.time);
+          if (timeMs !== null) {
+            topLevelSuiteTimeMs += timeMs;
+            hasTopLevelSuiteTime = true;
+          }
+        }
+
+        const timestamp = normalizeTimestamp(attrs.timestamp);
+        if (timestamp && (!earliestTimestamp || timestamp < earliestTimestamp)) {
+          earliestTimestamp = timestamp;
+        }
+
+        if (Number(attrs.failures) > 0 || Number(attrs.errors) > 0) {
+          suiteReportsFailure = true;
+        }
+
+        suiteStack.push({ name: attrs.name || null, file: attrs.file || null });
+        break;
+      }
+      case 'testcase': {
+        const suite = suiteStack[suiteStack.length - 1] || {};
+        currentTest = {
+          suite_name: attrs.classname || suite.name || null,
+          name: attrs.name || '',
+          file: attrs.file || suite.file || null,
+          status: 'passed',
+          duration_ms: secondsToMs(attrs.time),
+          failure_message: null,
+          stack_trace: null
+        };
+        break;
+      }
+      case 'failure':
+      case 'error':
+      case 'skipped': {
+        if (!currentTest) break;
+        if (node.name === 'skipped') {
+          if (currentTest.status === 'passed') {
+            currentTest.status = 'skipped';
+          }
+          break;
+        }
+        currentTest.status = 'failed';
+        currentOutcome = { message: attrs.message || null, text: '' };
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  parser.ontext = (text) => {
+    if (currentOutcome) {
+      currentOutcome.text += text;
+    }
+  };
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = (name) => {
+    switch (name) {
+      case 'testsuite':
+        suiteStack.pop();
+        break;
+      case 'testcase':
+        if (currentTest) {
+          tests.push(currentTest);
+          currentTest = null;
+        }
+        break;
+      case 'failure':
+      case 'error':
+        if (currentTest && currentOutcome && !currentTest.failure_message) {
+          const text = currentOutcome.text.trim();
+          currentTest.failure_message = currentOutcome.message || text || null;
+          currentTest.stack_trace = text || null;
+        }
+        currentOutcome = null;
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Run a sax operation, reporting malformed XML as a ValidationError
+   * @param {Function} operation - Operation on the sax parser
+   */
+  function run(operation) {
+    try {
+      operation();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      const reason = String(error.message).split('\n')[0];
+      throw new ValidationError(`Invalid JUnit XML: ${reason}`);
+    }
+  }
+
+  /**
+   * Close the document and build the run
+   * @returns {Object} - { status, duration_ms, timestamp, tests }
+   */
+  function finish() {
+    run(() => parser.close());
+
+    if (rootName === null) {
+      throw new ValidationError('Request body must be a JUnit XML document');
+    }
+
+    let durationMs = rootTimeMs;
+    if (durationMs === null) {
+      durationMs = hasTopLevelSuiteTime
+        ? topLevelSuiteTimeMs
+        : tests.reduce((sum, test) => sum + (test.duration_ms || 0), 0);
+    }
+
+    const failed = suiteReportsFailure || tests.some(test => test.status === 'failed');
+
+    return {
+      status: failed ? 'failed' : 'passed',
+      duration_ms: durationMs,
+      timestamp: earliestTimestamp,
+      tests
+    };
+  }
+
+  return {
+    write(chunk) {
+      run(() => parser.write(chunk));
+    },
+    finish
+  };
+}
+
+/**
+ * Parse a JUnit XML report into the canonical run model (see createJUnitReader)
+ * @param {string} xml - Raw JUnit XML document
+ * @returns {Object} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the document is not well-formed JUnit XML
+ */
+function parseJUnitXml(xml) {
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    throw new ValidationError('Request body must be a JUnit XML document');
+  }
+
+  const reader = createJUnitReader();
+  reader.write(xml);
+  return reader.finish();
+}
+
+/**
+ * Parse a streamed JUnit XML report, one chunk at a time (see createJUnitReader)
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the document
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the document is not well-formed JUnit XML
+ */
+async function parseJUnitStream(chunks) {
+  const reader = createJUnitReader();
+  for await (const chunk of chunks) {
+    reader.write(chunk);
+  }
+  return reader.finish();
+}
+
+// Registry entry for JUnit XML reports
+const parser = {
+  name: 'junit',
+  contentTypes: ['application/xml', 'text/xml'],
+  detect: (source) => ['testsuites', 'testsuite'].includes(rootElementName(source.text)),
+  parse: (source) => parseJUnitXml(source.text),
+  parseStream: parseJUnitStream
+};
+
+module.exports = {
+  parseJUnitXml,
+  parseJUnitStream,
+  parser
+};
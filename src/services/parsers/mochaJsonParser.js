@@ -0,0 +1,193 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, toIsoTimestamp, buildRetryAttempts, requireJson } = require('./reportUtils');
+const { createJsonObjectReader, readJsonStream } = require('./jsonDocument');
+
+// Test lists of a Mocha report read by parseMochaJson (passes repeats entries of tests)
+const MOCHA_TEST_LISTS = ['tests', 'pending', 'failures'];
+
+// Start of a Mocha json reporter report, whose stats open with the suite count
+const MOCHA_REPORT_START_REGEX = /^\s*\{\s*"stats"\s*:\s*\{\s*"suites"\s*:/;
+
+/**
+ * Key identifying a test across the tests, pending and failures lists of a report
+ * @param {Object} test - Mocha test entry
+ * @returns {string} - File and full title of the test
+ */
+function testKey(test) {
+  return `${test.file || ''}\u0000${test.fullTitle}`;
+}
+
+/**
+ * Check whether a Mocha err object describes an actual error (passing tests carry {})
+ * @param {*} err - err property of a Mocha test entry
+ * @returns {boolean} - True if the test has an error
+ */
+function hasError(err) {
+  return Boolean(err) && typeof err === 'object' && (typeof err.message === 'string' || typeof err.stack === 'string');
+}
+
+/**
+ * Derive the suite name of a test from its full title minus its own title
+ * @param {Object} test - Mocha test entry
+ * @returns {string|null} - Titles of the enclosing describe blocks, or null at the root
+ */
+function suiteName(test) {
+  const { fullTitle, title } = test;
+  if (fullTitle.length > title.length && fullTitle.endsWith(title)) {
+    const suite = fullTitle.slice(0, fullTitle.length - title.length).trim();
+    return suite || null;
+  }
+  return null;
+}
+
+/**
+ * Validate an entry of one of the report's test lists
+ * @param {*} entry - Candidate entry
+ * @param {string} path - Location of the entry, for error messages
+ * @throws {ValidationError} - If the entry has no title or fullTitle
+ */
+function validateEntry(entry, path) {
+  if (!entry || typeof entry !== 'object' || typeof entry.title !== 'string' || typeof entry.fullTitle !== 'string') {
+    throw new ValidationError(`${path} must have a title and a fullTitle`);
+  }
+}
+
+/**
+ * Parse the output of Mocha's `json` reporter into the canonical run model
+ * Tests listed in pending are skipped and tests with an err are failed. Hook failures
+ * ("before all" hook for ...) appear only in failures and are recorded as errored tests.
+ * A run is "failed" if any test failed, "errored" if only hooks failed, otherwise "passed".
+ *
+ * @param {Object} report - Parsed Mocha JSON report
+ * @returns {Object} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the report is not a Mocha JSON report
+ */
+function parseMochaJson(report) {
+  if (!report || typeof report !== 'object' || Array.isArray(report) ||
+      !report.stats || typeof report.stats !== 'object' || !Array.isArray(report.tests)) {
+    throw new ValidationError('Request body must be a Mocha JSON report (--reporter json) with stats and tests');
+  }
+
+  const pending = Array.isArray(report.pending) ? report.pending : [];
+  const failures = Array.isArray(report.failures) ? report.failures : [];
+  pending.forEach((entry, index) => validateEntry(entry, `pending[${index}]`));
+  failures.forEach((entry, index) => validateEntry(entry, `failures[${index}]`));
+
+  const pendingKeys = new Set(pending.map(testKey));
+  const testKeys = new Set();
+
+  /**
+   * Convert a Mocha test entry into a test case
+   * @param {Object} entry - Mocha test entry
+   * @param {string} status - Status of the test
+   * @returns {Object} - Test case
+   */
+  function toTest(entry, status) {
+    const failing = status !== 'passed' && status !== 'skipped' && hasError(entry.err);
+    const test = {
+      suite_name: suiteName(entry),
+      name: entry.title,
+      file: typeof entry.file === 'string' && entry.file !== '' ? entry.file : null,
+      status,
+      duration_ms: toDurationMs(entry.duration),
+      failure_message: failing && typeof entry.err.message === 'string' ? entry.err.message : null,
+      stack_trace: failing && typeof entry.err.stack === 'string' ? entry.err.stack : null
+    };
+    // The reporter only records how many retries (this.retries) happened
+    const attempts = buildRetryAttempts(entry.currentRetry, test);
+    if (attempts) {
+      test.attempts = attempts;
+    }
+    return test;
+  }
+
+  const tests = report.tests.map((entry, index) => {
+    validateEntry(entry, `tests[${index}]`);
+    const key = testKey(entry);
+    testKeys.add(key);
+
+    if (pendingKeys.has(key)) {
+      return toTest(entry, 'skipped');
+    }
+    return toTest(entry, hasError(entry.err) ? 'failed' : 'passed');
+  });
+
+  failures
+    .filter(entry => !testKeys.has(testKey(entry)))
+    .forEach(entry => tests.push(toTest(entry, 'errored')));
+
+  const { stats } = report;
+  const durationMs = toDurationMs(stats.duration);
+
+  return {
+    status: deriveRunStatus(tests),
+    duration_ms: durationMs !== null ? durationMs : sumDurations(tests),
+    timestamp: typeof stats.start === 'string' ? toIsoTimestamp(stats.start) : null,
+    tests
+  };
+}
+
+/**
+ * Keep only what parseMochaJson reads from a test entry
+ * Error objects can carry large actual and expected values, which are dropped.
+ * @param {*} entry - Mocha test entry
+ * @returns {*} - Entry with title, fullTitle, file, duration, currentRetry and the err message and stack
+ */
+function slimEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return entry;
+  }
+  const { title, fullTitle, file, duration, currentRetry, err } = entry;
+  return {
+    title,
+    fullTitle,
+    file,
+    duration,
+    currentRetry,
+    err: err && typeof err === 'object' ? { message: err.message, stack: err.stack } : err
+  };
+}
+
+/**
+ * Parse a streamed Mocha JSON report (see parseMochaJson)
+ * Pending tests are listed after the tests, so entries are kept until the report ends, but
+ * only the fields the run model needs; the raw report is never held whole.
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the report
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the report is not a Mocha JSON report
+ */
+async function parseMochaStream(chunks) {
+  const lists = { tests: [], pending: [], failures: [] };
+  const report = await readJsonStream(chunks, createJsonObjectReader('Mocha', {
+    fields: ['stats'],
+    arrays: MOCHA_TEST_LISTS,
+    onItem: (key, entry) => lists[key].push(slimEntry(entry))
+  }));
+
+  MOCHA_TEST_LISTS.filter(key => Array.isArray(report[key])).forEach((key) => {
+    report[key] = lists[key];
+  });
+  return parseMochaJson(report);
+}
+
+// Registry entry for Mocha's json reporter output; a streamed report is recognized by how its stats start
+const parser = {
+  name: 'mocha',
+  contentTypes: ['application/json'],
+  detect: (source) => {
+    const json = source.json();
+    if (json === undefined) {
+      return MOCHA_REPORT_START_REGEX.test(source.text);
+    }
+    return Boolean(json) && typeof json === 'object' && Boolean(json.stats) && typeof json.stats === 'object' &&
+      Array.isArray(json.tests) && (Array.isArray(json.passes) || Array.isArray(json.failures) || Array.isArray(json.pending));
+  },
+  parse: (source) => parseMochaJson(requireJson(source, 'Mocha')),
+  parseStream: parseMochaStream
+};
+
+module.exports = {
+  parseMochaJson,
+  parseMochaStream,
+  parser
+};
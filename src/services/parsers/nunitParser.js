@@ -0,0 +1,215 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, toIsoTimestamp, firstLine } = require('./reportUtils');
+const {
+  rootElementName,
+  createXmlElementReader,
+  readXmlDocument,
+  readXmlStream,
+  childNamed,
+  elementText
+} = require('./xmlDocument');
+
+// NUnit 3 results mapped to test case statuses (refined by the label attribute for failures)
+const NUNIT3_RESULT_STATUSES = {
+  Passed: 'passed',
+  Warning: 'passed',
+  Failed: 'failed',
+  Skipped: 'skipped',
+  Inconclusive: 'skipped'
+};
+
+// NUnit 3 failure labels that mean the test did not run to an assertion
+const NUNIT3_FAILURE_LABELS = {
+  Error: 'errored',
+  Invalid: 'errored',
+  Cancelled: 'cancelled'
+};
+
+// NUnit 2 results mapped to test case statuses
+const NUNIT2_RESULT_STATUSES = {
+  Success: 'passed',
+  Failure: 'failed',
+  Error: 'errored',
+  Cancelled: 'cancelled',
+  Ignored: 'skipped',
+  Skipped: 'skipped',
+  NotRunnable: 'errored',
+  Inconclusive: 'skipped'
+};
+
+/**
+ * Get the name of the nearest enclosing fixture of a test case
+ * @param {Array<Object>} ancestors - Open elements enclosing the test case, root first
+ * @returns {string|null} - Fixture name, or null outside any fixture
+ */
+function enclosingFixture(ancestors) {
+  return ancestors.reduce((fixture, element) => {
+    const isFixture = element.name === 'test-suite' && element.attributes.type === 'TestFixture';
+    return isFixture ? element.attributes.fullname || element.attributes.name || fixture : fixture;
+  }, null);
+}
+
+/**
+ * Get the message and stack trace of a test case's <failure> (or the reason it was skipped)
+ * @param {Object} testCase - <test-case> element
+ * @returns {Object} - { failure_message, stack_trace }
+ */
+function failureDetails(testCase) {
+  const failure = childNamed(testCase, 'failure');
+  const message = elementText(childNamed(failure, 'message'));
+  const stack = elementText(childNamed(failure, 'stack-trace'));
+  return { failure_message: message || firstLine(stack), stack_trace: stack };
+}
+
+/**
+ * Map an NUnit 3 <test-case> to a test case
+ * @param {Object} testCase - <test-case> element
+ * @param {string|null} fixture - Name of the enclosing fixture
+ * @returns {Object} - Test case
+ */
+function toNUnit3Test(testCase, fixture) {
+  const attrs = testCase.attributes;
+  let status = NUNIT3_RESULT_STATUSES[attrs.result] || 'failed';
+  if (status === 'failed' && NUNIT3_FAILURE_LABELS[attrs.label]) {
+    status = NUNIT3_FAILURE_LABELS[attrs.label];
+  }
+  const failing = status !== 'passed' && status !== 'skipped';
+
+  return {
+    suite_name: attrs.classname || fixture || null,
+    name: attrs.name || attrs.fullname || '',
+    file: null,
+    status,
+    duration_ms: toDurationMs(attrs.duration, 1000),
+    ...(failing ? failureDetails(testCase) : { failure_message: null, stack_trace: null })
+  };
+}
+
+/**
+ * Map an NUnit 2 <test-case> to a test case (its name is the full Namespace.Class.Method)
+ * @param {Object} testCase - <test-case> element
+ * @param {string|null} fixture - Name of the enclosing fixture
+ * @returns {Object} - Test case
+ */
+function toNUnit2Test(testCase, fixture) {
+  const attrs = testCase.attributes;
+  let status = NUNIT2_RESULT_STATUSES[attrs.result] || 'failed';
+  if (attrs.executed === 'False' && status === 'failed') {
+    status = 'skipped';
+  }
+  const failing = status !== 'passed' && status !== 'skipped';
+  const fullName = attrs.name || '';
+  const separator = fullName.lastIndexOf('.');
+
+  return {
+    suite_name: separator > 0 ? fullName.slice(0, separator) : fixture || null,
+    name: separator > 0 ? fullName.slice(separator + 1) : fullName,
+    file: null,
+    status,
+    duration_ms: toDurationMs(attrs.time, 1000),
+    ...(failing ? failureDetails(testCase) : { failure_message: null, stack_trace: null })
+  };
+}
+
+/**
+ * Create an incremental NUnit XML reader
+ * Supports NUnit 3 (<test-run>) and NUnit 2 (<test-results>) documents. Each <test-case>
+ * becomes a test case with its class as the suite; failures labelled Error or Cancelled are
+ * errored or cancelled. The timestamp and duration come from the root's start-time and
+ * duration (NUnit 3) or date, time and top-level suite times (NUnit 2). Test cases are
+ * converted as they close, so a streamed report is never held in memory as a whole.
+ *
+ * @returns {Object} - { write(chunk), finish() }, where finish() returns { status, duration_ms, timestamp, tests }
+ */
+function createNUnitReader() {
+  const tests = [];
+  const suiteTimes = [];
+  let nunit3 = false;
+
+  const reader = createXmlElementReader('NUnit XML', {
+    onOpen: (element, ancestors) => {
+      if (ancestors.length === 0) {
+        if (element.name !== 'test-run' && element.name !== 'test-results') {
+          throw new ValidationError('NUnit XML root element must be <test-run> or <test-results>');
+        }
+        nunit3 = element.name === 'test-run';
+      } else if (ancestors.length === 1 && element.name === 'test-suite') {
+        const time = toDurationMs(element.attributes.time, 1000);
+        if (time !== null) {
+          suiteTimes.push(time);
+        }
+      }
+    },
+    select: element => element.name === 'test-case',
+    onElement: (testCase, ancestors) => {
+      const fixture = enclosingFixture(ancestors);
+      tests.push(nunit3 ? toNUnit3Test(testCase, fixture) : toNUnit2Test(testCase, fixture));
+    }
+  });
+
+  /**
+   * Close the document and build the run
+   * @returns {Object} - { status, duration_ms, timestamp, tests }
+   */
+  function finish() {
+    const root = reader.finish();
+
+    let durationMs;
+    let timestamp;
+    if (nunit3) {
+      durationMs = toDurationMs(root.attributes.duration, 1000);
+      timestamp = toIsoTimestamp((root.attributes['start-time'] || '').replace(' ', 'T'));
+    } else {
+      durationMs = suiteTimes.length > 0 ? suiteTimes.reduce((sum, time) => sum + time, 0) : null;
+      const { date, time } = root.attributes;
+      timestamp = date && time ? toIsoTimestamp(`${date}T${time}Z`) : null;
+    }
+
+    return {
+      status: deriveRunStatus(tests),
+      duration_ms: durationMs !== null ? durationMs : sumDurations(tests),
+      timestamp,
+      tests
+    };
+  }
+
+  return {
+    write: reader.write,
+    finish
+  };
+}
+
+/**
+ * Parse a raw NUnit XML document (see createNUnitReader)
+ * @param {string} xml - Raw NUnit XML document
+ * @returns {Object} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the document is not well-formed NUnit XML
+ */
+function parseNUnitXml(xml) {
+  return readXmlDocument(xml, createNUnitReader(), 'NUnit XML');
+}
+
+/**
+ * Parse a streamed NUnit XML document, one chunk at a time (see createNUnitReader)
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the document
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests }
+ * @throws {ValidationError} - If the document is not well-formed NUnit XML
+ */
+function parseNUnitStream(chunks) {
+  return readXmlStream(chunks, createNUnitReader());
+}
+
+// Registry entry for NUnit XML documents
+const parser = {
+  name: 'nunit',
+  contentTypes: ['application/xml', 'text/xml'],
+  detect: (source) => ['test-run', 'test-results'].includes(rootElementName(source.text)),
+  parse: (source) => parseNUnitXml(source.text),
+  parseStream: parseNUnitStream
+};
+
+module.exports = {
+  parseNUnitXml,
+  parseNUnitStream,
+  parser
+};
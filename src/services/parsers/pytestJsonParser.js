@@ -0,0 +1,138 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, toIsoTimestamp, firstLine, requireJson } = require('./reportUtils');
+
+// pytest outcomes mapped to test case statuses; expected failures carry no verdict
+const PYTEST_OUTCOME_STATUSES = {
+  passed: 'passed',
+  failed: 'failed',
+  error: 'errored',
+  skipped: 'skipped',
+  xfailed: 'skipped',
+  xpassed: 'passed'
+};
+
+// Test phases in the order pytest runs them
+const PYTEST_STAGES = ['setup', 'call', 'teardown'];
+
+// pytest exit code of an interrupted session (KeyboardInterrupt)
+const EXIT_INTERRUPTED = 2;
+
+/**
+ * Split a pytest node ID into its file, enclosing classes and test name
+ * e.g. "tests/test_cart.py::TestCart::test_add[1-2]"
+ * @param {string} nodeid - Node ID
+ * @returns {Object} - { file, suite_name, name }
+ */
+function splitNodeId(nodeid) {
+  const parts = nodeid.split('::');
+  if (parts.length === 1) {
+    return { file: null, suite_name: null, name: nodeid };
+  }
+  return {
+    file: parts[0] || null,
+    suite_name: parts.length > 2 ? parts.slice(1, -1).join('::') : null,
+    name: parts[parts.length - 1]
+  };
+}
+
+/**
+ * Get the failure details of the first phase of a test that did not pass
+ * @param {Object} test - pytest-json-report test entry
+ * @returns {Object} - { failure_message, stack_trace }, both null if no phase failed
+ */
+function stageFailure(test) {
+  for (const name of PYTEST_STAGES) {
+    const stage = test[name];
+    if (stage && typeof stage === 'object' && stage.outcome === 'failed') {
+      const longrepr = typeof stage.longrepr === 'string' ? stage.longrepr : null;
+      const crashMessage = stage.crash && typeof stage.crash.message === 'string' ? stage.crash.message : null;
+      return { failure_message: crashMessage || firstLine(longrepr), stack_trace: longrepr };
+    }
+  }
+  return { failure_message: null, stack_trace: null };
+}
+
+/**
+ * Parse a pytest-json-report report (pytest --json-report) into the canonical run model
+ * Each test becomes a test case: the node ID's file, classes and name become file, suite_name
+ * and name; its duration is the sum of its setup, call and teardown phases. xfailed tests are
+ * skipped and xpassed tests passed. A run is "failed" if any test failed, "errored" if a test
+ * errored or collection failed, "cancelled" if the session was interrupted, otherwise "passed".
+ *
+ * @param {Object} report - Parsed pytest-json-report document
+ * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message, stack_trace }
+ * @throws {ValidationError} - If the report is not a pytest-json-report document
+ */
+function parsePytestJson(report) {
+  if (!report || typeof report !== 'object' || Array.isArray(report) || !Array.isArray(report.tests)) {
+    throw new ValidationError('Request body must be a pytest-json-report document with a tests array');
+  }
+
+  const tests = report.tests.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.nodeid !== 'string' || entry.nodeid === '') {
+      throw new ValidationError(`tests[${index}].nodeid must be a non-empty string`);
+    }
+
+    const status = PYTEST_OUTCOME_STATUSES[entry.outcome] || 'errored';
+    const stages = PYTEST_STAGES.filter(name => entry[name] && typeof entry[name].duration === 'number');
+    const failure = status === 'failed' || status === 'errored'
+      ? stageFailure(entry)
+      : { failure_message: null, stack_trace: null };
+    const { file, suite_name, name } = splitNodeId(entry.nodeid);
+
+    return {
+      suite_name,
+      name,
+      file,
+      status,
+      duration_ms: stages.length > 0 ? toDurationMs(stages.reduce((sum, stage) => sum + entry[stage].duration, 0), 1000) : null,
+      failure_message: failure.failure_message,
+      stack_trace: failure.stack_trace
+    };
+  });
+
+  let status = deriveRunStatus(tests);
+  let collectionFailure = null;
+  if (status === 'passed') {
+    const collectors = Array.isArray(report.collectors) ? report.collectors : [];
+    const failedCollector = collectors.find(collector => collector && collector.outcome === 'failed');
+    if (failedCollector) {
+      status = 'errored';
+      const longrepr = typeof failedCollector.longrepr === 'string' ? failedCollector.longrepr : null;
+      collectionFailure = {
+        failure_message: firstLine(longrepr) || `Collection of ${failedCollector.nodeid || 'tests'} failed`,
+        stack_trace: longrepr
+      };
+    } else if (report.exitcode === EXIT_INTERRUPTED) {
+      status = 'cancelled';
+    }
+  }
+
+  const durationMs = toDurationMs(report.duration, 1000);
+
+  return {
+    status,
+    duration_ms: durationMs !== null ? durationMs : sumDurations(tests),
+    timestamp: toIsoTimestamp(report.created, 1000),
+    tests,
+    failure_message: collectionFailure ? collectionFailure.failure_message : null,
+    stack_trace: collectionFailure ? collectionFailure.stack_trace : null
+  };
+}
+
+// Registry entry for pytest-json-report output
+const parser = {
+  name: 'pytest',
+  contentTypes: ['application/json'],
+  detect: (source) => {
+    const json = source.json();
+    return Boolean(json) && typeof json === 'object' && Array.isArray(json.tests) &&
+      ('exitcode' in json || 'collectors' in json || json.tests.some(test => test && typeof test.nodeid === 'string'));
+  },
+  parse: (source) => parsePytestJson(requireJson(source, 'pytest-json-report'))
+};
+
+module.exports = {
+  parsePytestJson,
+  parser
+};
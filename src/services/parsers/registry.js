@@ -0,0 +1,219 @@
+const { ValidationError } = require('../../utils/errors');
+
+// Registered parsers in detection order: the first whose detect() accepts a report parses it
+const parsers = [];
+
+// Characters read from the start of a streamed report to detect its format
+const STREAM_DETECTION_LENGTH = 4096;
+
+/**
+ * Register a report parser
+ * A parser turns a raw report into the canonical run model stored by ingestionService.ingestTestRun:
+ * { status, duration_ms, timestamp, tests, failure_message?, stack_trace? }.
+ *
+ * @param {Object} parser - Parser definition
+ * @param {string} parser.name - Format name, used as the format query parameter (e.g. 'junit')
+ * @param {Array<string>} parser.contentTypes - Media types the format is usually sent with
+ * @param {Function} parser.detect - (source) => boolean; must not throw
+ * @param {Function} parser.parse - (source) => run model; throws ValidationError for invalid reports
+ * @param {Function} [parser.parseStream] - async (chunks) => run model, for formats that can be parsed
+ *                                          as they arrive; detect() must then work on the first
+ *                                          STREAM_DETECTION_LENGTH characters
+ * @throws {Error} - If the definition is incomplete or the name is already registered
+ */
+function registerParser(parser) {
+  if (!parser || typeof parser.name !== 'string' || !/^[a-z0-9_-]+$/.test(parser.name)) {
+    throw new Error('Report parser must have a lowercase name');
+  }
+  if (!Array.isArray(parser.contentTypes) || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+    throw new Error(`Report parser ${parser.name} must declare contentTypes, detect and parse`);
+  }
+  if (parser.parseStream !== undefined && typeof parser.parseStream !== 'function') {
+    throw new Error(`Report parser ${parser.name} parseStream must be a function`);
+  }
+  if (getParser(parser.name)) {
+    throw new Error(`Report parser ${parser.name} is already registered`);
+  }
+  parsers.push(parser);
+}
+
+/**
+ * Find a registered parser by format name
+ * @param {string} name - Format name
+ * @returns {Object|undefined} - Parser definition
+ */
+function getParser(name) {
+  return parsers.find(parser => parser.name === name);
+}
+
+/**
+ * List the names of the registered formats
+ * @returns {Array<string>} - Format names in detection order
+ */
+function listFormats() {
+  return parsers.map(parser => parser.name);
+}
+
+/**
+ * Wrap a request body so parsers can read it as text or as JSON
+ * Bodies already parsed by express.json are serialized back for text-based parsers.
+ * @param {string|Buffer|Object} body - Raw report or parsed JSON document
+ * @param {string} [contentType] - Content-Type the report was sent with
+ * @returns {Object} - { text, contentType, json() }, where json() returns undefined for non-JSON bodies
+ */
+function createReportSource(body, contentType) {
+  const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+  const text = isRaw ? String(body).replace(/^\uFEFF/, '') : JSON.stringify(body ?? null);
+  let json = isRaw ? null : body;
+  let jsonParsed = !isRaw;
+
+  return {
+    text,
+    contentType: String(contentType || '').split(';')[0].trim().toLowerCase(),
+    json() {
+      if (!jsonParsed) {
+        jsonParsed = true;
+        try {
+          json = JSON.parse(text);
+        } catch (error) {
+          json = undefined;
+        }
+      }
+      return json;
+    }
+  };
+}
+
+/**
+ * Detect the format of a report
+ * Parsers that declare the report's content type are tried first, then the others,
+ * so a report sent with a generic or wrong content type is still recognized.
+ * @param {Object} source - Report source (see createReportSource)
+ * @param {Array<Object>} [candidates] - Parsers to try, in detection order (default: all)
+ * @returns {Object|undefined} - Parser definition, or undefined if no parser recognizes the report
+ */
+function detectParser(source, candidates = parsers) {
+  const declared = candidates.filter(parser => parser.contentTypes.includes(source.contentType));
+  const others = candidates.filter(parser => !declared.includes(parser));
+
+  return [...declared, ...others].find((parser) => {
+    try {
+      return parser.detect(source);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Parse a report in a given or detected format
+ * @param {string|Buffer|Object} body - Raw report or parsed JSON document
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.format] - Format name; detected from the report when omitted
+ * @param {string} [options.contentType] - Content-Type the report was sent with
+ * @returns {Object} - { format, report } with the report in the canonical run model
+ * @throws {ValidationError} - If the format is unknown or undetectable, or the report is invalid
+ */
+function parseReport(body, options = {}) {
+  const source = createReportSource(body, options.contentType);
+  const parser = options.format ? requireParser(options.format) : detectParser(source);
+  if (!parser) {
+    throw new ValidationError(`Could not detect the report format; pass format as one of ${listFormats().join(', ')}`);
+  }
+
+  return { format: parser.name, report: parser.parse(source) };
+}
+
+/**
+ * Find a registered parser by format name, as requested by a client
+ * @param {string} name - Format name
+ * @returns {Object} - Parser definition
+ * @throws {ValidationError} - If no parser has that name
+ */
+function requireParser(name) {
+  const parser = getParser(name);
+  if (!parser) {
+    throw new ValidationError(`format must be one of ${listFormats().join(', ')}`);
+  }
+  return parser;
+}
+
+/**
+ * Yield buffered chunks, then the rest of a partly read stream
+ * @param {Array<string>} head - Chunks already read
+ * @param {AsyncIterator<string>} iterator - Iterator over the remaining chunks
+ * @returns {AsyncGenerator<string>} - All chunks in order
+ */
+async function* replayChunks(head, iterator) {
+  yield* head;
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    yield next.value;
+  }
+}
+
+/**
+ * Parse a streamed report in a given or detected format
+ * The format is detected from the first STREAM_DETECTION_LENGTH characters. Formats with a
+ * stream parser (XML and go test -json) are parsed as the report arrives; other reports are
+ * read in full and parsed as by parseReport.
+ *
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the report
+ * @param {Object} [options] - Parse options (see parseReport)
+ * @returns {Promise<Object>} - { format, report } with the report in the canonical run model
+ * @throws {ValidationError} - If the format is unknown or undetectable, or the report is invalid
+ */
+async function parseReportStream(chunks, options = {}) {
+  const explicit = options.format ? requireParser(options.format) : null;
+  const iterator = chunks[Symbol.asyncIterator]();
+  const head = [];
+  let headLength = 0;
+  let ended = false;
+
+  while (headLength < STREAM_DETECTION_LENGTH) {
+    const next = await iterator.next();
+    if (next.done) {
+      ended = true;
+      break;
+    }
+    const chunk = head.length === 0 ? next.value.replace(/^\uFEFF/, '') : next.value;
+    head.push(chunk);
+    headLength += chunk.length;
+  }
+
+  if (!ended) {
+    const streamable = parsers.filter(parser => parser.parseStream);
+    const parser = explicit || detectParser(createReportSource(head.join(''), options.contentType), streamable);
+    if (parser && parser.parseStream) {
+      return { format: parser.name, report: await parser.parseStream(replayChunks(head, iterator)) };
+    }
+    for await (const chunk of replayChunks([], iterator)) {
+      head.push(chunk);
+    }
+  }
+
+  return parseReport(head.join(''), options);
+}
+
+// Built-in formats; XML roots and JSON shapes are distinctive, so the loosest detectors (go, tap) go last
+[
+  require('./junitParser').parser,
+  require('./nunitParser').parser,
+  require('./trxParser').parser,
+  require('./jestJsonParser').parser,
+  require('./mochaJsonParser').parser,
+  require('./pytestJsonParser').parser,
+  require('./ctrfParser').parser,
+  require('./cucumberJsonParser').parser,
+  require('./goTestParser').parser,
+  require('./tapParser').parser
+].forEach(registerParser);
+
+module.exports = {
+  registerParser,
+  getParser,
+  listFormats,
+  createReportSource,
+  detectParser,
+  parseReport,
+  parseReportStream
+};
@@ -0,0 +1,114 @@
+const { ValidationError } = require('../../utils/errors');
+
+// Maximum number of attempts recorded per test (matches ingestion validation)
+const MAX_ATTEMPTS = 100;
+
+// Test outcomes that decide a run's status, from most to least severe
+const RUN_STATUS_PRECEDENCE = ['failed', 'errored', 'timed_out', 'cancelled'];
+
+/**
+ * Derive a run's status from its tests
+ * @param {Array<Object>} tests - Test cases of the run
+ * @returns {string} - The most severe failing outcome of any test, otherwise 'passed'
+ */
+function deriveRunStatus(tests) {
+  return RUN_STATUS_PRECEDENCE.find(status => tests.some(test => test.status === status)) || 'passed';
+}
+
+/**
+ * Sum the durations of tests, counting missing durations as zero
+ * @param {Array<Object>} tests - Test cases
+ * @returns {number} - Total duration in milliseconds
+ */
+function sumDurations(tests) {
+  return tests.reduce((sum, test) => sum + (test.duration_ms || 0), 0);
+}
+
+/**
+ * Convert a duration to whole milliseconds
+ * @param {*} value - Duration in the given unit
+ * @param {number} [unitMs=1] - Length of one unit in milliseconds (1000 for seconds, 1e-6 for nanoseconds)
+ * @returns {number|null} - Milliseconds, or null if the value is missing or invalid
+ */
+function toDurationMs(value, unitMs = 1) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    return null;
+  }
+  return Math.round(number * unitMs);
+}
+
+/**
+ * Convert a report timestamp to an ISO 8601 string
+ * @param {*} value - Date string or epoch time in the given unit
+ * @param {number} [unitMs=1] - Length of one unit of a numeric value in milliseconds (1000 for epoch seconds)
+ * @returns {string|null} - ISO 8601 string, or null if the value is missing or invalid
+ */
+function toIsoTimestamp(value, unitMs = 1) {
+  let date = null;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    date = new Date(value * unitMs);
+  } else if (typeof value === 'string' && value.trim() !== '') {
+    date = new Date(value.trim());
+  }
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Get the first non-empty line of a text
+ * @param {string|null|undefined} text - Text
+ * @returns {string|null} - First non-empty line, trimmed, or null
+ */
+function firstLine(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const line = text.split('\n').map(part => part.trim()).find(part => part !== '');
+  return line || null;
+}
+
+/**
+ * Build the attempts of a test that was retried after failing
+ * Only the number of retries is known, so earlier attempts are recorded as failed.
+ * @param {number} retries - Number of times the test was retried
+ * @param {Object} test - Test case with its final status, duration and failure message
+ * @returns {Array<Object>|undefined} - Attempts, or undefined if the test ran once or was skipped
+ */
+function buildRetryAttempts(retries, test) {
+  if (!Number.isInteger(retries) || retries <= 0 || test.status === 'skipped') {
+    return undefined;
+  }
+
+  const attempts = [];
+  for (let index = 0; index < Math.min(retries + 1, MAX_ATTEMPTS) - 1; index++) {
+    attempts.push({ status: 'failed', duration_ms: null, failure_message: null });
+  }
+  attempts.push({ status: test.status, duration_ms: test.duration_ms, failure_message: test.failure_message });
+  return attempts;
+}
+
+/**
+ * Get the JSON document of a report source, failing if the body is not JSON
+ * @param {Object} source - Report source (see registry.createReportSource)
+ * @param {string} formatName - Name of the report format, for error messages
+ * @returns {*} - Parsed JSON document
+ * @throws {ValidationError} - If the body is not valid JSON
+ */
+function requireJson(source, formatName) {
+  const json = source.json();
+  if (json === undefined) {
+    throw new ValidationError(`Request body must be a ${formatName} JSON document`);
+  }
+  return json;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  deriveRunStatus,
+  sumDurations,
+  toDurationMs,
+  toIsoTimestamp,
+  firstLine,
+  buildRetryAttempts,
+  requireJson
+};
@@ -0,0 +1,232 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toDurationMs, firstLine } = require('./reportUtils');
+
+// Spaces of indentation per subtest level (TAP 14)
+const SUBTEST_INDENT = 4;
+
+// ok 1 - description # SKIP reason
+const TEST_POINT_REGEX = /^(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(SKIP|TODO)\S*\s*(.*))?$/i;
+
+// 1..N, optionally followed by a directive
+const PLAN_REGEX = /^1\.\.(\d+)/;
+
+// First line a TAP stream can start with
+const TAP_START_REGEX = /^(TAP version \d+|1\.\.\d+|(not )?ok\b|# Subtest:)/i;
+
+/**
+ * Remove the quotes around a YAML scalar
+ * @param {string} value - Raw scalar
+ * @returns {string} - Unquoted value
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && /^(['"]).*\1$/.test(trimmed)) {
+    return trimmed.slice(1, -1).replace(/''/g, "'");
+  }
+  return trimmed;
+}
+
+/**
+ * Read the top-level keys of a YAML diagnostic block
+ * Only what failure details need is supported: `key: scalar` and `key: |` block scalars.
+ * @param {Array<string>} lines - Lines between --- and ..., with the block's indentation removed
+ * @returns {Object} - Map of key to string value
+ */
+function parseDiagnostics(lines) {
+  const diagnostics = {};
+  let index = 0;
+
+  while (index < lines.length) {
+    const match = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(lines[index]);
+    index++;
+    if (!match) continue;
+
+    const [, key, rawValue] = match;
+    if (/^[|>][-+]?$/.test(rawValue.trim())) {
+      const block = [];
+      while (index < lines.length && (lines[index].trim() === '' || /^\s/.test(lines[index]))) {
+        block.push(lines[index]);
+        index++;
+      }
+      const indent = Math.min(...block.filter(line => line.trim() !== '').map(line => line.match(/^\s*/)[0].length), Infinity);
+      diagnostics[key] = block.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n').trim();
+    } else {
+      diagnostics[key] = unquote(rawValue);
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Parse a TAP stream (TAP 13 or 14, including subtests) into the canonical run model
+ * Each test point becomes a test; a test point with subtests is their suite rather than a test,
+ * unless it failed without any of its subtests failing (e.g. a hook error), in which case it is
+ * recorded as an errored test. SKIP tests and TODO failures are skipped. Failure details come
+ * from YAML diagnostic blocks (message or error, stack). A run is "errored" when it bailed out or
+ * ran fewer tests than planned, unless a test failed.
+ *
+ * @param {string} text - Raw TAP output
+ * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message }
+ * @throws {ValidationError} - If the text contains no TAP test points or plan
+ */
+function parseTap(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError('Request body must be a TAP stream');
+  }
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const tests = [];
+  // Test points seen at each subtest depth since their parent's test point, and the pending subtest names
+  const levels = [{ points: [], subtest: null }];
+  let plannedCount = null;
+  let topLevelCount = 0;
+  let totalDurationMs = null;
+  let bailOut = null;
+  let lastPoint = null;
+  let recognized = false;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const indentation = line.match(/^\s*/)[0].length;
+    const content = line.trim();
+    if (content === '') continue;
+
+    // YAML diagnostics belong to the test point right before them
+    if (content === '---' && lastPoint && indentation > lastPoint.indentation) {
+      const block = [];
+      index++;
+      while (index < lines.length && lines[index].trim() !== '...') {
+        block.push(lines[index].slice(indentation));
+        index++;
+      }
+      lastPoint.diagnostics = parseDiagnostics(block);
+      continue;
+    }
+
+    const depth = Math.floor(indentation / SUBTEST_INDENT);
+    while (levels.length <= depth + 1) {
+      levels.push({ points: [], subtest: null });
+    }
+
+    const subtest = /^# Subtest:\s*(.*)$/i.exec(content);
+    if (subtest) {
+      levels[depth + 1] = { points: [], subtest: subtest[1].trim() };
+      recognized = true;
+      continue;
+    }
+
+    const duration = /^# duration_ms\s+([\d.]+)/.exec(content);
+    if (duration && depth === 0) {
+      totalDurationMs = toDurationMs(duration[1]);
+      continue;
+    }
+
+    if (/^Bail out!/i.test(content)) {
+      bailOut = bailOut || content;
+      recognized = true;
+      continue;
+    }
+
+    const plan = PLAN_REGEX.exec(content);
+    if (plan) {
+      if (depth === 0) plannedCount = parseInt(plan[1], 10);
+      recognized = true;
+      continue;
+    }
+
+    const match = TEST_POINT_REGEX.exec(content);
+    if (!match) continue;
+    recognized = true;
+
+    const [, result, , description, directive] = match;
+    const children = levels[depth + 1].points;
+    const point = {
+      indentation,
+      name: description.trim() || levels[depth + 1].subtest || `test ${levels[depth].points.length + 1}`,
+      ok: result.toLowerCase() === 'ok',
+      directive: directive ? directive.toUpperCase() : null,
+      children,
+      diagnostics: {}
+    };
+    levels[depth].points.push(point);
+    levels[depth + 1] = { points: [], subtest: null };
+    if (depth === 0) topLevelCount++;
+    lastPoint = point;
+  }
+
+  if (!recognized) {
+    throw new ValidationError('Request body must be a TAP stream with a plan or test points');
+  }
+
+  /**
+   * Record a test point and its subtests as test cases
+   * @param {Object} point - Test point
+   * @param {Array<string>} suites - Names of the enclosing test points
+   */
+  function collect(point, suites) {
+    const diagnostics = point.diagnostics;
+    let status = point.ok ? 'passed' : 'failed';
+    if (point.directive === 'SKIP' || (point.directive === 'TODO' && !point.ok)) {
+      status = 'skipped';
+    }
+
+    if (point.children.length > 0) {
+      const before = tests.length;
+      point.children.forEach(child => collect(child, [...suites, point.name]));
+      const childFailed = tests.slice(before).some(test => test.status === 'failed' || test.status === 'errored');
+      if (status !== 'failed' || childFailed) {
+        return;
+      }
+      status = 'errored';
+    }
+
+    const failing = status === 'failed' || status === 'errored';
+    const stack = failing ? diagnostics.stack || null : null;
+    tests.push({
+      suite_name: suites.length > 0 ? suites.join(' › ') : null,
+      name: point.name,
+      file: null,
+      status,
+      duration_ms: toDurationMs(diagnostics.duration_ms),
+      failure_message: failing ? diagnostics.message || diagnostics.error || firstLine(stack) : null,
+      stack_trace: stack
+    });
+  }
+
+  levels[0].points.forEach(point => collect(point, []));
+
+  let status = deriveRunStatus(tests);
+  let failureMessage = null;
+  if (status === 'passed' && bailOut) {
+    status = 'errored';
+    failureMessage = bailOut;
+  } else if (status === 'passed' && plannedCount !== null && topLevelCount < plannedCount) {
+    status = 'errored';
+    failureMessage = `Planned ${plannedCount} tests but ran ${topLevelCount}`;
+  }
+
+  return {
+    status,
+    duration_ms: totalDurationMs !== null ? totalDurationMs : sumDurations(tests),
+    timestamp: null,
+    tests,
+    failure_message: failureMessage
+  };
+}
+
+// Registry entry for TAP streams
+const parser = {
+  name: 'tap',
+  contentTypes: ['text/x-tap', 'text/plain'],
+  detect: (source) => {
+    const first = source.text.split('\n').map(line => line.trim()).find(line => line !== '' && !/^#(?! Subtest:)/.test(line));
+    return Boolean(first) && TAP_START_REGEX.test(first);
+  },
+  parse: (source) => parseTap(source.text)
+};
+
+module.exports = {
+  parseTap,
+  parser
+};
@@ -0,0 +1,191 @@
+const { ValidationError } = require('../../utils/errors');
+const { deriveRunStatus, sumDurations, toIsoTimestamp, firstLine } = require('./reportUtils');
+const {
+  rootElementName,
+  createXmlElementReader,
+  readXmlDocument,
+  readXmlStream,
+  childrenNamed,
+  childNamed,
+  elementText
+} = require('./xmlDocument');
+
+// TRX outcomes mapped to test case statuses
+const TRX_OUTCOME_STATUSES = {
+  Passed: 'passed',
+  PassedButRunAborted: 'passed',
+  Completed: 'passed',
+  Warning: 'passed',
+  Failed: 'failed',
+  Error: 'errored',
+  Timeout: 'timed_out',
+  Aborted: 'cancelled',
+  NotExecuted: 'skipped',
+  NotRunnable: 'skipped',
+  Inconclusive: 'skipped',
+  Pending: 'skipped',
+  Disconnected: 'errored',
+  InProgress: 'errored'
+};
+
+// Run outcomes in <ResultSummary> that mean the run itself did not complete
+const TRX_FAILED_RUN_OUTCOMES = ['Failed', 'Error', 'Aborted', 'Timeout'];
+
+/**
+ * Convert a TRX duration ("hh:mm:ss.fffffff") to whole milliseconds
+ * @param {string|undefined} value - Duration attribute
+ * @returns {number|null} - Milliseconds, or null if missing or invalid
+ */
+function timeSpanToMs(value) {
+  const match = /^(?:(\d+)\.)?(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [, days, hours, minutes, seconds] = match;
+  const totalSeconds = Number(days || 0) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return Math.round(totalSeconds * 1000);
+}
+
+/**
+ * Map a <UnitTestResult> to a test case, without its suite (known once <TestDefinitions> is read)
+ * @param {Object} result - <UnitTestResult> element
+ * @returns {Object} - Test case
+ */
+function toTrxTest(result) {
+  const attrs = result.attributes;
+  const status = TRX_OUTCOME_STATUSES[attrs.outcome] || 'failed';
+  const errorInfo = childNamed(childNamed(result, 'Output'), 'ErrorInfo');
+  const failing = status !== 'passed' && status !== 'skipped';
+  const message = failing ? elementText(childNamed(errorInfo, 'Message')) : null;
+  const stack = failing ? elementText(childNamed(errorInfo, 'StackTrace')) : null;
+
+  return {
+    name: attrs.testName || '',
+    file: null,
+    status,
+    duration_ms: timeSpanToMs(attrs.duration),
+    failure_message: message || firstLine(stack),
+    stack_trace: stack
+  };
+}
+
+/**
+ * Create an incremental Visual Studio test results (TRX) reader
+ * Each <UnitTestResult> becomes a test case named by testName, with the class of its test
+ * definition as the suite. The timestamp and duration come from <Times start finish>.
+ * A run whose <ResultSummary> outcome failed without failing tests (e.g. the test host
+ * crashed) is "errored". Results are converted as they close, so a streamed report is never
+ * held in memory as a whole.
+ *
+ * @returns {Object} - { write(chunk), finish() }, where finish() returns { status, duration_ms, timestamp, tests, failure_message }
+ */
+function createTrxReader() {
+  const classNames = new Map();
+  const results = [];
+  let times = null;
+  let summary = null;
+
+  const reader = createXmlElementReader('TRX', {
+    onOpen: (element, ancestors) => {
+      if (ancestors.length === 0 && element.name !== 'TestRun') {
+        throw new ValidationError('TRX root element must be <TestRun>');
+      }
+    },
+    select: (element, ancestors) => {
+      if (ancestors.length === 1) {
+        return element.name === 'Times' || element.name === 'ResultSummary';
+      }
+      const parent = ancestors.length === 2 ? ancestors[1].name : null;
+      return (parent === 'Results' && element.name === 'UnitTestResult') ||
+        (parent === 'TestDefinitions' && element.name === 'UnitTest');
+    },
+    onElement: (element) => {
+      if (element.name === 'UnitTestResult') {
+        results.push({ testId: element.attributes.testId, test: toTrxTest(element) });
+      } else if (element.name === 'UnitTest') {
+        // Map test IDs to the class that defines them
+        const method = childNamed(element, 'TestMethod');
+        if (method && method.attributes.className) {
+          classNames.set(element.attributes.id, method.attributes.className.split(',')[0].trim());
+        }
+      } else if (element.name === 'Times') {
+        times = times || element;
+      } else {
+        summary = summary || element;
+      }
+    }
+  });
+
+  /**
+   * Close the document and build the run
+   * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message }
+   */
+  function finish() {
+    reader.finish();
+
+    const tests = results.map(({ testId, test }) => ({ suite_name: classNames.get(testId) || null, ...test }));
+
+    let status = deriveRunStatus(tests);
+    let failureMessage = null;
+    if (status === 'passed' && summary && TRX_FAILED_RUN_OUTCOMES.includes(summary.attributes.outcome)) {
+      status = 'errored';
+      const runInfo = childrenNamed(childNamed(summary, 'RunInfos'), 'RunInfo')
+        .map(info => elementText(childNamed(info, 'Text')))
+        .find(Boolean);
+      failureMessage = runInfo || `Test run outcome was ${summary.attributes.outcome}`;
+    }
+
+    const startedAt = times ? toIsoTimestamp(times.attributes.start || times.attributes.creation) : null;
+    const finishedAt = times ? toIsoTimestamp(times.attributes.finish) : null;
+
+    return {
+      status,
+      duration_ms: startedAt && finishedAt && finishedAt >= startedAt
+        ? Date.parse(finishedAt) - Date.parse(startedAt)
+        : sumDurations(tests),
+      timestamp: startedAt,
+      tests,
+      failure_message: failureMessage
+    };
+  }
+
+  return {
+    write: reader.write,
+    finish
+  };
+}
+
+/**
+ * Parse a raw TRX document (see createTrxReader)
+ * @param {string} xml - Raw TRX document
+ * @returns {Object} - { status, duration_ms, timestamp, tests, failure_message }
+ * @throws {ValidationError} - If the document is not well-formed TRX
+ */
+function parseTrx(xml) {
+  return readXmlDocument(xml, createTrxReader(), 'TRX');
+}
+
+/**
+ * Parse a streamed TRX document, one chunk at a time (see createTrxReader)
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the document
+ * @returns {Promise<Object>} - { status, duration_ms, timestamp, tests, failure_message }
+ * @throws {ValidationError} - If the document is not well-formed TRX
+ */
+function parseTrxStream(chunks) {
+  return readXmlStream(chunks, createTrxReader());
+}
+
+// Registry entry for TRX documents
+const parser = {
+  name: 'trx',
+  contentTypes: ['application/xml', 'text/xml'],
+  detect: (source) => rootElementName(source.text) === 'TestRun',
+  parse: (source) => parseTrx(source.text),
+  parseStream: parseTrxStream
+};
+
+module.exports = {
+  parseTrx,
+  parseTrxStream,
+  parser
+};
@@ -0,0 +1,182 @@
+const sax = require('sax');
+const { ValidationError } = require('../../utils/errors');
+
+// Prolog that may precede the root element: BOM, XML declaration, comments and doctype
+const PROLOG_REGEX = /^\uFEFF?\s*(?:<\?[\s\S]*?\?>\s*|<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<([A-Za-z_][\w:.-]*)/;
+
+/**
+ * Get the name of the root element of an XML document without parsing all of it
+ * @param {string} text - Candidate XML document
+ * @returns {string|null} - Root element name (namespace prefix removed), or null if the text is not XML
+ */
+function rootElementName(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = PROLOG_REGEX.exec(text.slice(0, 4096));
+  return match ? match[1].split(':').pop() : null;
+}
+
+/**
+ * Create an incremental XML reader that builds only the elements a format needs
+ * Each built element is { name, attributes, children, text }, where text joins the element's
+ * own text and CDATA. Namespace prefixes are removed from element names. Only the subtrees of
+ * selected elements are built; each is handed to onElement once it closes and then dropped, so
+ * a streamed document is never held in memory as a whole. Elements outside those subtrees are
+ * kept without children while open and passed to the handlers as ancestors (root first).
+ * Elements after the root element are ignored.
+ *
+ * @param {string} formatName - Name of the report format, for error messages (e.g. 'TRX')
+ * @param {Object} handlers - Format handlers (may throw ValidationError)
+ * @param {Function} [handlers.onOpen] - (element, ancestors) => void, for each element outside a selected subtree as it opens
+ * @param {Function} handlers.select - (element, ancestors) => boolean, whether to build the element's subtree
+ * @param {Function} handlers.onElement - (element, ancestors) => void, for each selected element once it closes
+ * @returns {Object} - { write(chunk), finish() }, where finish() returns the root element (without children)
+ */
+function createXmlElementReader(formatName, handlers) {
+  const parser = sax.parser(true, { trim: false });
+  const ancestors = [];
+  const selected = [];
+  let root = null;
+  let ignoredDepth = 0;
+
+  parser.onopentag = (node) => {
+    const element = { name: node.name.split(':').pop(), attributes: node.attributes, children: [], text: '' };
+    if (selected.length > 0) {
+      selected[selected.length - 1].children.push(element);
+      selected.push(element);
+      return;
+    }
+    if (ignoredDepth > 0 || (root !== null && ancestors.length === 0)) {
+      ignoredDepth++;
+      return;
+    }
+
+    if (root === null) {
+      root = element;
+    }
+    if (handlers.onOpen) {
+      handlers.onOpen(element, ancestors);
+    }
+    (handlers.select(element, ancestors) ? selected : ancestors).push(element);
+  };
+
+  parser.ontext = (text) => {
+    if (selected.length > 0) {
+      selected[selected.length - 1].text += text;
+    }
+  };
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = () => {
+    if (selected.length > 0) {
+      const element = selected.pop();
+      if (selected.length === 0) {
+        handlers.onElement(element, ancestors);
+      }
+    } else if (ignoredDepth > 0) {
+      ignoredDepth--;
+    } else {
+      ancestors.pop();
+    }
+  };
+
+  /**
+   * Run a sax operation, reporting malformed XML as a ValidationError
+   * @param {Function} operation - Operation on the sax parser
+   */
+  function run(operation) {
+    try {
+      operation();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      const reason = String(error.message).split('\n')[0];
+      throw new ValidationError(`Invalid ${formatName}: ${reason}`);
+    }
+  }
+
+  return {
+    write(chunk) {
+      run(() => parser.write(chunk));
+    },
+    finish() {
+      run(() => parser.close());
+      if (root === null) {
+        throw new ValidationError(`Request body must be a ${formatName} document`);
+      }
+      return root;
+    }
+  };
+}
+
+/**
+ * Read a whole XML document with a format reader
+ * @param {string} xml - Raw XML document
+ * @param {Object} reader - Format reader with write(chunk) and finish()
+ * @param {string} formatName - Name of the report format, for error messages (e.g. 'TRX')
+ * @returns {*} - Result of reader.finish()
+ * @throws {ValidationError} - If the document is empty or invalid
+ */
+function readXmlDocument(xml, reader, formatName) {
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    throw new ValidationError(`Request body must be a ${formatName} document`);
+  }
+  reader.write(xml);
+  return reader.finish();
+}
+
+/**
+ * Read a streamed XML document with a format reader, one chunk at a time
+ * @param {AsyncIterable<string>} chunks - Decoded chunks of the document
+ * @param {Object} reader - Format reader with write(chunk) and finish()
+ * @returns {Promise<*>} - Result of reader.finish()
+ * @throws {ValidationError} - If the document is empty or invalid
+ */
+async function readXmlStream(chunks, reader) {
+  for await (const chunk of chunks) {
+    reader.write(chunk);
+  }
+  return reader.finish();
+}
+
+/**
+ * Get the child elements of an element with a given name
+ * @param {Object|undefined} element - Parent element
+ * @param {string} name - Element name
+ * @returns {Array<Object>} - Matching children in document order
+ */
+function childrenNamed(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Get the first child element of an element with a given name
+ * @param {Object|undefined} element - Parent element
+ * @param {string} name - Element name
+ * @returns {Object|undefined} - First matching child
+ */
+function childNamed(element, name) {
+  return element ? element.children.find(child => child.name === name) : undefined;
+}
+
+/**
+ * Get the trimmed text of an element
+ * @param {Object|undefined} element - Element
+ * @returns {string|null} - Text, or null if the element is missing or empty
+ */
+function elementText(element) {
+  const text = element ? element.text.trim() : '';
+  return text || null;
+}
+
+module.exports = {
+  rootElementName,
+  createXmlElementReader,
+  readXmlDocument,
+  readXmlStream,
+  childrenNamed,
+  childNamed,
+  elementText
+};
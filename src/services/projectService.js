@@ -1,16 +1,22 @@
 const projectDB = require('../db/projectDB');
 const orgDB = require('../db/orgDB');
-const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const artifactDB = require('../db/artifactDB');
+const { withTransaction } = require('../db/database');
+const { removeStoredArtifacts } = require('./artifactService');
+const { recordAuthFailure } = require('../utils/metrics');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
 
 /**
  * Create a new project with validation
  * @param {string} organizationId - Organization ID (foreign key)
  * @param {string} name - Project name
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
  * @returns {Promise<Object>} - Created project
  * @throws {ValidationError} - If name is missing or empty
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
  * @throws {NotFoundError} - If organization does not exist
  */
-async function createProject(organizationId, name) {
+async function createProject(organizationId, name, adminOrganizationId = null) {
   // Validate name is non-empty string
   if (!name || typeof name !== 'string' || name.trim() === '') {
     throw new ValidationError('Project name is required and must be a non-empty string');
@@ -21,6 +27,12 @@ async function createProject(organizationId, name) {
     throw new ValidationError('Organization ID is required and must be a string');
   }
 
+  // Org-scoped admin tokens may only manage their own organization
+  if (adminOrganizationId && adminOrganizationId !== organizationId) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this organization');
+  }
+
   // Check if organization exists
   const org = await orgDB.findById(organizationId);
   if (!org) {
@@ -40,6 +52,121 @@ async function createProject(organizationId, name) {
   }
 }
 
+/**
+ * List the projects of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @param {Object} [filters] - Optional filters
+ * @param {boolean} [filters.archived] - Only archived (true) or only active (false) projects
+ * @returns {Promise<Array>} - Projects, by name
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ * @throws {NotFoundError} - If the organization does not exist
+ */
+async function listProjects(organizationId, adminOrganizationId = null, filters = {}) {
+  if (adminOrganizationId && adminOrganizationId !== organizationId) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this organization');
+  }
+
+  const org = await orgDB.findById(organizationId);
+  if (!org) {
+    throw new NotFoundError(`Organization with id ${organizationId} does not exist`);
+  }
+  return projectDB.findByOrganizationId(organizationId, filters);
+}
+
+/**
+ * Get a project the caller may manage
+ * @param {string} id - Project ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - Project
+ * @throws {NotFoundError} - If the project does not exist
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ */
+async function getProject(id, adminOrganizationId = null) {
+  const project = await projectDB.findById(id);
+  if (!project) {
+    throw new NotFoundError(`Project with id ${id} does not exist`);
+  }
+
+  if (adminOrganizationId && adminOrganizationId !== project.organization_id) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this project');
+  }
+  return project;
+}
+
+/**
+ * Rename, archive or unarchive a project
+ * An archived project keeps its history but rejects ingestion.
+ * @param {string} id - Project ID
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {boolean} [changes.archived] - Whether the project is archived
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - Updated project
+ * @throws {ValidationError} - If no change is given or a field is invalid
+ * @throws {NotFoundError} - If the project does not exist
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ * @throws {ConflictError} - If another project of the organization has the name
+ */
+async function updateProject(id, changes, adminOrganizationId = null) {
+  const { name, archived } = changes;
+  if (name === undefined && archived === undefined) {
+    throw new ValidationError('At least one of name or archived is required');
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+    throw new ValidationError('Project name must be a non-empty string');
+  }
+  if (archived !== undefined && typeof archived !== 'boolean') {
+    throw new ValidationError('archived must be a boolean');
+  }
+
+  const project = await getProject(id, adminOrganizationId);
+  const update = {};
+  if (name !== undefined) {
+    update.name = name.trim();
+  }
+  if (archived === true && !project.archived_at) {
+    update.archived_at = new Date().toISOString();
+  } else if (archived === false) {
+    update.archived_at = null;
+  }
+
+  try {
+    await projectDB.update(project.id, update);
+  } catch (err) {
+    if (err.code === 'UNIQUE_VIOLATION') {
+      throw new ConflictError(err.message);
+    }
+    throw err;
+  }
+  return { ...project, ...update };
+}
+
+/**
+ * Delete a project with its runs, tokens, artifacts and webhooks
+ * @param {string} id - Project ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - If the project does not exist
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ */
+async function deleteProject(id, adminOrganizationId = null) {
+  const storageKeys = await withTransaction(async () => {
+    const project = await getProject(id, adminOrganizationId);
+    const keys = await artifactDB.findStorageKeys({ projectId: project.id });
+    await projectDB.remove(project.id);
+    return keys;
+  });
+
+  await removeStoredArtifacts(storageKeys);
+}
+
 module.exports = {
-  createProject
+  createProject,
+  listProjects,
+  getProject,
+  updateProject,
+  deleteProject
 };
@@ -0,0 +1,83 @@
+const { getRateLimitStore } = require('./rateLimitStore');
+
+// What requests are limited by, in the order their buckets are checked
+const RATE_LIMIT_SCOPES = ['token', 'project', 'ip'];
+
+// Default requests per minute for each scope
+const DEFAULT_RATE_LIMITS_PER_MINUTE = {
+  token: 300,
+  project: 600,
+  ip: 600
+};
+
+/**
+ * Read a non-negative integer setting
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Configured value
+ */
+function getCount(name, defaultValue) {
+  const configured = parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : defaultValue;
+}
+
+/**
+ * Get the token bucket of a rate limit scope
+ * Configured with RATE_LIMIT_<SCOPE>_PER_MINUTE (the refill rate; 0 turns the limit off) and
+ * RATE_LIMIT_<SCOPE>_BURST (the bucket size, defaulting to one minute's worth of requests).
+ * @param {string} scope - 'token', 'project' or 'ip'
+ * @returns {Object|null} - { capacity, refillPerSecond }, or null if the scope is not limited
+ */
+function getRateLimit(scope) {
+  const prefix = `RATE_LIMIT_${scope.toUpperCase()}`;
+  const perMinute = getCount(`${prefix}_PER_MINUTE`, DEFAULT_RATE_LIMITS_PER_MINUTE[scope]);
+  if (perMinute === 0) {
+    return null;
+  }
+  return {
+    capacity: getCount(`${prefix}_BURST`, 0) || perMinute,
+    refillPerSecond: perMinute / 60
+  };
+}
+
+/**
+ * Count a request against every rate limit that applies to it
+ * Buckets are checked in RATE_LIMIT_SCOPES order and checking stops at the first empty one.
+ * A refused request is not counted: the tokens already taken from earlier buckets are given back,
+ * so e.g. a client refused by its IP limit cannot drain the bucket its project shares.
+ * @param {Object} identity - Who sent the request
+ * @param {string} [identity.token] - API token ID
+ * @param {string} [identity.project] - Project ID
+ * @param {string} [identity.ip] - Client IP address
+ * @returns {Promise<Object|null>} - { scope, limit, allowed, remaining, retryAfterMs, resetMs } for the
+ *                                   empty bucket, else the one with the fewest requests left; null if no limit applies
+ */
+async function consumeRateLimits(identity) {
+  const store = getRateLimitStore();
+  const taken = [];
+  let tightest = null;
+
+  for (const scope of RATE_LIMIT_SCOPES) {
+    const limit = getRateLimit(scope);
+    if (!limit || !identity[scope]) continue;
+
+    const key = `${scope}:${identity[scope]}`;
+    const result = await store.consume(key, limit);
+    const entry = { scope, limit: limit.capacity, ...result };
+    if (!result.allowed) {
+      await Promise.all(taken.map(bucket => store.refund(bucket.key, bucket.limit)));
+      return entry;
+    }
+    taken.push({ key, limit });
+    if (!tightest || entry.remaining < tightest.remaining) {
+      tightest = entry;
+    }
+  }
+  return tightest;
+}
+
+module.exports = {
+  RATE_LIMIT_SCOPES,
+  getRateLimit,
+  consumeRateLimits
+};
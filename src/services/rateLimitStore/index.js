@@ -0,0 +1,37 @@
+const { createMemoryStore } = require('./memoryStore');
+
+// Stores selectable with RATE_LIMIT_STORE
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryStore()
+};
+
+let rateLimitStore = null;
+
+/**
+ * Get the rate limit store, creating it from RATE_LIMIT_STORE (default 'memory') on first use
+ * @returns {Object} - Rate limit store (see createMemoryStore for the interface)
+ * @throws {Error} - If RATE_LIMIT_STORE names an unknown store
+ */
+function getRateLimitStore() {
+  if (!rateLimitStore) {
+    const store = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!RATE_LIMIT_STORES[store]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+    }
+    rateLimitStore = RATE_LIMIT_STORES[store]();
+  }
+  return rateLimitStore;
+}
+
+/**
+ * Replace the rate limit store, e.g. with one shared between instances
+ * @param {Object|null} store - Store implementing consume and refund, or null to reset
+ */
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore
+};
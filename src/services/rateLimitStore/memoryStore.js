@@ -0,0 +1,103 @@
+// Number of consume calls between sweeps of buckets that have refilled completely
+const SWEEP_INTERVAL = 1000;
+
+/**
+ * Create a rate limit store that keeps token buckets in process memory
+ * Every store exposes the same async interface: consume(key, limit), which refills the bucket
+ * under a key for the time elapsed, takes one token if there is one, and reports what is left,
+ * and refund(key, limit), which gives back a token taken by consume. A store shared between
+ * instances must refill and take atomically. Memory buckets are per
+ * process, so every instance enforces the limits on its own.
+ * @param {Object} [options] - Store options
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds (default Date.now)
+ * @returns {Object} - Rate limit store
+ */
+function createMemoryStore({ now = Date.now } = {}) {
+  // key -> { tokens, updatedAt, fullAt }
+  const buckets = new Map();
+  let consumeCount = 0;
+
+  /**
+   * Drop buckets that have refilled completely; a new bucket starts full anyway
+   * @param {number} time - Current time in milliseconds
+   */
+  function sweep(time) {
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= time) {
+        buckets.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Get the tokens in a bucket, refilled for the time since it was last used
+   * @param {string} key - Bucket key
+   * @param {Object} limit - Bucket size and refill rate
+   * @param {number} time - Current time in milliseconds
+   * @returns {number} - Available tokens (fractional)
+   */
+  function available(key, limit, time) {
+    const bucket = buckets.get(key);
+    return bucket
+      ? Math.min(limit.capacity, bucket.tokens + (time - bucket.updatedAt) * limit.refillPerSecond / 1000)
+      : limit.capacity;
+  }
+
+  /**
+   * Store the tokens left in a bucket
+   * @param {string} key - Bucket key
+   * @param {Object} limit - Bucket size and refill rate
+   * @param {number} tokens - Tokens left
+   * @param {number} time - Current time in milliseconds
+   * @returns {number} - Milliseconds until the bucket is full
+   */
+  function store(key, limit, tokens, time) {
+    const resetMs = Math.ceil((limit.capacity - tokens) * 1000 / limit.refillPerSecond);
+    buckets.set(key, { tokens, updatedAt: time, fullAt: time + resetMs });
+    return resetMs;
+  }
+
+  return {
+    /**
+     * Take one token from a bucket
+     * @param {string} key - Bucket key, e.g. 'token:<id>'
+     * @param {Object} limit - Bucket size and refill rate
+     * @param {number} limit.capacity - Maximum number of tokens (the burst size)
+     * @param {number} limit.refillPerSecond - Tokens added per second
+     * @returns {Promise<Object>} - { allowed, remaining, retryAfterMs, resetMs }, where retryAfterMs
+     *                              is the wait for the next token and resetMs the wait until the bucket is full
+     */
+    async consume(key, limit) {
+      const time = now();
+      consumeCount += 1;
+      if (consumeCount % SWEEP_INTERVAL === 0) {
+        sweep(time);
+      }
+
+      const tokensBefore = available(key, limit, time);
+      const allowed = tokensBefore >= 1;
+      const tokens = allowed ? tokensBefore - 1 : tokensBefore;
+      const resetMs = store(key, limit, tokens, time);
+
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * 1000 / limit.refillPerSecond),
+        resetMs
+      };
+    },
+
+    /**
+     * Give back a token taken by consume, e.g. when another limit refused the request
+     * @param {string} key - Bucket key
+     * @param {Object} limit - Bucket size and refill rate, as passed to consume
+     * @returns {Promise<void>}
+     */
+    async refund(key, limit) {
+      const time = now();
+      store(key, limit, Math.min(limit.capacity, available(key, limit, time) + 1), time);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
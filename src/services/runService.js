@@ -0,0 +1,145 @@
+const testRunDB = require('../db/testRunDB');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { normalizeRunFilters } = require('../utils/runMetadata');
+const { validate: isValidUUID } = require('uuid');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SORT_FIELDS = ['timestamp', 'duration_ms'];
+const SORT_ORDERS = ['asc', 'desc'];
+const ISO_8601_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Check a cursor's keyset value has the type of its sort column
+ * @param {string} sort - Sort column
+ * @param {*} value - Decoded keyset value
+ * @returns {boolean} - True for an ISO 8601 timestamp string or a non-negative integer duration
+ */
+function isValidSortValue(sort, value) {
+  if (sort === 'timestamp') {
+    return typeof value === 'string' && ISO_8601_REGEX.test(value) && !isNaN(Date.parse(value));
+  }
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Encode a keyset position as an opaque cursor string
+ * @param {Object} run - Last test run on the current page
+ * @param {string} sort - Sort column the page was ordered by
+ * @returns {string} - Base64url-encoded cursor
+ */
+function encodeCursor(run, sort) {
+  return Buffer.from(JSON.stringify({ s: sort, v: run[sort], i: run.id })).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor string into a keyset position
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort column of the current request
+ * @returns {Object} - Keyset position { value, id }
+ * @throws {ValidationError} - If the cursor is malformed, forged or was issued for another sort
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('cursor is invalid');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || !SORT_FIELDS.includes(decoded.s) ||
+      typeof decoded.i !== 'string' || !isValidUUID(decoded.i) || !isValidSortValue(decoded.s, decoded.v)) {
+    throw new ValidationError('cursor is invalid');
+  }
+  if (decoded.s !== sort) {
+    throw new ValidationError('cursor does not match the requested sort');
+  }
+
+  return { value: decoded.v, id: decoded.i };
+}
+
+/**
+ * List a project's test runs, one page at a time
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {Object} options - Listing options
+ * @param {string} [options.status] - Filter by run status
+ * @param {string} [options.from] - Inclusive lower timestamp bound (ISO 8601)
+ * @param {string} [options.to] - Exclusive upper timestamp bound (ISO 8601)
+ * @param {string} [options.branch] - Filter by branch
+ * @param {string} [options.commit_sha] - Filter by commit
+ * @param {string} [options.ci_provider] - Filter by CI provider
+ * @param {string} [options.environment] - Filter by environment
+ * @param {Object} [options.labels] - Only include runs carrying all of these labels
+ * @param {string} [options.sort='timestamp'] - 'timestamp' or 'duration_ms'
+ * @param {string} [options.order='desc'] - 'asc' or 'desc'
+ * @param {number} [options.limit=50] - Page size (1-200)
+ * @param {string} [options.cursor] - Cursor returned by the previous page
+ * @returns {Promise<Object>} - { data, next_cursor } where next_cursor is null on the last page
+ * @throws {ValidationError} - If any option is invalid
+ */
+async function listRuns(projectId, options = {}) {
+  const sort = options.sort || 'timestamp';
+  const order = options.order || 'desc';
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new ValidationError('sort must be "timestamp" or "duration_ms"');
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    throw new ValidationError('order must be "asc" or "desc"');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  if (options.from && options.to && options.from >= options.to) {
+    throw new ValidationError('from must be earlier than to');
+  }
+
+  const filters = normalizeRunFilters(options);
+  const after = options.cursor ? decodeCursor(options.cursor, sort) : null;
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await testRunDB.findPageByProject(projectId, {
+    status: options.status,
+    from: options.from,
+    to: options.to,
+    filters,
+    sort,
+    order,
+    limit: limit + 1,
+    after
+  });
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    next_cursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null
+  };
+}
+
+/**
+ * Get a single test run with its test cases (and, for a sharded run, its shards)
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} runId - Run ID
+ * @returns {Promise<Object>} - Test run including its tests and shards
+ * @throws {NotFoundError} - If the run does not exist in this project
+ */
+async function getRun(projectId, runId) {
+  const testRun = await testRunDB.findByRunId(projectId, runId);
+  if (!testRun) {
+    throw new NotFoundError(`Test run with run_id ${runId} does not exist`);
+  }
+
+  testRun.tests = await testRunDB.findTestCasesByTestRunId(testRun.id);
+  if (testRun.shard_total !== null) {
+    testRun.shards = await testRunDB.findShardsByTestRunId(testRun.id);
+  }
+  return testRun;
+}
+
+module.exports = {
+  listRuns,
+  getRun
+};
@@ -0,0 +1,51 @@
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+
+// Backends selectable with ARTIFACT_STORAGE
+const STORAGE_BACKENDS = {
+  local: () => createLocalStorage(getLocalStoragePath())
+};
+
+let artifactStorage = null;
+
+/**
+ * Get the directory local artifact storage writes to
+ * Configured with ARTIFACT_STORAGE_PATH, defaulting to an artifacts directory next to DATABASE_PATH.
+ * @returns {string} - Storage directory
+ */
+function getLocalStoragePath() {
+  if (process.env.ARTIFACT_STORAGE_PATH) {
+    return process.env.ARTIFACT_STORAGE_PATH;
+  }
+  const databasePath = process.env.DATABASE_PATH || './data/test-analytics.db';
+  return path.join(path.dirname(databasePath), 'artifacts');
+}
+
+/**
+ * Get the artifact storage backend, creating it from ARTIFACT_STORAGE (default 'local') on first use
+ * @returns {Object} - Storage backend (see createLocalStorage for the interface)
+ * @throws {Error} - If ARTIFACT_STORAGE names an unknown backend
+ */
+function getArtifactStorage() {
+  if (!artifactStorage) {
+    const backend = process.env.ARTIFACT_STORAGE || 'local';
+    if (!STORAGE_BACKENDS[backend]) {
+      throw new Error(`Unknown ARTIFACT_STORAGE backend: ${backend}`);
+    }
+    artifactStorage = STORAGE_BACKENDS[backend]();
+  }
+  return artifactStorage;
+}
+
+/**
+ * Replace the artifact storage backend, e.g. with a remote object store
+ * @param {Object|null} storage - Backend implementing save, createReadStream and remove, or null to reset
+ */
+function setArtifactStorage(storage) {
+  artifactStorage = storage;
+}
+
+module.exports = {
+  getArtifactStorage,
+  setArtifactStorage
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an artifact storage backend that keeps files on the local filesystem
+ * Every storage backend exposes the same async interface: save, createReadStream and remove,
+ * addressing files by a relative key such as '<project_id>/<artifact_id>'.
+ * @param {string} rootDir - Directory the files are stored under (created on first save)
+ * @returns {Object} - Storage backend
+ */
+function createLocalStorage(rootDir) {
+  /**
+   * Resolve a key to a path inside rootDir
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   * @throws {Error} - If the key would escape rootDir
+   */
+  function resolveKey(key) {
+    const root = path.resolve(rootDir);
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    /**
+     * Store file contents under a key, replacing any existing file
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @returns {Promise<void>}
+     */
+    async save(key, data) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+    },
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Storage key
+     * @returns {Promise<stream.Readable>} - Stream of the file contents
+     */
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    /**
+     * Delete a stored file (missing files are ignored)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -1,27 +1,143 @@
 const tokenDB = require('../db/tokenDB');
+const adminTokenDB = require('../db/adminTokenDB');
 const projectDB = require('../db/projectDB');
+const orgDB = require('../db/orgDB');
+const { withTransaction } = require('../db/database');
 const { generateToken, hashToken } = require('../utils/crypto');
-const { ValidationError, NotFoundError } = require('../utils/errors');
+const { recordAuthFailure } = require('../utils/metrics');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const MAX_LABEL_LENGTH = 100;
+
+// Scopes a project token can hold; 'admin' satisfies every scope check
+const TOKEN_SCOPES = ['ingest:write', 'runs:read', 'admin'];
+const DEFAULT_ROTATION_GRACE_SECONDS = 60 * 60;
+const MAX_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
 
 /**
- * Create a new API token for a project
- * @param {string} projectId - Project ID
- * @returns {Promise<Object>} - Object containing raw token, project_id, and warning message
- * @throws {ValidationError} - If projectId is missing or invalid
- * @throws {NotFoundError} - If project does not exist
+ * Determine whether a token is active, revoked or expired
+ * @param {Object} token - Token row with revoked_at and expires_at
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string} - 'active', 'revoked' or 'expired'
  */
-async function createToken(projectId) {
-  // Validate projectId is provided
-  if (!projectId || typeof projectId !== 'string') {
-    throw new ValidationError('Project ID is required and must be a string');
+function getTokenStatus(token, now = new Date()) {
+  if (token.revoked_at) {
+    return 'revoked';
+  }
+  if (token.expires_at && new Date(token.expires_at) <= now) {
+    return 'expired';
   }
+  return 'active';
+}
+
+/**
+ * Shape a token row into the public metadata format (never includes the hash)
+ * @param {Object} token - Token row
+ * @returns {Object} - Token metadata with its current status
+ */
+function formatToken(token) {
+  return {
+    id: token.id,
+    project_id: token.project_id,
+    label: token.label,
+    scopes: token.scopes,
+    status: getTokenStatus(token),
+    created_at: token.created_at,
+    expires_at: token.expires_at,
+    revoked_at: token.revoked_at,
+    last_used_at: token.last_used_at
+  };
+}
 
-  // Check if project exists
+/**
+ * Look up a project and check the calling admin may manage it
+ * @param {string} projectId - Project ID
+ * @param {string|null} adminOrganizationId - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - The project
+ * @throws {NotFoundError} - If project does not exist
+ * @throws {ForbiddenError} - If the project belongs to another organization than the admin token
+ */
+async function getManagedProject(projectId, adminOrganizationId) {
   const project = await projectDB.findById(projectId);
   if (!project) {
     throw new NotFoundError(`Project with id ${projectId} does not exist`);
   }
 
+  // Org-scoped admin tokens may only manage their own organization's projects
+  if (adminOrganizationId && adminOrganizationId !== project.organization_id) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this project');
+  }
+
+  return project;
+}
+
+/**
+ * Look up a token and check the calling admin may manage its project
+ * @param {string} tokenId - Token ID
+ * @param {string|null} adminOrganizationId - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - The token row
+ * @throws {NotFoundError} - If token does not exist
+ * @throws {ForbiddenError} - If the token's project belongs to another organization than the admin token
+ */
+async function getManagedToken(tokenId, adminOrganizationId) {
+  const token = await tokenDB.findById(tokenId);
+  if (!token) {
+    throw new NotFoundError(`Token with id ${tokenId} does not exist`);
+  }
+  await getManagedProject(token.project_id, adminOrganizationId);
+  return token;
+}
+
+/**
+ * Validate optional label, expiry and scope attributes of a new token
+ * @param {Object} options - { label, expires_at, scopes }
+ * @returns {Object} - { label, expiresAt, scopes } normalized for storage (scopes undefined means the default)
+ * @throws {ValidationError} - If the label, expiry or scopes are invalid
+ */
+function validateTokenOptions(options) {
+  let label = null;
+  if (options.label !== undefined && options.label !== null) {
+    if (typeof options.label !== 'string' || options.label.trim() === '' || options.label.trim().length > MAX_LABEL_LENGTH) {
+      throw new ValidationError(`label must be a non-empty string of at most ${MAX_LABEL_LENGTH} characters`);
+    }
+    label = options.label.trim();
+  }
+
+  let expiresAt = null;
+  if (options.expires_at !== undefined && options.expires_at !== null) {
+    const date = new Date(options.expires_at);
+    if (typeof options.expires_at !== 'string' || isNaN(date.getTime())) {
+      throw new ValidationError('expires_at must be a valid ISO 8601 date');
+    }
+    if (date <= new Date()) {
+      throw new ValidationError('expires_at must be in the future');
+    }
+    expiresAt = date.toISOString();
+  }
+
+  let scopes;
+  if (options.scopes !== undefined) {
+    if (!Array.isArray(options.scopes) || options.scopes.length === 0) {
+      throw new ValidationError('scopes must be a non-empty array');
+    }
+    const unknown = options.scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}. Allowed scopes: ${TOKEN_SCOPES.join(', ')}`);
+    }
+    scopes = [...new Set(options.scopes)];
+  }
+
+  return { label, expiresAt, scopes };
+}
+
+/**
+ * Generate, hash and store a new token for a project
+ * @param {string} projectId - Project ID
+ * @param {Object} attributes - { label, expiresAt }
+ * @returns {Promise<Object>} - Object containing raw token, token metadata, and warning message
+ */
+async function issueToken(projectId, attributes) {
   // Generate random token
   const rawToken = generateToken();
   
@@ -29,20 +145,217 @@ async function createToken(projectId) {
   const tokenHash = hashToken(rawToken);
   
   // Store hashed token in database
-  await tokenDB.create(projectId, tokenHash);
+  const created = await tokenDB.create(projectId, tokenHash, attributes);
 
   // Return raw token with warning (only shown once)
   return {
     token: rawToken,
-    project_id: projectId,
+    ...formatToken(created),
+    warning: 'Store this token securely. It will not be shown again.'
+  };
+}
+
+/**
+ * Create a new API token for a project
+ * @param {string} projectId - Project ID
+ * @param {Object} [options] - Optional token attributes
+ * @param {string} [options.label] - Human-readable label
+ * @param {string} [options.expires_at] - Expiry time (ISO 8601, in the future)
+ * @param {Array<string>} [options.scopes] - Scopes to grant, defaults to ['ingest:write', 'runs:read']
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - Object containing raw token, token metadata, and warning message
+ * @throws {ValidationError} - If projectId, label, expires_at or scopes is missing or invalid
+ * @throws {NotFoundError} - If project does not exist
+ * @throws {ForbiddenError} - If the project belongs to another organization than the admin token
+ */
+async function createToken(projectId, options = {}, adminOrganizationId = null) {
+  // Validate projectId is provided
+  if (!projectId || typeof projectId !== 'string') {
+    throw new ValidationError('Project ID is required and must be a string');
+  }
+
+  const attributes = validateTokenOptions(options);
+
+  // Check if project exists and is manageable by the caller
+  await getManagedProject(projectId, adminOrganizationId);
+
+  return issueToken(projectId, attributes);
+}
+
+/**
+ * List all tokens of a project, newest first (metadata only, never the token itself)
+ * @param {string} projectId - Project ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Array>} - Array of token metadata
+ * @throws {NotFoundError} - If project does not exist
+ * @throws {ForbiddenError} - If the project belongs to another organization than the admin token
+ */
+async function listTokens(projectId, adminOrganizationId = null) {
+  await getManagedProject(projectId, adminOrganizationId);
+  const tokens = await tokenDB.findAllByProject(projectId);
+  return tokens.map(formatToken);
+}
+
+/**
+ * Revoke a token immediately (revoking an already revoked token is a no-op)
+ * @param {string} tokenId - Token ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - The revoked token's metadata
+ * @throws {NotFoundError} - If token does not exist
+ * @throws {ForbiddenError} - If the token's project belongs to another organization than the admin token
+ */
+async function revokeToken(tokenId, adminOrganizationId = null) {
+  await getManagedToken(tokenId, adminOrganizationId);
+  await tokenDB.revoke(tokenId, new Date().toISOString());
+  return formatToken(await tokenDB.findById(tokenId));
+}
+
+/**
+ * Replace a token with a new one for the same project, label and scopes
+ * The old token keeps working for a grace period so CI secrets can be swapped without downtime.
+ * @param {string} tokenId - ID of the token to rotate
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.grace_period_seconds=3600] - How long the old token stays valid (0 expires it immediately)
+ * @param {string} [options.expires_at] - Expiry time of the new token (ISO 8601, in the future)
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - New raw token and metadata, plus the old token's metadata as previous_token
+ * @throws {ValidationError} - If the options are invalid
+ * @throws {NotFoundError} - If token does not exist
+ * @throws {ForbiddenError} - If the token's project belongs to another organization than the admin token
+ * @throws {ConflictError} - If the token is revoked or expired
+ */
+async function rotateToken(tokenId, options = {}, adminOrganizationId = null) {
+  const gracePeriodSeconds = options.grace_period_seconds === undefined
+    ? DEFAULT_ROTATION_GRACE_SECONDS
+    : options.grace_period_seconds;
+  if (!Number.isInteger(gracePeriodSeconds) || gracePeriodSeconds < 0 || gracePeriodSeconds > MAX_ROTATION_GRACE_SECONDS) {
+    throw new ValidationError(`grace_period_seconds must be an integer between 0 and ${MAX_ROTATION_GRACE_SECONDS}`);
+  }
+  const { expiresAt } = validateTokenOptions({ expires_at: options.expires_at });
+
+  return withTransaction(async () => {
+    const oldToken = await getManagedToken(tokenId, adminOrganizationId);
+    const status = getTokenStatus(oldToken);
+    if (status !== 'active') {
+      throw new ConflictError(`Token is ${status} and cannot be rotated`);
+    }
+
+    const rotated = await issueToken(oldToken.project_id, {
+      label: oldToken.label,
+      expiresAt,
+      scopes: oldToken.scopes
+    });
+
+    // Shorten (never extend) the old token's lifetime to the grace period
+    const graceEnd = new Date(Date.now() + gracePeriodSeconds * 1000);
+    if (!oldToken.expires_at || new Date(oldToken.expires_at) > graceEnd) {
+      await tokenDB.updateExpiry(tokenId, graceEnd.toISOString());
+    }
+
+    return {
+      ...rotated,
+      previous_token: formatToken(await tokenDB.findById(tokenId))
+    };
+  });
+}
+
+/**
+ * Shape an admin token row for API responses (never includes the hash)
+ * @param {Object} adminToken - Admin token row
+ * @returns {Object} - Admin token metadata with status
+ */
+function formatAdminToken(adminToken) {
+  return {
+    id: adminToken.id,
+    organization_id: adminToken.organization_id,
+    status: adminToken.revoked_at ? 'revoked' : 'active',
+    created_at: adminToken.created_at,
+    revoked_at: adminToken.revoked_at
+  };
+}
+
+/**
+ * Look up an organization and check the calling admin may manage it
+ * @param {string} organizationId - Organization ID
+ * @param {string|null} adminOrganizationId - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Object>} - The organization
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ * @throws {NotFoundError} - If organization does not exist
+ */
+async function getManagedOrganization(organizationId, adminOrganizationId) {
+  if (adminOrganizationId && adminOrganizationId !== organizationId) {
+    recordAuthFailure('wrong_organization');
+    throw new ForbiddenError('Admin token does not have access to this organization');
+  }
+
+  const org = await orgDB.findById(organizationId);
+  if (!org) {
+    throw new NotFoundError(`Organization with id ${organizationId} does not exist`);
+  }
+  return org;
+}
+
+/**
+ * Create a new admin token for an organization (the route restricts this to the bootstrap key)
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} - Object containing id, raw token, organization_id, created_at, and warning message
+ * @throws {ValidationError} - If organizationId is missing or invalid
+ * @throws {NotFoundError} - If organization does not exist
+ */
+async function createAdminToken(organizationId) {
+  if (!organizationId || typeof organizationId !== 'string') {
+    throw new ValidationError('Organization ID is required and must be a string');
+  }
+
+  await getManagedOrganization(organizationId, null);
+
+  const rawToken = generateToken('ta_admin_');
+  const adminToken = await adminTokenDB.create(organizationId, hashToken(rawToken));
+
+  return {
+    id: adminToken.id,
+    token: rawToken,
+    organization_id: organizationId,
+    created_at: adminToken.created_at,
     warning: 'Store this token securely. It will not be shown again.'
   };
 }
 
+/**
+ * List the admin tokens of an organization, newest first (metadata only, never the raw token or hash)
+ * @param {string} organizationId - Organization ID
+ * @param {string|null} [adminOrganizationId=null] - Organization of the calling admin token, or null for the bootstrap key
+ * @returns {Promise<Array>} - Array of admin token metadata
+ * @throws {ForbiddenError} - If the admin token belongs to another organization
+ * @throws {NotFoundError} - If organization does not exist
+ */
+async function listAdminTokens(organizationId, adminOrganizationId = null) {
+  await getManagedOrganization(organizationId, adminOrganizationId);
+  const adminTokens = await adminTokenDB.findAllByOrganization(organizationId);
+  return adminTokens.map(formatAdminToken);
+}
+
+/**
+ * Revoke an admin token of an organization (idempotent; the route restricts this to the bootstrap key)
+ * @param {string} organizationId - Organization ID
+ * @param {string} adminTokenId - ID of the admin token to revoke
+ * @returns {Promise<Object>} - Revoked admin token metadata
+ * @throws {NotFoundError} - If the admin token does not exist in the organization
+ */
+async function revokeAdminToken(organizationId, adminTokenId) {
+  const adminToken = await adminTokenDB.findById(adminTokenId);
+  if (!adminToken || adminToken.organization_id !== organizationId) {
+    throw new NotFoundError(`Admin token with id ${adminTokenId} does not exist`);
+  }
+
+  await adminTokenDB.revoke(adminTokenId, new Date().toISOString());
+  return formatAdminToken(await adminTokenDB.findById(adminTokenId));
+}
+
 /**
  * Validate a token and return the associated project ID
  * @param {string} rawToken - Raw API token
- * @returns {Promise<string|null>} - Project ID or null if token is invalid
+ * @returns {Promise<string|null>} - Project ID or null if token is invalid, revoked or expired
  */
 async function validateToken(rawToken) {
   if (!rawToken || typeof rawToken !== 'string') {
@@ -52,13 +365,24 @@ async function validateToken(rawToken) {
   // Hash the provided token
   const tokenHash = hashToken(rawToken);
   
-  // Look up project by token hash
-  const projectId = await tokenDB.findProjectByTokenHash(tokenHash);
+  // Look up token by hash; revoked and expired tokens are not valid
+  const token = await tokenDB.findByTokenHash(tokenHash);
+  if (!token || getTokenStatus(token) !== 'active') {
+    return null;
+  }
   
-  return projectId;
+  return token.project_id;
 }
 
 module.exports = {
   createToken,
-  validateToken
+  createAdminToken,
+  listAdminTokens,
+  revokeAdminToken,
+  listTokens,
+  revokeToken,
+  rotateToken,
+  validateToken,
+  getTokenStatus,
+  TOKEN_SCOPES
 };
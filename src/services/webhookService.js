@@ -0,0 +1,619 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4, validate: isValidUUID } = require('uuid');
+const webhookDB = require('../db/webhookDB');
+const testRunDB = require('../db/testRunDB');
+const { withTransaction } = require('../db/database');
+const { generateToken, signWebhookPayload } = require('../utils/crypto');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { FAILING_STATUSES } = require('../utils/statuses');
+const { isPrivateAddress } = require('../utils/network');
+const { createInFlightTracker } = require('../utils/inFlight');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['run.failed', 'run.recovered', 'flaky.detected'];
+
+const MAX_URL_LENGTH = 2048;
+
+const PRIVATE_TARGET_MESSAGE = 'url must not point to a private, loopback or link-local address';
+
+// Default number of attempts before a delivery is given up
+const DEFAULT_WEBHOOK_MAX_ATTEMPTS = 5;
+
+// Default delay before the first retry; it doubles with every further attempt
+const DEFAULT_WEBHOOK_RETRY_BASE_SECONDS = 30;
+
+// Time a receiver has to respond before the attempt counts as failed
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Failing tests included in a run.failed payload
+const MAX_PAYLOAD_TESTS = 100;
+
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Deliveries due per retry sweep
+const RETRY_BATCH_SIZE = 100;
+
+// Deliveries being attempted by this process, so a retry sweep never sends one twice at once
+const deliveriesInFlight = new Set();
+
+// Dispatches and delivery attempts still running in the background, which shutdown waits for
+const deliveryWork = createInFlightTracker();
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Setting value
+ */
+function getPositiveInteger(name, defaultValue) {
+  const configured = parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : defaultValue;
+}
+
+/**
+ * Get the number of attempts made for a delivery before it is given up
+ * Configured with WEBHOOK_MAX_ATTEMPTS, defaulting to 5.
+ * @returns {number} - Maximum attempts
+ */
+function getMaxAttempts() {
+  return getPositiveInteger('WEBHOOK_MAX_ATTEMPTS', DEFAULT_WEBHOOK_MAX_ATTEMPTS);
+}
+
+/**
+ * Get the delay before retrying a delivery that failed its nth attempt (exponential backoff)
+ * The base delay is configured with WEBHOOK_RETRY_BASE_SECONDS, defaulting to 30 seconds.
+ * @param {number} attemptCount - Attempts made so far (1 or more)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelayMs(attemptCount) {
+  const baseSeconds = getPositiveInteger('WEBHOOK_RETRY_BASE_SECONDS', DEFAULT_WEBHOOK_RETRY_BASE_SECONDS);
+  return baseSeconds * 1000 * 2 ** (attemptCount - 1);
+}
+
+/**
+ * Get the hosts webhooks may reach even on private addresses
+ * Configured with WEBHOOK_ALLOWED_HOSTS, a comma-separated list of host names or IPs, e.g. for
+ * receivers inside the same network. Empty by default.
+ * @returns {Array<string>} - Allowed hosts, lower-cased
+ */
+function getAllowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Get the host of a URL without the brackets around IPv6 addresses
+ * @param {URL} url - Parsed URL
+ * @returns {string} - Host name or IP address
+ */
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Resolve the host of a webhook URL and reject it if it reaches a private address
+ * Keeps anyone who can create a webhook from probing the internal network.
+ * Hosts in WEBHOOK_ALLOWED_HOSTS are not checked.
+ * @param {URL} url - Parsed webhook URL
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - If the host cannot be resolved or any of its addresses is private
+ */
+async function checkTarget(url) {
+  const host = hostOf(url);
+  if (getAllowedHosts().includes(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ValidationError(`url host ${host} could not be resolved`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new ValidationError(PRIVATE_TARGET_MESSAGE);
+  }
+}
+
+/**
+ * DNS lookup for webhook connections that refuses private addresses
+ * Checks the address actually connected to, so a host cannot pass checkTarget and then
+ * resolve to an internal address.
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called with (err, address, family), or (err, addresses) when options.all is set
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_TARGET_MESSAGE));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Validate a webhook URL
+ * @param {*} url - Candidate URL
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - If the URL is not an absolute http or https URL, or reaches a private address
+ */
+async function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = typeof url === 'string' && url.length <= MAX_URL_LENGTH ? new URL(url) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError(`url must be an http or https URL of at most ${MAX_URL_LENGTH} characters`);
+  }
+  await checkTarget(parsed);
+}
+
+/**
+ * Validate and deduplicate subscribed events
+ * @param {*} events - Candidate event list
+ * @returns {Array<string>} - Events without duplicates
+ * @throws {ValidationError} - If events is not a non-empty array of known events
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ValidationError(`events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown events: ${unknown.join(', ')}. Allowed events: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+}
+
+/**
+ * Convert a stored webhook into its API representation (the secret is only returned on creation)
+ * @param {Object} webhook - Webhook from webhookDB
+ * @returns {Object} - Webhook without its secret
+ */
+function toWebhookResponse(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * Find a webhook of the project or fail
+ * @param {string} projectId - Project ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} - Webhook
+ * @throws {NotFoundError} - If the webhook does not exist in this project
+ */
+async function findWebhook(projectId, webhookId) {
+  const webhook = isValidUUID(webhookId) ? await webhookDB.findById(projectId, webhookId) : null;
+  if (!webhook) {
+    throw new NotFoundError(`Webhook with id ${webhookId} does not exist`);
+  }
+  return webhook;
+}
+
+/**
+ * Subscribe a URL to events of a project
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {Object} data - Webhook data
+ * @param {string} data.url - Endpoint events are posted to
+ * @param {Array<string>} data.events - Events to subscribe to (see WEBHOOK_EVENTS)
+ * @returns {Promise<Object>} - Created webhook including its secret (shown only once)
+ * @throws {ValidationError} - If the URL or events are invalid
+ */
+async function createWebhook(projectId, data) {
+  await validateUrl(data.url);
+  const events = validateEvents(data.events);
+
+  return webhookDB.create({
+    id: uuidv4(),
+    project_id: projectId,
+    url: data.url,
+    secret: generateToken('whsec_'),
+    events
+  });
+}
+
+/**
+ * List the webhooks of a project
+ * @param {string} projectId - Project ID (from authentication)
+ * @returns {Promise<Array>} - Webhooks without their secrets, oldest first
+ */
+async function listWebhooks(projectId) {
+  const webhooks = await webhookDB.findByProjectId(projectId);
+  return webhooks.map(toWebhookResponse);
+}
+
+/**
+ * Get a webhook of a project
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object>} - Webhook without its secret
+ * @throws {NotFoundError} - If the webhook does not exist in this project
+ */
+async function getWebhook(projectId, webhookId) {
+  return toWebhookResponse(await findWebhook(projectId, webhookId));
+}
+
+/**
+ * Change a webhook's URL, events or active flag
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} changes - Fields to change: url, events and/or active
+ * @returns {Promise<Object>} - Updated webhook without its secret
+ * @throws {ValidationError} - If no field or an invalid value is given
+ * @throws {NotFoundError} - If the webhook does not exist in this project
+ */
+async function updateWebhook(projectId, webhookId, changes) {
+  const { url, events, active } = changes;
+  if (url === undefined && events === undefined && active === undefined) {
+    throw new ValidationError('At least one of url, events or active is required');
+  }
+  if (url !== undefined) {
+    await validateUrl(url);
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    throw new ValidationError('active must be a boolean');
+  }
+
+  await findWebhook(projectId, webhookId);
+  await webhookDB.update(projectId, webhookId, {
+    url,
+    events: events === undefined ? undefined : validateEvents(events),
+    active
+  });
+  return getWebhook(projectId, webhookId);
+}
+
+/**
+ * Delete a webhook and its delivery log
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - If the webhook does not exist in this project
+ */
+async function deleteWebhook(projectId, webhookId) {
+  await findWebhook(projectId, webhookId);
+  await withTransaction(() => webhookDB.remove(projectId, webhookId));
+}
+
+/**
+ * List the most recent deliveries of a webhook
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} webhookId - Webhook ID
+ * @param {number} [limit=50] - Maximum number of deliveries (1-200)
+ * @returns {Promise<Array>} - Deliveries, newest first
+ * @throws {ValidationError} - If limit is out of range
+ * @throws {NotFoundError} - If the webhook does not exist in this project
+ */
+async function listDeliveries(projectId, webhookId, limit = DEFAULT_DELIVERY_LIMIT) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}`);
+  }
+  await findWebhook(projectId, webhookId);
+  return webhookDB.findDeliveriesByWebhookId(webhookId, limit);
+}
+
+/**
+ * POST a JSON body without following redirects
+ * @param {URL} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @param {Function} [lookup] - DNS lookup for the connection (defaults to dns.lookup)
+ * @returns {Promise<number>} - Response status code
+ */
+function postJson(url, headers, body, lookup) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      lookup
+    }, (res) => {
+      // Drain the body so the connection can be reused
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Post a delivery to its webhook once
+ * The target is checked again before every attempt, as its DNS may have changed since it was created.
+ * @param {Object} delivery - Delivery with its payload
+ * @param {Object} webhook - Webhook with url and secret
+ * @returns {Promise<Object>} - { ok, response_status, error_message }
+ */
+async function sendDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const url = new URL(webhook.url);
+
+  try {
+    await checkTarget(url);
+    const allowed = getAllowedHosts().includes(hostOf(url));
+    const status = await postJson(url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'test-analytics-webhooks/1.0',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+    }, body, allowed ? undefined : lookupPublicAddress);
+
+    return status >= 200 && status < 300
+      ? { ok: true, response_status: status, error_message: null }
+      : { ok: false, response_status: status, error_message: `Receiver responded with HTTP ${status}` };
+  } catch (error) {
+    return { ok: false, response_status: null, error_message: error.message };
+  }
+}
+
+/**
+ * Attempt a delivery and record the outcome
+ * A failed attempt is scheduled for a retry with exponential backoff until
+ * WEBHOOK_MAX_ATTEMPTS is reached; the delivery is then marked failed.
+ * @param {Object} delivery - Pending delivery
+ * @param {Object} webhook - Webhook with id, url and secret
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, webhook) {
+  if (deliveriesInFlight.has(delivery.id)) {
+    return;
+  }
+  deliveriesInFlight.add(delivery.id);
+  const finishDeliveryWork = deliveryWork.begin();
+
+  try {
+    const result = await sendDelivery(delivery, webhook);
+    const attemptCount = delivery.attempt_count + 1;
+    const now = new Date();
+
+    let outcome;
+    if (result.ok) {
+      outcome = { status: 'succeeded', next_attempt_at: null, completed_at: now.toISOString() };
+    } else if (attemptCount >= getMaxAttempts()) {
+      outcome = { status: 'failed', next_attempt_at: null, completed_at: now.toISOString() };
+    } else {
+      const retryAt = new Date(now.getTime() + getRetryDelayMs(attemptCount));
+      outcome = { status: 'pending', next_attempt_at: retryAt.toISOString(), completed_at: null };
+    }
+
+    await webhookDB.recordAttempt(delivery.id, {
+      ...outcome,
+      attempt_count: attemptCount,
+      response_status: result.response_status,
+      error_message: result.error_message
+    });
+
+    if (!result.ok) {
+      logger.warn('Webhook delivery attempt failed', {
+        webhook_id: webhook.id,
+        delivery_id: delivery.id,
+        event: delivery.event,
+        attempt: attemptCount,
+        status: outcome.status,
+        error_message: result.error_message
+      });
+    }
+  } finally {
+    deliveriesInFlight.delete(delivery.id);
+    finishDeliveryWork();
+  }
+}
+
+/**
+ * Get the number of dispatches and delivery attempts running in this process
+ * @returns {number} - In-flight delivery work count
+ */
+function getDeliveriesInFlight() {
+  return deliveryWork.count();
+}
+
+/**
+ * Wait until no dispatches or delivery attempts are running, so shutdown does not close the database under them
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<boolean>} - True if all deliveries finished, false if the timeout passed first
+ */
+function drainDeliveries(timeoutMs) {
+  return deliveryWork.drain(timeoutMs);
+}
+
+/**
+ * Attempt deliveries without holding up the caller; failures are logged
+ * @param {Array<Object>} attempts - Pairs of { delivery, webhook }
+ */
+function attemptInBackground(attempts) {
+  for (const { delivery, webhook } of attempts) {
+    attemptDelivery(delivery, webhook).catch((error) => {
+      logger.error('Failed to deliver webhook', { delivery_id: delivery.id, error_message: error.message });
+    });
+  }
+}
+
+/**
+ * Summarize a run for event payloads (without its tests and shards)
+ * @param {Object} testRun - Test run
+ * @returns {Object} - Run summary
+ */
+function toRunSummary(testRun) {
+  return {
+    run_id: testRun.run_id,
+    status: testRun.status,
+    duration_ms: testRun.duration_ms,
+    timestamp: testRun.timestamp,
+    commit_sha: testRun.commit_sha,
+    branch: testRun.branch,
+    ci_provider: testRun.ci_provider,
+    build_url: testRun.build_url,
+    environment: testRun.environment,
+    labels: testRun.labels,
+    failure_message: testRun.failure_message,
+    error_signature: testRun.error_signature
+  };
+}
+
+/**
+ * Work out which events a completed run raises
+ * - run.failed: the run failed, errored or timed out
+ * - run.recovered: the run passed and the previous passing or failing run on its branch did not pass
+ * - flaky.detected: tests of the run only passed after retrying
+ * @param {string} projectId - Project ID
+ * @param {Object} testRun - Completed run with its tests
+ * @returns {Promise<Array>} - Events as { event, data }
+ */
+async function buildRunEvents(projectId, testRun) {
+  const run = toRunSummary(testRun);
+  const tests = testRun.tests || [];
+  const events = [];
+
+  if (FAILING_STATUSES.includes(testRun.status)) {
+    const failedTests = tests.filter(test => FAILING_STATUSES.includes(test.status));
+    events.push({
+      event: 'run.failed',
+      data: {
+        run,
+        failed_test_count: failedTests.length,
+        failed_tests: failedTests.slice(0, MAX_PAYLOAD_TESTS).map(test => ({
+          suite_name: test.suite_name,
+          name: test.name,
+          file: test.file,
+          status: test.status,
+          failure_message: test.failure_message,
+          error_signature: test.error_signature
+        }))
+      }
+    });
+  }
+
+  if (testRun.status === 'passed') {
+    const previousRun = await testRunDB.findPreviousRun(projectId, testRun, ['passed', ...FAILING_STATUSES]);
+    if (previousRun && FAILING_STATUSES.includes(previousRun.status)) {
+      events.push({ event: 'run.recovered', data: { run, previous_run: toRunSummary(previousRun) } });
+    }
+  }
+
+  const flakyTests = tests.filter(test => test.status === 'passed' && test.attempt_count > 1);
+  if (flakyTests.length > 0) {
+    events.push({
+      event: 'flaky.detected',
+      data: {
+        run,
+        tests: flakyTests.slice(0, MAX_PAYLOAD_TESTS).map(test => ({
+          suite_name: test.suite_name,
+          name: test.name,
+          file: test.file,
+          attempt_count: test.attempt_count
+        }))
+      }
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Record and send the events raised by a run that has just completed
+ * Call once per completion, after its transaction has committed; idempotent
+ * replays of a run must not call this again. Deliveries are attempted in the
+ * background, so the returned promise resolves once they are recorded.
+ * @param {string} projectId - Project ID
+ * @param {Object} testRun - Completed run with its tests
+ * @returns {Promise<Array>} - Recorded deliveries
+ */
+async function dispatchRunEvents(projectId, testRun) {
+  const finishDeliveryWork = deliveryWork.begin();
+  try {
+    const webhooks = (await webhookDB.findByProjectId(projectId)).filter(webhook => webhook.active);
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const events = await buildRunEvents(projectId, testRun);
+    const attempts = [];
+
+    for (const { event, data } of events) {
+      const payload = { id: uuidv4(), event, created_at: new Date().toISOString(), project_id: projectId, data };
+      for (const webhook of webhooks.filter(candidate => candidate.events.includes(event))) {
+        const delivery = await webhookDB.createDelivery({ id: uuidv4(), webhook_id: webhook.id, event, payload });
+        attempts.push({ delivery, webhook });
+      }
+    }
+
+    attemptInBackground(attempts);
+    return attempts.map(({ delivery }) => delivery);
+  } finally {
+    finishDeliveryWork();
+  }
+}
+
+/**
+ * Send a delivery again as a new delivery with the same payload
+ * @param {string} projectId - Project ID (from authentication)
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery to repeat
+ * @returns {Promise<Object>} - The new delivery, pending its first attempt
+ * @throws {NotFoundError} - If the webhook or delivery does not exist in this project
+ */
+async function redeliver(projectId, webhookId, deliveryId) {
+  const webhook = await findWebhook(projectId, webhookId);
+  const original = isValidUUID(deliveryId) ? await webhookDB.findDeliveryById(webhookId, deliveryId) : null;
+  if (!original) {
+    throw new NotFoundError(`Delivery with id ${deliveryId} does not exist`);
+  }
+
+  const delivery = await webhookDB.createDelivery({
+    id: uuidv4(),
+    webhook_id: webhookId,
+    event: original.event,
+    payload: original.payload,
+    redelivery_of: original.id
+  });
+
+  attemptInBackground([{ delivery, webhook }]);
+  return delivery;
+}
+
+/**
+ * Retry pending deliveries whose next attempt is due
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+async function retryDueDeliveries(now = new Date()) {
+  const due = (await webhookDB.findDueDeliveries(now.toISOString(), RETRY_BATCH_SIZE))
+    .filter(({ delivery }) => !deliveriesInFlight.has(delivery.id));
+
+  await Promise.all(due.map(({ delivery, webhook }) => attemptDelivery(delivery, webhook)));
+  return due.length;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  dispatchRunEvents,
+  redeliver,
+  retryDueDeliveries,
+  getDeliveriesInFlight,
+  drainDeliveries
+};
@@ -2,13 +2,14 @@ const crypto = require('crypto');
 
 /**
  * Generate a cryptographically secure API token
- * Format: 'ta_live_' prefix + 32 random hex bytes (64 hex characters)
+ * Format: prefix + 32 random hex bytes (64 hex characters)
+ * @param {string} [prefix='ta_live_'] - Token prefix ('ta_live_' for project tokens, 'ta_admin_' for admin tokens)
  * @returns {string} - The generated token
  */
-function generateToken() {
+function generateToken(prefix = 'ta_live_') {
   // Generate 32 random bytes (256 bits of entropy)
   const randomBytes = crypto.randomBytes(32);
-  const token = 'ta_live_' + randomBytes.toString('hex');
+  const token = prefix + randomBytes.toString('hex');
   return token;
 }
 
@@ -24,4 +25,34 @@ function hashToken(token) {
     .digest('hex');
 }
 
-module.exports = { generateToken, hashToken };
+/**
+ * Compare two secrets in constant time
+ * Both values are hashed first so differing lengths do not leak through timing.
+ * @param {string} provided - Secret supplied by the client
+ * @param {string} expected - Secret to compare against
+ * @returns {boolean} - True if the secrets are equal
+ */
+function secretsMatch(provided, expected) {
+  return crypto.timingSafeEqual(
+    Buffer.from(hashToken(provided), 'hex'),
+    Buffer.from(hashToken(expected), 'hex')
+  );
+}
+
+/**
+ * Sign a webhook payload with HMAC-SHA256
+ * The timestamp is part of the signed content so receivers can reject replayed requests.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds the request is sent at
+ * @param {string} body - Raw JSON request body
+ * @returns {string} - Signature header value: 'sha256=' followed by the hex-encoded HMAC
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${hmac}`;
+}
+
+module.exports = { generateToken, hashToken, secretsMatch, signWebhookPayload };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Only the top of a stack trace identifies a failure; deeper frames are mostly framework code
+const MAX_SIGNATURE_FRAMES = 10;
+
+// Volatile parts of failure text, replaced in order before hashing
+const NORMALIZATION_RULES = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/(?:\/private)?\/var\/folders\/(?:[^\s'"():/]+\/)*|\/(?:var\/)?tmp\/(?:[^\s'"():/]+\/)*/gi, '<tmp>/'],
+  [/[A-Za-z]:\\(?:[^\s'"():\\]+\\)*?Temp\\(?:[^\s'"():\\]+\\)*/gi, '<tmp>\\'],
+  [/:\d+(?::\d+)?(?=[)\s,]|$)/gm, ''],
+  [/\bline \d+/gi, 'line'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b\d+(?:\.\d+)?/g, '<n>']
+];
+
+/**
+ * Normalize failure text so that occurrences of the same problem compare equal
+ * Replaces UUIDs, temp directories, hex addresses and numbers with placeholders, strips
+ * line and column numbers, and collapses whitespace.
+ * @param {string|null|undefined} text - Failure message or stack trace
+ * @returns {string} - Normalized text, one trimmed line per non-blank input line
+ */
+function normalizeFailureText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  const normalized = NORMALIZATION_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  return normalized
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line !== '')
+    .join('\n');
+}
+
+/**
+ * Compute the error signature of a failure: a SHA-256 hash of its normalized
+ * message and the top frames of its normalized stack trace
+ * @param {string|null} failureMessage - Failure message
+ * @param {string|null} stackTrace - Stack trace
+ * @returns {string|null} - Hex-encoded signature, or null if there is no failure text
+ */
+function computeErrorSignature(failureMessage, stackTrace) {
+  const message = normalizeFailureText(failureMessage);
+  const frames = normalizeFailureText(stackTrace).split('\n').slice(0, MAX_SIGNATURE_FRAMES).join('\n');
+  if (message === '' && frames === '') {
+    return null;
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(`${message}\n${frames}`)
+    .digest('hex');
+}
+
+module.exports = {
+  normalizeFailureText,
+  computeErrorSignature
+};
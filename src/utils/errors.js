@@ -29,6 +29,15 @@ class UnauthorizedError extends AppError {
   }
 }
 
+/**
+ * ForbiddenError - Used when authenticated credentials lack access (HTTP 403)
+ */
+class ForbiddenError extends AppError {
+  constructor(message, details = null) {
+    super(message, 403, details);
+  }
+}
+
 /**
  * NotFoundError - Used when a resource is not found (HTTP 404)
  */
@@ -47,10 +56,53 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * PayloadTooLargeError - Used when an upload exceeds a size limit or quota (HTTP 413)
+ */
+class PayloadTooLargeError extends AppError {
+  constructor(message, details = null) {
+    super(message, 413, details);
+  }
+}
+
+/**
+ * UnsupportedMediaTypeError - Used when an upload has a content type that is not accepted (HTTP 415)
+ */
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message, details = null) {
+    super(message, 415, details);
+  }
+}
+
+/**
+ * TooManyRequestsError - Used when a client is over a rate limit (HTTP 429)
+ * retryAfterSeconds is sent as the Retry-After header.
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfterSeconds, details = null) {
+    super(message, 429, details);
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * ServiceUnavailableError - Used when the server cannot take the request right now, e.g. while shutting down (HTTP 503)
+ */
+class ServiceUnavailableError extends AppError {
+  constructor(message, details = null) {
+    super(message, 503, details);
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
   UnauthorizedError,
+  ForbiddenError,
   NotFoundError,
-  ConflictError
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  ServiceUnavailableError
 };
@@ -0,0 +1,71 @@
+/**
+ * Create a counter of work in flight that shutdown can wait on
+ * @returns {Object} - { begin(), count(), drain(timeoutMs) }
+ */
+function createInFlightTracker() {
+  let inFlight = 0;
+  let drainWaiters = [];
+
+  /**
+   * Register one piece of work as in flight
+   * @returns {Function} - Call when the work is done; further calls are ignored
+   */
+  function begin() {
+    inFlight++;
+    let finished = false;
+
+    return function finish() {
+      if (finished) return;
+      finished = true;
+      inFlight--;
+
+      if (inFlight === 0) {
+        const waiters = drainWaiters;
+        drainWaiters = [];
+        waiters.forEach(resolve => resolve(true));
+      }
+    };
+  }
+
+  /**
+   * Get the amount of work in flight
+   * @returns {number} - In-flight count
+   */
+  function count() {
+    return inFlight;
+  }
+
+  /**
+   * Wait until no work is in flight
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} - True if all work finished, false if the timeout passed first
+   */
+  function drain(timeoutMs) {
+    if (inFlight === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        drainWaiters = drainWaiters.filter(waiter => waiter !== done);
+        resolve(false);
+      }, timeoutMs);
+
+      /**
+       * Resolve once the last work in flight finishes
+       */
+      function done(drained) {
+        clearTimeout(timer);
+        resolve(drained);
+      }
+
+      drainWaiters.push(done);
+    });
+  }
+
+  return { begin, count, drain };
+}
+
+module.exports = {
+  createInFlightTracker
+};
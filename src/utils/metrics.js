@@ -0,0 +1,117 @@
+/**
+ * Prometheus metrics for the service itself
+ * All metrics live in one registry, exposed in text format by GET /metrics
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+
+// Process metrics (CPU, memory, event loop lag, open handles)
+client.collectDefaultMetrics({ register: registry });
+
+// Route label for requests that matched no route, so unknown paths cannot create new series
+const UNMATCHED_ROUTE = '<unmatched>';
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const ingestedRunsTotal = new client.Counter({
+  name: 'ingested_runs_total',
+  help: 'Test runs submitted for ingestion, by source and result (created, duplicate or rejected)',
+  labelNames: ['source', 'result'],
+  registers: [registry]
+});
+
+const authFailuresTotal = new client.Counter({
+  name: 'auth_failures_total',
+  help: 'Rejected credentials, by reason',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+const rateLimitedRequestsTotal = new client.Counter({
+  name: 'rate_limited_requests_total',
+  help: 'Requests refused with 429, by the rate limit scope that was exhausted (token, project or ip)',
+  labelNames: ['scope'],
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'SQLite query latency in seconds, by statement method (run, get, all or exec)',
+  labelNames: ['method'],
+  buckets: [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [registry]
+});
+
+/**
+ * Record a handled HTTP request
+ * @param {string} method - HTTP method
+ * @param {string|null} route - Route pattern, e.g. '/runs/:run_id', or null if no route matched
+ * @param {number} status - Response status code
+ * @param {number} durationMs - Time taken to respond in milliseconds
+ */
+function observeHttpRequest(method, route, status, durationMs) {
+  const labels = { method, route: route || UNMATCHED_ROUTE, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Record the outcome of ingesting test runs
+ * @param {string} source - Ingestion source: 'json', 'batch', a report format (e.g. 'junit'), or 'report' for an undetected one
+ * @param {string} result - 'created', 'duplicate' or 'rejected'
+ * @param {number} [count=1] - Number of runs with this outcome
+ */
+function recordIngestion(source, result, count = 1) {
+  if (count > 0) {
+    ingestedRunsTotal.inc({ source, result }, count);
+  }
+}
+
+/**
+ * Record a rejected credential
+ * @param {string} reason - Why it was rejected, e.g. 'missing_header', 'revoked' or 'missing_scope'
+ */
+function recordAuthFailure(reason) {
+  authFailuresTotal.inc({ reason });
+}
+
+/**
+ * Record a request refused by a rate limit
+ * @param {string} scope - Exhausted limit: 'token', 'project' or 'ip'
+ */
+function recordRateLimited(scope) {
+  rateLimitedRequestsTotal.inc({ scope });
+}
+
+/**
+ * Record the latency of one SQLite statement
+ * @param {string} method - sqlite3 method the statement ran with ('run', 'get', 'all' or 'exec')
+ * @param {number} durationMs - Time until the statement's callback in milliseconds
+ */
+function observeDbQuery(method, durationMs) {
+  dbQueryDuration.observe({ method }, durationMs / 1000);
+}
+
+module.exports = {
+  registry,
+  observeHttpRequest,
+  recordIngestion,
+  recordAuthFailure,
+  recordRateLimited,
+  observeDbQuery
+};
@@ -0,0 +1,45 @@
+const net = require('net');
+
+// Addresses outbound requests must not reach: loopback, private, link-local (including cloud
+// metadata endpoints), carrier-grade NAT, multicast and other non-public ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  // 6to4 and Teredo tunnel to an IPv4 address embedded in the IPv6 one
+  ['2001::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is not publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked as the IPv4 address they map.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for private, loopback, link-local and other non-public addresses, and for non-IPs
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = { isPrivateAddress };
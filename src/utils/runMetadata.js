@@ -0,0 +1,194 @@
+const { ValidationError } = require('./errors');
+
+// Abbreviated or full git commit hash (SHA-1 or SHA-256)
+const COMMIT_SHA_REGEX = /^[0-9a-f]{7,64}$/i;
+
+// Maximum lengths of the free-text metadata fields
+const METADATA_FIELD_LENGTHS = {
+  branch: 255,
+  ci_provider: 100,
+  environment: 100
+};
+
+const MAX_BUILD_URL_LENGTH = 2048;
+
+// Labels are a flat map of string keys to string values
+const MAX_LABELS = 20;
+const LABEL_KEY_REGEX = /^[A-Za-z0-9_.\/-]{1,64}$/;
+const MAX_LABEL_VALUE_LENGTH = 256;
+
+/**
+ * Check whether a value was omitted (undefined or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if the value is absent
+ */
+function isAbsent(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Validate a free-text metadata field
+ * @param {string} field - Field name, used in error messages
+ * @param {*} value - Value to validate
+ * @returns {string|null} - The value, or null if absent
+ * @throws {ValidationError} - If the value is not a non-empty string within the length limit
+ */
+function validateTextField(field, value) {
+  if (isAbsent(value)) {
+    return null;
+  }
+  const maxLength = METADATA_FIELD_LENGTHS[field];
+  if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength) {
+    throw new ValidationError(`${field} must be a non-empty string of at most ${maxLength} characters`);
+  }
+  return value;
+}
+
+/**
+ * Validate an optional commit SHA
+ * @param {*} value - Value to validate
+ * @returns {string|null} - The lowercased hash, or null if absent
+ * @throws {ValidationError} - If the value is not a git commit hash
+ */
+function validateCommitSha(value) {
+  if (isAbsent(value)) {
+    return null;
+  }
+  if (typeof value !== 'string' || !COMMIT_SHA_REGEX.test(value)) {
+    throw new ValidationError('commit_sha must be a hexadecimal git commit hash (7-64 characters)');
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * Validate an optional build URL
+ * @param {*} value - Value to validate
+ * @returns {string|null} - The URL, or null if absent
+ * @throws {ValidationError} - If the value is not an http(s) URL
+ */
+function validateBuildUrl(value) {
+  if (isAbsent(value)) {
+    return null;
+  }
+  let url;
+  try {
+    url = typeof value === 'string' && value.length <= MAX_BUILD_URL_LENGTH ? new URL(value) : null;
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError(`build_url must be an http or https URL of at most ${MAX_BUILD_URL_LENGTH} characters`);
+  }
+  return value;
+}
+
+/**
+ * Validate a single label key and value
+ * @param {string} key - Label key
+ * @param {*} value - Label value
+ * @throws {ValidationError} - If the key or value is invalid
+ */
+function validateLabel(key, value) {
+  if (!LABEL_KEY_REGEX.test(key)) {
+    throw new ValidationError(`label key "${key}" must be 1-64 letters, digits, "_", ".", "-" or "/"`);
+  }
+  if (typeof value !== 'string' || value.length > MAX_LABEL_VALUE_LENGTH) {
+    throw new ValidationError(`labels.${key} must be a string of at most ${MAX_LABEL_VALUE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Validate optional free-form run labels
+ * @param {*} labels - Object mapping label keys to string values
+ * @returns {Object|null} - The labels, or null if absent or empty
+ * @throws {ValidationError} - If labels is not a flat object of valid keys and string values
+ */
+function validateLabels(labels) {
+  if (isAbsent(labels)) {
+    return null;
+  }
+  if (typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new ValidationError('labels must be an object of string values');
+  }
+  const entries = Object.entries(labels);
+  if (entries.length > MAX_LABELS) {
+    throw new ValidationError(`labels may contain at most ${MAX_LABELS} entries`);
+  }
+  for (const [key, value] of entries) {
+    validateLabel(key, value);
+  }
+  return entries.length > 0 ? labels : null;
+}
+
+/**
+ * Validate the optional metadata of a test run and normalize it for storage
+ * @param {Object} data - Test run data
+ * @param {string} [data.branch] - Branch the run tested
+ * @param {string} [data.commit_sha] - Commit the run tested
+ * @param {string} [data.ci_provider] - CI system that ran the tests, e.g. "github-actions"
+ * @param {string} [data.build_url] - Link to the CI job
+ * @param {string} [data.environment] - Environment the tests ran against, e.g. "staging"
+ * @param {Object} [data.labels] - Free-form string key/value pairs
+ * @returns {Object} - { branch, commit_sha, ci_provider, build_url, environment, labels } with absent fields as null
+ * @throws {ValidationError} - If any field is invalid
+ */
+function validateRunMetadata(data) {
+  return {
+    branch: validateTextField('branch', data.branch),
+    commit_sha: validateCommitSha(data.commit_sha),
+    ci_provider: validateTextField('ci_provider', data.ci_provider),
+    build_url: validateBuildUrl(data.build_url),
+    environment: validateTextField('environment', data.environment),
+    labels: validateLabels(data.labels)
+  };
+}
+
+/**
+ * Validate run filters and normalize them for querying
+ * Every given filter must match exactly; labels match when the run has all of them.
+ * @param {Object} options - Filter options
+ * @param {string} [options.branch] - Only include runs of this branch
+ * @param {string} [options.commit_sha] - Only include runs of this commit
+ * @param {string} [options.ci_provider] - Only include runs from this CI provider
+ * @param {string} [options.environment] - Only include runs against this environment
+ * @param {Object} [options.labels] - Only include runs carrying all of these labels
+ * @returns {Object} - Filters with absent fields as null
+ * @throws {ValidationError} - If any filter is invalid
+ */
+function normalizeRunFilters(options = {}) {
+  return {
+    branch: validateTextField('branch', options.branch),
+    commit_sha: validateCommitSha(options.commit_sha),
+    ci_provider: validateTextField('ci_provider', options.ci_provider),
+    environment: validateTextField('environment', options.environment),
+    labels: validateLabels(options.labels)
+  };
+}
+
+/**
+ * Parse label selectors of the form "key:value" into a labels object
+ * @param {string|Array<string>|undefined} selectors - One or more selectors (e.g. repeated query parameters)
+ * @returns {Object|undefined} - Labels object, or undefined if no selectors were given
+ * @throws {ValidationError} - If a selector is malformed
+ */
+function parseLabelSelectors(selectors) {
+  if (selectors === undefined) {
+    return undefined;
+  }
+  const labels = {};
+  for (const selector of [].concat(selectors)) {
+    const separator = typeof selector === 'string' ? selector.indexOf(':') : -1;
+    if (separator < 1) {
+      throw new ValidationError('label must be in the form key:value');
+    }
+    labels[selector.slice(0, separator)] = selector.slice(separator + 1);
+  }
+  return labels;
+}
+
+module.exports = {
+  COMMIT_SHA_REGEX,
+  validateRunMetadata,
+  normalizeRunFilters,
+  parseLabelSelectors
+};
@@ -0,0 +1,47 @@
+// Final outcomes a test run can be ingested or finished with
+const RUN_STATUSES = ['passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out'];
+
+// Lifecycle states of a started run: still running, or never finished within the timeout
+const IN_PROGRESS_STATUS = 'in_progress';
+const ABANDONED_STATUS = 'abandoned';
+
+// Statuses of runs that are no longer running, which analytics report on
+const FINISHED_RUN_STATUSES = [...RUN_STATUSES, ABANDONED_STATUS];
+
+// Every status a stored test run can have (must match the CHECK constraint on test_runs.status)
+const STORED_RUN_STATUSES = [...RUN_STATUSES, IN_PROGRESS_STATUS, ABANDONED_STATUS];
+
+// Outcomes an individual test case can be recorded with (must match the CHECK constraint on test_cases.status)
+const TEST_CASE_STATUSES = ['passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out'];
+
+// Outcomes that did not pass: an assertion failed, setup or teardown errored, or a time limit was hit
+const FAILING_STATUSES = ['failed', 'errored', 'timed_out'];
+
+// Outcomes that carry no verdict, so they are left out of pass rates and flakiness
+const NO_VERDICT_STATUSES = ['skipped', 'cancelled', ABANDONED_STATUS];
+
+// Final statuses from most to least severe: a sharded run takes the first status any of its shards reported
+const SHARD_STATUS_PRECEDENCE = ['failed', 'errored', 'timed_out', 'cancelled', 'passed', 'skipped'];
+
+/**
+ * Format a list of statuses for validation messages, e.g. '"passed", "failed" or "skipped"'
+ * @param {Array<string>} statuses - Statuses to list
+ * @returns {string} - Human readable list
+ */
+function formatStatuses(statuses) {
+  const quoted = statuses.map(status => `"${status}"`);
+  return `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}`;
+}
+
+module.exports = {
+  RUN_STATUSES,
+  IN_PROGRESS_STATUS,
+  ABANDONED_STATUS,
+  FINISHED_RUN_STATUSES,
+  STORED_RUN_STATUSES,
+  TEST_CASE_STATUSES,
+  FAILING_STATUSES,
+  NO_VERDICT_STATUSES,
+  SHARD_STATUS_PRECEDENCE,
+  formatStatuses
+};
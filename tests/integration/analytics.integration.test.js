@@ -0,0 +1,516 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Analytics Integration Tests', () => {
+  let app;
+  let token;
+  let projectId;
+  let otherProjectId;
+
+  const runs = [
+    // Outside the window (before from)
+    { status: 'failed', duration_ms: 9999, timestamp: '2026-01-09T23:59:59.000Z' },
+    // 2026-01-10 (Saturday)
+    { status: 'passed', duration_ms: 100, timestamp: '2026-01-10T10:15:00.000Z' },
+    { status: 'failed', duration_ms: 200, timestamp: '2026-01-10T10:45:00.000Z' },
+    { status: 'passed', duration_ms: 300, timestamp: '2026-01-10T12:00:00.000Z' },
+    { status: 'passed', duration_ms: 400, timestamp: '2026-01-10T23:00:00.000Z' },
+    // 2026-01-12 (Monday)
+    { status: 'passed', duration_ms: 50, timestamp: '2026-01-12T08:00:00.000Z', branch: 'feature/fast' },
+    // Outside the window (to is exclusive)
+    { status: 'failed', duration_ms: 9999, timestamp: '2026-01-13T00:00:00.000Z' }
+  ];
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Analytics Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Analytics Project' })
+      .expect(201);
+    projectId = projectResponse.body.id;
+    const otherProjectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Other Analytics Project' })
+      .expect(201);
+    otherProjectId = otherProjectResponse.body.id;
+
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectId }).expect(201);
+    token = tokenResponse.body.token;
+
+    for (let i = 0; i < runs.length; i++) {
+      await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ run_id: `d${i}0e8400-e29b-41d4-a716-446655440000`, ...runs[i] })
+        .expect(201);
+    }
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('GET /projects/:id/stats', () => {
+    const window = { from: '2026-01-10T00:00:00Z', to: '2026-01-13T00:00:00Z' };
+
+    test('should compute daily buckets with zero-filled gaps', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ ...window, bucket: 'day' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.project_id).toBe(projectId);
+      expect(response.body.bucket).toBe('day');
+      expect(response.body.buckets.map(b => b.start)).toEqual([
+        '2026-01-10T00:00:00.000Z',
+        '2026-01-11T00:00:00.000Z',
+        '2026-01-12T00:00:00.000Z'
+      ]);
+
+      const [saturday, sunday, monday] = response.body.buckets;
+      expect(saturday).toMatchObject({
+        run_count: 4,
+        passed_count: 3,
+        failed_count: 1,
+        pass_rate: 0.75,
+        duration_ms: { p50: 200, p90: 400, p99: 400 }
+      });
+      expect(sunday).toMatchObject({
+        run_count: 0,
+        pass_rate: null,
+        duration_ms: { p50: null, p90: null, p99: null }
+      });
+      expect(monday).toMatchObject({ run_count: 1, pass_rate: 1, duration_ms: { p50: 50 } });
+    });
+
+    test('should summarize the whole window', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query(window)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.summary).toEqual({
+        run_count: 5,
+        passed_count: 4,
+        failed_count: 1,
+        skipped_count: 0,
+        errored_count: 0,
+        cancelled_count: 0,
+        timed_out_count: 0,
+        abandoned_count: 0,
+        pass_rate: 0.8,
+        duration_ms: { p50: 200, p90: 400, p99: 400 }
+      });
+    });
+
+    test('should restrict stats to a branch', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ ...window, branch: 'feature/fast' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.summary).toMatchObject({ run_count: 1, passed_count: 1, duration_ms: { p50: 50 } });
+      expect(response.body.buckets[0].run_count).toBe(0);
+    });
+
+    test('should count every status and leave runs without a verdict out of the pass rate', async () => {
+      const outcomes = [
+        { status: 'passed', duration_ms: 100 },
+        { status: 'timed_out', duration_ms: 500 },
+        { status: 'errored', duration_ms: 20 },
+        { status: 'cancelled', duration_ms: 5 },
+        { status: 'skipped', duration_ms: 0 }
+      ];
+      for (let i = 0; i < outcomes.length; i++) {
+        await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ run_id: `f${i}0e8400-e29b-41d4-a716-446655440000`, timestamp: `2026-03-0${i + 1}T09:00:00.000Z`, ...outcomes[i] })
+          .expect(201);
+      }
+      // Runs still in progress are not counted
+      await request(app)
+        .post('/runs/f90e8400-e29b-41d4-a716-446655440000/start')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timestamp: '2026-03-07T09:00:00.000Z' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ from: '2026-03-01T00:00:00Z', to: '2026-03-08T00:00:00Z', bucket: 'week' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.summary).toEqual({
+        run_count: 5,
+        passed_count: 1,
+        failed_count: 0,
+        skipped_count: 1,
+        errored_count: 1,
+        cancelled_count: 1,
+        timed_out_count: 1,
+        abandoned_count: 0,
+        pass_rate: 1 / 3,
+        duration_ms: { p50: 100, p90: 500, p99: 500 }
+      });
+    });
+
+    test('should bucket by hour', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ from: '2026-01-10T10:00:00Z', to: '2026-01-10T13:00:00Z', bucket: 'hour' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.buckets.map(b => [b.start, b.run_count])).toEqual([
+        ['2026-01-10T10:00:00.000Z', 2],
+        ['2026-01-10T11:00:00.000Z', 0],
+        ['2026-01-10T12:00:00.000Z', 1]
+      ]);
+    });
+
+    test('should bucket by week starting on Monday', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ ...window, bucket: 'week' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.buckets.map(b => [b.start, b.run_count])).toEqual([
+        ['2026-01-05T00:00:00.000Z', 4],
+        ['2026-01-12T00:00:00.000Z', 1]
+      ]);
+    });
+
+    test('should reject an inverted window', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ from: window.to, to: window.from })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('invalid_request');
+    });
+
+    test('should reject windows with too many buckets', async () => {
+      await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ from: '2020-01-01T00:00:00Z', to: '2026-01-01T00:00:00Z', bucket: 'hour' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    test('should reject an unknown bucket', async () => {
+      await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .query({ bucket: 'month' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    test('should not expose stats of another project', async () => {
+      const response = await request(app)
+        .get(`/projects/${otherProjectId}/stats`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('not_found');
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get(`/projects/${projectId}/stats`).expect(401);
+    });
+  });
+
+  describe('GET /projects/:id/flaky', () => {
+    const window = { from: '2026-02-01T00:00:00Z', to: '2026-02-10T00:00:00Z' };
+    const commits = ['aaa1111', 'aaa1111', 'bbb2222', 'ccc3333', 'ddd4444', 'eee5555'];
+    const flipper = ['failed', 'failed', 'passed', 'failed', 'passed', 'failed'];
+    const sameCommit = ['passed', 'failed', 'passed', 'passed', 'passed', 'passed'];
+    const stable = ['passed', 'passed', 'skipped', 'passed', 'passed', 'passed'];
+
+    beforeAll(async () => {
+      for (let i = 0; i < commits.length; i++) {
+        await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            run_id: `e${i}0e8400-e29b-41d4-a716-446655440000`,
+            status: flipper[i] === 'failed' || sameCommit[i] === 'failed' ? 'failed' : 'passed',
+            duration_ms: 1000,
+            timestamp: `2026-02-0${i + 1}T09:00:00.000Z`,
+            commit_sha: commits[i],
+            tests: [
+              { suite_name: 'cart', name: 'flipper', file: 'cart.test.js', status: flipper[i] },
+              { suite_name: 'cart', name: 'same commit', status: sameCommit[i] },
+              { suite_name: 'cart', name: 'stable', status: stable[i] }
+            ]
+          })
+          .expect(201);
+      }
+    });
+
+    test('should flag tests that flip often or conflict on a commit', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query(window)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests.map(t => t.name)).toEqual(['flipper', 'same commit']);
+
+      const [flipperResult, sameCommitResult] = response.body.tests;
+      expect(flipperResult).toMatchObject({
+        suite_name: 'cart',
+        file: 'cart.test.js',
+        score: 0.8,
+        flips: 4,
+        run_count: 6,
+        passed_count: 2,
+        failed_count: 4,
+        conflicting_commits: [],
+        first_seen: '2026-02-01T09:00:00.000Z',
+        last_seen: '2026-02-06T09:00:00.000Z'
+      });
+      expect(sameCommitResult.conflicting_commits).toEqual(['aaa1111']);
+      expect(sameCommitResult.score).toBeCloseTo(0.4);
+    });
+
+    test('should flag same-commit conflicts regardless of min_runs', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query({ ...window, min_runs: 10 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests.map(t => t.name)).toEqual(['same commit']);
+    });
+
+    test('should only consider runs matching the filters', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query({ ...window, branch: 'release' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests).toEqual([]);
+    });
+
+    test('should return the last N outcomes, newest first', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query({ ...window, last: 3 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const outcomes = response.body.tests[0].last_outcomes;
+      expect(outcomes).toHaveLength(3);
+      expect(outcomes.map(o => o.status)).toEqual(['failed', 'passed', 'failed']);
+      expect(outcomes[0]).toMatchObject({
+        run_id: 'e50e8400-e29b-41d4-a716-446655440000',
+        timestamp: '2026-02-06T09:00:00.000Z',
+        commit_sha: 'eee5555'
+      });
+    });
+
+    test('should honour the threshold', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query({ ...window, threshold: 0.9, min_runs: 10 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests.map(t => t.name)).toEqual(['same commit']);
+    });
+
+    test('should flag tests that only passed after a retry', async () => {
+      const retryWindow = { from: '2026-04-01T00:00:00Z', to: '2026-04-10T00:00:00Z' };
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            run_id: `a${i}1e8400-e29b-41d4-a716-446655440000`,
+            status: 'passed',
+            duration_ms: 1000,
+            timestamp: `2026-04-0${i + 1}T09:00:00.000Z`,
+            tests: [
+              {
+                name: 'retried',
+                status: 'passed',
+                attempts: i === 0 ? [{ status: 'failed', failure_message: 'timeout' }, { status: 'passed' }] : [{ status: 'passed' }]
+              },
+              { name: 'first try', status: 'passed' }
+            ]
+          })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query(retryWindow)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.tests.map(t => t.name)).toEqual(['retried']);
+      expect(response.body.tests[0]).toMatchObject({
+        score: 0,
+        passed_count: 2,
+        passed_first_try_count: 1,
+        passed_after_retry_count: 1,
+        failed_count: 0
+      });
+      expect(response.body.tests[0].last_outcomes.map(o => o.attempt_count)).toEqual([1, 2]);
+    });
+
+    test('should reject invalid options', async () => {
+      await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .query({ threshold: 2 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    test('should not expose flaky tests of another project', async () => {
+      await request(app)
+        .get(`/projects/${otherProjectId}/flaky`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /projects/:id/failures/groups', () => {
+    const window = { from: '2026-05-01T00:00:00Z', to: '2026-05-10T00:00:00Z' };
+    let firstRun;
+
+    beforeAll(async () => {
+      firstRun = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: 'b10e8400-e29b-41d4-a716-446655440009',
+          status: 'failed',
+          duration_ms: 1000,
+          timestamp: '2026-05-01T09:00:00.000Z',
+          tests: [
+            { suite_name: 'api', name: 'checkout', status: 'failed', failure_message: 'Timeout after 5000ms', stack_trace: 'at wait (/tmp/a1/api.test.js:10:5)' },
+            { suite_name: 'api', name: 'cart', status: 'failed', failure_message: 'expected 1 to equal 2' },
+            { suite_name: 'api', name: 'search', status: 'skipped', failure_message: 'not supported' },
+            { suite_name: 'api', name: 'home', status: 'passed' }
+          ]
+        })
+        .expect(201);
+      await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: 'b20e8400-e29b-41d4-a716-446655440009',
+          status: 'failed',
+          duration_ms: 1000,
+          timestamp: '2026-05-02T09:00:00.000Z',
+          branch: 'feature/login',
+          tests: [
+            { suite_name: 'api', name: 'checkout', status: 'timed_out', failure_message: 'Timeout after 3000ms', stack_trace: 'at wait (/tmp/b2/api.test.js:12:7)' },
+            { suite_name: 'api', name: 'login', status: 'errored', failure_message: 'Timeout after 800ms', stack_trace: 'at wait (/tmp/c3/api.test.js:10:5)' }
+          ]
+        })
+        .expect(201);
+      await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: 'b30e8400-e29b-41d4-a716-446655440009',
+          status: 'errored',
+          duration_ms: 10,
+          timestamp: '2026-05-03T09:00:00.000Z',
+          failure_message: 'connect ECONNREFUSED 127.0.0.1:5432'
+        })
+        .expect(201);
+    });
+
+    test('should store an error signature only for failing outcomes', () => {
+      const [checkout, cart, search, home] = firstRun.body.tests;
+
+      expect(checkout.stack_trace).toBe('at wait (/tmp/a1/api.test.js:10:5)');
+      expect(checkout.error_signature).toMatch(/^[0-9a-f]{64}$/);
+      expect(cart.error_signature).not.toBe(checkout.error_signature);
+      expect(search.error_signature).toBeNull();
+      expect(home.error_signature).toBeNull();
+      expect(firstRun.body.error_signature).toBeNull();
+    });
+
+    test('should group failures by signature with counts, affected tests and first/last seen', async () => {
+      const response = await request(app)
+        .get(`/projects/${projectId}/failures/groups`)
+        .query(window)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.groups.map(g => g.failure_message)).toEqual([
+        'Timeout after 800ms',
+        'connect ECONNREFUSED 127.0.0.1:5432',
+        'expected 1 to equal 2'
+      ]);
+
+      const [timeouts, runFailure] = response.body.groups;
+      expect(timeouts).toMatchObject({
+        signature: firstRun.body.tests[0].error_signature,
+        occurrence_count: 3,
+        run_count: 2,
+        test_count: 2,
+        tests: [
+          { suite_name: 'api', name: 'checkout', file: null, occurrence_count: 2 },
+          { suite_name: 'api', name: 'login', file: null, occurrence_count: 1 }
+        ],
+        first_seen: '2026-05-01T09:00:00.000Z',
+        last_seen: '2026-05-02T09:00:00.000Z'
+      });
+      expect(runFailure).toMatchObject({ occurrence_count: 1, run_count: 1, test_count: 0, tests: [] });
+    });
+
+    test('should honour the limit and run filters', async () => {
+      const limited = await request(app)
+        .get(`/projects/${projectId}/failures/groups`)
+        .query({ ...window, limit: 1 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(limited.body.groups).toHaveLength(1);
+
+      const filtered = await request(app)
+        .get(`/projects/${projectId}/failures/groups`)
+        .query({ ...window, branch: 'feature/login' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(filtered.body.groups).toHaveLength(1);
+      expect(filtered.body.groups[0]).toMatchObject({ occurrence_count: 2, run_count: 1 });
+    });
+
+    test('should reject invalid options', async () => {
+      await request(app)
+        .get(`/projects/${projectId}/failures/groups`)
+        .query({ limit: 0 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    test('should not expose failures of another project', async () => {
+      await request(app)
+        .get(`/projects/${otherProjectId}/failures/groups`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Artifact Integration Tests', () => {
+  let app;
+  let token;
+  let otherToken;
+  let storageDir;
+  let testCaseId;
+
+  const runId = 'ab0e8400-e29b-41d4-a716-446655440001';
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+
+  /**
+   * Create a project and return a token for it
+   */
+  async function createProjectToken(organizationId, name) {
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: organizationId, name })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    return tokenResponse.body.token;
+  }
+
+  /**
+   * Upload a file as an artifact of the run
+   */
+  function upload(data, options, fields = {}, authToken = token) {
+    const req = request(app).post(`/runs/${runId}/artifacts`).set('Authorization', `Bearer ${authToken}`);
+    for (const [field, value] of Object.entries(fields)) {
+      req.field(field, value);
+    }
+    return req.attach('file', data, options);
+  }
+
+  /**
+   * List the files written to artifact storage
+   */
+  function storedFiles() {
+    return fs.readdirSync(storageDir, { recursive: true })
+      .filter(entry => fs.statSync(path.join(storageDir, entry)).isFile());
+  }
+
+  beforeAll(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+    process.env.ARTIFACT_STORAGE_PATH = storageDir;
+
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Artifact Org' }).expect(201);
+    token = await createProjectToken(orgResponse.body.id, 'Artifact Project');
+    otherToken = await createProjectToken(orgResponse.body.id, 'Other Artifact Project');
+
+    const run = await request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        run_id: runId,
+        status: 'failed',
+        duration_ms: 100,
+        timestamp: '2026-01-12T10:00:00.000Z',
+        tests: [{ name: 'checkout', status: 'failed' }]
+      })
+      .expect(201);
+    testCaseId = run.body.tests[0].id;
+  });
+
+  afterAll(async () => {
+    delete process.env.ARTIFACT_STORAGE_PATH;
+    delete process.env.ARTIFACT_MAX_BYTES;
+    delete process.env.ARTIFACT_QUOTA_BYTES;
+    await closeDatabase();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach((done) => {
+    delete process.env.ARTIFACT_MAX_BYTES;
+    delete process.env.ARTIFACT_QUOTA_BYTES;
+    getDatabase().run('DELETE FROM artifacts', done);
+  });
+
+  test('should store an uploaded log and serve it back', async () => {
+    const response = await upload(Buffer.from('npm test\nFAIL checkout'), { filename: 'console.log', contentType: 'text/plain' })
+      .expect(201);
+
+    expect(response.body).toMatchObject({
+      run_id: runId,
+      test_case_id: null,
+      name: 'console.log',
+      content_type: 'text/plain',
+      size_bytes: 22
+    });
+    expect(response.body).not.toHaveProperty('storage_key');
+
+    const list = await request(app).get(`/runs/${runId}/artifacts`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(list.body.data.map(a => a.id)).toEqual([response.body.id]);
+
+    const download = await request(app)
+      .get(`/runs/${runId}/artifacts/${response.body.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(download.text).toBe('npm test\nFAIL checkout');
+    expect(download.headers['content-type']).toBe('text/plain');
+    expect(download.headers['content-disposition']).toBe('attachment; filename="console.log"');
+    expect(download.headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  test('should attach a screenshot to a test case of the run', async () => {
+    const response = await upload(png, { filename: 'shot.png', contentType: 'image/png' }, { test_case_id: testCaseId, name: 'checkout.png' })
+      .expect(201);
+
+    expect(response.body).toMatchObject({ test_case_id: testCaseId, name: 'checkout.png', content_type: 'image/png' });
+  });
+
+  test('should reject a test case of another run', async () => {
+    const filesBefore = storedFiles().length;
+    await upload(png, { filename: 'shot.png', contentType: 'image/png' }, { test_case_id: 'cd0e8400-e29b-41d4-a716-446655440009' })
+      .expect(404);
+    expect(storedFiles()).toHaveLength(filesBefore);
+  });
+
+  test('should reject unaccepted content types and contents that do not match', async () => {
+    const unsupported = await upload(Buffer.from('MZ'), { filename: 'tool.exe', contentType: 'application/x-msdownload' }).expect(415);
+    expect(unsupported.body.error.code).toBe('unsupported_media_type');
+
+    await upload(Buffer.from('not a png'), { filename: 'shot.png', contentType: 'image/png' }).expect(415);
+  });
+
+  test('should reject files over the size limit', async () => {
+    process.env.ARTIFACT_MAX_BYTES = '10';
+
+    const response = await upload(Buffer.from('more than ten bytes'), { filename: 'big.log', contentType: 'text/plain' }).expect(413);
+    expect(response.body.error.code).toBe('payload_too_large');
+  });
+
+  test('should enforce the project quota and keep nothing of the rejected upload', async () => {
+    process.env.ARTIFACT_QUOTA_BYTES = '30';
+    const filesBefore = storedFiles().length;
+
+    await upload(Buffer.from('twenty bytes of logs'), { filename: 'a.log', contentType: 'text/plain' }).expect(201);
+    const response = await upload(Buffer.from('twenty bytes of logs'), { filename: 'b.log', contentType: 'text/plain' }).expect(413);
+
+    expect(response.body.error.message).toMatch(/quota/);
+    expect(storedFiles()).toHaveLength(filesBefore + 1);
+  });
+
+  test('should reject requests without a multipart file', async () => {
+    await request(app).post(`/runs/${runId}/artifacts`).set('Authorization', `Bearer ${token}`).send({ name: 'x' }).expect(400);
+    await request(app)
+      .post(`/runs/${runId}/artifacts`)
+      .set('Authorization', `Bearer ${token}`)
+      .field('name', 'x')
+      .expect(400);
+  });
+
+  test('should not expose artifacts to other projects', async () => {
+    const response = await upload(Buffer.from('log'), { filename: 'console.log', contentType: 'text/plain' }).expect(201);
+
+    await request(app)
+      .get(`/runs/${runId}/artifacts/${response.body.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+    await request(app).get(`/runs/${runId}/artifacts`).set('Authorization', `Bearer ${otherToken}`).expect(404);
+    await upload(Buffer.from('log'), { filename: 'console.log', contentType: 'text/plain' }, {}, otherToken).expect(404);
+  });
+
+  test('should return 404 for an unknown artifact', async () => {
+    await request(app)
+      .get(`/runs/${runId}/artifacts/cd0e8400-e29b-41d4-a716-446655440009`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+  });
+});
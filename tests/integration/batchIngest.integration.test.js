@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Batch Ingestion Integration Tests', () => {
+  let app;
+  let token;
+
+  /**
+   * Build a valid run payload for the given run_id
+   */
+  function run(runId, overrides = {}) {
+    return {
+      run_id: runId,
+      status: 'passed',
+      duration_ms: 100,
+      timestamp: '2026-01-12T10:00:00.000Z',
+      ...overrides
+    };
+  }
+
+  /**
+   * Count the stored test runs
+   */
+  function countRuns() {
+    return new Promise((resolve, reject) => {
+      getDatabase().get('SELECT COUNT(*) AS count FROM test_runs', (err, row) => {
+        if (err) return reject(err);
+        resolve(row.count);
+      });
+    });
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Batch Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Batch Project' })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach((done) => {
+    delete process.env.INGEST_BATCH_MAX_RUNS;
+    const db = getDatabase();
+    db.serialize(() => {
+      db.run('DELETE FROM test_cases');
+      db.run('DELETE FROM test_runs', done);
+    });
+  });
+
+  test('should report each run as created, duplicate or invalid', async () => {
+    await request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${token}`)
+      .send(run('a10e8400-e29b-41d4-a716-446655440001'))
+      .expect(201);
+
+    const response = await request(app)
+      .post('/ingest/batch')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        runs: [
+          run('a10e8400-e29b-41d4-a716-446655440001'),
+          run('a20e8400-e29b-41d4-a716-446655440002', { tests: [{ name: 'works', status: 'passed' }] }),
+          run('a30e8400-e29b-41d4-a716-446655440003', { status: 'unknown' }),
+          run('a20e8400-e29b-41d4-a716-446655440002')
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.summary).toEqual({ created: 1, duplicate: 2, invalid: 1 });
+    expect(response.body.results.map(r => r.result)).toEqual(['duplicate', 'created', 'invalid', 'duplicate']);
+
+    const [existing, created, invalid, repeated] = response.body.results;
+    expect(existing.index).toBe(0);
+    expect(existing.test_run.run_id).toBe('a10e8400-e29b-41d4-a716-446655440001');
+    expect(created.test_run.tests).toHaveLength(1);
+    expect(invalid.run_id).toBe('a30e8400-e29b-41d4-a716-446655440003');
+    expect(invalid.errors).toEqual(['status must be "passed", "failed", "skipped", "errored", "cancelled" or "timed_out"']);
+    expect(invalid.test_run).toBeUndefined();
+    expect(repeated.test_run.id).toBe(created.test_run.id);
+
+    expect(await countRuns()).toBe(2);
+  });
+
+  test('should reject invalid items without rolling back valid ones', async () => {
+    const response = await request(app)
+      .post('/ingest/batch')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        runs: [
+          'not-an-object',
+          run('not-a-uuid'),
+          run('b10e8400-e29b-41d4-a716-446655440001', { tests: [{ name: '', status: 'passed' }] }),
+          run('b20e8400-e29b-41d4-a716-446655440002')
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.summary).toEqual({ created: 1, duplicate: 0, invalid: 3 });
+    expect(response.body.results[0]).toMatchObject({ index: 0, run_id: null, result: 'invalid' });
+    expect(await countRuns()).toBe(1);
+  });
+
+  test('should enforce the configured maximum batch size', async () => {
+    process.env.INGEST_BATCH_MAX_RUNS = '2';
+
+    const response = await request(app)
+      .post('/ingest/batch')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        runs: [
+          run('c10e8400-e29b-41d4-a716-446655440001'),
+          run('c20e8400-e29b-41d4-a716-446655440002'),
+          run('c30e8400-e29b-41d4-a716-446655440003')
+        ]
+      })
+      .expect(400);
+
+    expect(response.body.error.message).toBe('A batch may contain at most 2 runs');
+    expect(await countRuns()).toBe(0);
+  });
+
+  test('should reject a missing or empty runs array', async () => {
+    await request(app).post('/ingest/batch').set('Authorization', `Bearer ${token}`).send({}).expect(400);
+    await request(app).post('/ingest/batch').set('Authorization', `Bearer ${token}`).send({ runs: [] }).expect(400);
+  });
+
+  test('should require authentication', async () => {
+    await request(app).post('/ingest/batch').send({ runs: [run('d10e8400-e29b-41d4-a716-446655440001')] }).expect(401);
+  });
+});
@@ -0,0 +1,250 @@
+const zlib = require('zlib');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Compressed and Large Ingest Integration Tests', () => {
+  let app;
+  let token;
+
+  const runId = '550e8400-e29b-41d4-a716-446655440400';
+  const junitReport = `<?xml version="1.0"?>
+    <testsuite name="cart" time="0.3">
+      <testcase classname="cart" name="adds item" time="0.1"/>
+      <testcase classname="cart" name="removes item" time="0.2"><failure message="expected 0"/></testcase>
+    </testsuite>`;
+
+  /**
+   * Build go test -json output with a number of passing tests
+   * @param {number} count - Number of tests
+   * @returns {string} - Newline-delimited events
+   */
+  function goReport(count) {
+    const lines = [];
+    for (let i = 0; i < count; i++) {
+      lines.push(JSON.stringify({ Time: '2026-01-12T10:00:00Z', Action: 'run', Package: 'example.com/cart', Test: `Test${i}` }));
+      lines.push(JSON.stringify({ Time: '2026-01-12T10:00:01Z', Action: 'pass', Package: 'example.com/cart', Test: `Test${i}`, Elapsed: 0.01 }));
+    }
+    return lines.join('\n');
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    delete process.env.INGEST_MAX_BODY_BYTES;
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    delete process.env.INGEST_MAX_BODY_BYTES;
+
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM test_case_attempts');
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Upload Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Upload Project' })
+      .expect(201);
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectResponse.body.id }).expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  describe('compressed bodies', () => {
+    test('should ingest a gzip-compressed JUnit report', async () => {
+      const response = await request(app)
+        .post(`/ingest/junit?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/xml')
+        .set('Content-Encoding', 'gzip')
+        .send(zlib.gzipSync(junitReport))
+        .expect(201);
+
+      expect(response.body.status).toBe('failed');
+      expect(response.body.tests).toHaveLength(2);
+    });
+
+    test('should ingest a deflate-compressed JSON run', async () => {
+      const run = { run_id: runId, status: 'passed', duration_ms: 100, timestamp: '2026-01-12T10:00:00.000Z' };
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/json')
+        .set('Content-Encoding', 'deflate')
+        .serialize(data => data)
+        .send(zlib.deflateSync(JSON.stringify(run)))
+        .expect(201);
+
+      expect(response.body.status).toBe('passed');
+    });
+
+    test('should stream a gzip-compressed go test report', async () => {
+      const response = await request(app)
+        .post(`/ingest/report?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .set('Content-Encoding', 'gzip')
+        .send(zlib.gzipSync(goReport(500)))
+        .expect(201);
+
+      expect(response.body.status).toBe('passed');
+      expect(response.body.tests).toHaveLength(500);
+    });
+
+    test('should reject unsupported encodings with 415', async () => {
+      const response = await request(app)
+        .post(`/ingest/junit?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/xml')
+        .set('Content-Encoding', 'br')
+        .send(junitReport)
+        .expect(415);
+
+      expect(response.body.error.code).toBe('unsupported_media_type');
+      expect(response.body.error.message).toBe('Unsupported Content-Encoding: br');
+    });
+
+    test('should reject bodies that are not valid gzip data', async () => {
+      const response = await request(app)
+        .post(`/ingest/junit?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/xml')
+        .set('Content-Encoding', 'gzip')
+        .send(junitReport)
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Request body could not be decompressed');
+    });
+  });
+
+  describe('body size limit', () => {
+    test('should accept JSON bodies over the default 100kb limit', async () => {
+      const tests = Array.from({ length: 2000 }, (_, i) => ({ name: `test ${i} ${'x'.repeat(50)}`, status: 'passed', duration_ms: 1 }));
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ run_id: runId, status: 'passed', duration_ms: 2000, timestamp: '2026-01-12T10:00:00.000Z', tests })
+        .expect(201);
+
+      expect(response.body.tests).toHaveLength(2000);
+    });
+
+    test('should finish a started run with a gzip-compressed body over the default 100kb limit', async () => {
+      await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timestamp: '2026-01-12T10:00:00.000Z' })
+        .expect(201);
+
+      const tests = Array.from({ length: 2000 }, (_, i) => ({ name: `test ${i} ${'x'.repeat(50)}`, status: 'passed', duration_ms: 1 }));
+      const body = JSON.stringify({ status: 'passed', duration_ms: 2000, tests });
+      expect(body.length).toBeGreaterThan(100 * 1024);
+
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/json')
+        .set('Content-Encoding', 'gzip')
+        .serialize(data => data)
+        .send(zlib.gzipSync(body))
+        .expect(200);
+
+      expect(response.body.status).toBe('passed');
+      expect(response.body.tests).toHaveLength(2000);
+    });
+
+    test('should ingest a gzip-compressed Jest report over the default 100kb limit', async () => {
+      const testResults = Array.from({ length: 20 }, (_, file) => ({
+        name: `/app/suite${file}.test.js`,
+        assertionResults: Array.from({ length: 100 }, (_, i) => ({ ancestorTitles: [`suite ${file}`], title: `test ${i} ${'x'.repeat(50)}`, status: 'passed', duration: 1 }))
+      }));
+      const body = JSON.stringify({ numTotalTests: 2000, startTime: Date.parse('2026-01-12T10:00:00.000Z'), testResults });
+      expect(body.length).toBeGreaterThan(100 * 1024);
+
+      const response = await request(app)
+        .post(`/ingest/jest?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/json')
+        .set('Content-Encoding', 'gzip')
+        .serialize(data => data)
+        .send(zlib.gzipSync(body))
+        .expect(201);
+
+      expect(response.body.tests).toHaveLength(2000);
+    });
+
+    test('should reject an oversized JSON body with 413', async () => {
+      process.env.INGEST_MAX_BODY_BYTES = '1024';
+
+      const response = await request(app)
+        .post('/ingest/jest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ numTotalTests: 0, testResults: [], padding: 'x'.repeat(2048) })
+        .expect(413);
+
+      expect(response.body.error.code).toBe('payload_too_large');
+      expect(response.body.error.message).toBe('Request body must be at most 1024 bytes');
+    });
+
+    test('should reject an oversized streamed report with 413', async () => {
+      process.env.INGEST_MAX_BODY_BYTES = '1024';
+
+      const response = await request(app)
+        .post(`/ingest/report?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(goReport(50))
+        .expect(413);
+
+      expect(response.body.error.code).toBe('payload_too_large');
+      expect(response.body.error.message).toBe('Request body must be at most 1024 bytes');
+    });
+
+    test('should apply the limit to the decompressed size', async () => {
+      process.env.INGEST_MAX_BODY_BYTES = '4096';
+      const body = zlib.gzipSync(goReport(200));
+      expect(body.length).toBeLessThan(4096);
+
+      const response = await request(app)
+        .post(`/ingest/report?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/x-ndjson')
+        .set('Content-Encoding', 'gzip')
+        .send(body)
+        .expect(413);
+
+      expect(response.body.error.code).toBe('payload_too_large');
+
+      const runs = await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(runs.body.data).toHaveLength(0);
+    });
+
+    test('should keep the default limit on other routes', async () => {
+      const response = await request(app)
+        .post('/orgs')
+        .set('Authorization', adminAuth)
+        .send({ name: 'x'.repeat(200 * 1024) })
+        .expect(413);
+
+      expect(response.body.error.code).toBe('payload_too_large');
+      expect(response.body.error.message).toBe('Request body must be at most 102400 bytes');
+    });
+  });
+});
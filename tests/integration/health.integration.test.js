@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+const healthService = require('../../src/services/healthService');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Health Integration Tests', () => {
+  let app;
+  let token;
+
+  const run = {
+    run_id: 'e20e8400-e29b-41d4-a716-446655440001',
+    status: 'passed',
+    duration_ms: 10,
+    timestamp: '2026-01-12T10:00:00.000Z'
+  };
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Health Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Health Project' })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('should report liveness without authentication', async () => {
+    const response = await request(app).get('/healthz').expect(200);
+    expect(response.body).toEqual({ status: 'ok' });
+  });
+
+  test('should report ready when every check passes', async () => {
+    const response = await request(app).get('/readyz').expect(200);
+
+    expect(response.body).toEqual({
+      status: 'ready',
+      checks: { database: { status: 'ok' }, migrations: { status: 'ok' }, shutdown: { status: 'ok' } }
+    });
+  });
+
+  test('should not be ready while migrations are pending', async () => {
+    const db = getDatabase();
+    const latest = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM schema_migrations ORDER BY version DESC LIMIT 1', (err, row) => (err ? reject(err) : resolve(row)));
+    });
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM schema_migrations WHERE version = ?', [latest.version], err => (err ? reject(err) : resolve()));
+    });
+
+    try {
+      const response = await request(app).get('/readyz').expect(503);
+      expect(response.body.status).toBe('not_ready');
+      expect(response.body.checks.migrations.status).toBe('failed');
+      expect(response.body.checks.migrations.message).toContain(`${latest.version}_${latest.name}`);
+    } finally {
+      await new Promise((resolve, reject) => {
+        db.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [latest.version, latest.name, latest.applied_at], err => (err ? reject(err) : resolve()));
+      });
+    }
+  });
+
+  test('should refuse new ingests and fail readiness once shutdown starts', async () => {
+    healthService.startShutdown();
+
+    const readiness = await request(app).get('/readyz').expect(503);
+    expect(readiness.body.checks.shutdown).toEqual({ status: 'failed', message: 'Server is shutting down' });
+
+    const ingest = await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(run).expect(503);
+    expect(ingest.body.error.code).toBe('service_unavailable');
+
+    // Reads keep working while in-flight work drains
+    await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get('/healthz').expect(200);
+  });
+
+  test('should not be ready once the database is closed', async () => {
+    await closeDatabase();
+
+    const response = await request(app).get('/readyz').expect(503);
+    expect(response.body.checks.database.status).toBe('failed');
+    expect(response.body.checks.migrations).toEqual({ status: 'failed', message: 'Database is unavailable' });
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Jest and Mocha JSON Ingestion Integration Tests', () => {
+  let app;
+  let token;
+  let projectId;
+
+  const runId = '550e8400-e29b-41d4-a716-446655440200';
+  const jestReport = {
+    success: false,
+    startTime: Date.parse('2026-01-12T10:00:00Z'),
+    testResults: [{
+      name: '/app/checkout.test.js',
+      status: 'failed',
+      startTime: Date.parse('2026-01-12T10:00:00Z'),
+      endTime: Date.parse('2026-01-12T10:00:02.5Z'),
+      assertionResults: [
+        { ancestorTitles: ['checkout'], title: 'adds item', status: 'passed', duration: 20, failureMessages: [], invocations: 2, retryReasons: ['Error: timeout'] },
+        { ancestorTitles: ['checkout'], title: 'removes item', status: 'failed', duration: 30, failureMessages: ['Error: item still present\n    at cart.js:1:1'] }
+      ]
+    }]
+  };
+  const mochaReport = {
+    stats: { start: '2026-01-12T11:00:00.000Z', duration: 75 },
+    tests: [
+      { title: 'adds item', fullTitle: 'checkout adds item', file: '/app/checkout.spec.js', duration: 25, currentRetry: 0, err: {} },
+      { title: 'applies coupon', fullTitle: 'checkout applies coupon', file: '/app/checkout.spec.js', currentRetry: 0, err: {} }
+    ],
+    pending: [{ title: 'applies coupon', fullTitle: 'checkout applies coupon', file: '/app/checkout.spec.js', currentRetry: 0, err: {} }],
+    failures: [],
+    passes: [{ title: 'adds item', fullTitle: 'checkout adds item', file: '/app/checkout.spec.js', duration: 25, currentRetry: 0, err: {} }]
+  };
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM test_case_attempts');
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'JSON Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'JSON Project' })
+      .expect(201);
+    projectId = projectResponse.body.id;
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectId }).expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  describe('POST /ingest/jest', () => {
+    test('should store the run and its tests derived from the report', async () => {
+      const response = await request(app)
+        .post(`/ingest/jest?run_id=${runId}&branch=main`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(jestReport)
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        project_id: projectId,
+        run_id: runId,
+        status: 'failed',
+        duration_ms: 2500,
+        timestamp: '2026-01-12T10:00:00.000Z',
+        branch: 'main'
+      });
+      expect(response.body.tests).toHaveLength(2);
+      expect(response.body.tests[0]).toMatchObject({ suite_name: 'checkout', name: 'adds item', file: '/app/checkout.test.js', attempt_count: 2 });
+      expect(response.body.tests[1]).toMatchObject({ status: 'failed', failure_message: 'Error: item still present' });
+    });
+
+    test('should be idempotent on run_id', async () => {
+      const first = await request(app)
+        .post(`/ingest/jest?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(jestReport)
+        .expect(201);
+
+      const second = await request(app)
+        .post(`/ingest/jest?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ success: true, testResults: [] })
+        .expect(200);
+
+      expect(second.body.id).toBe(first.body.id);
+      expect(second.body.status).toBe('failed');
+    });
+
+    test('should reject a body that is not a Jest report', async () => {
+      const response = await request(app)
+        .post(`/ingest/jest?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(mochaReport)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('invalid_request');
+      expect(response.body.error.message).toContain('Jest JSON report');
+    });
+
+    test('should reject non-JSON content types', async () => {
+      const response = await request(app)
+        .post(`/ingest/jest?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/xml')
+        .send('<testsuite/>')
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Content-Type');
+    });
+  });
+
+  describe('POST /ingest/mocha', () => {
+    test('should store the run and its tests derived from the report', async () => {
+      const response = await request(app)
+        .post(`/ingest/mocha?run_id=${runId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(mochaReport)
+        .expect(201);
+
+      expect(response.body).toMatchObject({ status: 'passed', duration_ms: 75, timestamp: '2026-01-12T11:00:00.000Z' });
+      expect(response.body.tests.map(t => t.status)).toEqual(['passed', 'skipped']);
+    });
+
+    test('should let the timestamp query parameter override the report', async () => {
+      const response = await request(app)
+        .post(`/ingest/mocha?run_id=${runId}&timestamp=2026-02-01T08:30:00Z`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(mochaReport)
+        .expect(201);
+
+      expect(response.body.timestamp).toBe('2026-02-01T08:30:00.000Z');
+    });
+
+    test('should reject a missing run_id', async () => {
+      await request(app)
+        .post('/ingest/mocha')
+        .set('Authorization', `Bearer ${token}`)
+        .send(mochaReport)
+        .expect(400);
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .post(`/ingest/mocha?run_id=${runId}`)
+        .send(mochaReport)
+        .expect(401);
+    });
+  });
+});
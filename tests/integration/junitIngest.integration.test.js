@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('JUnit Ingestion Integration Tests', () => {
+  let app;
+  let token;
+  let projectId;
+
+  const runId = '550e8400-e29b-41d4-a716-446655440100';
+  const failingReport = `<?xml version="1.0" encoding="UTF-8"?>
+    <testsuites time="3.21">
+      <testsuite name="checkout" tests="2" failures="1" timestamp="2026-01-12T10:00:00">
+        <testcase classname="checkout.cart" name="adds item" time="1.2"/>
+        <testcase classname="checkout.cart" name="removes item" time="2.01">
+          <failure message="item still present"/>
+        </testcase>
+      </testsuite>
+    </testsuites>`;
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'JUnit Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'JUnit Project' })
+      .expect(201);
+    projectId = projectResponse.body.id;
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectId }).expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  test('should derive status, duration and timestamp from the report', async () => {
+    const response = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send(failingReport)
+      .expect(201);
+
+    expect(response.body.project_id).toBe(projectId);
+    expect(response.body.run_id).toBe(runId);
+    expect(response.body.status).toBe('failed');
+    expect(response.body.duration_ms).toBe(3210);
+    expect(response.body.timestamp).toBe('2026-01-12T10:00:00.000Z');
+  });
+
+  test('should store each test case under the run', async () => {
+    const response = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send(failingReport)
+      .expect(201);
+
+    expect(response.body.tests).toHaveLength(2);
+    expect(response.body.tests[1]).toMatchObject({
+      suite_name: 'checkout.cart',
+      name: 'removes item',
+      status: 'failed',
+      duration_ms: 2010,
+      failure_message: 'item still present'
+    });
+  });
+
+  test('should let the timestamp query parameter override the report', async () => {
+    const response = await request(app)
+      .post(`/ingest/junit?run_id=${runId}&timestamp=2026-02-01T08:30:00Z`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/xml')
+      .send(failingReport)
+      .expect(201);
+
+    expect(response.body.timestamp).toBe('2026-02-01T08:30:00.000Z');
+  });
+
+  test('should be idempotent on run_id', async () => {
+    const first = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send(failingReport)
+      .expect(201);
+
+    const second = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send('<testsuite name="other" time="1"/>')
+      .expect(200);
+
+    expect(second.body.id).toBe(first.body.id);
+    expect(second.body.status).toBe('failed');
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Content-Type', 'application/xml')
+      .send(failingReport)
+      .expect(401);
+  });
+
+  test('should reject a missing run_id', async () => {
+    const response = await request(app)
+      .post('/ingest/junit')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send(failingReport)
+      .expect(400);
+
+    expect(response.body.error.code).toBe('invalid_request');
+  });
+
+  test('should reject malformed XML', async () => {
+    const response = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send('<testsuite><testcase></testsuite>')
+      .expect(400);
+
+    expect(response.body.error.message).toContain('Invalid JUnit XML');
+  });
+
+  test('should reject non-XML content types', async () => {
+    const response = await request(app)
+      .post(`/ingest/junit?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'passed' })
+      .expect(400);
+
+    expect(response.body.error.message).toContain('Content-Type');
+  });
+});
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Metrics Integration Tests', () => {
+  let app;
+  let token;
+
+  const runId = 'e10e8400-e29b-41d4-a716-446655440001';
+
+  /**
+   * Scrape /metrics and return the value of one sample, or undefined if it is not exposed
+   */
+  async function sample(name, labels = {}) {
+    const response = await request(app).get('/metrics').expect(200);
+    const line = response.text.split('\n').find(candidate => {
+      if (!candidate.startsWith(`${name}{`) && !candidate.startsWith(`${name} `)) {
+        return false;
+      }
+      return Object.entries(labels).every(([key, value]) => candidate.includes(`${key}="${value}"`));
+    });
+    return line === undefined ? undefined : Number(line.split(' ').pop());
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Metrics Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Metrics Project' })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  test('should expose metrics in the Prometheus text format without authentication', async () => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(response.text).toContain('# TYPE process_cpu_seconds_total counter');
+  });
+
+  test('should count requests by route pattern and status', async () => {
+    await request(app).get(`/runs/${runId}`).set('Authorization', `Bearer ${token}`).expect(404);
+    await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+    await request(app).get('/no-such-path').expect(404);
+
+    expect(await sample('http_requests_total', { method: 'GET', route: '/runs/:run_id', status: '404' })).toBe(1);
+    expect(await sample('http_requests_total', { method: 'GET', route: '/runs', status: '200' })).toBe(1);
+    expect(await sample('http_requests_total', { route: '<unmatched>', status: '404' })).toBe(1);
+    expect(await sample('http_request_duration_seconds_count', { method: 'GET', route: '/runs', status: '200' })).toBe(1);
+  });
+
+  test('should count created, duplicate and rejected ingestions', async () => {
+    const run = { run_id: runId, status: 'passed', duration_ms: 10, timestamp: '2026-01-12T10:00:00.000Z' };
+    await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(run).expect(201);
+    await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(run).expect(200);
+    await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send({ ...run, status: 'unknown' }).expect(400);
+    await request(app)
+      .post('/ingest/batch')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ runs: [run, { ...run, run_id: 'e10e8400-e29b-41d4-a716-446655440002' }, { run_id: 'not-a-uuid' }] })
+      .expect(200);
+
+    expect(await sample('ingested_runs_total', { source: 'json', result: 'created' })).toBe(1);
+    expect(await sample('ingested_runs_total', { source: 'json', result: 'duplicate' })).toBe(1);
+    expect(await sample('ingested_runs_total', { source: 'json', result: 'rejected' })).toBe(1);
+    expect(await sample('ingested_runs_total', { source: 'batch', result: 'created' })).toBe(1);
+    expect(await sample('ingested_runs_total', { source: 'batch', result: 'duplicate' })).toBe(1);
+    expect(await sample('ingested_runs_total', { source: 'batch', result: 'rejected' })).toBe(1);
+  });
+
+  test('should count auth failures by reason', async () => {
+    await request(app).get('/runs').expect(401);
+    await request(app).get('/runs').set('Authorization', 'Bearer ta_live_unknown').expect(401);
+    await request(app).get('/runs').set('Authorization', 'Basic abc').expect(401);
+    await request(app).post('/orgs').set('Authorization', `Bearer ${token}`).send({ name: 'x' }).expect(403);
+
+    expect(await sample('auth_failures_total', { reason: 'missing_header' })).toBe(1);
+    expect(await sample('auth_failures_total', { reason: 'invalid_token' })).toBe(1);
+    expect(await sample('auth_failures_total', { reason: 'malformed_header' })).toBe(1);
+    expect(await sample('auth_failures_total', { reason: 'project_token_not_admin' })).toBe(1);
+  });
+
+  test('should record SQLite query latency', async () => {
+    expect(await sample('db_query_duration_seconds_count', { method: 'get' })).toBeGreaterThan(0);
+    expect(await sample('db_query_duration_seconds_count', { method: 'run' })).toBeGreaterThan(0);
+  });
+});
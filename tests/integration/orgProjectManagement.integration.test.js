@@ -0,0 +1,300 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Organization and Project Management Integration Tests', () => {
+  let app;
+  let storageDir;
+  let org;
+  let project;
+  let token;
+
+  const runId = '550e8400-e29b-41d4-a716-446655440600';
+  const run = {
+    run_id: runId,
+    status: 'failed',
+    duration_ms: 100,
+    timestamp: '2026-01-12T10:00:00.000Z',
+    tests: [{ name: 'checkout', status: 'failed', attempts: [{ status: 'failed', duration_ms: 10 }] }]
+  };
+
+  /**
+   * Count the rows of a table
+   */
+  function count(table) {
+    return new Promise((resolve, reject) => {
+      getDatabase().get(`SELECT COUNT(*) AS total FROM ${table}`, (err, row) => (err ? reject(err) : resolve(row.total)));
+    });
+  }
+
+  /**
+   * List the files written to artifact storage
+   */
+  function storedFiles() {
+    return fs.readdirSync(storageDir, { recursive: true })
+      .filter(entry => fs.statSync(path.join(storageDir, entry)).isFile());
+  }
+
+  /**
+   * Create an organization with the bootstrap key
+   */
+  async function createOrg(name) {
+    const response = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name }).expect(201);
+    return response.body;
+  }
+
+  /**
+   * Create a project with the bootstrap key
+   */
+  async function createProject(organizationId, name) {
+    const response = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: organizationId, name })
+      .expect(201);
+    return response.body;
+  }
+
+  /**
+   * Create a project token with the given scopes
+   */
+  async function createToken(projectId, scopes) {
+    const response = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectId, scopes })
+      .expect(201);
+    return response.body.token;
+  }
+
+  /**
+   * Create an admin token of an organization
+   */
+  async function createAdminToken(organizationId) {
+    const response = await request(app)
+      .post(`/orgs/${organizationId}/admin-tokens`)
+      .set('Authorization', adminAuth)
+      .expect(201);
+    return response.body.token;
+  }
+
+  /**
+   * Record a run, a webhook and an artifact for a project
+   */
+  async function populate(projectId, projectToken) {
+    await request(app).post('/ingest').set('Authorization', `Bearer ${projectToken}`).send(run).expect(201);
+    await request(app)
+      .post(`/runs/${runId}/artifacts`)
+      .set('Authorization', `Bearer ${projectToken}`)
+      .attach('file', Buffer.from('FAIL checkout'), { filename: 'console.log', contentType: 'text/plain' })
+      .expect(201);
+
+    const adminScopedToken = await createToken(projectId, ['admin']);
+    await request(app)
+      .post(`/projects/${projectId}/webhooks`)
+      .set('Authorization', `Bearer ${adminScopedToken}`)
+      .send({ url: 'https://203.0.113.10/hooks', events: ['run.failed'] })
+      .expect(201);
+  }
+
+  beforeAll(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+    process.env.ARTIFACT_STORAGE_PATH = storageDir;
+
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    delete process.env.ARTIFACT_STORAGE_PATH;
+    await closeDatabase();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.mkdirSync(storageDir);
+
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM webhook_deliveries');
+        db.run('DELETE FROM webhooks');
+        db.run('DELETE FROM artifacts');
+        db.run('DELETE FROM test_case_attempts');
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM admin_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    org = await createOrg('Managed Org');
+    project = await createProject(org.id, 'Managed Project');
+    token = await createToken(project.id);
+  });
+
+  describe('Organizations', () => {
+    test('should list, get and rename organizations', async () => {
+      await createOrg('Another Org');
+
+      const list = await request(app).get('/orgs').set('Authorization', adminAuth).expect(200);
+      expect(list.body.data.map(o => o.name)).toEqual(['Another Org', 'Managed Org']);
+
+      const found = await request(app).get(`/orgs/${org.id}`).set('Authorization', adminAuth).expect(200);
+      expect(found.body).toEqual(org);
+
+      const renamed = await request(app).patch(`/orgs/${org.id}`).set('Authorization', adminAuth).send({ name: '  Renamed Org ' }).expect(200);
+      expect(renamed.body).toEqual({ ...org, name: 'Renamed Org' });
+    });
+
+    test('should reject renaming to an existing name with 409', async () => {
+      await createOrg('Another Org');
+
+      const response = await request(app).patch(`/orgs/${org.id}`).set('Authorization', adminAuth).send({ name: 'Another Org' }).expect(409);
+      expect(response.body.error.code).toBe('conflict');
+    });
+
+    test('should limit organization admin tokens to their own organization', async () => {
+      const other = await createOrg('Another Org');
+      const orgAdminToken = await createAdminToken(org.id);
+      const orgAdminAuth = `Bearer ${orgAdminToken}`;
+
+      const list = await request(app).get('/orgs').set('Authorization', orgAdminAuth).expect(200);
+      expect(list.body.data.map(o => o.id)).toEqual([org.id]);
+
+      await request(app).get(`/orgs/${other.id}`).set('Authorization', orgAdminAuth).expect(403);
+      await request(app).patch(`/orgs/${other.id}`).set('Authorization', orgAdminAuth).send({ name: 'Taken Over' }).expect(403);
+      await request(app).get(`/orgs/${other.id}/projects`).set('Authorization', orgAdminAuth).expect(403);
+      await request(app).delete(`/orgs/${org.id}`).set('Authorization', orgAdminAuth).expect(403);
+    });
+
+    test('should delete an organization with its projects, tokens and history', async () => {
+      await populate(project.id, token);
+      await createAdminToken(org.id);
+      const other = await createOrg('Kept Org');
+      await createProject(other.id, 'Kept Project');
+
+      await request(app).delete(`/orgs/${org.id}`).set('Authorization', adminAuth).expect(204);
+
+      await request(app).get(`/orgs/${org.id}`).set('Authorization', adminAuth).expect(404);
+      await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(401);
+      expect(await count('projects')).toBe(1);
+      expect(await count('admin_tokens')).toBe(0);
+      expect(await count('test_runs')).toBe(0);
+      expect(await count('webhooks')).toBe(0);
+      expect(await count('artifacts')).toBe(0);
+      expect(storedFiles()).toEqual([]);
+    });
+
+    test('should return 404 when deleting an unknown organization', async () => {
+      await request(app).delete('/orgs/00000000-0000-0000-0000-000000000000').set('Authorization', adminAuth).expect(404);
+    });
+  });
+
+  describe('Projects', () => {
+    test('should list the projects of an organization', async () => {
+      const archived = await createProject(org.id, 'Archived Project');
+      await request(app).patch(`/projects/${archived.id}`).set('Authorization', adminAuth).send({ archived: true }).expect(200);
+
+      const all = await request(app).get(`/orgs/${org.id}/projects`).set('Authorization', adminAuth).expect(200);
+      expect(all.body.data.map(p => p.name)).toEqual(['Archived Project', 'Managed Project']);
+
+      const active = await request(app).get(`/orgs/${org.id}/projects?archived=false`).set('Authorization', adminAuth).expect(200);
+      expect(active.body.data.map(p => p.name)).toEqual(['Managed Project']);
+
+      await request(app).get(`/orgs/${org.id}/projects?archived=maybe`).set('Authorization', adminAuth).expect(400);
+      await request(app).get('/orgs/00000000-0000-0000-0000-000000000000/projects').set('Authorization', adminAuth).expect(404);
+    });
+
+    test('should get and rename a project', async () => {
+      const found = await request(app).get(`/projects/${project.id}`).set('Authorization', adminAuth).expect(200);
+      expect(found.body).toEqual({ ...project, archived_at: null });
+
+      const renamed = await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ name: 'Renamed Project' }).expect(200);
+      expect(renamed.body.name).toBe('Renamed Project');
+    });
+
+    test('should validate project updates', async () => {
+      await createProject(org.id, 'Taken Project');
+
+      await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({}).expect(400);
+      await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ archived: 'yes' }).expect(400);
+      await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ name: ' ' }).expect(400);
+      await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ name: 'Taken Project' }).expect(409);
+      await request(app).patch('/projects/00000000-0000-0000-0000-000000000000').set('Authorization', adminAuth).send({ name: 'X' }).expect(404);
+    });
+
+    test('should reject ingestion into an archived project but keep its history', async () => {
+      await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(run).expect(201);
+
+      const archived = await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ archived: true }).expect(200);
+      expect(archived.body.archived_at).toEqual(expect.any(String));
+
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...run, run_id: '550e8400-e29b-41d4-a716-446655440601' })
+        .expect(403);
+      expect(response.body.error.message).toBe(`Project ${project.id} is archived and does not accept new results`);
+      await request(app).post('/runs/550e8400-e29b-41d4-a716-446655440602/start').set('Authorization', `Bearer ${token}`).send({}).expect(403);
+
+      const runs = await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+      expect(runs.body.data).toHaveLength(1);
+
+      await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ archived: false }).expect(200);
+      await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...run, run_id: '550e8400-e29b-41d4-a716-446655440601' })
+        .expect(201);
+    });
+
+    test('should keep the original archive time when archiving again', async () => {
+      const first = await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ archived: true }).expect(200);
+      const second = await request(app).patch(`/projects/${project.id}`).set('Authorization', adminAuth).send({ archived: true }).expect(200);
+
+      expect(second.body.archived_at).toBe(first.body.archived_at);
+    });
+
+    test('should delete a project with its runs, tokens, webhooks and artifacts', async () => {
+      await populate(project.id, token);
+      const kept = await createProject(org.id, 'Kept Project');
+      const keptToken = await createToken(kept.id);
+      await request(app).post('/ingest').set('Authorization', `Bearer ${keptToken}`).send(run).expect(201);
+
+      await request(app).delete(`/projects/${project.id}`).set('Authorization', adminAuth).expect(204);
+
+      await request(app).get(`/projects/${project.id}`).set('Authorization', adminAuth).expect(404);
+      await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(401);
+      expect(await count('api_tokens')).toBe(1);
+      expect(await count('test_runs')).toBe(1);
+      expect(await count('test_cases')).toBe(1);
+      expect(await count('test_case_attempts')).toBe(1);
+      expect(await count('webhooks')).toBe(0);
+      expect(await count('artifacts')).toBe(0);
+      expect(storedFiles().filter(file => file.startsWith(project.id))).toEqual([]);
+    });
+
+    test('should limit organization admin tokens to projects of their organization', async () => {
+      const other = await createOrg('Another Org');
+      const otherProject = await createProject(other.id, 'Other Project');
+      const orgAdminAuth = `Bearer ${await createAdminToken(org.id)}`;
+
+      await request(app).get(`/projects/${project.id}`).set('Authorization', orgAdminAuth).expect(200);
+      await request(app).get(`/projects/${otherProject.id}`).set('Authorization', orgAdminAuth).expect(403);
+      await request(app).patch(`/projects/${otherProject.id}`).set('Authorization', orgAdminAuth).send({ archived: true }).expect(403);
+      await request(app).delete(`/projects/${otherProject.id}`).set('Authorization', orgAdminAuth).expect(403);
+      await request(app).get(`/projects/${project.id}`).set('Authorization', `Bearer ${token}`).expect(403);
+    });
+  });
+});
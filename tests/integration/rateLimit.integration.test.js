@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+const { setRateLimitStore } = require('../../src/services/rateLimitStore');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Rate Limiting Integration Tests', () => {
+  let app;
+  let projectId;
+  let token;
+
+  const env = { ...process.env };
+
+  /**
+   * Ingest a passing run
+   * @param {string} bearer - Project token
+   * @param {number} n - Distinguishes the run_id
+   * @returns {supertest.Test} - Pending request
+   */
+  function ingest(bearer, n) {
+    return request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${bearer}`)
+      .send({
+        run_id: `550e8400-e29b-41d4-a716-4466554405${String(n).padStart(2, '0')}`,
+        status: 'passed',
+        duration_ms: 100,
+        timestamp: '2026-01-12T10:00:00.000Z'
+      });
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    process.env = { ...env };
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    process.env = { ...env };
+    setRateLimitStore(null);
+
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Limit Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Limit Project' })
+      .expect(201);
+    projectId = projectResponse.body.id;
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectId }).expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  test('should send rate limit headers on ingest responses', async () => {
+    process.env.RATE_LIMIT_TOKEN_PER_MINUTE = '10';
+
+    const response = await ingest(token, 1).expect(201);
+
+    expect(response.headers['x-ratelimit-limit']).toBe('10');
+    expect(response.headers['x-ratelimit-remaining']).toBe('9');
+    expect(response.headers['x-ratelimit-reset']).toBe('6');
+  });
+
+  test('should reject requests over the token limit with 429', async () => {
+    process.env.RATE_LIMIT_TOKEN_PER_MINUTE = '2';
+
+    await ingest(token, 1).expect(201);
+    await ingest(token, 2).expect(201);
+    const response = await ingest(token, 3).expect(429);
+
+    expect(response.body.error.code).toBe('rate_limited');
+    expect(response.body.error.message).toBe('Rate limit exceeded for this token; retry in 30 seconds');
+    expect(response.headers['retry-after']).toBe('30');
+    expect(response.headers['x-ratelimit-remaining']).toBe('0');
+
+    const runs = await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+    expect(runs.body.data).toHaveLength(2);
+  });
+
+  test('should share the project limit between its tokens', async () => {
+    process.env.RATE_LIMIT_PROJECT_PER_MINUTE = '2';
+    const second = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectId }).expect(201);
+
+    await ingest(token, 1).expect(201);
+    await ingest(second.body.token, 2).expect(201);
+    const response = await ingest(second.body.token, 3).expect(429);
+
+    expect(response.body.error.message).toContain('for this project');
+  });
+
+  test('should limit other ingest endpoints', async () => {
+    process.env.RATE_LIMIT_IP_PER_MINUTE = '1';
+
+    await request(app).post(`/runs/550e8400-e29b-41d4-a716-446655440501/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+    const response = await request(app)
+      .post('/ingest/junit?run_id=550e8400-e29b-41d4-a716-446655440502')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send('<testsuite name="a"/>')
+      .expect(429);
+
+    expect(response.body.error.message).toContain('for this IP address');
+  });
+
+  test('should not limit read endpoints', async () => {
+    process.env.RATE_LIMIT_TOKEN_PER_MINUTE = '1';
+
+    await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+    const response = await request(app).get('/runs').set('Authorization', `Bearer ${token}`).expect(200);
+
+    expect(response.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+
+  test('should let requests through when the store fails', async () => {
+    setRateLimitStore({ consume: () => Promise.reject(new Error('store unavailable')) });
+
+    const response = await ingest(token, 1).expect(201);
+
+    expect(response.headers['x-ratelimit-limit']).toBeUndefined();
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Report Ingestion Integration Tests', () => {
+  let app;
+  let token;
+
+  const runId = '550e8400-e29b-41d4-a716-446655440300';
+  const goReport = [
+    { Time: '2026-01-12T10:00:00Z', Action: 'run', Package: 'example.com/cart', Test: 'TestAdd' },
+    { Time: '2026-01-12T10:00:00.1Z', Action: 'pass', Package: 'example.com/cart', Test: 'TestAdd', Elapsed: 0.1 },
+    { Time: '2026-01-12T10:00:00.2Z', Action: 'pass', Package: 'example.com/cart', Elapsed: 0.2 }
+  ].map(event => JSON.stringify(event)).join('\n');
+  const pytestReport = {
+    created: 1768212000,
+    duration: 0.5,
+    exitcode: 1,
+    tests: [
+      { nodeid: 'tests/test_cart.py::test_add', outcome: 'passed', call: { duration: 0.1, outcome: 'passed' } },
+      { nodeid: 'tests/test_cart.py::test_remove', outcome: 'failed', call: { duration: 0.2, outcome: 'failed', crash: { message: 'assert 1 == 0' } } }
+    ]
+  };
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    const db = getDatabase();
+    await new Promise((resolve) => {
+      db.serialize(() => {
+        db.run('DELETE FROM test_case_attempts');
+        db.run('DELETE FROM test_cases');
+        db.run('DELETE FROM test_runs');
+        db.run('DELETE FROM api_tokens');
+        db.run('DELETE FROM projects');
+        db.run('DELETE FROM organizations', resolve);
+      });
+    });
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Report Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Report Project' })
+      .expect(201);
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: projectResponse.body.id }).expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  test('should detect and store a JSON report', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}&branch=main`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(pytestReport)
+      .expect(201);
+
+    expect(response.body).toMatchObject({ status: 'failed', duration_ms: 500, timestamp: '2026-01-12T10:00:00.000Z', branch: 'main' });
+    expect(response.body.tests[1]).toMatchObject({ file: 'tests/test_cart.py', name: 'test_remove', failure_message: 'assert 1 == 0' });
+  });
+
+  test('should detect and store a newline-delimited report', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(goReport)
+      .expect(201);
+
+    expect(response.body).toMatchObject({ status: 'passed', duration_ms: 200 });
+    expect(response.body.tests[0]).toMatchObject({ suite_name: 'example.com/cart', name: 'TestAdd', duration_ms: 100 });
+  });
+
+  test('should detect an XML report sent without a content type', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', '')
+      .send('<test-run start-time="2026-01-12 10:00:00Z" duration="1"><test-case name="A" result="Passed"/></test-run>')
+      .expect(201);
+
+    expect(response.body).toMatchObject({ status: 'passed', duration_ms: 1000 });
+  });
+
+  test('should parse with an explicit format', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}&format=tap`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/plain')
+      .send('ok 1 - adds item\nnot ok 2 - removes item\n1..2\n')
+      .expect(201);
+
+    expect(response.body.status).toBe('failed');
+    expect(response.body.tests).toHaveLength(2);
+  });
+
+  test('should be idempotent on run_id across formats', async () => {
+    const first = await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(pytestReport)
+      .expect(201);
+
+    const second = await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(goReport)
+      .expect(200);
+
+    expect(second.body.id).toBe(first.body.id);
+    expect(second.body.status).toBe('failed');
+  });
+
+  test('should reject a report whose format cannot be detected', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ hello: 'world' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('invalid_request');
+    expect(response.body.error.message).toContain('Could not detect the report format');
+  });
+
+  test('should reject an unknown format', async () => {
+    const response = await request(app)
+      .post(`/ingest/report?run_id=${runId}&format=xunit`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(pytestReport)
+      .expect(400);
+
+    expect(response.body.error.details[0].msg).toContain('format must be one of');
+  });
+
+  test('should require authentication', async () => {
+    await request(app)
+      .post(`/ingest/report?run_id=${runId}`)
+      .send(pytestReport)
+      .expect(401);
+  });
+});
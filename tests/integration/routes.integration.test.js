@@ -3,6 +3,10 @@ const { createApp } = require('../../src/app');
 const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
 const fs = require('fs');
 
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
 describe('Routes Integration Tests', () => {
   let app;
   const testDbPath = ':memory:'; // Use in-memory database for tests
@@ -23,8 +27,11 @@ describe('Routes Integration Tests', () => {
     // Clear all tables before each test
     const db = getDatabase();
     db.serialize(() => {
+      db.run('DELETE FROM test_case_attempts');
+      db.run('DELETE FROM test_cases');
       db.run('DELETE FROM test_runs');
       db.run('DELETE FROM api_tokens');
+      db.run('DELETE FROM admin_tokens');
       db.run('DELETE FROM projects');
       db.run('DELETE FROM organizations', done);
     });
@@ -35,6 +42,7 @@ describe('Routes Integration Tests', () => {
       // Step 1: Create organization
       const orgResponse = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Test Organization' })
         .expect(201);
 
@@ -45,6 +53,7 @@ describe('Routes Integration Tests', () => {
       // Step 2: Create project
       const projectResponse = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({
           organization_id: orgId,
           name: 'Test Project'
@@ -59,6 +68,7 @@ describe('Routes Integration Tests', () => {
       // Step 3: Create token
       const tokenResponse = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: projectId })
         .expect(201);
 
@@ -92,18 +102,21 @@ describe('Routes Integration Tests', () => {
       // Setup: Create org, project, and token
       const orgResponse = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Test Org' })
         .expect(201);
       const orgId = orgResponse.body.id;
 
       const projectResponse = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: orgId, name: 'Test Project' })
         .expect(201);
       const projectId = projectResponse.body.id;
 
       const tokenResponse = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: projectId })
         .expect(201);
       const token = tokenResponse.body.token;
@@ -139,41 +152,191 @@ describe('Routes Integration Tests', () => {
     });
   });
 
+  describe('Per-test results: ingest optional tests array', () => {
+    let token;
+
+    beforeEach(async () => {
+      const orgResponse = await request(app)
+        .post('/orgs')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Tests Array Org' })
+        .expect(201);
+      const projectResponse = await request(app)
+        .post('/projects')
+        .set('Authorization', adminAuth)
+        .send({ organization_id: orgResponse.body.id, name: 'Tests Array Project' })
+        .expect(201);
+      const tokenResponse = await request(app)
+        .post('/tokens')
+        .set('Authorization', adminAuth)
+        .send({ project_id: projectResponse.body.id })
+        .expect(201);
+      token = tokenResponse.body.token;
+    });
+
+    test('should store and return test cases with the run', async () => {
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: 'a10e8400-e29b-41d4-a716-446655440020',
+          status: 'failed',
+          duration_ms: 300,
+          timestamp: '2026-01-12T21:00:00.000Z',
+          tests: [
+            { suite_name: 'auth', name: 'logs in', file: 'auth.test.js', status: 'passed', duration_ms: 100 },
+            { suite_name: 'auth', name: 'logs out', status: 'failed', duration_ms: 200, failure_message: 'timeout' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.tests).toHaveLength(2);
+      expect(response.body.tests[0]).toMatchObject({ name: 'logs in', file: 'auth.test.js', status: 'passed' });
+      expect(response.body.tests[1]).toMatchObject({ name: 'logs out', failure_message: 'timeout' });
+      expect(response.body.tests[1].test_run_id).toBe(response.body.id);
+    });
+
+    test('should return the stored test cases on an idempotent replay', async () => {
+      const payload = {
+        run_id: 'a20e8400-e29b-41d4-a716-446655440021',
+        status: 'passed',
+        duration_ms: 50,
+        timestamp: '2026-01-12T22:00:00.000Z',
+        tests: [{ name: 'works', status: 'passed' }]
+      };
+
+      await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(payload).expect(201);
+      const replay = await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(payload).expect(200);
+
+      expect(replay.body.tests).toHaveLength(1);
+      expect(replay.body.tests[0].name).toBe('works');
+    });
+
+    test('should keep every attempt of a retried test', async () => {
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: 'a40e8400-e29b-41d4-a716-446655440023',
+          status: 'passed',
+          duration_ms: 900,
+          timestamp: '2026-01-12T20:00:00.000Z',
+          tests: [
+            {
+              name: 'checkout',
+              status: 'passed',
+              attempts: [
+                { status: 'failed', duration_ms: 400, failure_message: 'timeout' },
+                { status: 'errored', duration_ms: 100 },
+                { status: 'passed', duration_ms: 300 }
+              ]
+            },
+            { name: 'cart', status: 'passed' }
+          ]
+        })
+        .expect(201);
+
+      const [checkout, cart] = response.body.tests;
+      expect(checkout.attempt_count).toBe(3);
+      expect(checkout.attempts.map(a => [a.attempt, a.status, a.duration_ms, a.failure_message])).toEqual([
+        [1, 'failed', 400, 'timeout'],
+        [2, 'errored', 100, null],
+        [3, 'passed', 300, null]
+      ]);
+      expect(cart).toMatchObject({ attempt_count: 1, attempts: [] });
+
+      const stored = await request(app)
+        .get('/runs/a40e8400-e29b-41d4-a716-446655440023')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(stored.body.tests[0].attempts.map(a => a.status)).toEqual(['failed', 'errored', 'passed']);
+      expect(stored.body.tests[1].attempts).toEqual([]);
+    });
+
+    test('should reject attempts that do not end with the test status', async () => {
+      const payload = {
+        run_id: 'a50e8400-e29b-41d4-a716-446655440024',
+        status: 'passed',
+        duration_ms: 50,
+        timestamp: '2026-01-12T20:00:00.000Z'
+      };
+
+      for (const attempts of [[], [{ status: 'exploded' }], [{ status: 'passed' }, { status: 'failed' }]]) {
+        await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...payload, tests: [{ name: 'works', status: 'passed', attempts }] })
+          .expect(400);
+      }
+    });
+
+    test('should reject an invalid test case status and store nothing', async () => {
+      const runId = 'a30e8400-e29b-41d4-a716-446655440022';
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: runId,
+          status: 'passed',
+          duration_ms: 50,
+          timestamp: '2026-01-12T23:00:00.000Z',
+          tests: [{ name: 'works', status: 'exploded' }]
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('invalid_request');
+
+      const rows = await new Promise((resolve, reject) => {
+        getDatabase().all('SELECT * FROM test_runs WHERE run_id = ?', [runId], (err, result) => {
+          if (err) reject(err);
+          else resolve(result);
+        });
+      });
+      expect(rows).toHaveLength(0);
+    });
+  });
+
   describe('Multi-tenancy: verify data isolation between projects', () => {
     test('should isolate test runs between different projects', async () => {
       // Create two organizations with projects and tokens
       const org1Response = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Org 1' })
         .expect(201);
       const org1Id = org1Response.body.id;
 
       const project1Response = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: org1Id, name: 'Project 1' })
         .expect(201);
       const project1Id = project1Response.body.id;
 
       const token1Response = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: project1Id })
         .expect(201);
       const token1 = token1Response.body.token;
 
       const org2Response = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Org 2' })
         .expect(201);
       const org2Id = org2Response.body.id;
 
       const project2Response = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: org2Id, name: 'Project 2' })
         .expect(201);
       const project2Id = project2Response.body.id;
 
       const token2Response = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: project2Id })
         .expect(201);
       const token2 = token2Response.body.token;
@@ -234,30 +397,35 @@ describe('Routes Integration Tests', () => {
       // Create two projects
       const orgResponse = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Test Org' })
         .expect(201);
       const orgId = orgResponse.body.id;
 
       const project1Response = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: orgId, name: 'Project A' })
         .expect(201);
       const project1Id = project1Response.body.id;
 
       const token1Response = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: project1Id })
         .expect(201);
       const token1 = token1Response.body.token;
 
       const project2Response = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: orgId, name: 'Project B' })
         .expect(201);
       const project2Id = project2Response.body.id;
 
       const token2Response = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: project2Id })
         .expect(201);
       const token2 = token2Response.body.token;
@@ -356,18 +524,21 @@ describe('Routes Integration Tests', () => {
       // Setup: Create org, project, and token
       const orgResponse = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Auth Test Org' })
         .expect(201);
       const orgId = orgResponse.body.id;
 
       const projectResponse = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: orgId, name: 'Auth Test Project' })
         .expect(201);
       const projectId = projectResponse.body.id;
 
       const tokenResponse = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: projectId })
         .expect(201);
       const token = tokenResponse.body.token;
@@ -388,6 +559,194 @@ describe('Routes Integration Tests', () => {
     });
   });
 
+  describe('Admin authentication: management routes', () => {
+    let orgId;
+    let otherOrgId;
+    let orgAdminAuth;
+
+    beforeEach(async () => {
+      const orgResponse = await request(app)
+        .post('/orgs')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Admin Org' })
+        .expect(201);
+      orgId = orgResponse.body.id;
+
+      const otherOrgResponse = await request(app)
+        .post('/orgs')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Other Admin Org' })
+        .expect(201);
+      otherOrgId = otherOrgResponse.body.id;
+
+      const adminTokenResponse = await request(app)
+        .post(`/orgs/${orgId}/admin-tokens`)
+        .set('Authorization', adminAuth)
+        .expect(201);
+      expect(adminTokenResponse.body.token).toMatch(/^ta_admin_[0-9a-f]{64}$/);
+      expect(adminTokenResponse.body.organization_id).toBe(orgId);
+      orgAdminAuth = `Bearer ${adminTokenResponse.body.token}`;
+    });
+
+    test('should reject management requests without credentials', async () => {
+      const response = await request(app)
+        .post('/orgs')
+        .send({ name: 'Anonymous Org' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('unauthorized');
+      await request(app).post('/projects').send({ organization_id: orgId, name: 'P' }).expect(401);
+      await request(app).post('/tokens').send({ project_id: 'any' }).expect(401);
+    });
+
+    test('should reject an invalid admin key', async () => {
+      const response = await request(app)
+        .post('/orgs')
+        .set('Authorization', 'Bearer wrong-admin-key')
+        .send({ name: 'Wrong Key Org' })
+        .expect(401);
+
+      expect(response.body.error.message).toBe('Invalid admin token');
+    });
+
+    test('should let an org admin token create projects and tokens in its organization', async () => {
+      const projectResponse = await request(app)
+        .post('/projects')
+        .set('Authorization', orgAdminAuth)
+        .send({ organization_id: orgId, name: 'Org Admin Project' })
+        .expect(201);
+
+      await request(app)
+        .post('/tokens')
+        .set('Authorization', orgAdminAuth)
+        .send({ project_id: projectResponse.body.id })
+        .expect(201);
+    });
+
+    test('should forbid an org admin token from touching other organizations', async () => {
+      const response = await request(app)
+        .post('/projects')
+        .set('Authorization', orgAdminAuth)
+        .send({ organization_id: otherOrgId, name: 'Foreign Project' })
+        .expect(403);
+      expect(response.body.error.code).toBe('forbidden');
+
+      const otherProjectResponse = await request(app)
+        .post('/projects')
+        .set('Authorization', adminAuth)
+        .send({ organization_id: otherOrgId, name: 'Other Project' })
+        .expect(201);
+
+      await request(app)
+        .post('/tokens')
+        .set('Authorization', orgAdminAuth)
+        .send({ project_id: otherProjectResponse.body.id })
+        .expect(403);
+
+      await request(app)
+        .post(`/orgs/${otherOrgId}/admin-tokens`)
+        .set('Authorization', orgAdminAuth)
+        .expect(403);
+    });
+
+    test('should reserve creating and revoking admin tokens for the bootstrap admin key', async () => {
+      const response = await request(app)
+        .post(`/orgs/${orgId}/admin-tokens`)
+        .set('Authorization', orgAdminAuth)
+        .expect(403);
+      expect(response.body.error.message).toBe('This action requires the bootstrap admin key');
+
+      const listResponse = await request(app)
+        .get(`/orgs/${orgId}/admin-tokens`)
+        .set('Authorization', orgAdminAuth)
+        .expect(200);
+      expect(listResponse.body.data).toHaveLength(1);
+
+      await request(app)
+        .delete(`/orgs/${orgId}/admin-tokens/${listResponse.body.data[0].id}`)
+        .set('Authorization', orgAdminAuth)
+        .expect(403);
+      await request(app).get(`/orgs/${otherOrgId}/admin-tokens`).set('Authorization', orgAdminAuth).expect(403);
+    });
+
+    test('should list and revoke admin tokens with the bootstrap admin key', async () => {
+      const created = await request(app)
+        .post(`/orgs/${orgId}/admin-tokens`)
+        .set('Authorization', adminAuth)
+        .expect(201);
+      expect(created.body.id).toBeDefined();
+      const leakedAuth = `Bearer ${created.body.token}`;
+      await request(app).get('/orgs').set('Authorization', leakedAuth).expect(200);
+
+      const listResponse = await request(app)
+        .get(`/orgs/${orgId}/admin-tokens`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(listResponse.body.data).toHaveLength(2);
+      expect(listResponse.body.data[0]).toEqual({
+        id: created.body.id,
+        organization_id: orgId,
+        status: 'active',
+        created_at: created.body.created_at,
+        revoked_at: null
+      });
+
+      const revokeResponse = await request(app)
+        .delete(`/orgs/${orgId}/admin-tokens/${created.body.id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(revokeResponse.body.status).toBe('revoked');
+      expect(revokeResponse.body.revoked_at).toEqual(expect.any(String));
+
+      const response = await request(app).get('/orgs').set('Authorization', leakedAuth).expect(401);
+      expect(response.body.error.message).toBe('Invalid admin token');
+      await request(app).get('/orgs').set('Authorization', orgAdminAuth).expect(200);
+
+      await request(app)
+        .delete(`/orgs/${otherOrgId}/admin-tokens/${created.body.id}`)
+        .set('Authorization', adminAuth)
+        .expect(404);
+    });
+
+    test('should reserve organization creation for the bootstrap admin key', async () => {
+      const response = await request(app)
+        .post('/orgs')
+        .set('Authorization', orgAdminAuth)
+        .send({ name: 'Org Created By Org Admin' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('forbidden');
+    });
+
+    test('should forbid project tokens on management routes', async () => {
+      const projectResponse = await request(app)
+        .post('/projects')
+        .set('Authorization', adminAuth)
+        .send({ organization_id: orgId, name: 'Token Project' })
+        .expect(201);
+      const tokenResponse = await request(app)
+        .post('/tokens')
+        .set('Authorization', adminAuth)
+        .send({ project_id: projectResponse.body.id })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/tokens')
+        .set('Authorization', `Bearer ${tokenResponse.body.token}`)
+        .send({ project_id: projectResponse.body.id })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('forbidden');
+    });
+
+    test('should return 404 when creating an admin token for a missing organization', async () => {
+      await request(app)
+        .post('/orgs/00000000-0000-4000-8000-000000000000/admin-tokens')
+        .set('Authorization', adminAuth)
+        .expect(404);
+    });
+  });
+
   describe('Validation: various invalid payloads', () => {
     let token;
     let projectId;
@@ -396,18 +755,21 @@ describe('Routes Integration Tests', () => {
       // Setup: Create org, project, and token for validation tests
       const orgResponse = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({ name: 'Validation Test Org' })
         .expect(201);
       const orgId = orgResponse.body.id;
 
       const projectResponse = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({ organization_id: orgId, name: 'Validation Test Project' })
         .expect(201);
       projectId = projectResponse.body.id;
 
       const tokenResponse = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({ project_id: projectId })
         .expect(201);
       token = tokenResponse.body.token;
@@ -487,9 +849,150 @@ describe('Routes Integration Tests', () => {
       expect(response.body.error.code).toBe('invalid_request');
     });
 
+    test('should reject a commit_sha that is not a git hash', async () => {
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: '010e8400-e29b-41d4-a716-446655440014',
+          status: 'passed',
+          duration_ms: 100,
+          timestamp: '2026-01-12T20:00:00.000Z',
+          commit_sha: 'main'
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('invalid_request');
+    });
+
+    test('should store commit_sha in lowercase', async () => {
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: '020e8400-e29b-41d4-a716-446655440015',
+          status: 'passed',
+          duration_ms: 100,
+          timestamp: '2026-01-12T20:00:00.000Z',
+          commit_sha: 'ABCDEF1234567'
+        })
+        .expect(201);
+
+      expect(response.body.commit_sha).toBe('abcdef1234567');
+    });
+
+    test('should accept every run and test case status', async () => {
+      const statuses = ['passed', 'failed', 'skipped', 'errored', 'cancelled', 'timed_out'];
+
+      for (const [index, status] of statuses.entries()) {
+        const response = await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({
+            run_id: `06${index}e8400-e29b-41d4-a716-446655440019`,
+            status,
+            duration_ms: 100,
+            timestamp: '2026-01-12T20:00:00.000Z',
+            tests: [{ name: `ends ${status}`, status }]
+          })
+          .expect(201);
+
+        expect(response.body.status).toBe(status);
+        expect(response.body.tests[0].status).toBe(status);
+      }
+    });
+
+    test('should reject invalid run metadata', async () => {
+      const base = {
+        status: 'passed',
+        duration_ms: 100,
+        timestamp: '2026-01-12T20:00:00.000Z'
+      };
+      const invalid = [
+        { branch: '' },
+        { branch: 'b'.repeat(256) },
+        { ci_provider: 42 },
+        { build_url: 'ftp://ci.example.com/job/1' },
+        { build_url: 'not a url' },
+        { environment: '' },
+        { labels: ['team:payments'] },
+        { labels: { team: 1 } },
+        { labels: { 'bad key': 'value' } }
+      ];
+
+      for (const [index, metadata] of invalid.entries()) {
+        const response = await request(app)
+          .post('/ingest')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ run_id: `03${index}e8400-e29b-41d4-a716-446655440016`, ...base, ...metadata })
+          .expect(400);
+
+        expect(response.body.error.code).toBe('invalid_request');
+      }
+    });
+
+    test('should store and return run metadata', async () => {
+      const metadata = {
+        branch: 'feature/checkout',
+        ci_provider: 'github-actions',
+        build_url: 'https://ci.example.com/runs/123',
+        environment: 'staging',
+        labels: { team: 'payments', 'os/arch': 'linux-x64' }
+      };
+
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: '040e8400-e29b-41d4-a716-446655440017',
+          status: 'passed',
+          duration_ms: 100,
+          timestamp: '2026-01-12T20:00:00.000Z',
+          ...metadata
+        })
+        .expect(201);
+
+      expect(response.body).toMatchObject(metadata);
+
+      const replay = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: '040e8400-e29b-41d4-a716-446655440017',
+          status: 'passed',
+          duration_ms: 100,
+          timestamp: '2026-01-12T20:00:00.000Z'
+        })
+        .expect(200);
+
+      expect(replay.body).toMatchObject(metadata);
+    });
+
+    test('should default missing run metadata to null and empty labels', async () => {
+      const response = await request(app)
+        .post('/ingest')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          run_id: '050e8400-e29b-41d4-a716-446655440018',
+          status: 'passed',
+          duration_ms: 100,
+          timestamp: '2026-01-12T20:00:00.000Z'
+        })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        branch: null,
+        ci_provider: null,
+        build_url: null,
+        environment: null,
+        labels: {}
+      });
+    });
+
     test('should reject organization creation with missing name', async () => {
       const response = await request(app)
         .post('/orgs')
+        .set('Authorization', adminAuth)
         .send({})
         .expect(400);
 
@@ -499,6 +1002,7 @@ describe('Routes Integration Tests', () => {
     test('should reject project creation with non-existent organization_id', async () => {
       const response = await request(app)
         .post('/projects')
+        .set('Authorization', adminAuth)
         .send({
           organization_id: '111e8400-e29b-41d4-a716-446655440012',
           name: 'Test Project'
@@ -511,6 +1015,7 @@ describe('Routes Integration Tests', () => {
     test('should reject token creation with non-existent project_id', async () => {
       const response = await request(app)
         .post('/tokens')
+        .set('Authorization', adminAuth)
         .send({
           project_id: '222e8400-e29b-41d4-a716-446655440013'
         })
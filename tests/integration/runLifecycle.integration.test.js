@@ -0,0 +1,236 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+const ingestionService = require('../../src/services/ingestionService');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Run Lifecycle Integration Tests', () => {
+  let app;
+  let token;
+  let readOnlyToken;
+
+  const runId = 'c10e8400-e29b-41d4-a716-446655440001';
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Lifecycle Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Lifecycle Project' })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    token = tokenResponse.body.token;
+    const readOnlyResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id, scopes: ['runs:read'] })
+      .expect(201);
+    readOnlyToken = readOnlyResponse.body.token;
+  });
+
+  afterAll(async () => {
+    delete process.env.RUN_ABANDON_TIMEOUT_SECONDS;
+    await closeDatabase();
+  });
+
+  beforeEach((done) => {
+    const db = getDatabase();
+    db.serialize(() => {
+      db.run('DELETE FROM test_cases');
+      db.run('DELETE FROM test_runs', done);
+    });
+  });
+
+  describe('POST /runs/:run_id/start', () => {
+    test('should create an in_progress run with its start time and metadata', async () => {
+      const response = await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timestamp: '2026-01-12T10:00:00Z', branch: 'main', ci_provider: 'github-actions' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        run_id: runId,
+        status: 'in_progress',
+        duration_ms: 0,
+        timestamp: '2026-01-12T10:00:00.000Z',
+        branch: 'main',
+        ci_provider: 'github-actions',
+        tests: []
+      });
+
+      const running = await request(app)
+        .get('/runs')
+        .query({ status: 'in_progress' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(running.body.data.map(r => r.run_id)).toEqual([runId]);
+    });
+
+    test('should return the stored run when the run_id already exists', async () => {
+      const first = await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ branch: 'main' })
+        .expect(201);
+
+      const second = await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ branch: 'other' })
+        .expect(200);
+
+      expect(second.body.id).toBe(first.body.id);
+      expect(second.body.branch).toBe('main');
+    });
+
+    test('should reject invalid input', async () => {
+      await request(app).post('/runs/not-a-uuid/start').set('Authorization', `Bearer ${token}`).send({}).expect(400);
+      await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ build_url: 'ftp://ci.example.com' })
+        .expect(400);
+    });
+
+    test('should require the ingest:write scope', async () => {
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${readOnlyToken}`).send({}).expect(403);
+    });
+  });
+
+  describe('POST /runs/:run_id/finish', () => {
+    test('should record the final status, duration and tests', async () => {
+      await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timestamp: '2026-01-12T10:00:00Z', environment: 'staging' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'failed', duration_ms: 4200, tests: [{ name: 'checkout', status: 'failed' }] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ run_id: runId, status: 'failed', duration_ms: 4200, environment: 'staging' });
+      expect(response.body.tests.map(t => t.name)).toEqual(['checkout']);
+
+      const stored = await request(app).get(`/runs/${runId}`).set('Authorization', `Bearer ${token}`).expect(200);
+      expect(stored.body).toMatchObject({ status: 'failed', duration_ms: 4200 });
+      expect(stored.body.tests).toHaveLength(1);
+    });
+
+    test('should record the failure details of the run', async () => {
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'errored', duration_ms: 10, failure_message: 'globalSetup failed', stack_trace: 'at setup (setup.js:3:9)' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ failure_message: 'globalSetup failed', stack_trace: 'at setup (setup.js:3:9)' });
+      expect(response.body.error_signature).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should default the duration to the time since the start timestamp', async () => {
+      const startedAt = new Date(Date.now() - 5000).toISOString();
+      await request(app)
+        .post(`/runs/${runId}/start`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ timestamp: startedAt })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'passed' })
+        .expect(200);
+
+      expect(response.body.duration_ms).toBeGreaterThanOrEqual(5000);
+      expect(response.body.duration_ms).toBeLessThan(60000);
+    });
+
+    test('should leave a finished run unchanged when finished again', async () => {
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+      await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'passed', duration_ms: 100, tests: [{ name: 'works', status: 'passed' }] })
+        .expect(200);
+
+      const replay = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'failed', duration_ms: 999, tests: [{ name: 'other', status: 'failed' }] })
+        .expect(200);
+
+      expect(replay.body).toMatchObject({ status: 'passed', duration_ms: 100 });
+      expect(replay.body.tests.map(t => t.name)).toEqual(['works']);
+    });
+
+    test('should return 404 for a run that was never started', async () => {
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'passed' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('not_found');
+    });
+
+    test('should reject a non-final status', async () => {
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+
+      for (const status of ['in_progress', 'abandoned', undefined]) {
+        await request(app)
+          .post(`/runs/${runId}/finish`)
+          .set('Authorization', `Bearer ${token}`)
+          .send({ status })
+          .expect(400);
+      }
+    });
+  });
+
+  describe('Abandoned runs', () => {
+    test('should mark runs that did not finish within the timeout as abandoned', async () => {
+      process.env.RUN_ABANDON_TIMEOUT_SECONDS = '60';
+      const otherRunId = 'c20e8400-e29b-41d4-a716-446655440002';
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+      await request(app).post(`/runs/${otherRunId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+      await request(app).post(`/runs/${otherRunId}/finish`).set('Authorization', `Bearer ${token}`).send({ status: 'passed' }).expect(200);
+
+      expect(await ingestionService.abandonStaleRuns()).toBe(0);
+      expect(await ingestionService.abandonStaleRuns(new Date(Date.now() + 61 * 1000))).toBe(1);
+
+      const abandoned = await request(app).get(`/runs/${runId}`).set('Authorization', `Bearer ${token}`).expect(200);
+      expect(abandoned.body.status).toBe('abandoned');
+      const finished = await request(app).get(`/runs/${otherRunId}`).set('Authorization', `Bearer ${token}`).expect(200);
+      expect(finished.body.status).toBe('passed');
+    });
+
+    test('should still accept a late finish for an abandoned run', async () => {
+      process.env.RUN_ABANDON_TIMEOUT_SECONDS = '60';
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+      await ingestionService.abandonStaleRuns(new Date(Date.now() + 61 * 1000));
+
+      const response = await request(app)
+        .post(`/runs/${runId}/finish`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'timed_out', duration_ms: 61000 })
+        .expect(200);
+
+      expect(response.body.status).toBe('timed_out');
+    });
+  });
+});
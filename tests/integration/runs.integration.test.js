@@ -0,0 +1,279 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Runs Read API Integration Tests', () => {
+  let app;
+  let token;
+  let otherToken;
+
+  const runs = [
+    { run_id: 'b10e8400-e29b-41d4-a716-446655440001', status: 'passed', duration_ms: 500, timestamp: '2026-01-10T10:00:00.000Z', branch: 'main', environment: 'staging' },
+    { run_id: 'b20e8400-e29b-41d4-a716-446655440002', status: 'failed', duration_ms: 900, timestamp: '2026-01-11T10:00:00.000Z', branch: 'feature/login', labels: { team: 'auth' } },
+    { run_id: 'b30e8400-e29b-41d4-a716-446655440003', status: 'passed', duration_ms: 100, timestamp: '2026-01-12T10:00:00.000Z', branch: 'main', environment: 'production', labels: { team: 'auth', suite: 'smoke' } },
+    { run_id: 'b40e8400-e29b-41d4-a716-446655440004', status: 'failed', duration_ms: 700, timestamp: '2026-01-13T10:00:00.000Z', ci_provider: 'jenkins', labels: { team: 'payments' } },
+    { run_id: 'b50e8400-e29b-41d4-a716-446655440005', status: 'passed', duration_ms: 300, timestamp: '2026-01-14T10:00:00.000Z', branch: 'main', environment: 'staging' }
+  ];
+
+  /**
+   * Create an org, project and token, returning the raw token
+   */
+  async function createProjectToken(name) {
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: `${name} Org` }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: `${name} Project` })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    return tokenResponse.body.token;
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    token = await createProjectToken('Runs');
+    otherToken = await createProjectToken('Other');
+
+    for (const run of runs) {
+      await request(app).post('/ingest').set('Authorization', `Bearer ${token}`).send(run).expect(201);
+    }
+    await request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({
+        run_id: 'c10e8400-e29b-41d4-a716-446655440009',
+        status: 'passed',
+        duration_ms: 1,
+        timestamp: '2026-01-12T12:00:00.000Z',
+        tests: [{ name: 'other project test', status: 'passed' }]
+      })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  describe('GET /runs', () => {
+    test('should list runs newest first by default', async () => {
+      const response = await request(app)
+        .get('/runs')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(r => r.run_id)).toEqual(runs.map(r => r.run_id).reverse());
+      expect(response.body.next_cursor).toBeNull();
+    });
+
+    test('should only return runs of the token\'s project', async () => {
+      const response = await request(app)
+        .get('/runs')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].run_id).toBe('c10e8400-e29b-41d4-a716-446655440009');
+    });
+
+    test('should page through all runs with the cursor', async () => {
+      const seen = [];
+      let cursor = null;
+      let pages = 0;
+
+      do {
+        const response = await request(app)
+          .get('/runs')
+          .query(cursor ? { limit: 2, cursor } : { limit: 2 })
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+
+        expect(response.body.data.length).toBeLessThanOrEqual(2);
+        seen.push(...response.body.data.map(r => r.run_id));
+        cursor = response.body.next_cursor;
+        pages++;
+      } while (cursor);
+
+      expect(pages).toBe(3);
+      expect(seen).toEqual(runs.map(r => r.run_id).reverse());
+    });
+
+    test('should sort by duration_ms ascending', async () => {
+      const response = await request(app)
+        .get('/runs')
+        .query({ sort: 'duration_ms', order: 'asc' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(r => r.duration_ms)).toEqual([100, 300, 500, 700, 900]);
+    });
+
+    test('should filter by status and timestamp range', async () => {
+      const response = await request(app)
+        .get('/runs')
+        .query({ status: 'passed', from: '2026-01-11T00:00:00Z', to: '2026-01-14T10:00:00Z' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(r => r.run_id)).toEqual(['b30e8400-e29b-41d4-a716-446655440003']);
+    });
+
+    test('should filter by branch and environment', async () => {
+      const response = await request(app)
+        .get('/runs')
+        .query({ branch: 'main', environment: 'staging' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.map(r => r.run_id)).toEqual([
+        'b50e8400-e29b-41d4-a716-446655440005',
+        'b10e8400-e29b-41d4-a716-446655440001'
+      ]);
+    });
+
+    test('should filter by every given label', async () => {
+      const byTeam = await request(app)
+        .get('/runs?label=team:auth')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(byTeam.body.data.map(r => r.run_id)).toEqual([
+        'b30e8400-e29b-41d4-a716-446655440003',
+        'b20e8400-e29b-41d4-a716-446655440002'
+      ]);
+
+      const byTeamAndSuite = await request(app)
+        .get('/runs?label=team:auth&label=suite:smoke')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(byTeamAndSuite.body.data.map(r => r.run_id)).toEqual(['b30e8400-e29b-41d4-a716-446655440003']);
+      expect(byTeamAndSuite.body.data[0].labels).toEqual({ team: 'auth', suite: 'smoke' });
+    });
+
+    test('should keep filters when paging with the cursor', async () => {
+      const firstPage = await request(app)
+        .get('/runs')
+        .query({ branch: 'main', limit: 2 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const secondPage = await request(app)
+        .get('/runs')
+        .query({ branch: 'main', limit: 2, cursor: firstPage.body.next_cursor })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect([...firstPage.body.data, ...secondPage.body.data].map(r => r.run_id)).toEqual([
+        'b50e8400-e29b-41d4-a716-446655440005',
+        'b30e8400-e29b-41d4-a716-446655440003',
+        'b10e8400-e29b-41d4-a716-446655440001'
+      ]);
+      expect(secondPage.body.next_cursor).toBeNull();
+    });
+
+    test('should reject invalid metadata filters', async () => {
+      await request(app).get('/runs').query({ label: 'team' }).set('Authorization', `Bearer ${token}`).expect(400);
+      await request(app).get('/runs').query({ label: 'bad key:value' }).set('Authorization', `Bearer ${token}`).expect(400);
+      await request(app).get('/runs').query({ commit_sha: 'main' }).set('Authorization', `Bearer ${token}`).expect(400);
+      await request(app).get('/runs?branch=a&branch=b').set('Authorization', `Bearer ${token}`).expect(400);
+    });
+
+    test('should reject a cursor issued for a different sort', async () => {
+      const firstPage = await request(app)
+        .get('/runs')
+        .query({ limit: 1 })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/runs')
+        .query({ limit: 1, sort: 'duration_ms', cursor: firstPage.body.next_cursor })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('invalid_request');
+    });
+
+    test('should reject a malformed cursor', async () => {
+      await request(app)
+        .get('/runs')
+        .query({ cursor: 'not-a-cursor' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    test('should reject forged cursors', async () => {
+      const forge = position => Buffer.from(JSON.stringify(position)).toString('base64url');
+      const id = '550e8400-e29b-41d4-a716-446655440000';
+      const forged = [
+        { s: 'created_at', v: '2026-01-12T10:00:00.000Z', i: id },
+        { s: 'timestamp', v: { $gt: '' }, i: id },
+        { s: 'timestamp', v: 1700000000000, i: id },
+        { s: 'timestamp', v: "2026-01-12' OR 1=1", i: id },
+        { s: 'timestamp', v: '2026-01-12T10:00:00.000Z', i: 'not-a-uuid' },
+        { s: 'duration_ms', v: '100', i: id },
+        { s: 'duration_ms', v: 1.5, i: id },
+        { s: 'duration_ms', v: null, i: id }
+      ];
+
+      for (const position of forged) {
+        const response = await request(app)
+          .get('/runs')
+          .query({ sort: position.s === 'duration_ms' ? 'duration_ms' : 'timestamp', cursor: forge(position) })
+          .set('Authorization', `Bearer ${token}`)
+          .expect(400);
+        expect(response.body.error.message).toBe('cursor is invalid');
+      }
+
+      await request(app)
+        .get('/runs')
+        .query({ sort: 'duration_ms', cursor: forge({ s: 'duration_ms', v: 100, i: id }) })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    test('should reject invalid query parameters', async () => {
+      await request(app).get('/runs').query({ limit: 0 }).set('Authorization', `Bearer ${token}`).expect(400);
+      await request(app).get('/runs').query({ sort: 'created_at' }).set('Authorization', `Bearer ${token}`).expect(400);
+      await request(app).get('/runs').query({ status: 'unknown' }).set('Authorization', `Bearer ${token}`).expect(400);
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/runs').expect(401);
+    });
+  });
+
+  describe('GET /runs/:run_id', () => {
+    test('should return the run with its test cases', async () => {
+      const response = await request(app)
+        .get('/runs/c10e8400-e29b-41d4-a716-446655440009')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.status).toBe('passed');
+      expect(response.body.tests).toHaveLength(1);
+      expect(response.body.tests[0].name).toBe('other project test');
+    });
+
+    test('should not expose runs of another project', async () => {
+      const response = await request(app)
+        .get('/runs/c10e8400-e29b-41d4-a716-446655440009')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('not_found');
+    });
+
+    test('should reject a non-UUID run_id', async () => {
+      await request(app).get('/runs/not-a-uuid').set('Authorization', `Bearer ${token}`).expect(400);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Sharded Ingestion Integration Tests', () => {
+  let app;
+  let token;
+
+  const runId = 'd10e8400-e29b-41d4-a716-446655440001';
+
+  /**
+   * Build a shard payload of a three-shard run
+   */
+  function shard(shardIndex, overrides = {}) {
+    return {
+      run_id: runId,
+      status: 'passed',
+      duration_ms: 1000,
+      timestamp: '2026-01-12T10:00:00.000Z',
+      shard_index: shardIndex,
+      shard_total: 3,
+      ...overrides
+    };
+  }
+
+  /**
+   * Ingest a payload and return the response
+   */
+  function ingest(payload, expectedStatus) {
+    return request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${token}`)
+      .send(payload)
+      .expect(expectedStatus);
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Shard Org' }).expect(201);
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgResponse.body.id, name: 'Shard Project' })
+      .expect(201);
+    const tokenResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectResponse.body.id })
+      .expect(201);
+    token = tokenResponse.body.token;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach((done) => {
+    const db = getDatabase();
+    db.serialize(() => {
+      db.run('DELETE FROM test_cases');
+      db.run('DELETE FROM test_run_shards');
+      db.run('DELETE FROM test_runs', done);
+    });
+  });
+
+  test('should keep the run in progress until every shard has reported', async () => {
+    const first = await ingest(shard(1, { branch: 'main', tests: [{ name: 'a', status: 'passed' }] }), 201);
+
+    expect(first.body).toMatchObject({ run_id: runId, status: 'in_progress', shard_total: 3, branch: 'main' });
+    expect(first.body.shards.map(s => s.shard_index)).toEqual([1]);
+
+    await ingest(shard(3, { tests: [{ name: 'c', status: 'passed' }] }), 201);
+    const running = await request(app).get(`/runs/${runId}`).set('Authorization', `Bearer ${token}`).expect(200);
+    expect(running.body.status).toBe('in_progress');
+
+    const last = await ingest(shard(2, { tests: [{ name: 'b', status: 'passed' }] }), 201);
+    expect(last.body.status).toBe('passed');
+    expect(last.body.shards.map(s => s.shard_index)).toEqual([1, 2, 3]);
+    expect(last.body.tests.map(t => [t.name, t.shard_index])).toEqual([['a', 1], ['c', 3], ['b', 2]]);
+  });
+
+  test('should fail the run when any shard failed', async () => {
+    await ingest(shard(1), 201);
+    await ingest(shard(2, { status: 'failed' }), 201);
+    const last = await ingest(shard(3, { status: 'skipped' }), 201);
+
+    expect(last.body.status).toBe('failed');
+    expect(last.body.shards.map(s => s.status)).toEqual(['passed', 'failed', 'skipped']);
+  });
+
+  test('should take the wall-clock span as duration and the sum as compute duration', async () => {
+    await ingest(shard(1, { timestamp: '2026-01-12T10:00:05.000Z', duration_ms: 3000 }), 201);
+    await ingest(shard(2, { timestamp: '2026-01-12T10:00:00.000Z', duration_ms: 2000 }), 201);
+    const last = await ingest(shard(3, { timestamp: '2026-01-12T10:00:01.000Z', duration_ms: 10000 }), 201);
+
+    expect(last.body).toMatchObject({
+      timestamp: '2026-01-12T10:00:00.000Z',
+      duration_ms: 11000,
+      compute_duration_ms: 15000
+    });
+  });
+
+  test('should return the stored run when a shard reports again', async () => {
+    await ingest(shard(1, { tests: [{ name: 'a', status: 'passed' }] }), 201);
+
+    const replay = await ingest(shard(1, { status: 'failed', tests: [{ name: 'other', status: 'failed' }] }), 200);
+
+    expect(replay.body.shards).toHaveLength(1);
+    expect(replay.body.shards[0].status).toBe('passed');
+    expect(replay.body.tests.map(t => t.name)).toEqual(['a']);
+  });
+
+  test('should reject a shard whose shard_total does not match the run', async () => {
+    await ingest(shard(1), 201);
+
+    const response = await ingest(shard(2, { shard_total: 4 }), 409);
+    expect(response.body.error.code).toBe('conflict');
+
+    await ingest({ run_id: runId, status: 'passed', duration_ms: 10, timestamp: '2026-01-12T10:00:00.000Z' }, 200);
+  });
+
+  test('should reject invalid shard fields', async () => {
+    await ingest(shard(1, { shard_total: undefined }), 400);
+    await ingest(shard(4), 400);
+    await ingest(shard(0), 400);
+    await ingest(shard(1, { shard_total: 1001 }), 400);
+  });
+
+  test('should shard a run that was started without shards', async () => {
+    await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({ branch: 'main' }).expect(201);
+
+    await ingest(shard(1, { shard_total: 2 }), 201);
+    await request(app)
+      .post(`/runs/${runId}/finish`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'passed' })
+      .expect(409);
+
+    const last = await ingest(shard(2, { shard_total: 2, status: 'errored' }), 201);
+    expect(last.body).toMatchObject({ status: 'errored', shard_total: 2, branch: 'main' });
+  });
+
+  test('should accept shards in a batch and through JUnit', async () => {
+    const batch = await request(app)
+      .post('/ingest/batch')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ runs: [shard(1), shard(1), shard(2, { shard_total: 5 })] })
+      .expect(200);
+
+    expect(batch.body.results.map(r => r.result)).toEqual(['created', 'duplicate', 'invalid']);
+
+    const xml = '<testsuite name="s" tests="1" failures="1"><testcase name="junit" time="1"><failure message="boom"/></testcase></testsuite>';
+    await request(app)
+      .post('/ingest/junit')
+      .query({ run_id: runId, timestamp: '2026-01-12T10:00:00.000Z', shard_index: 2, shard_total: 3 })
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send(xml)
+      .expect(201);
+    const last = await ingest(shard(3), 201);
+
+    expect(last.body.status).toBe('failed');
+    expect(last.body.tests.find(t => t.name === 'junit').shard_index).toBe(2);
+  });
+
+  test('should not include shards for unsharded runs', async () => {
+    const response = await ingest({ run_id: runId, status: 'passed', duration_ms: 10, timestamp: '2026-01-12T10:00:00.000Z' }, 201);
+
+    expect(response.body.shard_total).toBeNull();
+    expect(response.body.compute_duration_ms).toBeNull();
+    expect(response.body).not.toHaveProperty('shards');
+  });
+});
@@ -0,0 +1,281 @@
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Token Lifecycle Integration Tests', () => {
+  let app;
+  let orgId;
+  let projectId;
+
+  /**
+   * Ingest a run with the given raw token and return the response
+   */
+  function ingestWith(token, runId) {
+    return request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ run_id: runId, status: 'passed', duration_ms: 10, timestamp: '2026-01-12T10:00:00.000Z' });
+  }
+
+  /**
+   * Create a token for the test project
+   */
+  async function createToken(body = {}) {
+    const response = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: projectId, ...body })
+      .expect(201);
+    return response.body;
+  }
+
+  beforeAll(async () => {
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app)
+      .post('/orgs')
+      .set('Authorization', adminAuth)
+      .send({ name: 'Token Lifecycle Org' })
+      .expect(201);
+    orgId = orgResponse.body.id;
+
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: orgId, name: 'Token Lifecycle Project' })
+      .expect(201);
+    projectId = projectResponse.body.id;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach((done) => {
+    const db = getDatabase();
+    db.serialize(() => {
+      db.run('DELETE FROM test_runs');
+      db.run('DELETE FROM api_tokens', done);
+    });
+  });
+
+  describe('POST /tokens', () => {
+    test('should store a label and expiry', async () => {
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const created = await createToken({ label: 'GitHub Actions', expires_at: expiresAt });
+
+      expect(created).toMatchObject({
+        project_id: projectId,
+        label: 'GitHub Actions',
+        status: 'active',
+        expires_at: expiresAt,
+        revoked_at: null,
+        last_used_at: null
+      });
+      expect(created.id).toBeDefined();
+    });
+
+    test('should reject an expiry in the past', async () => {
+      const response = await request(app)
+        .post('/tokens')
+        .set('Authorization', adminAuth)
+        .send({ project_id: projectId, expires_at: '2020-01-01T00:00:00Z' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('expires_at must be in the future');
+    });
+  });
+
+  describe('GET /tokens', () => {
+    test('should list tokens without secrets, newest first', async () => {
+      const first = await createToken({ label: 'first' });
+      const second = await createToken({ label: 'second' });
+
+      const response = await request(app)
+        .get('/tokens')
+        .query({ project_id: projectId })
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.data.map(t => t.id)).toEqual([second.id, first.id]);
+      for (const token of response.body.data) {
+        expect(token.token).toBeUndefined();
+        expect(token.token_hash).toBeUndefined();
+      }
+    });
+
+    test('should record when a token was last used', async () => {
+      const created = await createToken();
+      await ingestWith(created.token, 'f10e8400-e29b-41d4-a716-446655440000').expect(201);
+
+      const response = await request(app)
+        .get('/tokens')
+        .query({ project_id: projectId })
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.data[0].last_used_at).not.toBeNull();
+    });
+
+    test('should require project_id', async () => {
+      await request(app).get('/tokens').set('Authorization', adminAuth).expect(400);
+    });
+
+    test('should require admin credentials', async () => {
+      await request(app).get('/tokens').query({ project_id: projectId }).expect(401);
+    });
+  });
+
+  describe('DELETE /tokens/:id', () => {
+    test('should revoke a token so it can no longer authenticate', async () => {
+      const created = await createToken();
+
+      const response = await request(app)
+        .delete(`/tokens/${created.id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.status).toBe('revoked');
+      expect(response.body.revoked_at).not.toBeNull();
+
+      const ingestResponse = await ingestWith(created.token, 'f20e8400-e29b-41d4-a716-446655440000').expect(401);
+      expect(ingestResponse.body.error.message).toBe('Token has been revoked');
+    });
+
+    test('should return 404 for an unknown token', async () => {
+      await request(app)
+        .delete('/tokens/00000000-0000-4000-8000-000000000000')
+        .set('Authorization', adminAuth)
+        .expect(404);
+    });
+  });
+
+  describe('POST /tokens/:id/rotate', () => {
+    test('should keep both tokens working during the grace period', async () => {
+      const created = await createToken({ label: 'CI' });
+
+      const response = await request(app)
+        .post(`/tokens/${created.id}/rotate`)
+        .set('Authorization', adminAuth)
+        .send({ grace_period_seconds: 600 })
+        .expect(201);
+
+      expect(response.body.token).not.toBe(created.token);
+      expect(response.body.label).toBe('CI');
+      expect(response.body.previous_token.id).toBe(created.id);
+      expect(response.body.previous_token.status).toBe('active');
+      expect(new Date(response.body.previous_token.expires_at).getTime()).toBeGreaterThan(Date.now());
+
+      await ingestWith(created.token, 'f30e8400-e29b-41d4-a716-446655440000').expect(201);
+      await ingestWith(response.body.token, 'f40e8400-e29b-41d4-a716-446655440000').expect(201);
+    });
+
+    test('should expire the old token immediately with a zero grace period', async () => {
+      const created = await createToken();
+
+      const response = await request(app)
+        .post(`/tokens/${created.id}/rotate`)
+        .set('Authorization', adminAuth)
+        .send({ grace_period_seconds: 0 })
+        .expect(201);
+
+      const ingestResponse = await ingestWith(created.token, 'f50e8400-e29b-41d4-a716-446655440000').expect(401);
+      expect(ingestResponse.body.error.message).toBe('Token has expired');
+      await ingestWith(response.body.token, 'f60e8400-e29b-41d4-a716-446655440000').expect(201);
+    });
+
+    test('should refuse to rotate a revoked token', async () => {
+      const created = await createToken();
+      await request(app).delete(`/tokens/${created.id}`).set('Authorization', adminAuth).expect(200);
+
+      const response = await request(app)
+        .post(`/tokens/${created.id}/rotate`)
+        .set('Authorization', adminAuth)
+        .send({})
+        .expect(409);
+
+      expect(response.body.error.code).toBe('conflict');
+    });
+
+    test('should forbid admin tokens of another organization', async () => {
+      const created = await createToken();
+      const otherOrgResponse = await request(app)
+        .post('/orgs')
+        .set('Authorization', adminAuth)
+        .send({ name: `Other Org ${Date.now()}` })
+        .expect(201);
+      const otherAdminResponse = await request(app)
+        .post(`/orgs/${otherOrgResponse.body.id}/admin-tokens`)
+        .set('Authorization', adminAuth)
+        .expect(201);
+      const otherAdminAuth = `Bearer ${otherAdminResponse.body.token}`;
+
+      await request(app).post(`/tokens/${created.id}/rotate`).set('Authorization', otherAdminAuth).send({}).expect(403);
+      await request(app).delete(`/tokens/${created.id}`).set('Authorization', otherAdminAuth).expect(403);
+      await request(app).get('/tokens').query({ project_id: projectId }).set('Authorization', otherAdminAuth).expect(403);
+    });
+  });
+  describe('Token scopes', () => {
+    test('should grant ingest:write and runs:read by default', async () => {
+      const created = await createToken();
+
+      expect(created.scopes).toEqual(['ingest:write', 'runs:read']);
+      await ingestWith(created.token, 'f70e8400-e29b-41d4-a716-446655440000').expect(201);
+      await request(app).get('/runs').set('Authorization', `Bearer ${created.token}`).expect(200);
+    });
+
+    test('should not let a read-only token ingest results', async () => {
+      const created = await createToken({ scopes: ['runs:read'] });
+
+      const response = await ingestWith(created.token, 'f80e8400-e29b-41d4-a716-446655440000').expect(403);
+      expect(response.body.error.code).toBe('forbidden');
+
+      await request(app).get('/runs').set('Authorization', `Bearer ${created.token}`).expect(200);
+      await request(app)
+        .get(`/projects/${projectId}/stats`)
+        .set('Authorization', `Bearer ${created.token}`)
+        .expect(200);
+    });
+
+    test('should not let an ingest-only token read results', async () => {
+      const created = await createToken({ scopes: ['ingest:write'] });
+
+      await ingestWith(created.token, 'f90e8400-e29b-41d4-a716-446655440000').expect(201);
+      await request(app).get('/runs').set('Authorization', `Bearer ${created.token}`).expect(403);
+      await request(app)
+        .get(`/projects/${projectId}/flaky`)
+        .set('Authorization', `Bearer ${created.token}`)
+        .expect(403);
+    });
+
+    test('should keep scopes when rotating', async () => {
+      const created = await createToken({ scopes: ['runs:read'] });
+
+      const response = await request(app)
+        .post(`/tokens/${created.id}/rotate`)
+        .set('Authorization', adminAuth)
+        .send({})
+        .expect(201);
+
+      expect(response.body.scopes).toEqual(['runs:read']);
+    });
+
+    test('should reject unknown or empty scopes', async () => {
+      await request(app)
+        .post('/tokens')
+        .set('Authorization', adminAuth)
+        .send({ project_id: projectId, scopes: ['runs:write'] })
+        .expect(400);
+      await request(app)
+        .post('/tokens')
+        .set('Authorization', adminAuth)
+        .send({ project_id: projectId, scopes: [] })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const { createApp } = require('../../src/app');
+const { initDatabase, getDatabase, closeDatabase } = require('../../src/db/database');
+const webhookService = require('../../src/services/webhookService');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const adminAuth = `Bearer ${ADMIN_API_KEY}`;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+
+describe('Webhook Integration Tests', () => {
+  let app;
+  let projectId;
+  let otherProjectId;
+  let token;
+  let adminToken;
+  let otherAdminToken;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseStatus;
+  let responseDelayMs;
+
+  const runId = 'e30e8400-e29b-41d4-a716-446655440001';
+  const secondRunId = 'e30e8400-e29b-41d4-a716-446655440002';
+
+  /**
+   * Create a project and return its id with a default token and an admin-scoped token
+   */
+  async function createProject(organizationId, name) {
+    const projectResponse = await request(app)
+      .post('/projects')
+      .set('Authorization', adminAuth)
+      .send({ organization_id: organizationId, name })
+      .expect(201);
+    const id = projectResponse.body.id;
+    const tokenResponse = await request(app).post('/tokens').set('Authorization', adminAuth).send({ project_id: id }).expect(201);
+    const adminResponse = await request(app)
+      .post('/tokens')
+      .set('Authorization', adminAuth)
+      .send({ project_id: id, scopes: ['admin'] })
+      .expect(201);
+    return { id, token: tokenResponse.body.token, adminToken: adminResponse.body.token };
+  }
+
+  /**
+   * Subscribe the test receiver to events of the project
+   */
+  async function subscribe(events) {
+    const response = await request(app)
+      .post(`/projects/${projectId}/webhooks`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ url: receiverUrl, events })
+      .expect(201);
+    return response.body;
+  }
+
+  /**
+   * Ingest a run of the project
+   */
+  function ingest(payload, expectedStatus = 201) {
+    return request(app)
+      .post('/ingest')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ duration_ms: 100, timestamp: '2026-01-12T10:00:00.000Z', ...payload })
+      .expect(expectedStatus);
+  }
+
+  /**
+   * Fetch the delivery log of a webhook
+   */
+  async function deliveries(webhookId) {
+    const response = await request(app)
+      .get(`/projects/${projectId}/webhooks/${webhookId}/deliveries`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    return response.body.data;
+  }
+
+  /**
+   * Poll the delivery log until no delivery is waiting for its first attempt
+   */
+  async function settledDeliveries(webhookId) {
+    for (let poll = 0; poll < 100; poll++) {
+      const log = await deliveries(webhookId);
+      if (log.every(delivery => delivery.attempt_count > 0)) {
+        return log;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Deliveries were not attempted');
+  }
+
+  /**
+   * Wait for background dispatch (which runs after the ingest response) to record its deliveries
+   */
+  function waitForDispatch() {
+    return new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        setTimeout(() => res.end(), responseDelayMs);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    await initDatabase(':memory:');
+    app = createApp();
+
+    const orgResponse = await request(app).post('/orgs').set('Authorization', adminAuth).send({ name: 'Webhook Org' }).expect(201);
+    const project = await createProject(orgResponse.body.id, 'Webhook Project');
+    ({ id: projectId, token, adminToken } = project);
+    const otherProject = await createProject(orgResponse.body.id, 'Other Webhook Project');
+    otherProjectId = otherProject.id;
+    otherAdminToken = otherProject.adminToken;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    await closeDatabase();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach((done) => {
+    received = [];
+    responseStatus = 200;
+    responseDelayMs = 0;
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    // The test receiver listens on loopback
+    process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+    const db = getDatabase();
+    db.serialize(() => {
+      db.run('DELETE FROM webhook_deliveries');
+      db.run('DELETE FROM webhooks');
+      db.run('DELETE FROM test_case_attempts');
+      db.run('DELETE FROM test_cases');
+      db.run('DELETE FROM test_run_shards');
+      db.run('DELETE FROM test_runs', done);
+    });
+  });
+
+  describe('Managing webhooks', () => {
+    test('should create, list, update and delete a webhook', async () => {
+      const created = await subscribe(['run.failed', 'run.failed', 'flaky.detected']);
+
+      expect(created).toMatchObject({ project_id: projectId, url: receiverUrl, events: ['run.failed', 'flaky.detected'], active: true });
+      expect(created.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+
+      const list = await request(app).get(`/projects/${projectId}/webhooks`).set('Authorization', `Bearer ${adminToken}`).expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0]).not.toHaveProperty('secret');
+
+      const updated = await request(app)
+        .patch(`/projects/${projectId}/webhooks/${created.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ events: ['run.recovered'], active: false })
+        .expect(200);
+      expect(updated.body).toMatchObject({ url: receiverUrl, events: ['run.recovered'], active: false });
+      expect(updated.body).not.toHaveProperty('secret');
+
+      await request(app).delete(`/projects/${projectId}/webhooks/${created.id}`).set('Authorization', `Bearer ${adminToken}`).expect(204);
+      await request(app).get(`/projects/${projectId}/webhooks/${created.id}`).set('Authorization', `Bearer ${adminToken}`).expect(404);
+    });
+
+    test('should validate webhook fields', async () => {
+      const post = body => request(app).post(`/projects/${projectId}/webhooks`).set('Authorization', `Bearer ${adminToken}`).send(body);
+
+      await post({ url: 'ftp://example.com/hook', events: ['run.failed'] }).expect(400);
+      await post({ url: receiverUrl, events: [] }).expect(400);
+      await post({ url: receiverUrl, events: ['run.started'] }).expect(400);
+
+      const created = await subscribe(['run.failed']);
+      await request(app)
+        .patch(`/projects/${projectId}/webhooks/${created.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    test('should reject URLs that reach private, loopback or link-local addresses', async () => {
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+      const post = url => request(app)
+        .post(`/projects/${projectId}/webhooks`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ url, events: ['run.failed'] });
+
+      for (const url of [
+        receiverUrl,
+        'http://localhost:8080/hooks',
+        'http://10.0.0.5/hooks',
+        'http://172.16.3.4/hooks',
+        'http://192.168.1.10/hooks',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/hooks',
+        'http://[::ffff:127.0.0.1]/hooks',
+        'http://[fd00::1]/hooks'
+      ]) {
+        const response = await post(url).expect(400);
+        expect(response.body.error.message).toBe('url must not point to a private, loopback or link-local address');
+      }
+
+      const unresolvable = await post('http://receiver.invalid/hooks').expect(400);
+      expect(unresolvable.body.error.message).toBe('url host receiver.invalid could not be resolved');
+    });
+
+    test('should reject changing the URL to a private address', async () => {
+      const created = await subscribe(['run.failed']);
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+      await request(app)
+        .patch(`/projects/${projectId}/webhooks/${created.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' })
+        .expect(400);
+    });
+
+    test('should require an admin-scoped token of the same project', async () => {
+      const created = await subscribe(['run.failed']);
+
+      await request(app).get(`/projects/${projectId}/webhooks`).set('Authorization', `Bearer ${token}`).expect(403);
+      await request(app).get(`/projects/${projectId}/webhooks`).set('Authorization', `Bearer ${otherAdminToken}`).expect(404);
+      await request(app)
+        .get(`/projects/${otherProjectId}/webhooks/${created.id}`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Delivering events', () => {
+    test('should post a signed run.failed event once, and not again for an idempotent replay', async () => {
+      const webhook = await subscribe(['run.failed']);
+      const run = {
+        run_id: runId,
+        status: 'failed',
+        branch: 'main',
+        tests: [
+          { suite_name: 'checkout', name: 'pays', status: 'failed', failure_message: 'expected 200' },
+          { suite_name: 'checkout', name: 'lists', status: 'passed' }
+        ]
+      };
+
+      await ingest(run, 201);
+      const log = await settledDeliveries(webhook.id);
+      await ingest(run, 200);
+      await waitForDispatch();
+
+      expect(await deliveries(webhook.id)).toHaveLength(1);
+      expect(log[0]).toMatchObject({ event: 'run.failed', status: 'succeeded', attempt_count: 1, response_status: 200 });
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      const expected = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(headers['x-webhook-event']).toBe('run.failed');
+      expect(headers['x-webhook-delivery']).toBe(log[0].id);
+
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({ event: 'run.failed', project_id: projectId });
+      expect(payload.data.run).toMatchObject({ run_id: runId, status: 'failed', branch: 'main' });
+      expect(payload.data.failed_test_count).toBe(1);
+      expect(payload.data.failed_tests[0]).toMatchObject({ name: 'pays', failure_message: 'expected 200' });
+    });
+
+    test('should send run.recovered when a branch passes after failing', async () => {
+      const webhook = await subscribe(['run.recovered']);
+
+      await ingest({ run_id: runId, status: 'failed', branch: 'main', timestamp: '2026-01-12T09:00:00.000Z' });
+      await ingest({ run_id: secondRunId, status: 'passed', branch: 'main' });
+      await ingest({ run_id: 'e30e8400-e29b-41d4-a716-446655440003', status: 'passed', branch: 'main', timestamp: '2026-01-12T11:00:00.000Z' });
+      await waitForDispatch();
+      const log = await settledDeliveries(webhook.id);
+
+      expect(log).toHaveLength(1);
+      expect(log[0].payload.data.run.run_id).toBe(secondRunId);
+      expect(log[0].payload.data.previous_run).toMatchObject({ run_id: runId, status: 'failed' });
+    });
+
+    test('should send flaky.detected for tests that passed after a retry', async () => {
+      const webhook = await subscribe(['flaky.detected', 'run.failed']);
+
+      await ingest({
+        run_id: runId,
+        status: 'passed',
+        tests: [
+          { name: 'eventually', status: 'passed', attempts: [{ status: 'failed' }, { status: 'passed' }] },
+          { name: 'steady', status: 'passed' }
+        ]
+      });
+      await waitForDispatch();
+      const log = await settledDeliveries(webhook.id);
+
+      expect(log.map(delivery => delivery.event)).toEqual(['flaky.detected']);
+      expect(log[0].payload.data.tests).toEqual([{ suite_name: null, name: 'eventually', file: null, attempt_count: 2 }]);
+    });
+
+    test('should fire when a started run finishes or the last shard reports', async () => {
+      const webhook = await subscribe(['run.failed']);
+
+      await request(app).post(`/runs/${runId}/start`).set('Authorization', `Bearer ${token}`).send({}).expect(201);
+      await ingest({ run_id: secondRunId, status: 'failed', shard_index: 1, shard_total: 2 });
+      await waitForDispatch();
+      expect(await deliveries(webhook.id)).toHaveLength(0);
+
+      await request(app).post(`/runs/${runId}/finish`).set('Authorization', `Bearer ${token}`).send({ status: 'timed_out' }).expect(200);
+      await request(app).post(`/runs/${runId}/finish`).set('Authorization', `Bearer ${token}`).send({ status: 'timed_out' }).expect(200);
+      await ingest({ run_id: secondRunId, status: 'passed', shard_index: 2, shard_total: 2 });
+      await waitForDispatch();
+      const log = await settledDeliveries(webhook.id);
+
+      expect(log.map(delivery => delivery.payload.data.run.run_id).sort()).toEqual([runId, secondRunId]);
+    });
+
+    test('should not deliver to inactive webhooks', async () => {
+      const webhook = await subscribe(['run.failed']);
+      await request(app)
+        .patch(`/projects/${projectId}/webhooks/${webhook.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ active: false })
+        .expect(200);
+
+      await ingest({ run_id: runId, status: 'failed' });
+      await waitForDispatch();
+
+      expect(await deliveries(webhook.id)).toHaveLength(0);
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  describe('Retries and redelivery', () => {
+    test('should retry a failed delivery with exponential backoff until it succeeds', async () => {
+      const webhook = await subscribe(['run.failed']);
+      responseStatus = 500;
+
+      await ingest({ run_id: runId, status: 'failed' });
+      await waitForDispatch();
+      const [first] = await settledDeliveries(webhook.id);
+
+      expect(first).toMatchObject({ status: 'pending', attempt_count: 1, response_status: 500 });
+      const firstDelay = new Date(first.next_attempt_at) - new Date(first.created_at);
+      expect(firstDelay).toBeGreaterThanOrEqual(30 * 1000);
+
+      // Not due yet
+      expect(await webhookService.retryDueDeliveries()).toBe(0);
+
+      await webhookService.retryDueDeliveries(new Date(Date.now() + 31 * 1000));
+      const [second] = await deliveries(webhook.id);
+      expect(second).toMatchObject({ status: 'pending', attempt_count: 2 });
+      expect(new Date(second.next_attempt_at) - Date.now()).toBeGreaterThanOrEqual(59 * 1000);
+
+      responseStatus = 204;
+      await webhookService.retryDueDeliveries(new Date(Date.now() + 61 * 1000));
+      const [third] = await deliveries(webhook.id);
+      expect(third).toMatchObject({ status: 'succeeded', attempt_count: 3, response_status: 204, next_attempt_at: null });
+      expect(received).toHaveLength(3);
+      expect(new Set(received.map(r => JSON.parse(r.body).id)).size).toBe(1);
+    });
+
+    test('should not send to a host that is no longer allowed when it is private', async () => {
+      const webhook = await subscribe(['run.failed']);
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+
+      await ingest({ run_id: runId, status: 'failed' });
+      await waitForDispatch();
+      const [delivery] = await settledDeliveries(webhook.id);
+
+      expect(delivery).toMatchObject({
+        status: 'pending',
+        attempt_count: 1,
+        response_status: null,
+        error_message: 'url must not point to a private, loopback or link-local address'
+      });
+      expect(received).toHaveLength(0);
+    });
+
+    test('should let shutdown wait for deliveries still running in the background', async () => {
+      const webhook = await subscribe(['run.failed']);
+      responseDelayMs = 300;
+
+      await ingest({ run_id: runId, status: 'failed' });
+      expect(webhookService.getDeliveriesInFlight()).toBeGreaterThan(0);
+      await expect(webhookService.drainDeliveries(10)).resolves.toBe(false);
+
+      await expect(webhookService.drainDeliveries(5000)).resolves.toBe(true);
+      expect(webhookService.getDeliveriesInFlight()).toBe(0);
+      const [delivery] = await deliveries(webhook.id);
+      expect(delivery).toMatchObject({ status: 'succeeded', attempt_count: 1, response_status: 200 });
+      await expect(webhookService.drainDeliveries(10)).resolves.toBe(true);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      const webhook = await subscribe(['run.failed']);
+      responseStatus = 503;
+
+      await ingest({ run_id: runId, status: 'failed' });
+      await waitForDispatch();
+      await settledDeliveries(webhook.id);
+      await webhookService.retryDueDeliveries(new Date(Date.now() + 31 * 1000));
+
+      const [delivery] = await deliveries(webhook.id);
+      expect(delivery).toMatchObject({ status: 'failed', attempt_count: 2, next_attempt_at: null });
+      expect(delivery.error_message).toContain('503');
+      expect(delivery.completed_at).not.toBeNull();
+    });
+
+    test('should redeliver a past delivery as a new delivery with the same payload', async () => {
+      const webhook = await subscribe(['run.failed']);
+      await ingest({ run_id: runId, status: 'failed' });
+      await waitForDispatch();
+      const [original] = await settledDeliveries(webhook.id);
+
+      const response = await request(app)
+        .post(`/projects/${projectId}/webhooks/${webhook.id}/deliveries/${original.id}/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(202);
+
+      expect(response.body).toMatchObject({ status: 'pending', redelivery_of: original.id, event: 'run.failed' });
+      expect(response.body.payload).toEqual(original.payload);
+
+      const log = await settledDeliveries(webhook.id);
+      expect(log.map(delivery => delivery.id)).toEqual([response.body.id, original.id]);
+      expect(log[0].status).toBe('succeeded');
+      expect(received).toHaveLength(2);
+
+      await request(app)
+        .post(`/projects/${projectId}/webhooks/${webhook.id}/deliveries/e30e8400-e29b-41d4-a716-446655440009/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -4,6 +4,7 @@ const ingestionService = require('../../src/services/ingestionService');
 const orgService = require('../../src/services/orgService');
 const projectService = require('../../src/services/projectService');
 const { ValidationError } = require('../../src/utils/errors');
+const { RUN_STATUSES, formatStatuses } = require('../../src/utils/statuses');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 
@@ -75,7 +76,7 @@ describe('Ingestion Service Property Tests - Input Validation', () => {
   it('Property 5: Invalid status values are rejected', async () => {
     await fc.assert(
       fc.asyncProperty(
-        fc.string().filter(s => s !== 'passed' && s !== 'failed'),
+        fc.string().filter(s => !RUN_STATUSES.includes(s)),
         fc.integer({ min: 0, max: 100000 }),
         async (invalidStatus, duration) => {
           const runId = uuidv4();
@@ -95,7 +96,7 @@ describe('Ingestion Service Property Tests - Input Validation', () => {
               duration_ms: duration,
               timestamp
             })
-          ).rejects.toThrow('status must be "passed" or "failed"');
+          ).rejects.toThrow(`status must be ${formatStatuses(RUN_STATUSES)}`);
         }
       ),
       { numRuns: 100 }
@@ -1,14 +1,38 @@
-const { authenticate } = require('../../src/middleware/auth');
+const {
+  authenticate,
+  requireScope,
+  authenticateAdmin,
+  requireBootstrapAdmin,
+  requireProjectAccess
+} = require('../../src/middleware/auth');
 const { hashToken } = require('../../src/utils/crypto');
 const tokenDB = require('../../src/db/tokenDB');
-const { UnauthorizedError } = require('../../src/utils/errors');
+const adminTokenDB = require('../../src/db/adminTokenDB');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../../src/utils/errors');
 
-// Mock the tokenDB module
+// Mock the tokenDB and adminTokenDB modules
 jest.mock('../../src/db/tokenDB');
+jest.mock('../../src/db/adminTokenDB');
 
 describe('Authentication Middleware', () => {
   let req, res, next;
 
+  /**
+   * Build an active token row as returned by tokenDB.findByTokenHash
+   */
+  function activeToken(projectId) {
+    return {
+      id: 'token-uuid-1',
+      project_id: projectId,
+      label: null,
+      scopes: ['ingest:write', 'runs:read'],
+      created_at: '2026-01-01T00:00:00.000Z',
+      expires_at: null,
+      revoked_at: null,
+      last_used_at: null
+    };
+  }
+
   beforeEach(() => {
     // Reset mocks before each test
     jest.clearAllMocks();
@@ -64,13 +88,13 @@ describe('Authentication Middleware', () => {
       req.headers.authorization = `Bearer ${validToken}`;
       
       // Mock tokenDB to return a project ID
-      tokenDB.findProjectByTokenHash.mockResolvedValue(projectId);
+      tokenDB.findByTokenHash.mockResolvedValue(activeToken(projectId));
       
       await authenticate(req, res, next);
       
       // Verify token was hashed and looked up
-      expect(tokenDB.findProjectByTokenHash).toHaveBeenCalledTimes(1);
-      expect(tokenDB.findProjectByTokenHash).toHaveBeenCalledWith(hashToken(validToken));
+      expect(tokenDB.findByTokenHash).toHaveBeenCalledTimes(1);
+      expect(tokenDB.findByTokenHash).toHaveBeenCalledWith(hashToken(validToken));
       
       // Verify projectId was attached to request
       expect(req.projectId).toBe(projectId);
@@ -88,12 +112,12 @@ describe('Authentication Middleware', () => {
       req.headers.authorization = `Bearer ${invalidToken}`;
       
       // Mock tokenDB to return null (token not found)
-      tokenDB.findProjectByTokenHash.mockResolvedValue(null);
+      tokenDB.findByTokenHash.mockResolvedValue(null);
       
       await authenticate(req, res, next);
       
       // Verify token was looked up
-      expect(tokenDB.findProjectByTokenHash).toHaveBeenCalledTimes(1);
+      expect(tokenDB.findByTokenHash).toHaveBeenCalledTimes(1);
       
       // Verify error was passed to next
       expect(next).toHaveBeenCalledTimes(1);
@@ -111,7 +135,7 @@ describe('Authentication Middleware', () => {
       req.headers.authorization = `Bearer ${unknownToken}`;
       
       // Mock tokenDB to return null
-      tokenDB.findProjectByTokenHash.mockResolvedValue(null);
+      tokenDB.findByTokenHash.mockResolvedValue(null);
       
       await authenticate(req, res, next);
       
@@ -120,6 +144,75 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('Token lifecycle', () => {
+    it('should reject a revoked token with a distinct message', async () => {
+      req.headers.authorization = 'Bearer ta_live_revoked';
+      tokenDB.findByTokenHash.mockResolvedValue({
+        ...activeToken('project-uuid-123'),
+        revoked_at: '2026-01-01T00:00:00.000Z'
+      });
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+      expect(next.mock.calls[0][0].message).toBe('Token has been revoked');
+      expect(req.projectId).toBeUndefined();
+    });
+
+    it('should reject an expired token with a distinct message', async () => {
+      req.headers.authorization = 'Bearer ta_live_expired';
+      tokenDB.findByTokenHash.mockResolvedValue({
+        ...activeToken('project-uuid-123'),
+        expires_at: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+      expect(next.mock.calls[0][0].message).toBe('Token has expired');
+    });
+
+    it('should accept a token that has not expired yet', async () => {
+      req.headers.authorization = 'Bearer ta_live_grace';
+      tokenDB.findByTokenHash.mockResolvedValue({
+        ...activeToken('project-uuid-123'),
+        expires_at: new Date(Date.now() + 60000).toISOString()
+      });
+
+      await authenticate(req, res, next);
+
+      expect(req.projectId).toBe('project-uuid-123');
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should record last use, but not more than once a minute', async () => {
+      req.headers.authorization = 'Bearer ta_live_used';
+      tokenDB.findByTokenHash.mockResolvedValue(activeToken('project-uuid-123'));
+
+      await authenticate(req, res, next);
+      expect(tokenDB.updateLastUsed).toHaveBeenCalledWith('token-uuid-1', expect.any(String));
+
+      tokenDB.updateLastUsed.mockClear();
+      tokenDB.findByTokenHash.mockResolvedValue({
+        ...activeToken('project-uuid-123'),
+        last_used_at: new Date().toISOString()
+      });
+
+      await authenticate(req, res, next);
+      expect(tokenDB.updateLastUsed).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the request when recording last use fails', async () => {
+      req.headers.authorization = 'Bearer ta_live_used';
+      tokenDB.findByTokenHash.mockResolvedValue(activeToken('project-uuid-123'));
+      tokenDB.updateLastUsed.mockRejectedValue(new Error('database is locked'));
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
   describe('Database errors', () => {
     it('should pass database errors to error handler', async () => {
       const validToken = 'ta_live_abc123';
@@ -128,7 +221,7 @@ describe('Authentication Middleware', () => {
       req.headers.authorization = `Bearer ${validToken}`;
       
       // Mock tokenDB to throw an error
-      tokenDB.findProjectByTokenHash.mockRejectedValue(dbError);
+      tokenDB.findByTokenHash.mockRejectedValue(dbError);
       
       await authenticate(req, res, next);
       
@@ -137,4 +230,156 @@ describe('Authentication Middleware', () => {
       expect(next).toHaveBeenCalledWith(dbError);
     });
   });
+
+  describe('requireProjectAccess', () => {
+    it('should allow access to the token\'s own project', () => {
+      req.projectId = 'project-uuid-123';
+      req.params = { id: 'project-uuid-123' };
+
+      requireProjectAccess(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should report other projects as not found', () => {
+      req.projectId = 'project-uuid-123';
+      req.params = { id: 'project-uuid-456' };
+
+      requireProjectAccess(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(NotFoundError));
+      expect(next.mock.calls[0][0].statusCode).toBe(404);
+    });
+  });
+
+  describe('authenticateAdmin', () => {
+    const originalAdminApiKey = process.env.ADMIN_API_KEY;
+
+    beforeEach(() => {
+      process.env.ADMIN_API_KEY = 'bootstrap-admin-key';
+    });
+
+    afterAll(() => {
+      if (originalAdminApiKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = originalAdminApiKey;
+      }
+    });
+
+    it('should grant unscoped access for the bootstrap admin key', async () => {
+      req.headers.authorization = 'Bearer bootstrap-admin-key';
+
+      await authenticateAdmin(req, res, next);
+
+      expect(req.admin).toEqual({ organizationId: null });
+      expect(next).toHaveBeenCalledWith();
+      expect(adminTokenDB.findOrganizationByTokenHash).not.toHaveBeenCalled();
+    });
+
+    it('should scope org admin tokens to their organization', async () => {
+      req.headers.authorization = 'Bearer ta_admin_abc123';
+      adminTokenDB.findOrganizationByTokenHash.mockResolvedValue('org-uuid-123');
+
+      await authenticateAdmin(req, res, next);
+
+      expect(adminTokenDB.findOrganizationByTokenHash).toHaveBeenCalledWith(hashToken('ta_admin_abc123'));
+      expect(req.admin).toEqual({ organizationId: 'org-uuid-123' });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject project tokens with 403', async () => {
+      req.headers.authorization = 'Bearer ta_live_abc123';
+      adminTokenDB.findOrganizationByTokenHash.mockResolvedValue(null);
+      tokenDB.findProjectByTokenHash.mockResolvedValue('project-uuid-123');
+
+      await authenticateAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+      expect(next.mock.calls[0][0].statusCode).toBe(403);
+    });
+
+    it('should reject unknown tokens with 401', async () => {
+      req.headers.authorization = 'Bearer not-a-real-key';
+      adminTokenDB.findOrganizationByTokenHash.mockResolvedValue(null);
+      tokenDB.findProjectByTokenHash.mockResolvedValue(null);
+
+      await authenticateAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+      expect(next.mock.calls[0][0].message).toBe('Invalid admin token');
+    });
+
+    it('should not accept an empty bootstrap key', async () => {
+      process.env.ADMIN_API_KEY = '';
+      req.headers.authorization = 'Bearer x';
+      adminTokenDB.findOrganizationByTokenHash.mockResolvedValue(null);
+      tokenDB.findProjectByTokenHash.mockResolvedValue(null);
+
+      await authenticateAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+    });
+
+    it('should reject a missing Authorization header', async () => {
+      await authenticateAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+      expect(next.mock.calls[0][0].message).toBe('Missing Authorization header');
+    });
+  });
+
+  describe('requireBootstrapAdmin', () => {
+    it('should allow the bootstrap admin', () => {
+      req.admin = { organizationId: null };
+
+      requireBootstrapAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forbid org-scoped admin tokens', () => {
+      req.admin = { organizationId: 'org-uuid-123' };
+
+      requireBootstrapAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+    });
+  });
+
+  describe('requireScope', () => {
+    it('should attach the token scopes during authentication', async () => {
+      req.headers.authorization = 'Bearer ta_live_scoped';
+      tokenDB.findByTokenHash.mockResolvedValue({ ...activeToken('project-uuid-123'), scopes: ['runs:read'] });
+
+      await authenticate(req, res, next);
+
+      expect(req.tokenScopes).toEqual(['runs:read']);
+    });
+
+    it('should allow a token with the required scope', () => {
+      req.tokenScopes = ['ingest:write'];
+
+      requireScope('ingest:write')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should forbid a token without the required scope', () => {
+      req.tokenScopes = ['runs:read'];
+
+      requireScope('ingest:write')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+      expect(next.mock.calls[0][0].message).toBe('Token is missing the required scope: ingest:write');
+    });
+
+    it('should let the admin scope satisfy any scope', () => {
+      req.tokenScopes = ['admin'];
+
+      requireScope('runs:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
 });
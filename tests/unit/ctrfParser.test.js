@@ -0,0 +1,54 @@
+const { parseCtrf } = require('../../src/services/parsers/ctrfParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('CTRF Parser', () => {
+  describe('test mapping', () => {
+    it('should map tests with their suite, file and failure details', () => {
+      const report = parseCtrf({
+        results: {
+          tool: { name: 'playwright' },
+          summary: { start: 1768212000000, stop: 1768212004500 },
+          tests: [
+            { name: 'removes item', status: 'failed', duration: 300, message: 'expected 0', trace: 'at cart.spec.ts:10', suite: ['cart.spec.ts', 'cart'], filePath: 'tests/cart.spec.ts' },
+            { name: 'coupon', status: 'pending', duration: 0, suite: 'cart' }
+          ]
+        }
+      });
+
+      expect(report.tests).toEqual([
+        {
+          suite_name: 'cart.spec.ts > cart',
+          name: 'removes item',
+          file: 'tests/cart.spec.ts',
+          status: 'failed',
+          duration_ms: 300,
+          failure_message: 'expected 0',
+          stack_trace: 'at cart.spec.ts:10'
+        },
+        { suite_name: 'cart', name: 'coupon', file: null, status: 'skipped', duration_ms: 0, failure_message: null, stack_trace: null }
+      ]);
+      expect(report.status).toBe('failed');
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.000Z');
+      expect(report.duration_ms).toBe(4500);
+    });
+
+    it('should record the attempts of retried tests', () => {
+      const report = parseCtrf({ results: { tool: {}, summary: {}, tests: [{ name: 'flaky', status: 'passed', duration: 120, retries: 2 }] } });
+
+      expect(report.tests[0].attempts.map(a => a.status)).toEqual(['failed', 'failed', 'passed']);
+      expect(report.duration_ms).toBe(120);
+      expect(report.timestamp).toBeNull();
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject documents without results.tests', () => {
+      expect(() => parseCtrf({ tests: [] })).toThrow(ValidationError);
+    });
+
+    it('should reject unknown test statuses', () => {
+      expect(() => parseCtrf({ results: { tests: [{ name: 'a', status: 'broken' }] } }))
+        .toThrow('results.tests[0].status must be one of passed, failed, skipped, pending, other');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { parseCucumberJson } = require('../../src/services/parsers/cucumberJsonParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Build a Cucumber step with a result
+ * @param {string} status - Step status
+ * @param {Object} overrides - Result fields to override
+ * @returns {Object} - Step
+ */
+function step(status, overrides = {}) {
+  return { keyword: 'Given ', name: 'a step', result: { status, duration: 1500000, ...overrides } };
+}
+
+describe('Cucumber JSON Parser', () => {
+  describe('test mapping', () => {
+    it('should map scenarios with their feature and count background steps', () => {
+      const report = parseCucumberJson([{
+        uri: 'features/cart.feature',
+        keyword: 'Feature',
+        name: 'Cart',
+        elements: [
+          { type: 'background', keyword: 'Background', steps: [step('passed')] },
+          { type: 'scenario', keyword: 'Scenario', name: 'Adds item', steps: [step('passed', { duration: 2500000 })] }
+        ]
+      }]);
+
+      expect(report.tests).toEqual([{
+        suite_name: 'Cart',
+        name: 'Adds item',
+        file: 'features/cart.feature',
+        status: 'passed',
+        duration_ms: 4,
+        failure_message: null,
+        stack_trace: null
+      }]);
+      expect(report.status).toBe('passed');
+    });
+
+    it('should fail scenarios with a failing step or hook', () => {
+      const report = parseCucumberJson([{
+        uri: 'a.feature',
+        name: 'A',
+        elements: [{
+          type: 'scenario',
+          name: 'Removes item',
+          before: [{ result: { status: 'passed' } }],
+          steps: [step('failed', { error_message: 'AssertionError: expected 0\n    at steps.js:10:5' }), step('skipped')]
+        }]
+      }]);
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[0]).toMatchObject({
+        status: 'failed',
+        failure_message: 'AssertionError: expected 0',
+        stack_trace: 'AssertionError: expected 0\n    at steps.js:10:5'
+      });
+    });
+
+    it('should skip scenarios with undefined or pending steps and error ambiguous ones', () => {
+      const report = parseCucumberJson([{
+        uri: 'a.feature',
+        name: 'A',
+        elements: [
+          { type: 'scenario', name: 'Undefined', steps: [step('passed'), step('undefined')] },
+          { type: 'scenario', name: 'Ambiguous', steps: [step('ambiguous')] }
+        ]
+      }]);
+
+      expect(report.tests.map(t => t.status)).toEqual(['skipped', 'errored']);
+      expect(report.status).toBe('errored');
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject documents that are not arrays of features', () => {
+      expect(() => parseCucumberJson({ elements: [] })).toThrow(ValidationError);
+      expect(() => parseCucumberJson([{ name: 'A' }])).toThrow('[0].elements must be an array');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { parseGoTestJson } = require('../../src/services/parsers/goTestParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Serialize go test -json events as newline-delimited JSON
+ * @param {Array<Object>} events - Events
+ * @returns {string} - NDJSON text
+ */
+function ndjson(events) {
+  return events.map(event => JSON.stringify({ Package: 'example.com/cart', ...event })).join('\n');
+}
+
+describe('Go Test JSON Parser', () => {
+  describe('test mapping', () => {
+    it('should map tests with their package, status and elapsed time', () => {
+      const report = parseGoTestJson(ndjson([
+        { Time: '2026-01-12T10:00:00.123456789Z', Action: 'start' },
+        { Time: '2026-01-12T10:00:00.2Z', Action: 'run', Test: 'TestAdd' },
+        { Time: '2026-01-12T10:00:00.3Z', Action: 'pass', Test: 'TestAdd', Elapsed: 0.1 },
+        { Time: '2026-01-12T10:00:00.3Z', Action: 'run', Test: 'TestAdd/empty_cart' },
+        { Time: '2026-01-12T10:00:00.3Z', Action: 'skip', Test: 'TestAdd/empty_cart', Elapsed: 0 },
+        { Time: '2026-01-12T10:00:01.623Z', Action: 'pass', Elapsed: 1.5 }
+      ]));
+
+      expect(report.tests).toEqual([
+        { suite_name: 'example.com/cart', name: 'TestAdd', file: null, status: 'passed', duration_ms: 100, failure_message: null, stack_trace: null },
+        { suite_name: 'example.com/cart', name: 'TestAdd/empty_cart', file: null, status: 'skipped', duration_ms: 0, failure_message: null, stack_trace: null }
+      ]);
+      expect(report.status).toBe('passed');
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.123Z');
+      expect(report.duration_ms).toBe(1500);
+    });
+
+    it('should take failure details from the test output without go test framing', () => {
+      const report = parseGoTestJson(ndjson([
+        { Action: 'run', Test: 'TestRemove' },
+        { Action: 'output', Test: 'TestRemove', Output: '=== RUN   TestRemove\n' },
+        { Action: 'output', Test: 'TestRemove', Output: '    cart_test.go:20: expected 0 items, got 1\n' },
+        { Action: 'output', Test: 'TestRemove', Output: '--- FAIL: TestRemove (0.05s)\n' },
+        { Action: 'fail', Test: 'TestRemove', Elapsed: 0.05 },
+        { Action: 'fail', Elapsed: 0.2 }
+      ]));
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[0].failure_message).toBe('cart_test.go:20: expected 0 items, got 1');
+      expect(report.duration_ms).toBe(200);
+    });
+
+    it('should record tests that never finished as errored', () => {
+      const report = parseGoTestJson(ndjson([
+        { Action: 'run', Test: 'TestHang' },
+        { Action: 'output', Test: 'TestHang', Output: 'panic: test timed out after 10m0s\n' },
+        { Action: 'fail', Elapsed: 600 }
+      ]));
+
+      expect(report.tests[0]).toMatchObject({ status: 'errored', failure_message: 'panic: test timed out after 10m0s' });
+      expect(report.status).toBe('errored');
+    });
+  });
+
+  describe('run status', () => {
+    it('should report errored when a package fails without failing tests', () => {
+      const report = parseGoTestJson(ndjson([
+        { Action: 'output', Output: '# example.com/cart\ncart.go:3:1: syntax error\n' },
+        { Action: 'output', Output: 'FAIL\texample.com/cart [build failed]\n' },
+        { Action: 'fail', Elapsed: 0 }
+      ]));
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe('# example.com/cart');
+      expect(report.stack_trace).toContain('syntax error');
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should ignore non-JSON lines but reject malformed JSON lines', () => {
+      const events = ndjson([{ Action: 'run', Test: 'TestA' }, { Action: 'pass', Test: 'TestA' }]);
+
+      expect(parseGoTestJson(`go: downloading example.com/dep v1.0.0\n${events}`).tests).toHaveLength(1);
+      expect(() => parseGoTestJson(`${events}\n{"Action":`)).toThrow('Invalid go test JSON on line 3');
+    });
+
+    it('should reject text without go test events', () => {
+      expect(() => parseGoTestJson('{"hello":"world"}')).toThrow(ValidationError);
+    });
+  });
+});
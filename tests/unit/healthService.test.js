@@ -0,0 +1,40 @@
+const healthService = require('../../src/services/healthService');
+
+describe('Health Service', () => {
+  describe('drainIngests', () => {
+    test('should resolve immediately when nothing is in flight', async () => {
+      await expect(healthService.drainIngests(10)).resolves.toBe(true);
+    });
+
+    test('should wait until the last in-flight ingest finishes', async () => {
+      const finishFirst = healthService.beginIngest();
+      const finishSecond = healthService.beginIngest();
+      expect(healthService.getInFlightIngests()).toBe(2);
+
+      let drained = false;
+      const drain = healthService.drainIngests(1000).then((result) => {
+        drained = true;
+        return result;
+      });
+
+      finishFirst();
+      finishFirst();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(drained).toBe(false);
+      expect(healthService.getInFlightIngests()).toBe(1);
+
+      finishSecond();
+      await expect(drain).resolves.toBe(true);
+      expect(healthService.getInFlightIngests()).toBe(0);
+    });
+
+    test('should give up after the timeout', async () => {
+      const finish = healthService.beginIngest();
+
+      await expect(healthService.drainIngests(10)).resolves.toBe(false);
+
+      finish();
+      expect(healthService.getInFlightIngests()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { parseJestJson, parseJestStream } = require('../../src/services/parsers/jestJsonParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Build a Jest assertion result
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Assertion result
+ */
+function assertion(overrides = {}) {
+  return {
+    ancestorTitles: ['cart'],
+    title: 'adds item',
+    status: 'passed',
+    duration: 12,
+    failureMessages: [],
+    ...overrides
+  };
+}
+
+describe('Jest JSON Parser', () => {
+  describe('test mapping', () => {
+    it('should map assertion results to tests with suite, file and duration', () => {
+      const report = parseJestJson({
+        startTime: Date.parse('2026-03-01T09:00:00Z'),
+        testResults: [{
+          name: '/app/cart.test.js',
+          status: 'passed',
+          startTime: Date.parse('2026-03-01T09:00:00Z'),
+          endTime: Date.parse('2026-03-01T09:00:01.5Z'),
+          assertionResults: [assertion({ ancestorTitles: ['cart', 'totals'], title: 'sums prices', duration: 7.6 })]
+        }]
+      });
+
+      expect(report.tests).toEqual([{
+        suite_name: 'cart › totals',
+        name: 'sums prices',
+        file: '/app/cart.test.js',
+        status: 'passed',
+        duration_ms: 8,
+        failure_message: null,
+        stack_trace: null
+      }]);
+      expect(report.timestamp).toBe('2026-03-01T09:00:00.000Z');
+      expect(report.duration_ms).toBe(1500);
+    });
+
+    it('should map pending and todo tests to skipped', () => {
+      const report = parseJestJson({
+        testResults: [{
+          name: 'a.test.js',
+          assertionResults: [assertion({ status: 'pending' }), assertion({ status: 'todo', duration: null })]
+        }]
+      });
+
+      expect(report.tests.map(t => t.status)).toEqual(['skipped', 'skipped']);
+      expect(report.tests[1].duration_ms).toBeNull();
+      expect(report.status).toBe('passed');
+    });
+
+    it('should split failure messages into message and stack trace, without color codes', () => {
+      const failure = '\u001b[31mError: expect(received).toBe(expected)\u001b[39m\n\nExpected: 1\n    at Object.<anonymous> (cart.test.js:5:3)';
+      const report = parseJestJson({
+        testResults: [{ name: 'cart.test.js', assertionResults: [assertion({ status: 'failed', failureMessages: [failure] })] }]
+      });
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[0].failure_message).toBe('Error: expect(received).toBe(expected)\n\nExpected: 1');
+      expect(report.tests[0].stack_trace).toContain('at Object.<anonymous> (cart.test.js:5:3)');
+      expect(report.tests[0].stack_trace).not.toContain('\u001b');
+    });
+
+    it('should record the attempts of retried tests', () => {
+      const report = parseJestJson({
+        testResults: [{
+          name: 'flaky.test.js',
+          assertionResults: [assertion({ invocations: 3, retryReasons: ['Error: timeout\n    at x', 'Error: reset'] })]
+        }]
+      });
+
+      expect(report.tests[0].attempts).toEqual([
+        { status: 'failed', duration_ms: null, failure_message: 'Error: timeout' },
+        { status: 'failed', duration_ms: null, failure_message: 'Error: reset' },
+        { status: 'passed', duration_ms: 12, failure_message: null }
+      ]);
+    });
+  });
+
+  describe('run status', () => {
+    it('should report errored when a test file failed to run', () => {
+      const report = parseJestJson({
+        testResults: [
+          { name: 'ok.test.js', status: 'passed', assertionResults: [assertion()] },
+          { name: 'broken.test.js', status: 'failed', testExecError: { message: 'SyntaxError: Unexpected token' }, assertionResults: [] }
+        ]
+      });
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe('broken.test.js: SyntaxError: Unexpected token');
+    });
+
+    it('should fall back to summing test durations without timing data', () => {
+      const report = parseJestJson({
+        testResults: [{ name: 'a.test.js', assertionResults: [assertion({ duration: 10 }), assertion({ duration: 5 })] }]
+      });
+
+      expect(report.duration_ms).toBe(15);
+      expect(report.timestamp).toBeNull();
+    });
+  });
+
+  describe('streamed input', () => {
+    /**
+     * Split a report into chunks, as a request body stream would deliver it
+     * @param {string} text - Report
+     * @param {number} size - Chunk length
+     * @returns {AsyncGenerator<string>} - Chunks
+     */
+    async function* chunked(text, size) {
+      for (let i = 0; i < text.length; i += size) {
+        yield text.slice(i, i + size);
+      }
+    }
+
+    it('should read a report split across chunks like a whole document', async () => {
+      const report = {
+        numTotalTests: 3,
+        startTime: Date.parse('2026-03-01T09:00:00Z'),
+        testResults: [
+          { name: 'a.test.js', status: 'passed', endTime: Date.parse('2026-03-01T09:00:02Z'), assertionResults: [assertion(), assertion({ title: 'has "quotes", [brackets] and {braces}' })] },
+          { name: 'b.test.js', status: 'failed', assertionResults: [assertion({ status: 'failed', failureMessages: ['Error: boom\n    at b.test.js:3'] })] }
+        ],
+        coverageMap: { 'a.js': { s: { 0: 1 } } }
+      };
+      const text = JSON.stringify(report, null, 2);
+
+      await expect(parseJestStream(chunked(text, 7))).resolves.toEqual(parseJestJson(report));
+    });
+
+    it('should reject streamed documents that are not Jest reports or not valid JSON', async () => {
+      await expect(parseJestStream(chunked('{"numTotalTests": 0}', 5))).rejects.toThrow('with a testResults array');
+      await expect(parseJestStream(chunked('{"testResults": [{"assertionResults": []}, {"name": }]}', 5))).rejects.toThrow('Invalid Jest JSON: testResults[1]');
+      await expect(parseJestStream(chunked('{"testResults": [', 5))).rejects.toThrow('unexpected end of document');
+      await expect(parseJestStream(chunked('[]', 5))).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject a report without testResults', () => {
+      expect(() => parseJestJson({ stats: {} })).toThrow(ValidationError);
+    });
+
+    it('should reject assertion results without a title', () => {
+      expect(() => parseJestJson({ testResults: [{ assertionResults: [{ status: 'passed' }] }] }))
+        .toThrow('testResults[0].assertionResults[0].title must be a string');
+    });
+  });
+});
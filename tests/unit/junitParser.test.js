@@ -0,0 +1,130 @@
+const { parseJUnitXml } = require('../../src/services/parsers/junitParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('JUnit XML Parser', () => {
+  describe('status derivation', () => {
+    it('should report passed when every test case passes', () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <testsuites time="1.5">
+          <testsuite name="math" tests="2" failures="0" errors="0" time="1.5">
+            <testcase classname="math.add" name="adds" time="0.5"/>
+            <testcase classname="math.sub" name="subtracts" time="1.0"/>
+          </testsuite>
+        </testsuites>`;
+
+      const report = parseJUnitXml(xml);
+
+      expect(report.status).toBe('passed');
+      expect(report.tests).toHaveLength(2);
+      expect(report.tests.every(t => t.status === 'passed')).toBe(true);
+    });
+
+    it('should report failed when a test case has a <failure>', () => {
+      const xml = `<testsuite name="api" time="0.3">
+          <testcase classname="api.users" name="creates user" time="0.1"/>
+          <testcase classname="api.users" name="deletes user" time="0.2">
+            <failure message="expected 204 but got 500" type="AssertionError">stack trace here</failure>
+          </testcase>
+        </testsuite>`;
+
+      const report = parseJUnitXml(xml);
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[1].status).toBe('failed');
+      expect(report.tests[1].failure_message).toBe('expected 204 but got 500');
+      expect(report.tests[1].stack_trace).toBe('stack trace here');
+      expect(report.tests[0].stack_trace).toBeNull();
+    });
+
+    it('should report failed when a test case has an <error>', () => {
+      const xml = `<testsuite name="db">
+          <testcase name="connects"><error><![CDATA[ECONNREFUSED]]></error></testcase>
+        </testsuite>`;
+
+      const report = parseJUnitXml(xml);
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[0].failure_message).toBe('ECONNREFUSED');
+    });
+
+    it('should treat skipped test cases as non-failing', () => {
+      const xml = `<testsuite name="ui">
+          <testcase name="renders"/>
+          <testcase name="animates"><skipped/></testcase>
+        </testsuite>`;
+
+      const report = parseJUnitXml(xml);
+
+      expect(report.status).toBe('passed');
+      expect(report.tests[1].status).toBe('skipped');
+    });
+
+    it('should report failed when suite counters report failures without test cases', () => {
+      const xml = '<testsuites><testsuite name="empty" tests="3" failures="1"/></testsuites>';
+
+      expect(parseJUnitXml(xml).status).toBe('failed');
+    });
+  });
+
+  describe('duration derivation', () => {
+    it('should prefer the <testsuites> time attribute', () => {
+      const xml = `<testsuites time="2.5">
+          <testsuite name="a" time="1"/>
+          <testsuite name="b" time="1"/>
+        </testsuites>`;
+
+      expect(parseJUnitXml(xml).duration_ms).toBe(2500);
+    });
+
+    it('should sum top-level suite times when the root has no time', () => {
+      const xml = `<testsuites>
+          <testsuite name="a" time="1.25">
+            <testsuite name="a.nested" time="1.25"/>
+          </testsuite>
+          <testsuite name="b" time="0.75"/>
+        </testsuites>`;
+
+      expect(parseJUnitXml(xml).duration_ms).toBe(2000);
+    });
+
+    it('should fall back to summing test case times', () => {
+      const xml = `<testsuite name="a">
+          <testcase name="one" time="0.1"/>
+          <testcase name="two" time="0.2"/>
+        </testsuite>`;
+
+      expect(parseJUnitXml(xml).duration_ms).toBe(300);
+    });
+  });
+
+  describe('timestamp derivation', () => {
+    it('should use the earliest suite timestamp, treating zone-less values as UTC', () => {
+      const xml = `<testsuites>
+          <testsuite name="a" timestamp="2026-01-12T10:05:00"/>
+          <testsuite name="b" timestamp="2026-01-12T10:00:00"/>
+        </testsuites>`;
+
+      expect(parseJUnitXml(xml).timestamp).toBe('2026-01-12T10:00:00.000Z');
+    });
+
+    it('should return null when no suite carries a timestamp', () => {
+      expect(parseJUnitXml('<testsuite name="a"/>').timestamp).toBeNull();
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject an empty body', () => {
+      expect(() => parseJUnitXml('')).toThrow(ValidationError);
+      expect(() => parseJUnitXml(undefined)).toThrow(ValidationError);
+    });
+
+    it('should reject malformed XML', () => {
+      expect(() => parseJUnitXml('<testsuite><testcase></testsuite>')).toThrow(ValidationError);
+      expect(() => parseJUnitXml('<testsuite><testcase></testsuite>')).toThrow('Invalid JUnit XML');
+    });
+
+    it('should reject documents with a non-JUnit root element', () => {
+      expect(() => parseJUnitXml('<html><body/></html>')).toThrow('root element');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const sqlite3 = require('sqlite3');
+const { loadMigrations, migrateUp, migrateDown, getStatus } = require('../../src/db/migrator');
+
+describe('Migrator', () => {
+  let db;
+
+  /**
+   * Run a query on the test database and return all rows
+   */
+  function all(sql) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Execute SQL on the test database
+   */
+  function exec(sql) {
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * List the user tables of the test database
+   */
+  async function tableNames() {
+    const rows = await all("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name");
+    return rows.map(row => row.name);
+  }
+
+  beforeEach(async () => {
+    db = new sqlite3.Database(':memory:');
+    await exec('PRAGMA foreign_keys = ON');
+  });
+
+  afterEach((done) => {
+    db.close(done);
+  });
+
+  test('should load migrations in version order with up and down files', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.length).toBeGreaterThan(1);
+    expect(migrations[0]).toMatchObject({ version: 1, name: 'initial_schema' });
+    migrations.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+      expect(migration.downPath).not.toBeNull();
+    });
+  });
+
+  test('should apply every migration once and record it', async () => {
+    const applied = await migrateUp(db);
+    expect(applied.map(m => m.version)).toEqual(loadMigrations().map(m => m.version));
+
+    expect(await tableNames()).toEqual(expect.arrayContaining([
+      'organizations', 'projects', 'api_tokens', 'test_runs', 'test_cases', 'schema_migrations'
+    ]));
+
+    expect(await migrateUp(db)).toEqual([]);
+    const status = await getStatus(db);
+    expect(status.every(m => m.status === 'applied' && m.applied_at)).toBe(true);
+  });
+
+  test('should revert the latest migrations and re-apply them', async () => {
+    await migrateUp(db);
+
+    const reverted = await migrateDown(db, 2);
+    const latest = loadMigrations().slice(-2).reverse();
+    expect(reverted.map(m => m.version)).toEqual(latest.map(m => m.version));
+
+    const status = await getStatus(db);
+    expect(status.filter(m => m.status === 'pending').map(m => m.version)).toEqual(latest.map(m => m.version).reverse());
+
+    expect((await migrateUp(db)).map(m => m.version)).toEqual(latest.map(m => m.version).reverse());
+  });
+
+  test('should keep data when rebuilding tables', async () => {
+    await migrateUp(db);
+    await exec(`INSERT INTO organizations (id, name) VALUES ('org-1', 'Org');
+                INSERT INTO projects (id, organization_id, name) VALUES ('project-1', 'org-1', 'Project');`);
+
+    // Revert everything down to the initial schema, then migrate up again
+    await migrateDown(db, loadMigrations().length - 1);
+    await migrateUp(db);
+
+    expect(await all('SELECT id, name FROM projects')).toEqual([{ id: 'project-1', name: 'Project' }]);
+  });
+
+  test('should keep test runs and their test cases when widening the status constraint', async () => {
+    await migrateUp(db);
+    await migrateDown(db, 1);
+    await exec(`INSERT INTO organizations (id, name) VALUES ('org-1', 'Org');
+                INSERT INTO projects (id, organization_id, name) VALUES ('project-1', 'org-1', 'Project');
+                INSERT INTO test_runs (id, project_id, run_id, status, duration_ms, timestamp, branch)
+                  VALUES ('run-1', 'project-1', 'r-1', 'failed', 10, '2026-01-01T00:00:00.000Z', 'main');
+                INSERT INTO test_cases (id, test_run_id, name, status) VALUES ('case-1', 'run-1', 'works', 'skipped');`);
+
+    await migrateUp(db);
+    await exec(`INSERT INTO test_runs (id, project_id, run_id, status, duration_ms, timestamp)
+                  VALUES ('run-2', 'project-1', 'r-2', 'timed_out', 10, '2026-01-01T00:00:00.000Z')`);
+
+    expect(await all('SELECT id, status, branch FROM test_runs ORDER BY id')).toEqual([
+      { id: 'run-1', status: 'failed', branch: 'main' },
+      { id: 'run-2', status: 'timed_out', branch: null }
+    ]);
+    expect(await all('SELECT id, test_run_id FROM test_cases')).toEqual([{ id: 'case-1', test_run_id: 'run-1' }]);
+  });
+
+  test('should roll back a failing migration completely', async () => {
+    await migrateUp(db);
+    await migrateDown(db, loadMigrations().length - 1);
+
+    // Duplicate project names make the unique constraint migration fail
+    await exec(`INSERT INTO organizations (id, name) VALUES ('org-1', 'Org');
+                INSERT INTO projects (id, organization_id, name) VALUES ('p-1', 'org-1', 'Same'), ('p-2', 'org-1', 'Same');`);
+
+    await expect(migrateUp(db)).rejects.toThrow(/Migration 2_add_project_unique_constraint \(up\) failed/);
+
+    const status = await getStatus(db);
+    expect(status.filter(m => m.status === 'applied').map(m => m.version)).toEqual([1]);
+    expect(await tableNames()).not.toContain('projects_new');
+  });
+
+  test('should baseline a database created before schema_migrations existed', async () => {
+    // Schema as created by the old init.sql, including test_cases but not later additions
+    await exec(`CREATE TABLE organizations (id TEXT PRIMARY KEY, name TEXT NOT NULL UNIQUE, created_at TIMESTAMP);
+                CREATE TABLE projects (id TEXT PRIMARY KEY, organization_id TEXT NOT NULL, name TEXT NOT NULL, created_at TIMESTAMP,
+                  FOREIGN KEY (organization_id) REFERENCES organizations(id), UNIQUE(organization_id, name));
+                CREATE TABLE api_tokens (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, token_hash TEXT NOT NULL UNIQUE, created_at TIMESTAMP);
+                CREATE TABLE test_runs (id TEXT PRIMARY KEY, project_id TEXT NOT NULL, run_id TEXT NOT NULL, status TEXT NOT NULL,
+                  duration_ms INTEGER NOT NULL, timestamp TEXT NOT NULL, created_at TIMESTAMP, UNIQUE(project_id, run_id));
+                CREATE TABLE test_cases (id TEXT PRIMARY KEY, test_run_id TEXT NOT NULL, suite_name TEXT, name TEXT NOT NULL, file TEXT,
+                  status TEXT NOT NULL, duration_ms INTEGER, failure_message TEXT, created_at TIMESTAMP);
+                INSERT INTO organizations (id, name) VALUES ('org-1', 'Legacy Org');`);
+
+    const applied = await migrateUp(db);
+
+    expect(applied[0].version).toBe(4);
+    const columns = await all("SELECT name FROM pragma_table_info('api_tokens')");
+    expect(columns.map(c => c.name)).toEqual(expect.arrayContaining(['revoked_at', 'scopes']));
+    expect(await all('SELECT name FROM organizations')).toEqual([{ name: 'Legacy Org' }]);
+  });
+});
@@ -0,0 +1,110 @@
+const { parseMochaJson, parseMochaStream } = require('../../src/services/parsers/mochaJsonParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+/**
+ * Build a Mocha test entry
+ * @param {string} title - Test title
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Test entry
+ */
+function mochaTest(title, overrides = {}) {
+  return { title, fullTitle: `cart ${title}`, file: '/app/test/cart.spec.js', duration: 4, currentRetry: 0, err: {}, ...overrides };
+}
+
+describe('Mocha JSON Parser', () => {
+  describe('test mapping', () => {
+    it('should map passing, failing and pending tests', () => {
+      const failing = mochaTest('removes item', { err: { message: 'expected 1 to equal 0', stack: 'AssertionError: expected 1 to equal 0\n    at Context' } });
+      const pending = mochaTest('applies coupon', { duration: undefined });
+      const report = parseMochaJson({
+        stats: { start: '2026-03-01T09:00:00.000Z', duration: 42 },
+        tests: [mochaTest('adds item'), failing, pending],
+        pending: [pending],
+        failures: [failing]
+      });
+
+      expect(report.tests).toEqual([
+        { suite_name: 'cart', name: 'adds item', file: '/app/test/cart.spec.js', status: 'passed', duration_ms: 4, failure_message: null, stack_trace: null },
+        {
+          suite_name: 'cart',
+          name: 'removes item',
+          file: '/app/test/cart.spec.js',
+          status: 'failed',
+          duration_ms: 4,
+          failure_message: 'expected 1 to equal 0',
+          stack_trace: 'AssertionError: expected 1 to equal 0\n    at Context'
+        },
+        { suite_name: 'cart', name: 'applies coupon', file: '/app/test/cart.spec.js', status: 'skipped', duration_ms: null, failure_message: null, stack_trace: null }
+      ]);
+      expect(report.status).toBe('failed');
+      expect(report.duration_ms).toBe(42);
+      expect(report.timestamp).toBe('2026-03-01T09:00:00.000Z');
+    });
+
+    it('should leave the suite name null for root-level tests', () => {
+      const report = parseMochaJson({ stats: {}, tests: [{ title: 'boots', fullTitle: 'boots', err: {} }] });
+
+      expect(report.tests[0].suite_name).toBeNull();
+      expect(report.tests[0].file).toBeNull();
+    });
+
+    it('should record the attempts of retried tests', () => {
+      const report = parseMochaJson({ stats: {}, tests: [mochaTest('flaky', { currentRetry: 2 })] });
+
+      expect(report.tests[0].attempts.map(a => a.status)).toEqual(['failed', 'failed', 'passed']);
+    });
+  });
+
+  describe('run status', () => {
+    it('should record hook failures as errored tests and report errored', () => {
+      const hook = { title: '"before all" hook', fullTitle: 'cart "before all" hook', err: { message: 'db down' } };
+      const report = parseMochaJson({ stats: { duration: 3 }, tests: [mochaTest('adds item')], failures: [hook] });
+
+      expect(report.status).toBe('errored');
+      expect(report.tests[1]).toMatchObject({ name: '"before all" hook', status: 'errored', failure_message: 'db down' });
+    });
+
+    it('should report passed when nothing failed', () => {
+      expect(parseMochaJson({ stats: {}, tests: [mochaTest('adds item')] }).status).toBe('passed');
+    });
+  });
+
+  describe('streamed input', () => {
+    /**
+     * Split a report into chunks, as a request body stream would deliver it
+     * @param {string} text - Report
+     * @param {number} size - Chunk length
+     * @returns {AsyncGenerator<string>} - Chunks
+     */
+    async function* chunked(text, size) {
+      for (let i = 0; i < text.length; i += size) {
+        yield text.slice(i, i + size);
+      }
+    }
+
+    it('should read a report split across chunks like a whole document', async () => {
+      const failing = mochaTest('removes item', { err: { message: 'expected 1 to equal 0', stack: 'AssertionError', actual: '1', expected: '0' } });
+      const pending = mochaTest('applies coupon', { duration: undefined });
+      const hook = mochaTest('"before all" hook', { fullTitle: 'cart "before all" hook', err: { message: 'setup failed' } });
+      const report = {
+        stats: { suites: 1, tests: 3, start: '2026-03-01T09:00:00.000Z', duration: 42 },
+        tests: [mochaTest('adds item'), failing, pending],
+        pending: [pending],
+        failures: [failing, hook],
+        passes: [mochaTest('adds item')]
+      };
+
+      await expect(parseMochaStream(chunked(JSON.stringify(report, null, 2), 7))).resolves.toEqual(parseMochaJson(report));
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject a report without stats and tests', () => {
+      expect(() => parseMochaJson({ testResults: [] })).toThrow(ValidationError);
+    });
+
+    it('should reject tests without a fullTitle', () => {
+      expect(() => parseMochaJson({ stats: {}, tests: [{ title: 'x' }] })).toThrow('tests[0] must have a title and a fullTitle');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { isPrivateAddress } = require('../../src/utils/network');
+
+describe('Network Utilities', () => {
+  describe('isPrivateAddress', () => {
+    it('should flag loopback, private, link-local and other non-public addresses', () => {
+      for (const address of [
+        '127.0.0.1', '10.1.2.3', '172.31.255.255', '192.168.0.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '224.0.0.1', '::1', '::', 'fe80::1', 'fd12:3456::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+      ]) {
+        expect(isPrivateAddress(address)).toBe(true);
+      }
+    });
+
+    it('should flag 6to4 addresses, which tunnel to the IPv4 address they embed', () => {
+      expect(isPrivateAddress('2002:7f00:1::')).toBe(true);
+      expect(isPrivateAddress('2002:c0a8:101::1')).toBe(true);
+    });
+
+    it('should flag Teredo addresses, which tunnel to the IPv4 address they embed', () => {
+      expect(isPrivateAddress('2001:0:4136:e378:8000:63bf:3fff:fdd2')).toBe(true);
+    });
+
+    it('should allow public addresses', () => {
+      for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '::ffff:8.8.8.8', '2606:4700::1111']) {
+        expect(isPrivateAddress(address)).toBe(false);
+      }
+    });
+
+    it('should treat values that are not IP addresses as private', () => {
+      expect(isPrivateAddress('localhost')).toBe(true);
+    });
+  });
+});
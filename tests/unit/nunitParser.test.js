@@ -0,0 +1,81 @@
+const { parseNUnitXml, parseNUnitStream } = require('../../src/services/parsers/nunitParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('NUnit XML Parser', () => {
+  describe('NUnit 3', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+      <test-run id="2" result="Failed" start-time="2026-01-12 10:00:00Z" duration="2.5">
+        <test-suite type="Assembly" name="Cart.Tests.dll">
+          <test-suite type="TestFixture" name="CartTests" fullname="Cart.CartTests">
+            <test-case name="AddsItem" classname="Cart.CartTests" result="Passed" duration="0.012" />
+            <test-case name="RemovesItem" classname="Cart.CartTests" result="Failed" duration="0.5">
+              <failure><message><![CDATA[Expected: 0 But was: 1]]></message><stack-trace><![CDATA[at Cart.CartTests.RemovesItem()]]></stack-trace></failure>
+            </test-case>
+            <test-case name="Setup" result="Failed" label="Error" duration="0.1"><failure><message>NullReferenceException</message></failure></test-case>
+            <test-case name="Later" result="Skipped" label="Ignored" />
+          </test-suite>
+        </test-suite>
+      </test-run>`;
+
+    it('should map test cases with their class as the suite', () => {
+      const report = parseNUnitXml(xml);
+
+      expect(report.tests[1]).toEqual({
+        suite_name: 'Cart.CartTests',
+        name: 'RemovesItem',
+        file: null,
+        status: 'failed',
+        duration_ms: 500,
+        failure_message: 'Expected: 0 But was: 1',
+        stack_trace: 'at Cart.CartTests.RemovesItem()'
+      });
+      expect(report.tests.map(t => t.status)).toEqual(['passed', 'failed', 'errored', 'skipped']);
+      expect(report.tests[2].suite_name).toBe('Cart.CartTests');
+    });
+
+    it('should read a report split across chunks like a whole document', async () => {
+      const chunks = (async function* () {
+        for (let index = 0; index < xml.length; index += 13) {
+          yield xml.slice(index, index + 13);
+        }
+      })();
+
+      await expect(parseNUnitStream(chunks)).resolves.toEqual(parseNUnitXml(xml));
+    });
+
+    it('should take the timestamp and duration from <test-run>', () => {
+      const report = parseNUnitXml(xml);
+
+      expect(report.status).toBe('failed');
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.000Z');
+      expect(report.duration_ms).toBe(2500);
+    });
+  });
+
+  describe('NUnit 2', () => {
+    it('should split full test names and read date, time and suite times', () => {
+      const report = parseNUnitXml(`<test-results name="Cart.Tests.dll" date="2026-01-12" time="10:00:00">
+        <test-suite type="Assembly" name="Cart.Tests.dll" time="1.25"><results>
+          <test-case name="Cart.CartTests.AddsItem" executed="True" result="Success" time="0.010" />
+          <test-case name="Cart.CartTests.Later" executed="False" result="Ignored" />
+        </results></test-suite>
+      </test-results>`);
+
+      expect(report.tests.map(t => [t.suite_name, t.name, t.status])).toEqual([
+        ['Cart.CartTests', 'AddsItem', 'passed'],
+        ['Cart.CartTests', 'Later', 'skipped']
+      ]);
+      expect(report.status).toBe('passed');
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.000Z');
+      expect(report.duration_ms).toBe(1250);
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject malformed XML and other root elements', async () => {
+      expect(() => parseNUnitXml('<test-run><test-case></test-run>')).toThrow('Invalid NUnit XML');
+      expect(() => parseNUnitXml('<TestRun/>')).toThrow(ValidationError);
+      await expect(parseNUnitStream((async function* () { yield '<TestRun>'; })())).rejects.toThrow('root element must be');
+    });
+  });
+});
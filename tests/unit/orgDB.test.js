@@ -1,5 +1,6 @@
 const { initDatabase, closeDatabase } = require('../../src/db/database');
 const orgDB = require('../../src/db/orgDB');
+const projectDB = require('../../src/db/projectDB');
 const fs = require('fs');
 
 describe('Organization DB Module', () => {
@@ -55,4 +56,46 @@ describe('Organization DB Module', () => {
       expect(found).toBeNull();
     });
   });
+
+  describe('findAll', () => {
+    it('should list organizations by name', async () => {
+      await orgDB.create('Zulu Org');
+      await orgDB.create('Alpha Org');
+
+      const names = (await orgDB.findAll()).map(org => org.name);
+      expect(names).toEqual([...names].sort());
+      expect(names).toEqual(expect.arrayContaining(['Alpha Org', 'Zulu Org']));
+    });
+  });
+
+  describe('update', () => {
+    it('should rename an organization', async () => {
+      const created = await orgDB.create('Renamable Org');
+
+      expect(await orgDB.update(created.id, 'Renamed Org')).toBe(true);
+      expect((await orgDB.findById(created.id)).name).toBe('Renamed Org');
+    });
+
+    it('should reject a name used by another organization', async () => {
+      await orgDB.create('Taken Org');
+      const created = await orgDB.create('Free Org');
+
+      await expect(orgDB.update(created.id, 'Taken Org')).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' });
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete an organization with its projects', async () => {
+      const created = await orgDB.create('Doomed Org');
+      const project = await projectDB.create(created.id, 'Doomed Project');
+
+      expect(await orgDB.remove(created.id)).toBe(true);
+      expect(await orgDB.findById(created.id)).toBeNull();
+      expect(await projectDB.findById(project.id)).toBeNull();
+    });
+
+    it('should return false for a non-existent organization', async () => {
+      expect(await orgDB.remove('00000000-0000-0000-0000-000000000000')).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,139 @@
+const { registerParser, getParser, listFormats, parseReport, parseReportStream, createReportSource, detectParser } = require('../../src/services/parsers/registry');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('Report Parser Registry', () => {
+  describe('format detection', () => {
+    const samples = {
+      junit: '<?xml version="1.0"?>\n<!-- generated -->\n<testsuites><testsuite name="a"/></testsuites>',
+      nunit: '<test-run result="Passed"></test-run>',
+      trx: '<?xml version="1.0"?><TestRun xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010"/>',
+      jest: { numTotalTests: 0, testResults: [] },
+      mocha: { stats: {}, tests: [], passes: [], failures: [], pending: [] },
+      pytest: { exitcode: 0, tests: [] },
+      ctrf: { results: { tool: { name: 'jest' }, summary: {}, tests: [] } },
+      cucumber: [{ uri: 'a.feature', keyword: 'Feature', elements: [] }],
+      go: '{"Time":"2026-01-12T10:00:00Z","Action":"start","Package":"example.com/cart"}\n',
+      tap: '# generated by node --test\nTAP version 13\n1..0\n'
+    };
+
+    it.each(Object.entries(samples))('should detect %s reports', (format, body) => {
+      expect(detectParser(createReportSource(body)).name).toBe(format);
+    });
+
+    it('should detect JSON reports sent as raw text', () => {
+      expect(detectParser(createReportSource(JSON.stringify(samples.jest), 'text/plain')).name).toBe('jest');
+    });
+
+    it('should register every built-in format', () => {
+      expect(listFormats().sort()).toEqual(Object.keys(samples).sort());
+    });
+  });
+
+  describe('parseReport', () => {
+    it('should parse with the detected format', () => {
+      const { format, report } = parseReport('ok 1 - works\n1..1', { contentType: 'text/plain; charset=utf-8' });
+
+      expect(format).toBe('tap');
+      expect(report.status).toBe('passed');
+    });
+
+    it('should use an explicit format without detection', () => {
+      expect(() => parseReport('ok 1 - works', { format: 'junit' })).toThrow('Invalid JUnit XML');
+    });
+
+    it('should reject unknown formats and undetectable reports', () => {
+      expect(() => parseReport('ok 1', { format: 'xunit' })).toThrow('format must be one of');
+      expect(() => parseReport('just some text')).toThrow(ValidationError);
+      expect(() => parseReport({ hello: 'world' })).toThrow('Could not detect the report format');
+    });
+  });
+
+  describe('parseReportStream', () => {
+    /**
+     * Split a report into chunks, as a request body stream would deliver it
+     * @param {string} text - Report
+     * @param {number} size - Chunk length
+     * @returns {AsyncGenerator<string>} - Chunks
+     */
+    async function* chunked(text, size) {
+      for (let i = 0; i < text.length; i += size) {
+        yield text.slice(i, i + size);
+      }
+    }
+
+    const junit = `\uFEFF<testsuite name="cart">${
+      Array.from({ length: 100 }, (_, i) => `<testcase classname="cart" name="test ${i}" time="0.01"/>`).join('\n')
+    }</testsuite>`;
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should parse streamable formats as they arrive', async () => {
+      const parseStream = jest.spyOn(getParser('junit'), 'parseStream');
+
+      const { format, report } = await parseReportStream(chunked(junit, 100));
+
+      expect(format).toBe('junit');
+      expect(report.tests).toHaveLength(100);
+      expect(parseStream).toHaveBeenCalled();
+    });
+
+    it('should split newline-delimited events across chunks', async () => {
+      const go = Array.from({ length: 60 }, (_, i) => [
+        JSON.stringify({ Time: '2026-01-12T10:00:00Z', Action: 'run', Package: 'example.com/cart', Test: `Test${i}` }),
+        JSON.stringify({ Time: '2026-01-12T10:00:01Z', Action: i === 0 ? 'fail' : 'pass', Package: 'example.com/cart', Test: `Test${i}` })
+      ].join('\n')).join('\n');
+
+      const { format, report } = await parseReportStream(chunked(go, 77), { contentType: 'application/x-ndjson' });
+
+      expect(format).toBe('go');
+      expect(report).toEqual(parseReport(go).report);
+      expect(report.status).toBe('failed');
+    });
+
+    it('should parse a large Jest report as it arrives', async () => {
+      const parseStream = jest.spyOn(getParser('jest'), 'parseStream');
+      const jestReport = JSON.stringify({
+        numFailedTestSuites: 0,
+        numTotalTests: 100,
+        testResults: [{
+          name: '/app/cart.test.js',
+          assertionResults: Array.from({ length: 100 }, (_, i) => ({ ancestorTitles: ['cart'], title: `test ${i}`, status: 'passed' }))
+        }]
+      });
+
+      const { format, report } = await parseReportStream(chunked(jestReport, 100), { contentType: 'application/json' });
+
+      expect(format).toBe('jest');
+      expect(report).toEqual(parseReport(jestReport).report);
+      expect(parseStream).toHaveBeenCalled();
+    });
+
+    it('should read other formats in full before parsing them', async () => {
+      const pytest = JSON.stringify({
+        exitcode: 0,
+        tests: Array.from({ length: 100 }, (_, i) => ({ nodeid: `tests/test_cart.py::test_${i}`, outcome: 'passed' }))
+      });
+
+      const { format, report } = await parseReportStream(chunked(pytest, 100));
+
+      expect(format).toBe('pytest');
+      expect(report.tests).toHaveLength(100);
+    });
+
+    it('should reject unknown formats and invalid streamed reports', async () => {
+      await expect(parseReportStream(chunked(junit, 100), { format: 'xunit' })).rejects.toThrow('format must be one of');
+      await expect(parseReportStream(chunked(`${junit}</extra>`, 100))).rejects.toThrow('Invalid JUnit XML');
+    });
+  });
+
+  describe('registerParser', () => {
+    it('should reject incomplete or duplicate parsers', () => {
+      expect(() => registerParser({ name: 'custom', contentTypes: [] })).toThrow('must declare contentTypes, detect and parse');
+      expect(() => registerParser({ name: 'junit', contentTypes: [], detect: () => false, parse: () => ({}) })).toThrow('already registered');
+      expect(() => registerParser({ name: 'custom', contentTypes: [], detect: () => false, parse: () => ({}), parseStream: true }))
+        .toThrow('parseStream must be a function');
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const { initDatabase, closeDatabase } = require('../../src/db/database');
 const orgDB = require('../../src/db/orgDB');
 const projectDB = require('../../src/db/projectDB');
+const testRunDB = require('../../src/db/testRunDB');
+const tokenDB = require('../../src/db/tokenDB');
 const fs = require('fs');
 
 describe('Project DB Module', () => {
@@ -74,4 +76,87 @@ describe('Project DB Module', () => {
       expect(found).toBeNull();
     });
   });
+
+  describe('findByOrganizationId', () => {
+    let listOrg;
+
+    beforeAll(async () => {
+      listOrg = await orgDB.create('Listing Organization');
+      await projectDB.create(listOrg.id, 'Beta');
+      const alpha = await projectDB.create(listOrg.id, 'Alpha');
+      await projectDB.update(alpha.id, { archived_at: '2026-01-12T10:00:00.000Z' });
+    });
+
+    it('should list the projects of an organization by name', async () => {
+      const projects = await projectDB.findByOrganizationId(listOrg.id);
+
+      expect(projects.map(project => project.name)).toEqual(['Alpha', 'Beta']);
+      expect(projects[0].archived_at).toBe('2026-01-12T10:00:00.000Z');
+      expect(projects[1].archived_at).toBeNull();
+    });
+
+    it('should filter archived and active projects', async () => {
+      const archived = await projectDB.findByOrganizationId(listOrg.id, { archived: true });
+      const active = await projectDB.findByOrganizationId(listOrg.id, { archived: false });
+
+      expect(archived.map(project => project.name)).toEqual(['Alpha']);
+      expect(active.map(project => project.name)).toEqual(['Beta']);
+    });
+  });
+
+  describe('update', () => {
+    it('should rename and unarchive a project', async () => {
+      const created = await projectDB.create(testOrg.id, 'Old Name');
+      await projectDB.update(created.id, { archived_at: '2026-01-12T10:00:00.000Z' });
+
+      expect(await projectDB.update(created.id, { name: 'New Name', archived_at: null })).toBe(true);
+      const found = await projectDB.findById(created.id);
+      expect(found.name).toBe('New Name');
+      expect(found.archived_at).toBeNull();
+    });
+
+    it('should reject a name used by another project of the organization', async () => {
+      await projectDB.create(testOrg.id, 'Taken Name');
+      const created = await projectDB.create(testOrg.id, 'Free Name');
+
+      await expect(projectDB.update(created.id, { name: 'Taken Name' })).rejects.toMatchObject({ code: 'UNIQUE_VIOLATION' });
+    });
+
+    it('should return false for a non-existent project', async () => {
+      expect(await projectDB.update('00000000-0000-0000-0000-000000000000', { name: 'Nothing' })).toBe(false);
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete a project with its runs, test cases and tokens', async () => {
+      const project = await projectDB.create(testOrg.id, 'Doomed Project');
+      const run = await testRunDB.create(project.id, '550e8400-e29b-41d4-a716-446655440500', 'failed', 100, '2026-01-12T10:00:00.000Z');
+      await testRunDB.createTestCases(run.id, [{
+        name: 'flaky test',
+        status: 'passed',
+        duration_ms: 10,
+        attempts: [{ status: 'failed', duration_ms: 5 }]
+      }]);
+      await tokenDB.create(project.id, 'doomed-token-hash');
+
+      expect(await projectDB.remove(project.id)).toBe(true);
+      expect(await projectDB.findById(project.id)).toBeNull();
+      expect(await testRunDB.findByRunId(project.id, '550e8400-e29b-41d4-a716-446655440500')).toBeNull();
+      expect(await testRunDB.findTestCasesByTestRunId(run.id)).toEqual([]);
+      expect(await tokenDB.findProjectByTokenHash('doomed-token-hash')).toBeNull();
+    });
+
+    it('should leave other projects untouched', async () => {
+      const kept = await projectDB.create(testOrg.id, 'Kept Project');
+      await testRunDB.create(kept.id, '550e8400-e29b-41d4-a716-446655440501', 'passed', 100, '2026-01-12T10:00:00.000Z');
+      const removed = await projectDB.create(testOrg.id, 'Removed Project');
+
+      await projectDB.remove(removed.id);
+      expect(await testRunDB.findByRunId(kept.id, '550e8400-e29b-41d4-a716-446655440501')).not.toBeNull();
+    });
+
+    it('should return false for a non-existent project', async () => {
+      expect(await projectDB.remove('00000000-0000-0000-0000-000000000000')).toBe(false);
+    });
+  });
 });
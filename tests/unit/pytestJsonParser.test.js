@@ -0,0 +1,89 @@
+const { parsePytestJson } = require('../../src/services/parsers/pytestJsonParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('pytest-json-report Parser', () => {
+  describe('test mapping', () => {
+    it('should split node IDs and sum phase durations', () => {
+      const report = parsePytestJson({
+        created: 1768212000.5,
+        duration: 1.25,
+        exitcode: 0,
+        tests: [{
+          nodeid: 'tests/test_cart.py::TestCart::test_add[1-2]',
+          outcome: 'passed',
+          setup: { duration: 0.001, outcome: 'passed' },
+          call: { duration: 0.0104, outcome: 'passed' },
+          teardown: { duration: 0.0005, outcome: 'passed' }
+        }]
+      });
+
+      expect(report.tests[0]).toEqual({
+        suite_name: 'TestCart',
+        name: 'test_add[1-2]',
+        file: 'tests/test_cart.py',
+        status: 'passed',
+        duration_ms: 12,
+        failure_message: null,
+        stack_trace: null
+      });
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.500Z');
+      expect(report.duration_ms).toBe(1250);
+    });
+
+    it('should take failure details from the failing phase', () => {
+      const report = parsePytestJson({
+        exitcode: 1,
+        tests: [{
+          nodeid: 'tests/test_cart.py::test_remove',
+          outcome: 'failed',
+          call: { duration: 0.2, outcome: 'failed', crash: { message: 'AssertionError: assert 1 == 0' }, longrepr: '>       assert 1 == 0' }
+        }]
+      });
+
+      expect(report.status).toBe('failed');
+      expect(report.tests[0]).toMatchObject({
+        suite_name: null,
+        failure_message: 'AssertionError: assert 1 == 0',
+        stack_trace: '>       assert 1 == 0'
+      });
+    });
+
+    it('should map error, xfailed and xpassed outcomes', () => {
+      const report = parsePytestJson({
+        tests: [
+          { nodeid: 'a.py::test_fixture', outcome: 'error', setup: { outcome: 'failed', longrepr: 'fixture db not found' } },
+          { nodeid: 'a.py::test_known_bug', outcome: 'xfailed' },
+          { nodeid: 'a.py::test_fixed_bug', outcome: 'xpassed' }
+        ]
+      });
+
+      expect(report.tests.map(t => t.status)).toEqual(['errored', 'skipped', 'passed']);
+      expect(report.tests[0].failure_message).toBe('fixture db not found');
+      expect(report.status).toBe('errored');
+    });
+  });
+
+  describe('run status', () => {
+    it('should report errored when collection failed', () => {
+      const report = parsePytestJson({
+        exitcode: 2,
+        collectors: [{ nodeid: 'tests/test_broken.py', outcome: 'failed', longrepr: "ImportError: No module named 'cart'" }],
+        tests: []
+      });
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe("ImportError: No module named 'cart'");
+    });
+
+    it('should report cancelled when the session was interrupted', () => {
+      expect(parsePytestJson({ exitcode: 2, tests: [{ nodeid: 'a.py::test_a', outcome: 'passed' }] }).status).toBe('cancelled');
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject reports without tests or with tests missing a nodeid', () => {
+      expect(() => parsePytestJson({ summary: {} })).toThrow(ValidationError);
+      expect(() => parsePytestJson({ tests: [{ outcome: 'passed' }] })).toThrow('tests[0].nodeid must be a non-empty string');
+    });
+  });
+});
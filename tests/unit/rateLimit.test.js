@@ -0,0 +1,104 @@
+const { createMemoryStore } = require('../../src/services/rateLimitStore/memoryStore');
+const { setRateLimitStore } = require('../../src/services/rateLimitStore');
+const { getRateLimit, consumeRateLimits } = require('../../src/services/rateLimitService');
+
+describe('Rate Limiting', () => {
+  describe('memory store', () => {
+    const limit = { capacity: 2, refillPerSecond: 1 };
+    let time;
+    let store;
+
+    beforeEach(() => {
+      time = 0;
+      store = createMemoryStore({ now: () => time });
+    });
+
+    it('should allow a burst up to the capacity, then refuse', async () => {
+      expect(await store.consume('a', limit)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0, resetMs: 1000 });
+      expect(await store.consume('a', limit)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0, resetMs: 2000 });
+      expect(await store.consume('a', limit)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000, resetMs: 2000 });
+    });
+
+    it('should refill over time without exceeding the capacity', async () => {
+      await store.consume('a', limit);
+      await store.consume('a', limit);
+
+      time = 1500;
+      expect(await store.consume('a', limit)).toMatchObject({ allowed: true, remaining: 0, resetMs: 1500 });
+      expect(await store.consume('a', limit)).toMatchObject({ allowed: false, retryAfterMs: 500 });
+
+      time = 60000;
+      expect(await store.consume('a', limit)).toMatchObject({ allowed: true, remaining: 1 });
+    });
+
+    it('should keep separate buckets per key', async () => {
+      await store.consume('a', limit);
+      await store.consume('a', limit);
+
+      expect((await store.consume('b', limit)).allowed).toBe(true);
+    });
+
+    it('should give back a refunded token without exceeding the capacity', async () => {
+      await store.consume('a', limit);
+      await store.consume('a', limit);
+      await store.refund('a', limit);
+
+      expect(await store.consume('a', limit)).toMatchObject({ allowed: true, remaining: 0 });
+
+      await store.refund('b', limit);
+      expect(await store.consume('b', limit)).toMatchObject({ allowed: true, remaining: 1 });
+    });
+  });
+
+  describe('rate limit service', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      setRateLimitStore(null);
+    });
+
+    it('should read limits from the environment', () => {
+      process.env.RATE_LIMIT_TOKEN_PER_MINUTE = '120';
+      process.env.RATE_LIMIT_TOKEN_BURST = '10';
+      process.env.RATE_LIMIT_IP_PER_MINUTE = '0';
+
+      expect(getRateLimit('token')).toEqual({ capacity: 10, refillPerSecond: 2 });
+      expect(getRateLimit('project')).toEqual({ capacity: 600, refillPerSecond: 10 });
+      expect(getRateLimit('ip')).toBeNull();
+    });
+
+    it('should report the tightest bucket and stop at an empty one', async () => {
+      process.env.RATE_LIMIT_TOKEN_PER_MINUTE = '5';
+      process.env.RATE_LIMIT_PROJECT_PER_MINUTE = '2';
+      const identity = { token: 't1', project: 'p1', ip: '127.0.0.1' };
+
+      expect(await consumeRateLimits(identity)).toMatchObject({ scope: 'project', limit: 2, remaining: 1, allowed: true });
+      await consumeRateLimits(identity);
+      expect(await consumeRateLimits(identity)).toMatchObject({ scope: 'project', allowed: false });
+      expect(await consumeRateLimits({ token: 't2', project: 'p2' })).toMatchObject({ allowed: true });
+    });
+
+    it('should not count a refused request against the buckets it passed', async () => {
+      process.env.RATE_LIMIT_PROJECT_PER_MINUTE = '3';
+      process.env.RATE_LIMIT_IP_PER_MINUTE = '1';
+
+      await consumeRateLimits({ ip: '10.0.0.1' });
+      for (let i = 0; i < 5; i++) {
+        expect(await consumeRateLimits({ token: 't1', project: 'p1', ip: '10.0.0.1' })).toMatchObject({ scope: 'ip', allowed: false });
+      }
+
+      expect(await consumeRateLimits({ token: 't2', project: 'p1' }))
+        .toMatchObject({ scope: 'project', allowed: true, remaining: 2 });
+    });
+
+    it('should use a replacement store', async () => {
+      const consume = jest.fn().mockResolvedValue({ allowed: true, remaining: 7, retryAfterMs: 0, resetMs: 0 });
+      setRateLimitStore({ consume, refund: jest.fn() });
+
+      await consumeRateLimits({ token: 't1' });
+
+      expect(consume).toHaveBeenCalledWith('token:t1', { capacity: 300, refillPerSecond: 5 });
+    });
+  });
+});
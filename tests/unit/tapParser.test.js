@@ -0,0 +1,100 @@
+const { parseTap } = require('../../src/services/parsers/tapParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('TAP Parser', () => {
+  describe('test mapping', () => {
+    it('should map test points with SKIP and TODO directives', () => {
+      const report = parseTap([
+        'TAP version 13',
+        '1..4',
+        'ok 1 - adds item',
+        'not ok 2 - removes item',
+        'ok 3 - applies coupon # SKIP not ready',
+        'not ok 4 - refunds # TODO later'
+      ].join('\n'));
+
+      expect(report.tests.map(t => [t.name, t.status])).toEqual([
+        ['adds item', 'passed'],
+        ['removes item', 'failed'],
+        ['applies coupon', 'skipped'],
+        ['refunds', 'skipped']
+      ]);
+      expect(report.status).toBe('failed');
+      expect(report.timestamp).toBeNull();
+    });
+
+    it('should read failure details and durations from YAML diagnostics', () => {
+      const report = parseTap([
+        'not ok 1 - removes item',
+        '  ---',
+        '  duration_ms: 2.6',
+        "  error: 'Expected values to be strictly equal'",
+        '  stack: |-',
+        '    TestContext.<anonymous> (cart.test.js:10:12)',
+        '    Test.run (node:internal/test_runner/test:1:1)',
+        '  ...',
+        '1..1'
+      ].join('\n'));
+
+      expect(report.tests[0]).toMatchObject({
+        duration_ms: 3,
+        failure_message: 'Expected values to be strictly equal',
+        stack_trace: 'TestContext.<anonymous> (cart.test.js:10:12)\nTest.run (node:internal/test_runner/test:1:1)'
+      });
+    });
+
+    it('should record subtests under their parent as the suite', () => {
+      const report = parseTap([
+        'TAP version 13',
+        '# Subtest: cart',
+        '    # Subtest: adds item',
+        '    ok 1 - adds item',
+        '    1..1',
+        'ok 1 - cart',
+        '1..1',
+        '# duration_ms 42.4'
+      ].join('\n'));
+
+      expect(report.tests).toHaveLength(1);
+      expect(report.tests[0]).toMatchObject({ suite_name: 'cart', name: 'adds item', status: 'passed' });
+      expect(report.duration_ms).toBe(42);
+    });
+
+    it('should record a failing parent without failing subtests as errored', () => {
+      const report = parseTap([
+        '    ok 1 - adds item',
+        'not ok 1 - cart',
+        '  ---',
+        "  error: 'before hook failed'",
+        '  ...',
+        '1..1'
+      ].join('\n'));
+
+      expect(report.tests.map(t => t.status)).toEqual(['passed', 'errored']);
+      expect(report.status).toBe('errored');
+    });
+  });
+
+  describe('run status', () => {
+    it('should report errored when the stream bails out', () => {
+      const report = parseTap('1..2\nok 1 - connects\nBail out! database unavailable');
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe('Bail out! database unavailable');
+    });
+
+    it('should report errored when fewer tests ran than planned', () => {
+      const report = parseTap('1..3\nok 1 - a\nok 2 - b');
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe('Planned 3 tests but ran 2');
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject text without a plan or test points', () => {
+      expect(() => parseTap('hello world')).toThrow(ValidationError);
+      expect(() => parseTap('')).toThrow(ValidationError);
+    });
+  });
+});
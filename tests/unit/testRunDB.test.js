@@ -0,0 +1,177 @@
+const { initDatabase, closeDatabase, withTransaction, withSavepoint } = require('../../src/db/database');
+const orgDB = require('../../src/db/orgDB');
+const projectDB = require('../../src/db/projectDB');
+const testRunDB = require('../../src/db/testRunDB');
+const fs = require('fs');
+
+describe('Test Run DB Module - Test Cases', () => {
+  const testDbPath = './test-testrun-cases.db';
+  let testProject;
+
+  beforeAll(async () => {
+    await initDatabase(testDbPath);
+    const org = await orgDB.create('Test Case Org');
+    testProject = await projectDB.create(org.id, 'Test Case Project');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+    if (fs.existsSync(testDbPath)) {
+      fs.unlinkSync(testDbPath);
+    }
+  });
+
+  describe('createTestCases', () => {
+    it('should create test cases linked to the test run', async () => {
+      const run = await testRunDB.create(
+        testProject.id, '11111111-1111-4111-8111-111111111111', 'failed', 30, '2026-01-12T10:00:00.000Z'
+      );
+
+      const created = await testRunDB.createTestCases(run.id, [
+        { suite_name: 'suite', name: 'first', file: 'a.test.js', status: 'passed', duration_ms: 10 },
+        { name: 'second', status: 'failed', duration_ms: 20, failure_message: 'boom' },
+        { name: 'third', status: 'skipped' }
+      ]);
+
+      expect(created).toHaveLength(3);
+      expect(created[0].test_run_id).toBe(run.id);
+      expect(created[1].failure_message).toBe('boom');
+      expect(created[2].suite_name).toBeNull();
+      expect(created[2].duration_ms).toBeNull();
+    });
+
+    it('should reject test cases for a non-existent test run', async () => {
+      await expect(
+        testRunDB.createTestCases('00000000-0000-0000-0000-000000000000', [{ name: 'orphan', status: 'passed' }])
+      ).rejects.toMatchObject({ code: 'FOREIGN_KEY_VIOLATION' });
+    });
+  });
+
+  describe('findTestCasesByTestRunId', () => {
+    it('should return test cases in insertion order', async () => {
+      const run = await testRunDB.create(
+        testProject.id, '22222222-2222-4222-8222-222222222222', 'passed', 30, '2026-01-12T11:00:00.000Z'
+      );
+      await testRunDB.createTestCases(run.id, [
+        { name: 'b', status: 'passed' },
+        { name: 'a', status: 'passed' }
+      ]);
+
+      const found = await testRunDB.findTestCasesByTestRunId(run.id);
+
+      expect(found.map(t => t.name)).toEqual(['b', 'a']);
+    });
+
+    it('should attach the attempts of each test case in attempt order', async () => {
+      const run = await testRunDB.create(
+        testProject.id, '66666666-6666-4666-8666-666666666666', 'passed', 30, '2026-01-12T12:00:00.000Z'
+      );
+      await testRunDB.createTestCases(run.id, [
+        { name: 'retried', status: 'passed', attempts: [{ status: 'failed', failure_message: 'flake' }, { status: 'passed' }] },
+        { name: 'once', status: 'passed' }
+      ]);
+
+      const found = await testRunDB.findTestCasesByTestRunId(run.id);
+
+      expect(found.map(t => t.attempt_count)).toEqual([2, 1]);
+      expect(found[0].attempts.map(a => [a.attempt, a.status, a.failure_message])).toEqual([[1, 'failed', 'flake'], [2, 'passed', null]]);
+      expect(found[1].attempts).toEqual([]);
+    });
+
+    it('should return an empty array for a run without test cases', async () => {
+      const found = await testRunDB.findTestCasesByTestRunId('00000000-0000-0000-0000-000000000000');
+      expect(found).toEqual([]);
+    });
+  });
+
+  describe('withTransaction', () => {
+    it('should roll back the test run when a test case insert fails', async () => {
+      const runId = '33333333-3333-4333-8333-333333333333';
+
+      await expect(withTransaction(async () => {
+        const run = await testRunDB.create(testProject.id, runId, 'passed', 10, '2026-01-12T12:00:00.000Z');
+        await testRunDB.createTestCases(run.id, [{ name: null, status: 'passed' }]);
+      })).rejects.toThrow();
+
+      expect(await testRunDB.findByRunId(testProject.id, runId)).toBeNull();
+    });
+
+    it('should keep writes made outside a transaction when it rolls back', async () => {
+      const rolledBackRunId = '88888888-8888-4888-8888-888888888888';
+      const plainRunId = '99999999-9999-4999-8999-999999999999';
+      let rollBack = null;
+
+      const transaction = withTransaction(async () => {
+        await testRunDB.create(testProject.id, rolledBackRunId, 'passed', 10, '2026-01-12T14:00:00.000Z');
+        await new Promise((resolve) => { rollBack = resolve; });
+        throw new Error('ingest failed');
+      });
+      while (!rollBack) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // Issued by another request while the transaction is open
+      const plainWrite = testRunDB.create(testProject.id, plainRunId, 'passed', 10, '2026-01-12T14:00:00.000Z');
+      rollBack();
+
+      await expect(transaction).rejects.toThrow('ingest failed');
+      await plainWrite;
+      expect(await testRunDB.findByRunId(testProject.id, rolledBackRunId)).toBeNull();
+      expect(await testRunDB.findByRunId(testProject.id, plainRunId)).not.toBeNull();
+    });
+
+    it('should not hold back reads made outside an open transaction', async () => {
+      const runId = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+      let commit = null;
+
+      const transaction = withTransaction(async () => {
+        await testRunDB.create(testProject.id, runId, 'passed', 10, '2026-01-12T15:00:00.000Z');
+        await new Promise((resolve) => { commit = resolve; });
+      });
+      while (!commit) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      // Resolves while the transaction is still open
+      await testRunDB.findByRunId(testProject.id, '00000000-0000-0000-0000-000000000000');
+      commit();
+
+      await transaction;
+      expect(await testRunDB.findByRunId(testProject.id, runId)).not.toBeNull();
+    });
+  });
+
+  describe('withSavepoint', () => {
+    it('should undo only the failed part of a transaction', async () => {
+      const keptRunId = '44444444-4444-4444-8444-444444444444';
+      const undoneRunId = '55555555-5555-4555-8555-555555555555';
+
+      await withTransaction(async () => {
+        await withSavepoint(() => testRunDB.create(testProject.id, keptRunId, 'passed', 10, '2026-01-12T13:00:00.000Z'));
+        await expect(withSavepoint(async () => {
+          const run = await testRunDB.create(testProject.id, undoneRunId, 'passed', 10, '2026-01-12T13:00:00.000Z');
+          await testRunDB.createTestCases(run.id, [{ name: null, status: 'passed' }]);
+        })).rejects.toThrow();
+      });
+
+      expect(await testRunDB.findByRunId(testProject.id, keptRunId)).not.toBeNull();
+      expect(await testRunDB.findByRunId(testProject.id, undoneRunId)).toBeNull();
+    });
+
+    it('should undo a nested savepoint without undoing the one around it', async () => {
+      const outerRunId = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+      const innerRunId = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+      await withTransaction(() => withSavepoint(async () => {
+        await testRunDB.create(testProject.id, outerRunId, 'passed', 10, '2026-01-12T16:00:00.000Z');
+        await expect(withSavepoint(async () => {
+          await testRunDB.create(testProject.id, innerRunId, 'passed', 10, '2026-01-12T16:00:00.000Z');
+          throw new Error('inner failed');
+        })).rejects.toThrow('inner failed');
+      }));
+
+      expect(await testRunDB.findByRunId(testProject.id, outerRunId)).not.toBeNull();
+      expect(await testRunDB.findByRunId(testProject.id, innerRunId)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { parseTrx, parseTrxStream } = require('../../src/services/parsers/trxParser');
+const { ValidationError } = require('../../src/utils/errors');
+
+describe('TRX Parser', () => {
+  const trx = `<?xml version="1.0" encoding="utf-8"?>
+    <TestRun id="1" xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010">
+      <Times creation="2026-01-12T10:00:00.0000000+00:00" start="2026-01-12T10:00:00.5000000+00:00" finish="2026-01-12T10:00:03.0000000+00:00" />
+      <Results>
+        <UnitTestResult testId="t1" testName="AddsItem" duration="00:00:00.1234567" outcome="Passed" />
+        <UnitTestResult testId="t2" testName="RemovesItem" duration="00:00:01.5000000" outcome="Failed">
+          <Output><ErrorInfo>
+            <Message>Assert.AreEqual failed. Expected:&lt;0&gt;. Actual:&lt;1&gt;.</Message>
+            <StackTrace>   at Cart.Tests.RemovesItem() in Cart.cs:line 20</StackTrace>
+          </ErrorInfo></Output>
+        </UnitTestResult>
+        <UnitTestResult testId="t3" testName="Checkout" outcome="NotExecuted" />
+        <UnitTestResult testId="t3" testName="Pays" outcome="Timeout" />
+      </Results>
+      <TestDefinitions>
+        <UnitTest name="AddsItem" id="t1"><TestMethod className="Cart.Tests, Cart.Tests, Version=1.0.0.0" name="AddsItem" /></UnitTest>
+        <UnitTest name="RemovesItem" id="t2"><TestMethod className="Cart.Tests" name="RemovesItem" /></UnitTest>
+      </TestDefinitions>
+      <ResultSummary outcome="Failed" />
+    </TestRun>`;
+
+  describe('test mapping', () => {
+    it('should map results with the class of their definition as the suite', () => {
+      const report = parseTrx(trx);
+
+      expect(report.tests[0]).toEqual({
+        suite_name: 'Cart.Tests',
+        name: 'AddsItem',
+        file: null,
+        status: 'passed',
+        duration_ms: 123,
+        failure_message: null,
+        stack_trace: null
+      });
+      expect(report.tests[1]).toMatchObject({
+        status: 'failed',
+        duration_ms: 1500,
+        failure_message: 'Assert.AreEqual failed. Expected:<0>. Actual:<1>.',
+        stack_trace: 'at Cart.Tests.RemovesItem() in Cart.cs:line 20'
+      });
+      expect(report.tests.slice(2).map(t => t.status)).toEqual(['skipped', 'timed_out']);
+    });
+
+    it('should read a report split across chunks like a whole document', async () => {
+      const chunks = (async function* () {
+        for (let index = 0; index < trx.length; index += 13) {
+          yield trx.slice(index, index + 13);
+        }
+      })();
+
+      await expect(parseTrxStream(chunks)).resolves.toEqual(parseTrx(trx));
+    });
+
+    it('should take the timestamp and duration from <Times>', () => {
+      const report = parseTrx(trx);
+
+      expect(report.status).toBe('failed');
+      expect(report.timestamp).toBe('2026-01-12T10:00:00.500Z');
+      expect(report.duration_ms).toBe(2500);
+    });
+  });
+
+  describe('run status', () => {
+    it('should report errored when the run failed without failing tests', () => {
+      const report = parseTrx(`<TestRun>
+        <Results><UnitTestResult testName="A" outcome="Passed" duration="00:00:01" /></Results>
+        <ResultSummary outcome="Failed"><RunInfos><RunInfo><Text>Test host process crashed</Text></RunInfo></RunInfos></ResultSummary>
+      </TestRun>`);
+
+      expect(report.status).toBe('errored');
+      expect(report.failure_message).toBe('Test host process crashed');
+      expect(report.duration_ms).toBe(1000);
+    });
+  });
+
+  describe('invalid input', () => {
+    it('should reject malformed XML and other root elements', () => {
+      expect(() => parseTrx('<TestRun><Results></TestRun>')).toThrow('Invalid TRX');
+      expect(() => parseTrx('<testsuite/>')).toThrow(ValidationError);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const { generateToken, hashToken } = require('../../src/utils/crypto');
 const { ValidationError, UnauthorizedError, NotFoundError, ConflictError } = require('../../src/utils/errors');
 const logger = require('../../src/utils/logger');
+const { normalizeFailureText, computeErrorSignature } = require('../../src/utils/errorSignature');
+const { createInFlightTracker } = require('../../src/utils/inFlight');
 
 describe('Utility Modules', () => {
   
@@ -59,6 +61,62 @@ describe('Utility Modules', () => {
     });
   });
 
+  describe('Error signatures', () => {
+    test('normalizeFailureText strips volatile parts of a failure', () => {
+      const text = 'Error: expected 200 but got 500 for 550e8400-e29b-41d4-a716-446655440000 at 0x7ffd\n' +
+        '    at Object.<anonymous> (/tmp/jest_x1/cart.test.js:12:34)\n' +
+        '  File "/private/var/folders/ab/T/test_cart.py", line 42, in test_checkout';
+
+      expect(normalizeFailureText(text)).toBe(
+        'Error: expected <n> but got <n> for <uuid> at <hex>\n' +
+        'at Object.<anonymous> (<tmp>/cart.test.js)\n' +
+        'File "<tmp>/test_cart.py", line, in test_checkout'
+      );
+    });
+
+    test('computeErrorSignature matches occurrences that differ only in volatile parts', () => {
+      const first = computeErrorSignature('Timeout after 5000ms', 'at wait (/tmp/a1/api.test.js:10:5)');
+      const second = computeErrorSignature('Timeout after 3000ms', 'at wait (/tmp/b2/api.test.js:11:7)');
+      const other = computeErrorSignature('Timeout after 5000ms', 'at wait (/tmp/a1/db.test.js:10:5)');
+
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(second).toBe(first);
+      expect(other).not.toBe(first);
+    });
+
+    test('computeErrorSignature returns null without failure text', () => {
+      expect(computeErrorSignature(null, undefined)).toBeNull();
+      expect(computeErrorSignature('  ', '\n')).toBeNull();
+    });
+  });
+
+  describe('In-flight tracker', () => {
+    test('trackers count their work separately', () => {
+      const first = createInFlightTracker();
+      const second = createInFlightTracker();
+
+      const finish = first.begin();
+      first.begin();
+      finish();
+      finish();
+
+      expect(first.count()).toBe(1);
+      expect(second.count()).toBe(0);
+    });
+
+    test('drain resolves once the last work finishes, or false after the timeout', async () => {
+      const tracker = createInFlightTracker();
+      await expect(tracker.drain(10)).resolves.toBe(true);
+
+      const finish = tracker.begin();
+      await expect(tracker.drain(10)).resolves.toBe(false);
+
+      const drain = tracker.drain(1000);
+      finish();
+      await expect(drain).resolves.toBe(true);
+    });
+  });
+
   describe('Logger utility', () => {
     let consoleLogSpy;
 